@@ -8,11 +8,16 @@ import ResourceVerification from './pages/ResourceVerification';
 import UserManagement from './pages/UserManagement';
 import FacultyList from './pages/FacultyList';
 import Messages from './pages/Messages';
+import ReviewModeration from './pages/ReviewModeration';
+import JobQueue from './pages/JobQueue';
+import Roles from './pages/Roles';
+import AuditLog from './pages/AuditLog';
+import FacultyApprovals from './pages/FacultyApprovals';
 import { ToastProvider } from './context/ToastContext';
 import './styles/toast.css';
 
-function AdminRoute({ children }) {
-  const { user, loading } = useAuth();
+function AdminRoute({ children, permission }) {
+  const { user, loading, can } = useAuth();
   const [hasLoaded, setHasLoaded] = useState(false);
 
   useEffect(() => {
@@ -46,11 +51,14 @@ function AdminRoute({ children }) {
     );
   }
 
-  if (!user || user.role !== 'admin') {
+  if (!user || !can('admin.access')) {
     if (!loading) return <Navigate to="/login" replace />;
     return null; // Don't redirect while still loading for the first time
   }
 
+  // Signed in, but this page is beyond what their role allows
+  if (permission && !can(permission)) return <Navigate to="/" replace />;
+
   return children;
 }
 
@@ -78,11 +86,16 @@ function App() {
           }
         />
 
-        <Route path="/faculty-list" element={<AdminRoute><FacultyList /></AdminRoute>} />
-        <Route path="/users" element={<AdminRoute><UserManagement /></AdminRoute>} />
-        <Route path="/content" element={<AdminRoute><ContentManagement /></AdminRoute>} />
-        <Route path="/resources" element={<AdminRoute><ResourceVerification /></AdminRoute>} />
-        <Route path="/messages" element={<AdminRoute><Messages /></AdminRoute>} />
+        <Route path="/faculty-list" element={<AdminRoute permission="faculty.manage"><FacultyList /></AdminRoute>} />
+        <Route path="/faculty-approvals" element={<AdminRoute permission="faculty.approve"><FacultyApprovals /></AdminRoute>} />
+        <Route path="/users" element={<AdminRoute permission="user.view"><UserManagement /></AdminRoute>} />
+        <Route path="/roles" element={<AdminRoute permission="role.manage"><Roles /></AdminRoute>} />
+        <Route path="/content" element={<AdminRoute permission="content.manage"><ContentManagement /></AdminRoute>} />
+        <Route path="/resources" element={<AdminRoute permission="resource.verify"><ResourceVerification /></AdminRoute>} />
+        <Route path="/reviews" element={<AdminRoute permission="review.moderate"><ReviewModeration /></AdminRoute>} />
+        <Route path="/jobs" element={<AdminRoute permission="job.manage"><JobQueue /></AdminRoute>} />
+        <Route path="/messages" element={<AdminRoute permission="message.manage"><Messages /></AdminRoute>} />
+        <Route path="/audit" element={<AdminRoute permission="audit.view"><AuditLog /></AdminRoute>} />
 
         <Route
           path="*"
@@ -25,8 +25,8 @@ export function AuthProvider({ children }) {
 
     const backendUser = await fetchBackendUser(session.access_token);
 
-    // Only allow admin role in this panel
-    if (!backendUser || backendUser.role !== 'admin') {
+    // Only roles allowed into the panel (admins, coordinators...) may stay signed in
+    if (!backendUser || !backendUser.permissions?.includes('admin.access')) {
       await supabase.auth.signOut();
       setUser(null);
       setLoading(false);
@@ -58,8 +58,10 @@ export function AuthProvider({ children }) {
     await supabase.auth.signOut();
   };
 
+  const can = (permission) => !!user?.permissions?.includes(permission);
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, can }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import '../styles/modal.css';
+
+const DECISIONS = {
+  reject: {
+    icon: '❌',
+    title: 'Reject Resource',
+    verb: 'rejecting',
+    label: 'Rejection Reason *',
+    placeholder: 'Explain why this resource is being rejected. The contributor will see this message.',
+    confirm: '✗ Confirm Rejection',
+    busy: 'Rejecting...',
+  },
+  'request-changes': {
+    icon: '✏️',
+    title: 'Request Changes',
+    verb: 'sending back',
+    label: 'What needs to change? *',
+    placeholder: 'Describe what the contributor should fix before resubmitting.',
+    confirm: '↩ Send Back',
+    busy: 'Sending...',
+  },
+  hide: {
+    icon: '🙈',
+    title: 'Hide Review',
+    verb: 'hiding',
+    label: 'Reason for hiding *',
+    placeholder: 'Explain why this review is being hidden. The reviewer will see this message.',
+    confirm: 'Hide Review',
+    busy: 'Hiding...',
+  },
+};
+
+function ReviewDecisionModal({ decision, resource, loading, onConfirm, onClose }) {
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const copy = DECISIONS[decision];
+
+  const handleConfirm = () => {
+    if (!reason.trim()) {
+      setError('Please provide a reason');
+      return;
+    }
+    onConfirm(reason.trim());
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-icon modal-icon--danger">{copy.icon}</div>
+          <div>
+            <h2 className="modal-title">{copy.title}</h2>
+            <p className="modal-subtitle">
+              You are {copy.verb} <strong>{resource?.title}</strong>
+            </p>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+              <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <label className="modal-label">{copy.label}</label>
+          <textarea
+            className="modal-textarea"
+            value={reason}
+            onChange={(e) => { setReason(e.target.value); setError(''); }}
+            placeholder={copy.placeholder}
+            autoFocus
+          />
+          {error && <div className="modal-error">{error}</div>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-cancel" onClick={onClose} disabled={loading}>
+            Cancel
+          </button>
+          <button className="modal-confirm" onClick={handleConfirm} disabled={loading}>
+            {loading ? (
+              <><span className="spinner-sm-light"></span> {copy.busy}</>
+            ) : copy.confirm}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReviewDecisionModal;
@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import { parseRoster, ROSTER_TEMPLATE } from '../utils/roster';
+import '../styles/resource-verify.css';
+import '../styles/roster-import.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const STATUS_CONFIG = {
+  ready: { label: 'Ready', cls: 'ri-status--ok' },
+  exists: { label: 'Exists', cls: 'ri-status--skip' },
+  invalid: { label: 'Invalid', cls: 'ri-status--fail' },
+  created: { label: 'Created', cls: 'ri-status--ok' },
+  skipped: { label: 'Skipped', cls: 'ri-status--skip' },
+  failed: { label: 'Failed', cls: 'ri-status--fail' },
+};
+
+const fmtDate = (d) => new Date(d).toLocaleString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Rows of a preview or of a finished import: { row_number, email, full_name,
+// role, course_code, batch, status, message }
+function RosterRows({ rows }) {
+  return (
+    <div className="ur-table-wrapper ri-rows">
+      <table className="ur-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Email</th>
+            <th>Name</th>
+            <th>Role</th>
+            <th>Course</th>
+            <th>Batch</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => {
+            const status = STATUS_CONFIG[r.status] || { label: r.status, cls: '' };
+            return (
+              <tr key={r.row_number}>
+                <td className="ur-muted">{r.row_number}</td>
+                <td className="ur-email">{r.email || <span className="ur-muted">—</span>}</td>
+                <td>{r.full_name || <span className="ur-muted">—</span>}</td>
+                <td>{r.role || <span className="ur-muted">from email</span>}</td>
+                <td>{r.course_code || <span className="ur-muted">—</span>}</td>
+                <td>{r.batch || <span className="ur-muted">—</span>}</td>
+                <td>
+                  <span className={`ri-status ${status.cls}`}>{status.label}</span>
+                  {r.message && <div className="ri-message">{r.message}</div>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const ImportCounts = ({ imp }) => (
+  <div className="ri-counts">
+    <span className="ri-status ri-status--ok">{imp.created_count} created</span>
+    <span className="ri-status ri-status--skip">{imp.skipped_count} skipped</span>
+    <span className="ri-status ri-status--fail">{imp.failed_count} failed</span>
+  </div>
+);
+
+export default function RosterImportModal({ onClose, onImported }) {
+  const [tab, setTab] = useState('import');
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [sendInvites, setSendInvites] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [opened, setOpened] = useState(null);
+
+  useEffect(() => {
+    if (tab !== 'history') return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await api(`/users/imports?page=${historyPage}`);
+        if (res.ok && !cancelled) setHistory(await res.json());
+      } catch (err) { console.error(err); }
+    })();
+    return () => { cancelled = true; };
+  }, [tab, historyPage, result]);
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+    setError('');
+  };
+
+  const handleFile = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+    reset();
+
+    const { rows, error: parseError } = parseRoster(await picked.text());
+    if (parseError) { setError(parseError); return; }
+    setFile({ name: picked.name, rows });
+
+    setBusy(true);
+    try {
+      const res = await api('/users/import/validate', { method: 'POST', body: JSON.stringify({ rows }) });
+      const d = await res.json();
+      if (res.ok) setPreview(d.data);
+      else setError(d.error || 'Could not check the file');
+    } catch (err) {
+      console.error(err);
+      setError('Could not check the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await api('/users/import', {
+        method: 'POST',
+        body: JSON.stringify({ rows: file.rows, filename: file.name, send_invites: sendInvites }),
+      });
+      const d = await res.json();
+      if (res.ok) {
+        setResult(d.data);
+        setPreview(null);
+        onImported?.();
+      } else {
+        setError(d.error || 'Import failed');
+      }
+    } catch (err) {
+      console.error(err);
+      setError('Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openImport = async (id) => {
+    try {
+      const res = await api(`/users/imports/${id}`);
+      if (res.ok) setOpened((await res.json()).data);
+    } catch (err) { console.error(err); }
+  };
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([ROSTER_TEMPLATE], { type: 'text/csv' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'roster-template.csv';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const previewRows = preview?.results.map(r => ({
+    ...file.rows[r.index],
+    row_number: r.index + 1,
+    role: r.data.role || file.rows[r.index].role,
+    status: r.status,
+    message: r.error || (r.status === 'exists' ? 'Already has an account, will be skipped' : ''),
+  }));
+  const totalPages = history?.pagination.total_pages ?? 1;
+
+  return (
+    <div className="ur-modal-overlay" onClick={busy ? undefined : onClose}>
+      <div className="ur-modal ri-modal" onClick={e => e.stopPropagation()}>
+        <div className="ur-modal-header">
+          <h2>Import Roster</h2>
+          <button className="ur-modal-close" disabled={busy} onClick={onClose}>✕</button>
+        </div>
+        <div className="ur-modal-body">
+          <div className="ur-filter-row">
+            <button className={`ur-pill ${tab === 'import' ? 'ur-pill--active' : ''}`} onClick={() => setTab('import')}>⬆ New import</button>
+            <button className={`ur-pill ${tab === 'history' ? 'ur-pill--active' : ''}`} onClick={() => { setTab('history'); setOpened(null); }}>🕘 History</button>
+          </div>
+
+          {tab === 'import' && (
+            <>
+              {!preview && !result && !busy && (
+                <div className="ri-drop">
+                  <p>
+                    A CSV with the columns <code>email</code>, <code>full_name</code>, <code>role</code>, <code>course_code</code> and <code>batch</code>.
+                    Leave the role blank to follow the email address; course and batch are optional.
+                  </p>
+                  <div className="ri-drop-actions">
+                    <label className="ri-btn ri-btn--primary">
+                      Choose CSV…
+                      <input type="file" accept=".csv,text/csv" onChange={handleFile} hidden />
+                    </label>
+                    <button className="ri-btn" onClick={downloadTemplate}>Download template</button>
+                  </div>
+                </div>
+              )}
+
+              {error && <div className="ri-error">{error}</div>}
+              {busy && !preview && !result && <div className="ur-loading">Checking {file?.name}…</div>}
+
+              {preview && (
+                <>
+                  <div className="ri-summary">
+                    <strong>{file.name}</strong> · {file.rows.length} rows
+                    <div className="ri-counts">
+                      <span className="ri-status ri-status--ok">{preview.counts.ready} ready</span>
+                      <span className="ri-status ri-status--skip">{preview.counts.exists} already exist</span>
+                      <span className="ri-status ri-status--fail">{preview.counts.invalid} invalid</span>
+                    </div>
+                  </div>
+                  <RosterRows rows={previewRows} />
+                  <div className="ri-footer">
+                    <label className="ri-invites">
+                      <input type="checkbox" checked={sendInvites} onChange={e => setSendInvites(e.target.checked)} />
+                      Email each new user an invitation to set their password
+                    </label>
+                    <button className="ri-btn" disabled={busy} onClick={reset}>Choose another file</button>
+                    <button className="ri-btn ri-btn--primary" disabled={busy || preview.counts.ready === 0} onClick={handleImport}>
+                      {busy ? 'Importing…' : `Import ${preview.counts.ready} user${preview.counts.ready === 1 ? '' : 's'}`}
+                    </button>
+                  </div>
+                  {preview.counts.invalid > 0 && (
+                    <p className="ri-hint">Invalid rows are not imported; they are kept in the history as failed. Fix them and import the file again.</p>
+                  )}
+                </>
+              )}
+
+              {result && (
+                <>
+                  <div className="ri-summary">
+                    <strong>Imported {result.filename || 'roster'}</strong>
+                    <ImportCounts imp={result} />
+                  </div>
+                  <RosterRows rows={result.rows} />
+                  <div className="ri-footer">
+                    <button className="ri-btn ri-btn--primary" onClick={reset}>Import another file</button>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+
+          {tab === 'history' && (opened ? (
+            <>
+              <div className="ri-summary">
+                <button className="ri-btn" onClick={() => setOpened(null)}>← Back</button>
+                <strong>{opened.filename || 'Roster import'}</strong>
+                <span className="ur-muted">{fmtDate(opened.created_at)} · {opened.imported_by_name || 'Unknown'}{opened.send_invites ? ' · invitations sent' : ''}</span>
+                <ImportCounts imp={opened} />
+              </div>
+              <RosterRows rows={opened.rows} />
+            </>
+          ) : !history ? (
+            <div className="ur-loading">Loading imports…</div>
+          ) : history.data.length === 0 ? (
+            <div className="rv-empty">
+              <span className="rv-empty-icon">📋</span>
+              <p className="rv-empty-title">No imports yet</p>
+            </div>
+          ) : (
+            <>
+              <div className="ur-table-wrapper ri-rows">
+                <table className="ur-table">
+                  <thead>
+                    <tr>
+                      <th>When</th>
+                      <th>File</th>
+                      <th>By</th>
+                      <th>Rows</th>
+                      <th>Results</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.data.map(imp => (
+                      <tr key={imp.id}>
+                        <td className="ur-date">{fmtDate(imp.created_at)}</td>
+                        <td>{imp.filename || <span className="ur-muted">—</span>}{imp.send_invites && <div className="ri-message">invitations sent</div>}</td>
+                        <td>{imp.imported_by_name || <span className="ur-muted">Unknown</span>}</td>
+                        <td>{imp.total_rows}</td>
+                        <td><ImportCounts imp={imp} /></td>
+                        <td><button className="ur-btn-view" onClick={() => openImport(imp.id)}>View rows</button></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {totalPages > 1 && (
+                <div className="rv-pagination">
+                  <button className="rv-page-btn" disabled={historyPage <= 1} onClick={() => setHistoryPage(p => p - 1)}>← Prev</button>
+                  <span className="rv-page-status">Page {historyPage} of {totalPages}</span>
+                  <button className="rv-page-btn" disabled={historyPage >= totalPages} onClick={() => setHistoryPage(p => p + 1)}>Next →</button>
+                </div>
+              )}
+            </>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
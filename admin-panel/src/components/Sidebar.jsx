@@ -2,8 +2,14 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
 import '../styles/sidebar.css';
 
+const ROLE_LABELS = {
+  admin: 'System Admin',
+  department_coordinator: 'Department Coordinator',
+  teaching_assistant: 'Teaching Assistant',
+};
+
 function Sidebar({ active }) {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = async () => {
@@ -27,6 +33,7 @@ function Sidebar({ active }) {
 
     {
       id: 'faculty-list',
+      permission: 'faculty.manage',
       label: 'Faculty Directory',
       path: '/faculty-list',
       icon: (
@@ -38,8 +45,22 @@ function Sidebar({ active }) {
         </svg>
       ),
     },
+    {
+      id: 'faculty-approvals',
+      permission: 'faculty.approve',
+      label: 'Faculty Approvals',
+      path: '/faculty-approvals',
+      icon: (
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+          <circle cx="10" cy="8" r="4" stroke="currentColor" strokeWidth="2"/>
+          <path d="M3 20c0-3.3 3.1-6 7-6 1.2 0 2.3.2 3.3.7" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+          <path d="M15 18l2 2 4-4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      ),
+    },
     {
       id: 'users',
+      permission: 'user.view',
       label: 'All Users',
       path: '/users',
       icon: (
@@ -51,8 +72,22 @@ function Sidebar({ active }) {
         </svg>
       ),
     },
+    {
+      id: 'roles',
+      permission: 'role.manage',
+      label: 'Roles & Permissions',
+      path: '/roles',
+      icon: (
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+          <path d="M12 2l8 3v6c0 5-3.5 9.5-8 11-4.5-1.5-8-6-8-11V5l8-3z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
+          <circle cx="12" cy="10" r="2.5" stroke="currentColor" strokeWidth="2"/>
+          <path d="M8.5 16c.8-1.5 2-2.2 3.5-2.2s2.7.7 3.5 2.2" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+        </svg>
+      ),
+    },
     {
       id: 'content',
+      permission: 'content.manage',
       label: 'Content Management',
       path: '/content',
       icon: (
@@ -63,6 +98,7 @@ function Sidebar({ active }) {
     },
     {
       id: 'resources',
+      permission: 'resource.verify',
       label: 'Resource Verification',
       path: '/resources',
       icon: (
@@ -72,8 +108,32 @@ function Sidebar({ active }) {
         </svg>
       ),
     },
+    {
+      id: 'reviews',
+      permission: 'review.moderate',
+      label: 'Review Moderation',
+      path: '/reviews',
+      icon: (
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+          <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
+        </svg>
+      ),
+    },
+    {
+      id: 'jobs',
+      permission: 'job.manage',
+      label: 'Job Queue',
+      path: '/jobs',
+      icon: (
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+          <path d="M12 8v4l3 2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          <path d="M3.05 11a9 9 0 1 1 .5 4M3 20v-5h5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      ),
+    },
     {
       id: 'messages',
+      permission: 'message.manage',
       label: 'Contact Messages',
       path: '/messages',
       icon: (
@@ -82,6 +142,18 @@ function Sidebar({ active }) {
         </svg>
       ),
     },
+    {
+      id: 'audit',
+      permission: 'audit.view',
+      label: 'Audit Log',
+      path: '/audit',
+      icon: (
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none">
+          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round"/>
+          <path d="M14 2v6h6M8 13h8M8 17h5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      ),
+    },
   ];
 
 
@@ -99,7 +171,7 @@ function Sidebar({ active }) {
       {/* Nav */}
       <nav className="admin-sidebar-nav">
         <div className="admin-nav-section-label">Navigation</div>
-        {navItems.map(item => (
+        {navItems.filter(item => !item.permission || can(item.permission)).map(item => (
           <Link
             key={item.id}
             to={item.path}
@@ -118,7 +190,7 @@ function Sidebar({ active }) {
         </div>
         <div className="admin-user-info">
           <div className="admin-user-name">{user?.full_name || 'Administrator'}</div>
-          <div className="admin-user-role">System Admin</div>
+          <div className="admin-user-role">{ROLE_LABELS[user?.role] || user?.role}</div>
         </div>
         <button className="admin-logout-btn" onClick={handleLogout} title="Sign out">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import Sidebar from '../components/Sidebar';
+import '../styles/admin.css';
+import '../styles/users.css';
+import '../styles/resource-verify.css';
+import '../styles/reviews.css';
+import '../styles/audit.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const EMPTY_FILTERS = { actor_id: '', action: '', target_type: '', from: '', to: '' };
+
+// The list/export query string for the current filters
+function auditParams(filters, target, extra = {}) {
+  const params = new URLSearchParams(extra);
+  for (const [key, value] of Object.entries(filters)) if (value) params.set(key, value);
+  if (target) params.set('target', target);
+  return params;
+}
+
+const fmtValue = (v) => {
+  if (v === null || v === undefined || v === '') return '—';
+  const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+export default function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [options, setOptions] = useState({ actors: [], actions: [], target_types: [] });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [target, setTarget] = useState('');
+  const [debouncedTarget, setDebouncedTarget] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [toast, setToast] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const showToast = (msg, type = 'success') => { setToast({ msg, type }); setTimeout(() => setToast(null), 3500); };
+
+  useEffect(() => {
+    const timer = setTimeout(() => { setDebouncedTarget(target.trim()); setPage(1); }, 350);
+    return () => clearTimeout(timer);
+  }, [target]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = auditParams(filters, debouncedTarget, { page });
+
+    (async () => {
+      try {
+        const res = await api(`/audit?${params}`);
+        if (res.ok && !cancelled) {
+          const d = await res.json();
+          setEntries(d.data);
+          setOptions(d.filters);
+          setPagination(d.pagination);
+        }
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, [filters, page, debouncedTarget, reloadKey]);
+
+  const load = () => setReloadKey(k => k + 1);
+
+  const setFilter = (key, value) => {
+    setLoading(true);
+    setPage(1);
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const clearFilters = () => {
+    setLoading(true);
+    setPage(1);
+    setFilters(EMPTY_FILTERS);
+    setTarget('');
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const res = await api(`/audit/export?${auditParams(filters, debouncedTarget)}`);
+      if (!res.ok) { const d = await res.json(); showToast(d.error || 'Export failed', 'error'); return; }
+      const url = URL.createObjectURL(await res.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      showToast('Export failed', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const actionLabel = (key) => options.actions.find(a => a.key === key)?.label || key;
+  const fmtTime = (d) => new Date(d).toLocaleString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const isFiltered = Object.values(filters).some(Boolean) || target.trim();
+  const totalPages = pagination?.total_pages ?? 1;
+
+  return (
+    <div className="admin-layout">
+      <Sidebar active="audit" />
+      <main className="admin-main">
+        <header className="admin-topbar">
+          <div>
+            <h1 className="admin-topbar-title">Audit Log</h1>
+            <p className="admin-topbar-subtitle">Every change made from the admin panel, who made it and when</p>
+          </div>
+          <div className="al-topbar-actions">
+            <button className="rv-page-btn" onClick={load}>↻ Refresh</button>
+            <button className="rv-page-btn" disabled={exporting} onClick={handleExport}>
+              {exporting ? 'Exporting…' : '⬇ Export CSV'}
+            </button>
+          </div>
+        </header>
+
+        <div className="admin-content">
+          <div className="ur-filter-row al-filters">
+            <select className="ur-role-select" value={filters.actor_id} onChange={e => setFilter('actor_id', e.target.value)} aria-label="Admin">
+              <option value="">All admins</option>
+              {options.actors.map(a => <option key={a.id} value={a.id}>{a.full_name || a.email}</option>)}
+            </select>
+            <select className="ur-role-select" value={filters.action} onChange={e => setFilter('action', e.target.value)} aria-label="Action">
+              <option value="">All actions</option>
+              {options.actions.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}
+            </select>
+            <select className="ur-role-select" value={filters.target_type} onChange={e => setFilter('target_type', e.target.value)} aria-label="Target type">
+              <option value="">All targets</option>
+              {options.target_types.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+            <label className="al-date">
+              From <input className="ur-role-select" type="date" value={filters.from} max={filters.to || undefined} onChange={e => setFilter('from', e.target.value)} />
+            </label>
+            <label className="al-date">
+              To <input className="ur-role-select" type="date" value={filters.to} min={filters.from || undefined} onChange={e => setFilter('to', e.target.value)} />
+            </label>
+            {isFiltered && <button className="rm-btn al-clear" onClick={clearFilters}>Clear</button>}
+            <input className="ur-search" type="text" placeholder="Target ID or name…" value={target} onChange={e => setTarget(e.target.value)} />
+          </div>
+
+          {loading ? (
+            <div className="ur-loading">Loading audit log…</div>
+          ) : entries.length === 0 ? (
+            <div className="rv-empty">
+              <span className="rv-empty-icon">📜</span>
+              <p className="rv-empty-title">No entries</p>
+              <p className="rv-empty-sub">{isFiltered ? 'Try other filters.' : 'Admin actions show up here as they happen.'}</p>
+            </div>
+          ) : (
+            <div className="ur-table-wrapper">
+              <table className="ur-table">
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Admin</th>
+                    <th>Action</th>
+                    <th>Target</th>
+                    <th>Changes</th>
+                    <th>IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(e => (
+                    <tr key={e.id}>
+                      <td className="ur-date">{fmtTime(e.created_at)}</td>
+                      <td>
+                        <div>{e.actor_name || <span className="ur-muted">Unknown</span>}</div>
+                        <div className="al-sub">{e.actor_email}</div>
+                      </td>
+                      <td><span className="al-action" title={e.action}>{actionLabel(e.action)}</span></td>
+                      <td>
+                        <div>{e.target_label || <span className="ur-muted">{e.target_type}</span>}</div>
+                        <div className="al-sub" title={e.target_id || ''}>{e.target_type}{e.target_id ? ` · ${e.target_id}` : ''}</div>
+                      </td>
+                      <td>
+                        {e.changes ? (
+                          <ul className="al-changes" title={JSON.stringify(e.changes, null, 2)}>
+                            {Object.entries(e.changes).map(([field, { from, to }]) => (
+                              <li key={field}>
+                                <span className="al-field">{field}</span>{' '}
+                                <span className="al-from">{fmtValue(from)}</span> → <span className="al-to">{fmtValue(to)}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        ) : <span className="ur-muted">—</span>}
+                      </td>
+                      <td className="al-ip">{e.ip || <span className="ur-muted">—</span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {!loading && totalPages > 1 && (
+            <div className="rv-pagination">
+              <button className="rv-page-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>← Prev</button>
+              <span className="rv-page-status">Page {page} of {totalPages} · {pagination.total} entries</span>
+              <button className="rv-page-btn" disabled={page >= totalPages} onClick={() => setPage(p => p + 1)}>Next →</button>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {toast && <div className={`admin-toast admin-toast--${toast.type}`}>{toast.msg}</div>}
+    </div>
+  );
+}
@@ -8,6 +8,13 @@ import '../styles/admin.css';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+const ANALYTICS_WINDOWS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last year' },
+];
+
 function Dashboard() {
   const { user } = useAuth();
   const [stats, setStats] = useState({
@@ -15,6 +22,8 @@ function Dashboard() {
     courses: 0, subjects: 0, total_resources: 0, pending_resources: 0,
   });
   const [loading, setLoading] = useState(true);
+  const [analyticsDays, setAnalyticsDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
 
   useEffect(() => {
     async function fetchData() {
@@ -38,6 +47,24 @@ function Dashboard() {
     fetchData();
   }, []);
 
+  // Usage analytics reload on their own when the time window changes
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) return;
+      try {
+        const res = await fetch(`${API_BASE}/api/admin/analytics?days=${analyticsDays}`, {
+          headers: { Authorization: `Bearer ${session.access_token}` },
+        });
+        if (res.ok && !cancelled) setAnalytics((await res.json()).data);
+      } catch (err) {
+        console.error('Analytics fetch error:', err);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [analyticsDays]);
+
   return (
     <div className="admin-layout">
       <Sidebar active="dashboard" />
@@ -68,6 +95,70 @@ function Dashboard() {
                 <StatsCard icon="📁" label="Total Resources" value={stats.total_resources} color="info" hint="All uploads" to="/resources" />
                 <StatsCard icon="🔍" label="Pending Verification" value={stats.pending_resources} color={stats.pending_resources > 0 ? 'warning' : 'success'} hint="Student uploads awaiting review" to="/resources" />
               </div>
+
+              {/* Usage analytics */}
+              <div className="analytics-toolbar">
+                <h2 className="section-title">📈 Usage</h2>
+                <select className="analytics-window" value={analyticsDays} onChange={e => setAnalyticsDays(Number(e.target.value))}>
+                  {ANALYTICS_WINDOWS.map(w => <option key={w.days} value={w.days}>{w.label}</option>)}
+                </select>
+              </div>
+
+              {analytics && (
+                <>
+                  <div className="stats-grid">
+                    <StatsCard icon="⬇️" label="Downloads" value={analytics.totals.downloads} color="primary" hint="Once per person per day" />
+                    <StatsCard icon="👁" label="Link Views" value={analytics.totals.views} color="info" hint="External links opened" />
+                    <StatsCard icon="🙋" label="Active Readers" value={analytics.totals.unique_users} color="success" hint="Different people who opened something" />
+                  </div>
+
+                  <div className="analytics-grid">
+                    <section className="dashboard-section">
+                      <div className="section-header">
+                        <span className="section-title">🏆 Top Resources</span>
+                      </div>
+                      {analytics.top_resources.length === 0 ? (
+                        <div className="empty-state"><span className="empty-icon">📭</span><p>No downloads or views in this period.</p></div>
+                      ) : (
+                        <div className="pending-list">
+                          {analytics.top_resources.map((r, i) => (
+                            <div key={r.id} className="pending-row">
+                              <div className="pending-avatar">{i + 1}</div>
+                              <div className="pending-info">
+                                <div className="pending-name">{r.title}</div>
+                                <div className="pending-meta">by {r.contributor_name || 'Unknown'} · {r.unique_users} reader{r.unique_users === 1 ? '' : 's'}</div>
+                              </div>
+                              <div className="pending-right analytics-counts">⬇ {r.downloads} · 👁 {r.views}</div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </section>
+
+                    <section className="dashboard-section">
+                      <div className="section-header">
+                        <span className="section-title">🌟 Top Contributors</span>
+                      </div>
+                      {analytics.top_contributors.length === 0 ? (
+                        <div className="empty-state"><span className="empty-icon">📭</span><p>No downloads or views in this period.</p></div>
+                      ) : (
+                        <div className="pending-list">
+                          {analytics.top_contributors.map((c) => (
+                            <div key={c.id} className="pending-row">
+                              <div className="pending-avatar">{(c.full_name || '?').charAt(0).toUpperCase()}</div>
+                              <div className="pending-info">
+                                <div className="pending-name">{c.full_name || 'Unknown'}</div>
+                                <div className="pending-meta">{c.role} · {c.resources} resource{c.resources === 1 ? '' : 's'} opened · {c.unique_users} reader{c.unique_users === 1 ? '' : 's'}</div>
+                              </div>
+                              <div className="pending-right analytics-counts">⬇ {c.downloads} · 👁 {c.views}</div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </section>
+                  </div>
+                </>
+              )}
             </>
           )}
         </div>
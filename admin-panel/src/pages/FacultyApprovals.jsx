@@ -0,0 +1,164 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import Sidebar from '../components/Sidebar';
+import FacultyRequestCard from '../components/FacultyRequestCard';
+import RejectModal from '../components/RejectModal';
+import '../styles/admin.css';
+import '../styles/users.css';
+import '../styles/resource-verify.css';
+import '../styles/faculty-requests.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const FILTERS = [
+  { id: 'pending', label: '⏳ Pending' },
+  { id: 'approved', label: '✅ Approved' },
+  { id: 'rejected', label: '❌ Rejected' },
+  { id: 'all', label: '📋 All' },
+];
+
+export default function FacultyApprovals() {
+  const [requests, setRequests] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [actionLoading, setActionLoading] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const showToast = (msg, type = 'success') => { setToast({ msg, type }); setTimeout(() => setToast(null), 3500); };
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ status: filter, page });
+
+    (async () => {
+      try {
+        const res = await api(`/faculty/requests?${params}`);
+        if (res.ok && !cancelled) {
+          const d = await res.json();
+          setRequests(d.data);
+          setCounts(d.counts);
+          setPagination(d.pagination);
+        }
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, [filter, page, reloadKey]);
+
+  const load = () => setReloadKey(k => k + 1);
+
+  const switchFilter = (next) => {
+    if (next === filter) return;
+    setRequests([]);
+    setLoading(true);
+    setPage(1);
+    setFilter(next);
+  };
+
+  const handleApprove = async (faculty) => {
+    setActionLoading(`${faculty.id}-approve`);
+    const res = await api(`/faculty/${faculty.id}/approve`, { method: 'POST' });
+    setActionLoading(null);
+    if (res.ok) { showToast(`✅ ${faculty.full_name} approved`); load(); }
+    else { const d = await res.json(); showToast(d.error || 'Approval failed', 'error'); }
+  };
+
+  const handleReject = async (reason) => {
+    const faculty = rejecting;
+    setActionLoading(`${faculty.id}-reject`);
+    const res = await api(`/faculty/${faculty.id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) });
+    setActionLoading(null);
+    if (res.ok) { setRejecting(null); showToast(`❌ ${faculty.full_name} rejected`); load(); }
+    else { const d = await res.json(); showToast(d.error || 'Rejection failed', 'error'); }
+  };
+
+  const countFor = (id) => id === 'all'
+    ? Object.values(counts).reduce((a, b) => a + b, 0)
+    : counts[id] ?? 0;
+  const totalPages = pagination?.total_pages ?? 1;
+
+  return (
+    <div className="admin-layout">
+      <Sidebar active="faculty-approvals" />
+      <main className="admin-main">
+        <header className="admin-topbar">
+          <div>
+            <h1 className="admin-topbar-title">Faculty Approvals</h1>
+            <p className="admin-topbar-subtitle">Faculty registrations waiting to be listed in the directory</p>
+          </div>
+          <button className="rv-page-btn" onClick={load}>↻ Refresh</button>
+        </header>
+
+        <div className="admin-content">
+          <div className="ur-filter-row">
+            {FILTERS.map(f => (
+              <button key={f.id} className={`ur-pill ${filter === f.id ? 'ur-pill--active' : ''}`} onClick={() => switchFilter(f.id)}>
+                {f.label}
+                <span className="ur-pill-count">{countFor(f.id)}</span>
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="ur-loading">Loading applications…</div>
+          ) : requests.length === 0 ? (
+            <div className="rv-empty">
+              <span className="rv-empty-icon">{filter === 'pending' ? '✅' : '📭'}</span>
+              <p className="rv-empty-title">{filter === 'pending' ? 'No pending applications' : 'No applications here'}</p>
+              <p className="rv-empty-sub">{filter === 'pending' ? 'New faculty registrations show up here.' : 'Try another filter.'}</p>
+            </div>
+          ) : (
+            <div className="fr-grid">
+              {requests.map(f => (
+                <FacultyRequestCard
+                  key={f.id}
+                  faculty={f}
+                  showActions={f.status === 'pending'}
+                  actionLoading={actionLoading}
+                  onApprove={() => handleApprove(f)}
+                  onReject={() => setRejecting(f)}
+                />
+              ))}
+            </div>
+          )}
+
+          {!loading && totalPages > 1 && (
+            <div className="rv-pagination">
+              <button className="rv-page-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>← Prev</button>
+              <span className="rv-page-status">Page {page} of {totalPages}</span>
+              <button className="rv-page-btn" disabled={page >= totalPages} onClick={() => setPage(p => p + 1)}>Next →</button>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {rejecting && (
+        <RejectModal
+          faculty={rejecting}
+          loading={actionLoading === `${rejecting.id}-reject`}
+          onConfirm={handleReject}
+          onClose={() => { if (!actionLoading) setRejecting(null); }}
+        />
+      )}
+
+      {toast && <div className={`admin-toast admin-toast--${toast.type}`}>{toast.msg}</div>}
+    </div>
+  );
+}
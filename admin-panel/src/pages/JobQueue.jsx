@@ -0,0 +1,201 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import Sidebar from '../components/Sidebar';
+import ConfirmModal from '../components/ConfirmModal';
+import '../styles/admin.css';
+import '../styles/users.css';
+import '../styles/resource-verify.css';
+import '../styles/reviews.css';
+import '../styles/jobs.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const FILTERS = [
+  { id: 'failed', label: '❌ Failed' },
+  { id: 'queued', label: '⏳ Queued' },
+  { id: 'running', label: '⚙️ Running' },
+  { id: 'completed', label: '✅ Completed' },
+  { id: 'cancelled', label: '🚫 Cancelled' },
+  { id: 'all', label: '📋 All Jobs' },
+];
+
+const JOB_LABELS = { summary: 'AI summary', ocr: 'OCR' };
+
+export default function JobQueue() {
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('failed');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [toast, setToast] = useState(null);
+  const [confirmConfig, setConfirmConfig] = useState({ isOpen: false });
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const showToast = (msg, type = 'success') => { setToast({ msg, type }); setTimeout(() => setToast(null), 3500); };
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ status: filter, page });
+
+    (async () => {
+      try {
+        const res = await api(`/jobs?${params}`);
+        if (res.ok && !cancelled) {
+          const d = await res.json();
+          setJobs(d.data);
+          setCounts(d.counts);
+          setPagination(d.pagination);
+        }
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, [filter, page, reloadKey]);
+
+  const load = () => setReloadKey(k => k + 1);
+
+  const switchFilter = (next) => {
+    if (next === filter) return;
+    setJobs([]);
+    setLoading(true);
+    setPage(1);
+    setFilter(next);
+  };
+
+  const handleRetry = async (job) => {
+    const res = await api(`/jobs/${job.id}/retry`, { method: 'POST' });
+    if (res.ok) { showToast('🔁 Job queued again'); load(); }
+    else { const d = await res.json(); showToast(d.error || 'Retry failed', 'error'); }
+  };
+
+  const handleCancel = (job) => {
+    setConfirmConfig({
+      isOpen: true,
+      title: 'Cancel Job',
+      message: `Cancel the ${JOB_LABELS[job.type] || job.type} job for "${job.resource_title || 'a deleted resource'}"? It won't run again until you retry it.`,
+      confirmText: '🚫 Cancel Job',
+      type: 'danger',
+      onConfirm: async () => {
+        setConfirmConfig(prev => ({ ...prev, isLoading: true }));
+        const res = await api(`/jobs/${job.id}/cancel`, { method: 'POST' });
+        setConfirmConfig({ isOpen: false });
+        if (res.ok) { showToast('🚫 Job cancelled'); load(); }
+        else { const d = await res.json(); showToast(d.error || 'Cancel failed', 'error'); }
+      },
+    });
+  };
+
+  const fmtTime = (d) => d ? new Date(d).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '—';
+  const countFor = (id) => id === 'all'
+    ? Object.values(counts).reduce((a, b) => a + b, 0)
+    : counts[id] ?? 0;
+  const totalPages = pagination?.total_pages ?? 1;
+
+  return (
+    <div className="admin-layout">
+      <Sidebar active="jobs" />
+      <main className="admin-main">
+        <header className="admin-topbar">
+          <div>
+            <h1 className="admin-topbar-title">Job Queue</h1>
+            <p className="admin-topbar-subtitle">Background AI work, its retries and failures</p>
+          </div>
+          <button className="rv-page-btn" onClick={load}>↻ Refresh</button>
+        </header>
+
+        <div className="admin-content">
+          <div className="ur-filter-row">
+            {FILTERS.map(f => (
+              <button key={f.id} className={`ur-pill ${filter === f.id ? 'ur-pill--active' : ''}`} onClick={() => switchFilter(f.id)}>
+                {f.label}
+                <span className="ur-pill-count">{countFor(f.id)}</span>
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <div className="ur-loading">Loading jobs…</div>
+          ) : jobs.length === 0 ? (
+            <div className="rv-empty">
+              <span className="rv-empty-icon">{filter === 'failed' ? '✅' : '📭'}</span>
+              <p className="rv-empty-title">{filter === 'failed' ? 'No failed jobs' : 'No jobs here'}</p>
+              <p className="rv-empty-sub">{filter === 'failed' ? 'Everything the queue gave up on shows up here.' : 'Try another filter.'}</p>
+            </div>
+          ) : (
+            <div className="ur-table-wrapper">
+              <table className="ur-table">
+                <thead>
+                  <tr>
+                    <th>Resource</th>
+                    <th>Job</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Next run</th>
+                    <th>Last error</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {jobs.map(j => (
+                    <tr key={j.id}>
+                      <td>{j.resource_title || <span className="ur-muted">Deleted resource</span>}</td>
+                      <td>{JOB_LABELS[j.type] || j.type}</td>
+                      <td><span className={`ur-status jq-status--${j.status}`}>{j.status}</span></td>
+                      <td>{j.attempts} / {j.max_attempts}</td>
+                      <td className="ur-date">{j.status === 'queued' ? fmtTime(j.run_at) : <span className="ur-muted">—</span>}</td>
+                      <td className="jq-error" title={j.last_error || ''}>
+                        {j.last_error || <span className="ur-muted">—</span>}
+                      </td>
+                      <td>
+                        {(j.status === 'failed' || j.status === 'cancelled') && (
+                          <button className="rm-btn rm-btn--keep" onClick={() => handleRetry(j)}>🔁 Retry</button>
+                        )}
+                        {j.status === 'queued' && (
+                          <button className="rm-btn rm-btn--delete" onClick={() => handleCancel(j)}>🚫 Cancel</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {!loading && totalPages > 1 && (
+            <div className="rv-pagination">
+              <button className="rv-page-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>← Prev</button>
+              <span className="rv-page-status">Page {page} of {totalPages}</span>
+              <button className="rv-page-btn" disabled={page >= totalPages} onClick={() => setPage(p => p + 1)}>Next →</button>
+            </div>
+          )}
+        </div>
+      </main>
+
+      <ConfirmModal
+        isOpen={confirmConfig.isOpen}
+        onClose={() => setConfirmConfig({ isOpen: false })}
+        onConfirm={confirmConfig.onConfirm}
+        title={confirmConfig.title}
+        message={confirmConfig.message}
+        confirmText={confirmConfig.confirmText}
+        type={confirmConfig.type}
+        isLoading={confirmConfig.isLoading}
+      />
+
+      {toast && <div className={`admin-toast admin-toast--${toast.type}`}>{toast.msg}</div>}
+    </div>
+  );
+}
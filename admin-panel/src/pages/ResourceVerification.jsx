@@ -3,6 +3,7 @@ import { supabase } from '../supabaseClient';
 import Sidebar from '../components/Sidebar';
 import ConfirmModal from '../components/ConfirmModal';
 import SummaryModal from '../components/SummaryModal';
+import ReviewDecisionModal from '../components/ReviewDecisionModal';
 import '../styles/admin.css';
 import '../styles/browse.css';
 import '../styles/my-resources.css';
@@ -11,6 +12,10 @@ import '../styles/resource-verify.css'; // tabs, search bar, stats strip, modals
 
 const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+// Same allow-list as the backend upload validation
+const ACCEPTED_FILE_TYPES = '.pdf,.docx,.pptx,.xlsx,.doc,.ppt,.xls,.odt,.odp,.png,.jpg,.jpeg,.webp,.zip';
+const NO_TEXT_FORMATS = ['zip', 'mp4', 'webm', 'mp3', 'm4a'];
+
 // ── API helpers ──────────────────────────────────────────────
 async function adminApiFetch(path, options = {}) {
   const { data: { session } } = await supabase.auth.getSession();
@@ -69,7 +74,90 @@ const VISIBILITY_OPTS = [
   { value: 'private', label: '🔒 Private - only visible to verified user' },
 ];
 
-function EditModal({ resource, onClose, onSaved }) {
+// ── Version History (tab inside the edit modal) ─────────────
+const CHANGE_LABELS = { created: 'Uploaded', file_replaced: 'File replaced', metadata_updated: 'Details edited', restored: 'Restored' };
+
+function VersionHistoryTab({ resourceId, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadVersions = async () => {
+      try {
+        const res = await generalApiFetch(`/resources/${resourceId}/versions`);
+        const d = await res.json();
+        if (!res.ok) throw new Error(d.error || 'Failed to load history');
+        if (!cancelled) setVersions(d.data || []);
+      } catch (e) { if (!cancelled) setError(e.message); }
+      finally { if (!cancelled) setLoading(false); }
+    };
+    loadVersions();
+    return () => { cancelled = true; };
+  }, [resourceId]);
+
+  const handleOpen = async (v) => {
+    try {
+      if (!v.has_file) { window.open(v.external_url?.startsWith('http') ? v.external_url : `https://${v.external_url}`, '_blank', 'noopener,noreferrer'); return; }
+      const res = await generalApiFetch(`/resources/${resourceId}/versions/${v.id}/signed-url`);
+      if (!res.ok) throw new Error('Failed to fetch signed URL');
+      window.open((await res.json()).signedUrl, '_blank', 'noopener,noreferrer');
+    } catch (e) { setError(e.message); }
+  };
+
+  const handleRestore = async (v) => {
+    setConfirmingId(null); setRestoringId(v.id); setError('');
+    try {
+      const res = await generalApiFetch(`/resources/${resourceId}/versions/${v.id}/restore`, { method: 'POST' });
+      const d = await res.json();
+      if (!res.ok) throw new Error(d.error || 'Restore failed');
+      onRestored(d.data, v.version_number);
+    } catch (e) { setError(e.message); }
+    finally { setRestoringId(null); }
+  };
+
+  if (loading) return <div className="rv-edit-loading"><div className="rv-spinner" /><p>Loading history…</p></div>;
+
+  return (
+    <div className="rv-edit-section">
+      {error && <div className="rv-edit-error">{error}</div>}
+      {!error && versions.length === 0 && <p className="rv-edit-hint">No history recorded for this resource yet.</p>}
+      <ol className="rv-version-list">
+        {versions.map(v => (
+          <li key={v.id} className={`rv-version ${v.is_current ? 'rv-version--current' : ''}`}>
+            <div className="rv-version-head">
+              <span className="rv-version-num">v{v.version_number}</span>
+              <span className="rv-version-change">{CHANGE_LABELS[v.change_type] || v.change_type}</span>
+              {v.is_current && <span className="rv-edit-file-tag rv-edit-file-tag--new">Current</span>}
+            </div>
+            <p className="rv-edit-hint">{v.changed_by_name || 'Unknown user'} · {new Date(v.created_at).toLocaleString()}{v.change_note ? ` · ${v.change_note}` : ''}</p>
+            <p className="rv-version-detail"><strong>{v.title}</strong>{v.has_file && v.original_filename ? ` — ${v.original_filename}` : ''}{!v.has_file && v.external_url ? ` — ${v.external_url}` : ''}</p>
+            <p className="rv-edit-hint">{[v.subject_code, v.start_year && `${v.start_year}–${v.end_year}`, v.unit_number && `Unit ${v.unit_number}`].filter(Boolean).join(' · ')}</p>
+            {confirmingId === v.id ? (
+              <div className="rv-edit-warning">
+                Restore version {v.version_number}? The current state stays in the history.
+                <div className="rv-version-actions">
+                  <button className="rv-footer-btn rv-footer-btn--save" onClick={() => handleRestore(v)}>Yes, restore</button>
+                  <button className="rv-footer-btn rv-footer-btn--cancel" onClick={() => setConfirmingId(null)}>Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <div className="rv-version-actions">
+                {(v.has_file || v.external_url) && <button className="rv-footer-btn rv-footer-btn--cancel" onClick={() => handleOpen(v)}>{v.has_file ? '⬇️ Download' : '🔗 Open link'}</button>}
+                {!v.is_current && <button className="rv-footer-btn rv-footer-btn--save" onClick={() => setConfirmingId(v.id)} disabled={restoringId !== null}>{restoringId === v.id ? 'Restoring…' : '↩️ Restore'}</button>}
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function EditModal({ resource, onClose, onSaved, onRestored }) {
   const [activeTab, setActiveTab] = useState('basic');
   const [initLoading, setInitLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -152,7 +240,7 @@ function EditModal({ resource, onClose, onSaved }) {
     finally { setSaving(false); }
   };
 
-  const tabs = [{ id: 'basic', label: '📝 Basic Info' }, { id: 'academic', label: '🎓 Academic' }, { id: 'content', label: '📁 Content' }];
+  const tabs = [{ id: 'basic', label: '📝 Basic Info' }, { id: 'academic', label: '🎓 Academic' }, { id: 'content', label: '📁 Content' }, { id: 'history', label: '🕘 History' }];
 
   return (
     <div className="rv-modal-overlay" onClick={onClose}>
@@ -222,13 +310,15 @@ function EditModal({ resource, onClose, onSaved }) {
                       <label className="rv-edit-label">File</label>
                       {existingFileName && !newFile && <div className="rv-edit-existing-file"><span>📄</span><span className="rv-edit-filename">{existingFileName}</span><span className="rv-edit-file-tag">Current file</span></div>}
                       {newFile && <div className="rv-edit-existing-file rv-edit-existing-file--new"><span>📄</span><span className="rv-edit-filename">{newFile.name}</span><span className="rv-edit-file-tag rv-edit-file-tag--new">New file ✓</span><button className="rv-edit-file-remove" onClick={() => setNewFile(null)}>✕</button></div>}
-                      <label className="rv-edit-file-btn">{newFile ? '🔄 Change File' : existingFileName ? '🔄 Replace File' : '📂 Choose File'}<input type="file" style={{ display: 'none' }} accept=".pdf,application/pdf" onChange={e => { const f = e.target.files[0]; if (f) setNewFile(f); }} /></label>
-                      <p className="rv-edit-hint">Accepted: PDF files up to 10MB{existingFileName && !newFile ? '. Leave unchanged to keep current file.' : ''}</p>
+                      <label className="rv-edit-file-btn">{newFile ? '🔄 Change File' : existingFileName ? '🔄 Replace File' : '📂 Choose File'}<input type="file" style={{ display: 'none' }} accept={ACCEPTED_FILE_TYPES} onChange={e => { const f = e.target.files[0]; if (f) setNewFile(f); }} /></label>
+                      <p className="rv-edit-hint">Accepted: PDF, Office documents, images or ZIP up to 10MB{existingFileName && !newFile ? '. Leave unchanged to keep current file.' : ''}</p>
                     </div>
                   )}
                 </div>
               )}
 
+              {activeTab === 'history' && <VersionHistoryTab resourceId={resource.id} onRestored={onRestored} />}
+
               {error && <div className="rv-edit-error">{error}</div>}
             </div>
 
@@ -250,6 +340,12 @@ function EditModal({ resource, onClose, onSaved }) {
   );
 }
 
+const REVIEW_BADGES = {
+  pending: { className: 'resource-badge--unverified', label: 'Pending' },
+  changes_requested: { className: 'resource-badge--changes-admin', label: 'Changes Requested' },
+  rejected: { className: 'resource-badge--rejected-admin', label: 'Rejected' },
+};
+
 // ── Admin Resource Card (identical to MyResourceCard + Verify) ──
 function AdminResourceCard({
   resource,
@@ -262,6 +358,7 @@ function AdminResourceCard({
   onDeleteConfirm,
   onDeleteCancel,
   onVerify,
+  onDecision,
   onSummarize,
   onViewSummary,
 }) {
@@ -279,6 +376,7 @@ function AdminResourceCard({
   const badgeClass = typeClassMap[resource.resource_type] || '';
   const contentTypeClass = resource.content_type === 'external_link' ? 'resource-badge--link' : 'resource-badge--file';
   const contentTypeLabel = resource.content_type === 'external_link' ? 'External Link' : 'File';
+  const reviewBadge = REVIEW_BADGES[resource.review_status] || REVIEW_BADGES.pending;
 
   return (
     <article className={`card resource-card ${isDeleting ? 'card--deleting' : ''} ${badgeClass ? `stripe-${resource.resource_type}` : ''}`}>
@@ -307,7 +405,7 @@ function AdminResourceCard({
         </div>
 
         {/* Verification badge in top-right */}
-        <span className={`resource-badge ${resource.is_verified ? 'resource-badge--verified-admin' : 'resource-badge--unverified'}`}>
+        <span className={`resource-badge ${resource.is_verified ? 'resource-badge--verified-admin' : reviewBadge.className}`}>
           {resource.is_verified ? (
             <>
               <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" style={{ marginRight: '3px' }}>
@@ -320,7 +418,7 @@ function AdminResourceCard({
               <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" style={{ marginRight: '3px' }}>
                 <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0zM12 9v4M12 17h.01" />
               </svg>
-              Pending
+              {reviewBadge.label}
             </>
           )}
         </span>
@@ -328,8 +426,14 @@ function AdminResourceCard({
 
       <p className="resource-description">{resource.description || 'No description provided.'}</p>
 
-      {/* AI Summary Section — only for PDF files */}
-      {resource.content_type === 'file' && resource.storage_path?.toLowerCase().endsWith('.pdf') && (
+      {resource.review_reason && !resource.is_verified && (
+        <p className={`rv-review-reason rv-review-reason--${resource.review_status}`}>
+          <strong>{resource.review_status === 'rejected' ? 'Rejected:' : 'Changes requested:'}</strong> {resource.review_reason}
+        </p>
+      )}
+
+      {/* AI Summary Section — archives and recordings have no text to summarize */}
+      {resource.content_type === 'file' && resource.storage_path && !NO_TEXT_FORMATS.includes(resource.file_format) && (
         <div className="ai-summary-section">
           <div className="ai-summary-header">
             <h4 className="ai-summary-title">
@@ -444,6 +548,17 @@ function AdminResourceCard({
               </button>
             )}
 
+            {resource.review_status === 'pending' && (
+              <>
+                <button className="mr-btn mr-btn--changes-admin" onClick={() => onDecision('request-changes')} disabled={isDeleting || isVerifying} title="Send back to the contributor">
+                  Changes
+                </button>
+                <button className="mr-btn mr-btn--reject-admin" onClick={() => onDecision('reject')} disabled={isDeleting || isVerifying}>
+                  Reject
+                </button>
+              </>
+            )}
+
             <button className="mr-btn mr-btn--delete" onClick={onDeleteClick} disabled={isDeleting || isVerifying}>
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
                 <polyline points="3 6 5 6 21 6" />
@@ -460,6 +575,115 @@ function AdminResourceCard({
 }
 
 // ── Main Page ─────────────────────────────────────────────────
+// ── Possible duplicates ──────────────────────────────────────
+// Pairs flagged at upload (same file) or after text extraction (near-identical
+// text). Merging keeps one resource and moves the other's bookmarks, reviews
+// and counts onto it; "Not a duplicate" dismisses the flag for good.
+function DuplicateSide({ label, resource, onView, onKeep, disabled }) {
+  return (
+    <div className="rv-dup-side">
+      <span className="rv-dup-label">{label}</span>
+      <button className="rv-dup-title" onClick={() => onView(resource)}>{resource.title}</button>
+      <span className="rv-dup-meta">
+        {resource.subject_code} · {resource.contributor_name || 'Unknown'} · {new Date(resource.created_at).toLocaleDateString()}
+      </span>
+      <span className="rv-dup-meta">
+        {resource.review_status} · {resource.visibility} · 👁 {resource.view_count} · ⬇ {resource.download_count}
+      </span>
+      <button className="rv-dup-keep" onClick={onKeep} disabled={disabled}>Keep this one</button>
+    </div>
+  );
+}
+
+function DuplicatesPanel({ onView, showToast }) {
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [merging, setMerging] = useState(null); // { pair, keep, discard }
+
+  useEffect(() => {
+    let cancelled = false;
+    async function loadPairs() {
+      try {
+        const res = await adminApiFetch('/duplicates');
+        if (res.ok && !cancelled) setPairs((await res.json()).data);
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    }
+    loadPairs();
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleDismiss = async (pair) => {
+    setBusyId(pair.id);
+    const res = await adminApiFetch(`/duplicates/${pair.id}/dismiss`, { method: 'POST' });
+    setBusyId(null);
+    if (res.ok) { setPairs(prev => prev.filter(p => p.id !== pair.id)); showToast('👍 Marked as not a duplicate'); }
+    else { const d = await res.json(); showToast(d.error || 'Failed', 'error'); }
+  };
+
+  const handleMergeConfirm = async () => {
+    const { pair, keep, discard } = merging;
+    setBusyId(pair.id);
+    const res = await adminApiFetch(`/duplicates/${pair.id}/merge`, { method: 'POST', body: JSON.stringify({ keep: keep.id }) });
+    setBusyId(null);
+    setMerging(null);
+    if (res.ok) {
+      // Other flags involving the removed resource went with it
+      setPairs(prev => prev.filter(p => p.resource.id !== discard.id && p.duplicate_of.id !== discard.id));
+      showToast(`🔗 Merged into "${keep.title}"`);
+    } else { const d = await res.json(); showToast(d.error || 'Merge failed', 'error'); }
+  };
+
+  if (loading) return <div className="rv-loading"><div className="rv-spinner" /><p>Loading possible duplicates…</p></div>;
+  if (pairs.length === 0) {
+    return (
+      <div className="rv-empty">
+        <span className="rv-empty-icon">✅</span>
+        <p className="rv-empty-title">No possible duplicates</p>
+        <p className="rv-empty-sub">Uploads matching an existing file or its text will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="rv-dup-list">
+        {pairs.map(pair => (
+          <div key={pair.id} className="rv-dup-card">
+            <div className="rv-dup-header">
+              <span className={`rv-dup-match rv-dup-match--${pair.match_type}`}>
+                {pair.match_type === 'exact' ? 'Same file' : `${Math.round(pair.similarity * 100)}% similar text`}
+              </span>
+              <span className="rv-dup-meta">Flagged {new Date(pair.detected_at).toLocaleDateString()}</span>
+            </div>
+            <div className="rv-dup-sides">
+              <DuplicateSide label="Original" resource={pair.duplicate_of} onView={onView} disabled={busyId === pair.id}
+                onKeep={() => setMerging({ pair, keep: pair.duplicate_of, discard: pair.resource })} />
+              <DuplicateSide label="Later upload" resource={pair.resource} onView={onView} disabled={busyId === pair.id}
+                onKeep={() => setMerging({ pair, keep: pair.resource, discard: pair.duplicate_of })} />
+            </div>
+            <div className="rv-dup-actions">
+              <button className="rv-dup-dismiss" onClick={() => handleDismiss(pair)} disabled={busyId === pair.id}>Not a duplicate</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <ConfirmModal
+        isOpen={!!merging}
+        onClose={() => setMerging(null)}
+        onConfirm={handleMergeConfirm}
+        title="Merge these resources?"
+        message={merging ? `"${merging.discard.title}" will be deleted. Its bookmarks, collection entries, reviews and view counts move to "${merging.keep.title}".` : ''}
+        confirmText="Merge"
+        type="danger"
+        isLoading={!!merging && busyId === merging.pair.id}
+      />
+    </>
+  );
+}
+
 export default function ResourceVerification() {
   const [tab, setTab] = useState('pending');
   const [resources, setResources] = useState([]);
@@ -471,24 +695,58 @@ export default function ResourceVerification() {
   const [editResource, setEditResource] = useState(null);
   const [activeSummary, setActiveSummary] = useState(null);
   const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [courseFilter, setCourseFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [sort, setSort] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [facets, setFacets] = useState({});
+  const [decision, setDecision] = useState(null); // { type, resource }
+  const [deciding, setDeciding] = useState(false);
 
   const showToast = (msg, type = 'success') => {
     setToast({ msg, type });
     setTimeout(() => setToast(null), 3500);
   };
 
+  // Wait for a pause in typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => { setDebouncedSearch(search.trim()); setPage(1); }, 350);
+    return () => clearTimeout(timer);
+  }, [search]);
+
   const load = useCallback(async () => {
-    const isFirst = resources.length === 0;
-    if (isFirst) setLoading(true);
+    if (tab === 'duplicates') return; // DuplicatesPanel loads its own data
+    const params = new URLSearchParams({ page });
+    if (debouncedSearch) params.set('search', debouncedSearch);
+    if (courseFilter) params.set('course_id', courseFilter);
+    if (typeFilter) params.set('resource_type', typeFilter);
+    if (sort) params.set('sort', sort);
     try {
-      const res = await adminApiFetch(tab === 'pending' ? '/resources/pending' : '/resources/all');
-      if (res.ok) setResources((await res.json()).data);
+      const res = await adminApiFetch(`${tab === 'pending' ? '/resources/pending' : '/resources/all'}?${params}`);
+      if (res.ok) {
+        const d = await res.json();
+        setResources(d.data);
+        setPagination(d.pagination);
+        setFacets(d.facets || {});
+      }
     } catch (err) { console.error(err); }
-    finally { if (isFirst) setLoading(false); }
-  }, [tab, resources.length]);
+    finally { setLoading(false); }
+  }, [tab, page, debouncedSearch, courseFilter, typeFilter, sort]);
 
-  useEffect(() => { setResources([]); }, [tab]);
-  useEffect(() => { load(); }, [tab]);
+  useEffect(() => { load(); }, [load]);
+
+  const switchTab = (next) => {
+    if (next === tab) return;
+    setResources([]);
+    setLoading(next !== 'duplicates');
+    setPage(1);
+    setTab(next);
+  };
+
+  // Any filter change starts over from the first page
+  const filterSetter = (setter) => (e) => { setter(e.target.value); setPage(1); };
 
   const handleVerify = async (id) => {
     setVerifyingId(id);
@@ -498,6 +756,18 @@ export default function ResourceVerification() {
     else { const d = await res.json(); showToast(d.error || 'Failed', 'error'); }
   };
 
+  const handleDecisionConfirm = async (reason) => {
+    const { type, resource } = decision;
+    setDeciding(true);
+    const res = await adminApiFetch(`/resources/${resource.id}/${type}`, { method: 'PUT', body: JSON.stringify({ reason }) });
+    setDeciding(false);
+    if (res.ok) {
+      setDecision(null);
+      showToast(type === 'reject' ? '❌ Resource rejected. The contributor has been notified.' : '✏️ Sent back for changes. The contributor has been notified.');
+      load();
+    } else { const d = await res.json(); showToast(d.error || 'Failed', 'error'); }
+  };
+
   const handleView = async (resource) => {
     try {
       if (resource.content_type === 'external_link') {
@@ -520,7 +790,7 @@ export default function ResourceVerification() {
     setDeletingId(id);
     const res = await adminApiFetch(`/resources/${id}`, { method: 'DELETE' });
     setDeletingId(null);
-    if (res.ok) { setResources(prev => prev.filter(r => r.id !== id)); showToast('🗑 Resource deleted'); }
+    if (res.ok) { setResources(prev => prev.filter(r => r.id !== id)); showToast('🗑 Resource deleted'); load(); }
     else { const d = await res.json(); showToast(d.error || 'Delete failed', 'error'); }
   };
 
@@ -542,14 +812,17 @@ export default function ResourceVerification() {
     showToast('✏️ Resource updated!');
   };
 
-  const visible = resources.filter(r => {
-    if (!search.trim()) return true;
-    const q = search.toLowerCase();
-    return r.title?.toLowerCase().includes(q) || r.contributor_name?.toLowerCase().includes(q) || r.subject_name?.toLowerCase().includes(q) || r.course_name?.toLowerCase().includes(q);
-  });
+  // Reload rather than merge: the restored row lacks the joined subject/course names
+  const handleVersionRestored = (_restored, versionNumber) => {
+    setEditResource(null);
+    showToast(`↩️ Version ${versionNumber} restored`);
+    load();
+  };
 
-  const pendingCount = resources.filter(r => !r.is_verified).length;
-  const verifiedCount = resources.filter(r => r.is_verified).length;
+  const total = pagination?.total ?? resources.length;
+  const totalPages = pagination?.total_pages ?? 1;
+  const statusCount = (status) => facets.status?.find(f => f.value === status)?.count ?? 0;
+  const hasFilters = !!(debouncedSearch || courseFilter || typeFilter);
 
   return (
     <div className="admin-layout">
@@ -569,39 +842,67 @@ export default function ResourceVerification() {
 
         <div className="admin-content">
           {/* Stats strip */}
-          {tab === 'all' && !loading && resources.length > 0 && (
+          {tab === 'all' && !loading && total > 0 && (
             <div className="rv-stats-strip">
-              <div className="rv-stat rv-stat--total"><span className="rv-stat-num">{resources.length}</span><span className="rv-stat-lbl">Total</span></div>
+              <div className="rv-stat rv-stat--total"><span className="rv-stat-num">{total}</span><span className="rv-stat-lbl">Total</span></div>
+              <div className="rv-stat-divider" />
+              <div className="rv-stat rv-stat--verified"><span className="rv-stat-num">{statusCount('approved')}</span><span className="rv-stat-lbl">Verified</span></div>
               <div className="rv-stat-divider" />
-              <div className="rv-stat rv-stat--verified"><span className="rv-stat-num">{verifiedCount}</span><span className="rv-stat-lbl">Verified</span></div>
+              <div className="rv-stat rv-stat--pending"><span className="rv-stat-num">{statusCount('pending')}</span><span className="rv-stat-lbl">Pending</span></div>
               <div className="rv-stat-divider" />
-              <div className="rv-stat rv-stat--pending"><span className="rv-stat-num">{pendingCount}</span><span className="rv-stat-lbl">Pending</span></div>
+              <div className="rv-stat rv-stat--changes"><span className="rv-stat-num">{statusCount('changes_requested')}</span><span className="rv-stat-lbl">Changes Requested</span></div>
+              <div className="rv-stat-divider" />
+              <div className="rv-stat rv-stat--rejected"><span className="rv-stat-num">{statusCount('rejected')}</span><span className="rv-stat-lbl">Rejected</span></div>
             </div>
           )}
 
           {/* Tabs */}
           <div className="rv-tabs">
-            <button className={`rv-tab ${tab === 'pending' ? 'rv-tab--active' : ''}`} onClick={() => setTab('pending')}>
+            <button className={`rv-tab ${tab === 'pending' ? 'rv-tab--active' : ''}`} onClick={() => switchTab('pending')}>
               <span>⏳</span> Pending Verification
-              {tab === 'pending' && resources.length > 0 && <span className="rv-tab-count">{resources.length}</span>}
+              {tab === 'pending' && total > 0 && <span className="rv-tab-count">{total}</span>}
             </button>
-            <button className={`rv-tab ${tab === 'all' ? 'rv-tab--active' : ''}`} onClick={() => setTab('all')}>
+            <button className={`rv-tab ${tab === 'all' ? 'rv-tab--active' : ''}`} onClick={() => switchTab('all')}>
               <span>📋</span> All Resources
             </button>
+            <button className={`rv-tab ${tab === 'duplicates' ? 'rv-tab--active' : ''}`} onClick={() => switchTab('duplicates')}>
+              <span>🧬</span> Possible Duplicates
+            </button>
           </div>
 
+          {tab === 'duplicates' && <DuplicatesPanel onView={handleView} showToast={showToast} />}
+
+          {/* Filters */}
+          {tab !== 'duplicates' && <div className="rv-toolbar">
+            <select className="rv-filter-select" value={courseFilter} onChange={filterSetter(setCourseFilter)}>
+              <option value="">All courses</option>
+              {(facets.course || []).map(c => <option key={c.value} value={c.value}>{c.label} ({c.count})</option>)}
+            </select>
+            <select className="rv-filter-select" value={typeFilter} onChange={filterSetter(setTypeFilter)}>
+              <option value="">All types</option>
+              {(facets.resource_type || []).map(t => <option key={t.value} value={t.value}>{getResourceTypeDisplay(t.value).label} ({t.count})</option>)}
+            </select>
+            <select className="rv-filter-select" value={sort} onChange={filterSetter(setSort)}>
+              <option value="">{debouncedSearch ? 'Best match' : 'Newest first'}</option>
+              {debouncedSearch && <option value="newest">Newest first</option>}
+              <option value="oldest">Oldest first</option>
+              <option value="downloads">Most downloaded</option>
+              <option value="title">Title (A–Z)</option>
+            </select>
+          </div>}
+
           {/* Content */}
-          {loading ? (
+          {tab === 'duplicates' ? null : loading ? (
             <div className="rv-loading"><div className="rv-spinner" /><p>Loading resources…</p></div>
-          ) : visible.length === 0 ? (
+          ) : resources.length === 0 ? (
             <div className="rv-empty">
-              <span className="rv-empty-icon">{search ? '🔎' : '✅'}</span>
-              <p className="rv-empty-title">{search ? `No results for "${search}"` : tab === 'pending' ? 'All clear!' : 'No resources yet'}</p>
-              <p className="rv-empty-sub">{search ? 'Try a different term.' : tab === 'pending' ? 'All uploads have been reviewed.' : 'No resources exist yet.'}</p>
+              <span className="rv-empty-icon">{hasFilters ? '🔎' : '✅'}</span>
+              <p className="rv-empty-title">{debouncedSearch ? `No results for "${debouncedSearch}"` : hasFilters ? 'No matching resources' : tab === 'pending' ? 'All clear!' : 'No resources yet'}</p>
+              <p className="rv-empty-sub">{hasFilters ? 'Try a different term or filter.' : tab === 'pending' ? 'All uploads have been reviewed.' : 'No resources exist yet.'}</p>
             </div>
           ) : (
             <div className="resource-grid">
-              {visible.map(r => (
+              {resources.map(r => (
                 <AdminResourceCard
                   key={r.id}
                   resource={r}
@@ -614,17 +915,30 @@ export default function ResourceVerification() {
                   onDeleteConfirm={() => handleDeleteConfirm(r.id)}
                   onDeleteCancel={handleDeleteCancel}
                   onVerify={() => handleVerify(r.id)}
+                  onDecision={(type) => setDecision({ type, resource: r })}
                   onSummarize={() => handleSummarize(r.id)}
                   onViewSummary={(summary) => setActiveSummary({ title: r.title, summary })}
                 />
               ))}
             </div>
           )}
+
+          {/* Pagination */}
+          {tab !== 'duplicates' && !loading && totalPages > 1 && (
+            <div className="rv-pagination">
+              <button className="rv-page-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>← Prev</button>
+              <span className="rv-page-status">Page {page} of {totalPages}</span>
+              <button className="rv-page-btn" disabled={page >= totalPages} onClick={() => setPage(p => p + 1)}>Next →</button>
+            </div>
+          )}
         </div>
       </main>
 
       {/* Edit Modal */}
-      {editResource && <EditModal resource={editResource} onClose={() => setEditResource(null)} onSaved={handleEditSaved} />}
+      {editResource && <EditModal resource={editResource} onClose={() => setEditResource(null)} onSaved={handleEditSaved} onRestored={handleVersionRestored} />}
+
+      {/* Reject / Request changes */}
+      {decision && <ReviewDecisionModal decision={decision.type} resource={decision.resource} loading={deciding} onConfirm={handleDecisionConfirm} onClose={() => setDecision(null)} />}
 
       {/* AI Summary Modal */}
       <SummaryModal isOpen={!!activeSummary} onClose={() => setActiveSummary(null)} title={activeSummary?.title} summary={activeSummary?.summary} />
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import Sidebar from '../components/Sidebar';
+import ConfirmModal from '../components/ConfirmModal';
+import ReviewDecisionModal from '../components/ReviewDecisionModal';
+import '../styles/admin.css';
+import '../styles/users.css';
+import '../styles/resource-verify.css';
+import '../styles/reviews.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const FILTERS = [
+  { id: 'reported', label: '🚩 Reported' },
+  { id: 'hidden', label: '🙈 Hidden' },
+  { id: 'all', label: '💬 All Reviews' },
+];
+
+const stars = (rating) => '★'.repeat(rating) + '☆'.repeat(5 - rating);
+
+export default function ReviewModeration() {
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('reported');
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [hiding, setHiding] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [toast, setToast] = useState(null);
+  const [confirmConfig, setConfirmConfig] = useState({ isOpen: false });
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const showToast = (msg, type = 'success') => { setToast({ msg, type }); setTimeout(() => setToast(null), 3500); };
+
+  useEffect(() => {
+    const timer = setTimeout(() => { setDebouncedSearch(search.trim()); setPage(1); }, 350);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ filter, page });
+    if (debouncedSearch) params.set('search', debouncedSearch);
+
+    (async () => {
+      try {
+        const res = await api(`/reviews?${params}`);
+        if (res.ok && !cancelled) { const d = await res.json(); setReviews(d.data); setPagination(d.pagination); }
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, [filter, page, debouncedSearch, reloadKey]);
+
+  const load = () => setReloadKey(k => k + 1);
+
+  const switchFilter = (next) => {
+    if (next === filter) return;
+    setReviews([]);
+    setLoading(true);
+    setPage(1);
+    setFilter(next);
+  };
+
+  const handleHide = async (reason) => {
+    setBusy(true);
+    const res = await api(`/reviews/${hiding.id}/hide`, { method: 'PUT', body: JSON.stringify({ reason }) });
+    setBusy(false);
+    if (res.ok) { setHiding(null); showToast('🙈 Review hidden. The reviewer has been notified.'); load(); }
+    else { const d = await res.json(); showToast(d.error || 'Failed', 'error'); }
+  };
+
+  const handleApprove = async (review) => {
+    const res = await api(`/reviews/${review.id}/approve`, { method: 'PUT' });
+    if (res.ok) { showToast(review.is_hidden ? '👁 Review restored' : '✅ Reports dismissed'); load(); }
+    else { const d = await res.json(); showToast(d.error || 'Failed', 'error'); }
+  };
+
+  const handleDelete = (review) => {
+    setConfirmConfig({
+      isOpen: true,
+      title: 'Delete Review',
+      message: `Permanently delete ${review.author_name || 'this user'}'s review of "${review.resource_title}"? This cannot be undone.`,
+      confirmText: '🗑 Delete',
+      type: 'danger',
+      onConfirm: async () => {
+        setConfirmConfig(prev => ({ ...prev, isLoading: true }));
+        const res = await api(`/reviews/${review.id}`, { method: 'DELETE' });
+        setConfirmConfig({ isOpen: false });
+        if (res.ok) { showToast('🗑 Review deleted'); load(); }
+        else { const d = await res.json(); showToast(d.error || 'Delete failed', 'error'); }
+      },
+    });
+  };
+
+  const fmtDate = (d) => new Date(d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  const total = pagination?.total ?? reviews.length;
+  const totalPages = pagination?.total_pages ?? 1;
+
+  return (
+    <div className="admin-layout">
+      <Sidebar active="reviews" />
+      <main className="admin-main">
+        <header className="admin-topbar">
+          <div>
+            <h1 className="admin-topbar-title">Review Moderation</h1>
+            <p className="admin-topbar-subtitle">Handle reported reviews and keep ratings fair</p>
+          </div>
+        </header>
+
+        <div className="admin-content">
+          <div className="ur-filter-row">
+            {FILTERS.map(f => (
+              <button key={f.id} className={`ur-pill ${filter === f.id ? 'ur-pill--active' : ''}`} onClick={() => switchFilter(f.id)}>
+                {f.label}
+                {filter === f.id && !loading && <span className="ur-pill-count">{total}</span>}
+              </button>
+            ))}
+            <input className="ur-search" type="text" placeholder="Search review, resource or reviewer…" value={search} onChange={e => setSearch(e.target.value)} />
+          </div>
+
+          {loading ? (
+            <div className="ur-loading">Loading reviews…</div>
+          ) : reviews.length === 0 ? (
+            <div className="rv-empty">
+              <span className="rv-empty-icon">{filter === 'reported' ? '✅' : '💬'}</span>
+              <p className="rv-empty-title">{filter === 'reported' ? 'No reported reviews' : 'No reviews here'}</p>
+              <p className="rv-empty-sub">{filter === 'reported' ? 'Nothing is waiting for moderation.' : 'Try another filter or search.'}</p>
+            </div>
+          ) : (
+            <div className="rm-list">
+              {reviews.map(r => (
+                <article key={r.id} className={`rm-card ${r.is_hidden ? 'rm-card--hidden' : ''}`}>
+                  <header className="rm-card-head">
+                    <div>
+                      <div className="rm-resource">{r.resource_title}</div>
+                      <div className="rm-meta">
+                        <span className="rm-stars" title={`${r.rating} out of 5`}>{stars(r.rating)}</span>
+                        {r.author_name || 'Unknown user'} · {r.author_email} · {fmtDate(r.created_at)} · 👍 {r.helpful_count}
+                      </div>
+                    </div>
+                    {r.report_count > 0 && <span className="rm-report-count">🚩 {r.report_count}</span>}
+                  </header>
+
+                  <p className="rm-body">{r.body || <em>No written review, rating only.</em>}</p>
+
+                  {r.reports.length > 0 && (
+                    <ul className="rm-reports">
+                      {r.reports.map((rep, i) => <li key={i}>{rep.reason || <em>No reason given</em>} <span>· {fmtDate(rep.created_at)}</span></li>)}
+                    </ul>
+                  )}
+
+                  {r.is_hidden && (
+                    <p className="rm-hidden-note">Hidden by {r.hidden_by_name || 'an admin'}{r.hidden_reason && <>: “{r.hidden_reason}”</>}</p>
+                  )}
+
+                  <div className="rm-actions">
+                    {(r.is_hidden || r.report_count > 0) && (
+                      <button className="rm-btn rm-btn--keep" onClick={() => handleApprove(r)}>
+                        {r.is_hidden ? '👁 Unhide' : '✓ Dismiss reports'}
+                      </button>
+                    )}
+                    {!r.is_hidden && <button className="rm-btn rm-btn--hide" onClick={() => setHiding(r)}>🙈 Hide</button>}
+                    <button className="rm-btn rm-btn--delete" onClick={() => handleDelete(r)}>🗑 Delete</button>
+                  </div>
+                </article>
+              ))}
+            </div>
+          )}
+
+          {!loading && totalPages > 1 && (
+            <div className="rv-pagination">
+              <button className="rv-page-btn" disabled={page <= 1} onClick={() => setPage(p => p - 1)}>← Prev</button>
+              <span className="rv-page-status">Page {page} of {totalPages}</span>
+              <button className="rv-page-btn" disabled={page >= totalPages} onClick={() => setPage(p => p + 1)}>Next →</button>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {hiding && (
+        <ReviewDecisionModal
+          decision="hide"
+          resource={{ title: `${hiding.author_name || 'this user'}'s review of "${hiding.resource_title}"` }}
+          loading={busy}
+          onConfirm={handleHide}
+          onClose={() => setHiding(null)}
+        />
+      )}
+
+      <ConfirmModal
+        isOpen={confirmConfig.isOpen}
+        onClose={() => setConfirmConfig({ isOpen: false })}
+        onConfirm={confirmConfig.onConfirm}
+        title={confirmConfig.title}
+        message={confirmConfig.message}
+        confirmText={confirmConfig.confirmText}
+        type={confirmConfig.type}
+        isLoading={confirmConfig.isLoading}
+      />
+
+      {toast && <div className={`admin-toast admin-toast--${toast.type}`}>{toast.msg}</div>}
+    </div>
+  );
+}
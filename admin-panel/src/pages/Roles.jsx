@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { supabase } from '../supabaseClient';
+import Sidebar from '../components/Sidebar';
+import '../styles/admin.css';
+import '../styles/users.css';
+import '../styles/reviews.css';
+import '../styles/roles.css';
+
+const API = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+async function api(path, options = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  return fetch(`${API}/api/admin${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+  });
+}
+
+const sameSet = (a, b) => a.length === b.length && a.every(p => b.includes(p));
+
+export default function Roles() {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [toast, setToast] = useState(null);
+
+  const showToast = (msg, type = 'success') => { setToast({ msg, type }); setTimeout(() => setToast(null), 3500); };
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await api('/roles');
+        if (res.ok && !cancelled) {
+          const { data } = await res.json();
+          setRoles(data.roles);
+          setPermissions(data.permissions);
+          setDrafts(Object.fromEntries(data.roles.map(r => [r.name, r.permissions])));
+        }
+      } catch (err) { console.error(err); }
+      finally { if (!cancelled) setLoading(false); }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggle = (role, permission) => {
+    setDrafts(prev => {
+      const current = prev[role];
+      return {
+        ...prev,
+        [role]: current.includes(permission) ? current.filter(p => p !== permission) : [...current, permission],
+      };
+    });
+  };
+
+  const isDirty = (role) => !sameSet(drafts[role.name] || [], role.permissions);
+
+  const handleSave = async (role) => {
+    setSaving(role.name);
+    const res = await api(`/roles/${role.name}`, { method: 'PUT', body: JSON.stringify({ permissions: drafts[role.name] }) });
+    setSaving(null);
+    if (res.ok) {
+      const { data } = await res.json();
+      setRoles(prev => prev.map(r => r.name === role.name ? { ...r, permissions: data.permissions } : r));
+      showToast(`✅ ${role.label} saved`);
+    } else {
+      const d = await res.json();
+      showToast(d.error || 'Save failed', 'error');
+    }
+  };
+
+  const handleReset = (role) => setDrafts(prev => ({ ...prev, [role.name]: role.permissions }));
+
+  return (
+    <div className="admin-layout">
+      <Sidebar active="roles" />
+      <main className="admin-main">
+        <header className="admin-topbar">
+          <div>
+            <h1 className="admin-topbar-title">Roles & Permissions</h1>
+            <p className="admin-topbar-subtitle">What each role may do. Changes reach signed-in users within a minute.</p>
+          </div>
+        </header>
+
+        <div className="admin-content">
+          {loading ? (
+            <div className="ur-loading">Loading roles…</div>
+          ) : (
+            <div className="ur-table-wrapper">
+              <table className="ur-table rp-matrix">
+                <thead>
+                  <tr>
+                    <th>Permission</th>
+                    {roles.map(r => (
+                      <th key={r.name} className="rp-role" title={r.description || ''}>
+                        <div>{r.label}</div>
+                        <div className="rp-role-meta">
+                          {r.user_count} user{r.user_count === 1 ? '' : 's'}{r.from_email ? ' · from email' : ''}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {permissions.map(p => (
+                    <tr key={p.key}>
+                      <td>
+                        <div className="rp-perm-key">{p.key}</div>
+                        <div className="rp-perm-desc">{p.description}</div>
+                      </td>
+                      {roles.map(r => (
+                        <td key={r.name} className="rp-cell">
+                          <input
+                            type="checkbox"
+                            checked={(drafts[r.name] || []).includes(p.key)}
+                            disabled={r.locked || saving === r.name}
+                            onChange={() => toggle(r.name, p.key)}
+                            aria-label={`${r.label}: ${p.key}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="ur-muted">Administrators always hold every permission.</td>
+                    {roles.map(r => (
+                      <td key={r.name} className="rp-cell">
+                        {!r.locked && isDirty(r) && (
+                          <div className="rp-actions">
+                            <button className="rm-btn rm-btn--keep" disabled={saving === r.name} onClick={() => handleSave(r)}>
+                              {saving === r.name ? 'Saving…' : '💾 Save'}
+                            </button>
+                            <button className="rm-btn rp-undo" disabled={saving === r.name} onClick={() => handleReset(r)}>Undo</button>
+                          </div>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </main>
+
+      {toast && <div className={`admin-toast admin-toast--${toast.type}`}>{toast.msg}</div>}
+    </div>
+  );
+}
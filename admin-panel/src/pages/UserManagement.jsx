@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../supabaseClient';
+import { useAuth } from '../auth/AuthContext';
 import Sidebar from '../components/Sidebar';
 import '../styles/admin.css';
 import '../styles/users.css';
@@ -12,26 +13,50 @@ async function api(path, options = {}) {
     ...options,
     headers: {
       Authorization: `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json',
       ...options.headers
     },
   });
 }
 
 import ConfirmModal from '../components/ConfirmModal';
+import RosterImportModal from '../components/RosterImportModal';
 
 const ROLE_CONFIG = {
   admin: { label: 'Admin', cls: 'ur-role--admin' },
+  department_coordinator: { label: 'Coordinator', cls: 'ur-role--staff' },
+  teaching_assistant: { label: 'Teaching Assistant', cls: 'ur-role--staff' },
   faculty: { label: 'Faculty', cls: 'ur-role--faculty' },
   student: { label: 'Student', cls: 'ur-role--student' },
+  alumni: { label: 'Alumni', cls: 'ur-role--student' },
 };
 
+const ROLE_FILTERS = [
+  { id: 'all', label: '👥 All' },
+  { id: 'student', label: '🎓 Students' },
+  { id: 'faculty', label: '🏫 Faculty' },
+  { id: 'staff', label: '🧭 Coordinators & TAs' },
+  { id: 'admin', label: '🛡️ Admins' },
+];
+
+const STAFF_ROLES = ['department_coordinator', 'teaching_assistant'];
+
+const matchesRole = (u, filter) =>
+  filter === 'all' || (filter === 'staff' ? STAFF_ROLES.includes(u.role) : u.role === filter);
+
 export default function UserManagement() {
+  const { user: me, can } = useAuth();
+  const canManageRoles = can('role.manage');
+  const canImport = can('user.import');
   const [users, setUsers] = useState([]);
+  const [assignableRoles, setAssignableRoles] = useState([]);
+  const [roleSaving, setRoleSaving] = useState(false);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
   const [roleFilter, setRoleFilter] = useState('all');
   const [selectedUser, setSelectedUser] = useState(null);
   const [confirmConfig, setConfirmConfig] = useState({ isOpen: false });
+  const [showImport, setShowImport] = useState(false);
 
   const load = useCallback(async () => {
     if (users.length === 0) setLoading(true);
@@ -65,8 +90,19 @@ export default function UserManagement() {
     initialLoad(); 
   }, []);
 
+  // Roles an admin can hand out; student, alumni and faculty follow the email address
+  useEffect(() => {
+    if (!canManageRoles) return;
+    let cancelled = false;
+    (async () => {
+      const res = await api('/roles');
+      if (res.ok && !cancelled) setAssignableRoles((await res.json()).data.roles.filter(r => !r.from_email));
+    })();
+    return () => { cancelled = true; };
+  }, [canManageRoles]);
+
   const filtered = users.filter(u => {
-    const matchRole = roleFilter === 'all' || u.role === roleFilter;
+    const matchRole = matchesRole(u, roleFilter);
     const q = search.toLowerCase();
     const matchSearch = !q ||
       u.full_name?.toLowerCase().includes(q) ||
@@ -75,11 +111,25 @@ export default function UserManagement() {
     return matchRole && matchSearch;
   });
 
-  const counts = {
-    all: users.length,
-    student: users.filter(u => u.role === 'student').length,
-    faculty: users.filter(u => u.role === 'faculty').length,
-    admin: users.filter(u => u.role === 'admin').length,
+  const counts = Object.fromEntries(ROLE_FILTERS.map(f => [f.id, users.filter(u => matchesRole(u, f.id)).length]));
+
+  const handleRoleChange = async (userId, role) => {
+    setRoleSaving(true);
+    try {
+      const res = await api(`/users/${userId}/role`, { method: 'PUT', body: JSON.stringify({ role: role || null }) });
+      const data = await res.json();
+      if (res.ok) {
+        setUsers(users.map(u => u.id === userId ? { ...u, role: data.data.role } : u));
+        setSelectedUser(prev => prev?.id === userId ? { ...prev, role: data.data.role } : prev);
+      } else {
+        alert(data.error || 'Could not change the role');
+      }
+    } catch (err) {
+      console.error('Failed to change role:', err);
+      alert('An error occurred');
+    } finally {
+      setRoleSaving(false);
+    }
   };
 
   const handleActionExec = async (type, userId, endpoint, method = 'POST') => {
@@ -163,19 +213,22 @@ export default function UserManagement() {
               {users.length} registered users across all roles
             </p>
           </div>
+          {canImport && (
+            <button className="ri-open-btn" onClick={() => setShowImport(true)}>⬆ Import roster</button>
+          )}
         </header>
 
         <div className="admin-content">
           {/* Role filter pills */}
           <div className="ur-filter-row">
-            {['all', 'student', 'faculty', 'admin'].map(r => (
+            {ROLE_FILTERS.map(f => (
               <button
-                key={r}
-                className={`ur-pill ${roleFilter === r ? 'ur-pill--active' : ''}`}
-                onClick={() => setRoleFilter(r)}
+                key={f.id}
+                className={`ur-pill ${roleFilter === f.id ? 'ur-pill--active' : ''}`}
+                onClick={() => setRoleFilter(f.id)}
               >
-                {r === 'all' ? '👥 All' : r === 'student' ? '🎓 Students' : r === 'faculty' ? '🏫 Faculty' : '🛡️ Admins'}
-                <span className="ur-pill-count">{counts[r]}</span>
+                {f.label}
+                <span className="ur-pill-count">{counts[f.id]}</span>
               </button>
             ))}
 
@@ -262,7 +315,21 @@ export default function UserManagement() {
                 </div>
                 <div className="ur-detail-item">
                   <span className="ur-detail-label">Role</span>
-                  <span className="ur-detail-value capitalize">{selectedUser.role}</span>
+                  {canManageRoles && selectedUser.id !== me?.id && !selectedUser.is_pending_sync ? (
+                    <select
+                      className="ur-role-select"
+                      value={assignableRoles.some(r => r.name === selectedUser.role) ? selectedUser.role : ''}
+                      disabled={roleSaving}
+                      onChange={e => handleRoleChange(selectedUser.id, e.target.value)}
+                    >
+                      <option value="">{ROLE_CONFIG[selectedUser.role] && !assignableRoles.some(r => r.name === selectedUser.role)
+                        ? `${ROLE_CONFIG[selectedUser.role].label} (from email)`
+                        : 'From email address'}</option>
+                      {assignableRoles.map(r => <option key={r.name} value={r.name}>{r.label}</option>)}
+                    </select>
+                  ) : (
+                    <span className="ur-detail-value">{ROLE_CONFIG[selectedUser.role]?.label || selectedUser.role}</span>
+                  )}
                 </div>
                 <div className="ur-detail-item">
                   <span className="ur-detail-label">Email Address</span>
@@ -272,6 +339,14 @@ export default function UserManagement() {
                   <span className="ur-detail-label">Department</span>
                   <span className="ur-detail-value">{selectedUser.department || '—'}</span>
                 </div>
+                <div className="ur-detail-item">
+                  <span className="ur-detail-label">Course</span>
+                  <span className="ur-detail-value">{selectedUser.course_code || '—'}</span>
+                </div>
+                <div className="ur-detail-item">
+                  <span className="ur-detail-label">Batch</span>
+                  <span className="ur-detail-value">{selectedUser.batch || '—'}</span>
+                </div>
                 <div className="ur-detail-item">
                   <span className="ur-detail-label">Joined Date</span>
                   <span className="ur-detail-value">{new Date(selectedUser.created_at).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}</span>
@@ -361,6 +436,8 @@ export default function UserManagement() {
         </div>
       )}
 
+      {showImport && <RosterImportModal onClose={() => setShowImport(false)} onImported={load} />}
+
       {/* Premium Confirm Modal */}
       <ConfirmModal 
         isOpen={confirmConfig.isOpen}
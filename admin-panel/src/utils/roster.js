@@ -0,0 +1,87 @@
+// Reads a roster CSV into rows keyed like the import API: email, full_name,
+// role, course_code, batch. The server validates the values themselves.
+
+export const ROSTER_COLUMNS = ['email', 'full_name', 'role', 'course_code', 'batch'];
+
+const COLUMN_ALIASES = {
+  name: 'full_name',
+  fullname: 'full_name',
+  course: 'course_code',
+  code: 'course_code',
+  year: 'batch',
+};
+
+const normalizeKey = (key) => {
+  const k = String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return COLUMN_ALIASES[k] || k;
+};
+
+// Minimal RFC 4180 parsing: quoted fields, doubled quotes, CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+/**
+ * Parses roster file text. Returns { rows } or { error }.
+ */
+export function parseRoster(text) {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return { error: 'The file is empty' };
+
+  const keys = header.map(normalizeKey);
+  const missing = ['email', 'full_name'].filter((k) => !keys.includes(k));
+  if (missing.length) return { error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+  if (records.length === 0) return { error: 'The file has no rows' };
+
+  const rows = records.map((record) => {
+    const row = {};
+    for (const key of ROSTER_COLUMNS) {
+      const i = keys.indexOf(key);
+      row[key] = i === -1 ? '' : (record[i] ?? '').trim();
+    }
+    return row;
+  });
+  return { rows };
+}
+
+// A template admins can fill in
+export const ROSTER_TEMPLATE = [
+  ROSTER_COLUMNS.join(','),
+  '24btcs001@student.rru.ac.in,Asha Patel,,BTCS,2024-2028',
+  'r.mehta@rru.ac.in,Rohan Mehta,faculty,,',
+].join('\r\n') + '\r\n';
@@ -9,10 +9,16 @@ dotenv.config();
 const requiredEnvVars = [
   'DATABASE_URL',
   'SUPABASE_URL',
-  'SUPABASE_SERVICE_ROLE_KEY',
-  'GEMINI_API_KEY'
+  'SUPABASE_SERVICE_ROLE_KEY'
 ];
 
+const list = (value, fallback = []) =>
+  value ? value.split(',').map(v => v.trim()).filter(v => v.length > 0) : fallback;
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
 const missingVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingVars.length > 0) {
@@ -24,6 +30,8 @@ if (missingVars.length > 0) {
   process.exit(1); 
 }
 
+const geminiKeys = list(process.env.GEMINI_API_KEYS, [process.env.GEMINI_API_KEY].filter(Boolean));
+
 export const config = {
   port: process.env.PORT || 5000,
   databaseUrl: process.env.DATABASE_URL,
@@ -33,14 +41,75 @@ export const config = {
   },
   gemini: {
     primaryKey: process.env.GEMINI_API_KEY,
-    allKeys: process.env.GEMINI_API_KEYS 
-      ? process.env.GEMINI_API_KEYS.split(',').map(k => k.trim()).filter(k => k.length > 0)
-      : [process.env.GEMINI_API_KEY]
+    allKeys: geminiKeys,
+  },
+  ai: {
+    // Providers tried in turn for every AI feature; ones without credentials are skipped
+    order: list(process.env.AI_PROVIDERS, ['groq', 'gemini']),
+    // Per-feature overrides of that order
+    routes: {
+      summary: list(process.env.AI_SUMMARY_PROVIDERS, null),
+      chat: list(process.env.AI_CHAT_PROVIDERS, null),
+      quiz: list(process.env.AI_QUIZ_PROVIDERS, null),
+      // Embeddings for the chat passage index; only providers that can embed are used
+      embedding: list(process.env.AI_EMBEDDING_PROVIDERS, null),
+    },
+    providers: {
+      groq: {
+        type: 'openai',
+        apiKey: process.env.GROQ_API_KEY,
+        baseUrl: "https://api.groq.com/openai/v1",
+        model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+        temperature: number(process.env.GROQ_TEMPERATURE, 0.7),
+        maxTokens: number(process.env.GROQ_MAX_TOKENS, 1024),
+      },
+      gemini: {
+        type: 'gemini',
+        apiKeys: geminiKeys,
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+        temperature: number(process.env.GEMINI_TEMPERATURE, 0.7),
+        maxTokens: number(process.env.GEMINI_MAX_TOKENS, 2048),
+        // Must produce 768 dimensions (migration 013)
+        embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+      },
+      // Any OpenAI-compatible server, e.g. Ollama or LM Studio on this machine
+      local: {
+        type: 'openai',
+        apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+        baseUrl: process.env.LOCAL_AI_BASE_URL,
+        model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+        temperature: number(process.env.LOCAL_AI_TEMPERATURE, 0.7),
+        maxTokens: number(process.env.LOCAL_AI_MAX_TOKENS, 1024),
+        // Optional, e.g. nomic-embed-text; must produce 768 dimensions (migration 013)
+        embeddingModel: process.env.LOCAL_AI_EMBEDDING_MODEL,
+      },
+      // Canned, repeatable answers for developing and testing without a provider
+      mock: {
+        type: 'mock',
+        model: 'mock',
+        temperature: 0,
+        maxTokens: 1024,
+      },
+    },
+  },
+  conversion: {
+    // LibreOffice binary used to render Office uploads as PDF
+    sofficePath: process.env.SOFFICE_PATH || 'soffice',
+    timeoutMs: parseInt(process.env.CONVERSION_TIMEOUT_MS, 10) || 120000,
+  },
+  ocr: {
+    // Tesseract language codes read in scanned files, e.g. eng,hin,guj
+    languages: list(process.env.OCR_LANGUAGES, ['eng']),
+    // Also store a copy of each scanned PDF with a selectable, searchable text layer
+    searchablePdf: process.env.OCR_SEARCHABLE_PDF === 'true',
   },
-  groq: {
-    apiKey: process.env.GROQ_API_KEY,
-    baseUrl: "https://api.groq.com/openai/v1"
+  uploads: {
+    // Largest file accepted through resumable (chunked) uploads
+    maxResumableBytes: (parseInt(process.env.MAX_RESUMABLE_UPLOAD_MB, 10) || 500) * 1024 * 1024,
   },
+  // Proxies (load balancer, CDN) in front of the API, so req.ip is the
+  // client's address from X-Forwarded-For rather than the last proxy's
+  trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0,
   corsOrigins: process.env.CORS_ORIGINS 
     ? process.env.CORS_ORIGINS.split(',').map(o => o.trim())
     : ["http://localhost:5173", "http://localhost:5100"],
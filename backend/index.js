@@ -13,18 +13,28 @@ import aiRoutes from './routes/aiRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import resourceRoutes from './routes/resourceRoutes.js';
 import courseRoutes from './routes/courseRoutes.js';
+import bookmarkRoutes from './routes/bookmarkRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import uploadRoutes from './routes/uploadRoutes.js';
+import enrollmentRoutes from './routes/enrollmentRoutes.js';
 
 // Background Tasks
 import { startSummaryTask } from './tasks/summaryTask.js';
+import { startPreviewTask } from './tasks/previewTask.js';
+import { startUploadCleanupTask } from './tasks/uploadCleanupTask.js';
+import { startIndexingTask } from './tasks/indexingTask.js';
+import { startOcrTask } from './tasks/ocrTask.js';
 
 // Socket.IO & Middleware
-import { initSocketIO } from './socket.js';
+import { initSocketIO, syncUserRooms } from './socket.js';
 import { authMiddleware } from './middleware/auth.js';
+import { getUnitDigest } from './utils/unitDigests.js';
 
 const app = express();
 const server = http.createServer(app);
 
 // --- GLOBAL MIDDLEWARE ---
+app.set('trust proxy', config.trustProxyHops);
 app.use(cors({
   origin: config.corsOrigins,
   credentials: true
@@ -89,6 +99,19 @@ app.get(['/units', '/api/units'], authMiddleware, async (req, res) => {
   }
 });
 
+// Digest of everything studied in a unit, built by AI from its resources'
+// summaries. POST because the first request generates it.
+app.post(['/units/:id/digest', '/api/units/:id/digest'], authMiddleware, async (req, res) => {
+  try {
+    const { digest, status, error } = await getUnitDigest(req.params.id);
+    if (error) return res.status(status).json({ success: false, error });
+    res.json({ success: true, data: digest });
+  } catch (err) {
+    console.error('Error building unit digest:', err);
+    res.status(500).json({ success: false, error: 'Failed to generate unit digest' });
+  }
+});
+
 // Request Logger (Diagnostic)
 app.use((req, res, next) => {
   console.log(`[API DEBUG] ${req.method} ${req.url}`);
@@ -99,8 +122,8 @@ app.use((req, res, next) => {
 
 // Profile / Me
 const getProfile = (req, res) => {
-  const { id, email, role, is_verified, course_id, preferred_course } = req.user;
-  res.json({ id, email, role, is_verified, course_id, preferred_course });
+  const { id, email, role, permissions, is_verified, course_id, preferred_course } = req.user;
+  res.json({ id, email, role, permissions, is_verified, course_id, preferred_course });
 };
 
 app.get('/me', authMiddleware, getProfile);
@@ -115,6 +138,8 @@ app.put(['/me/onboard', '/api/me/onboard'], authMiddleware, async (req, res) =>
       "UPDATE users SET course_id = $1, preferred_course = $2 WHERE id = $3 RETURNING *",
       [course_id || null, preferred_course || null, req.user.id]
     );
+    // Live notifications follow the new course without reconnecting
+    await syncUserRooms(req.user.id);
     res.json({ success: true, data: result.rows[0] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -130,6 +155,10 @@ app.use(['/admin', '/api/admin'], adminRoutes);
 app.use(['/chat', '/api/chat'], aiRoutes);
 app.use(['/notifications', '/api/notifications'], notificationRoutes);
 app.use(['/courses', '/api/courses'], courseRoutes);
+app.use(['/bookmarks', '/api/bookmarks'], bookmarkRoutes);
+app.use(['/collections', '/api/collections'], collectionRoutes);
+app.use(['/uploads', '/api/uploads'], uploadRoutes);
+app.use(['/enrollments', '/api/enrollments'], enrollmentRoutes);
 
 // Health Check
 app.get('/health', (req, res) => {
@@ -142,6 +171,10 @@ app.get('/health', (req, res) => {
 
 initSocketIO(server);
 startSummaryTask();
+startPreviewTask();
+startUploadCleanupTask();
+startIndexingTask();
+startOcrTask();
 
 const PORT = config.port;
 server.listen(PORT, () => {
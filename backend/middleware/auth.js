@@ -1,14 +1,15 @@
 import { createClient } from "@supabase/supabase-js";
 import pool from '../db.js';
 import config from '../config.js';
+import { EMAIL_ROLES, can, permissionsFor } from '../utils/permissions.js';
 
 const supabase = createClient(
   config.supabase.url,
   config.supabase.serviceKey
 );
 
-
-function computeRole(email) {
+// The role an email address implies; roles given in the admin panel override it
+export function computeRole(email) {
   if (!email) return "student";
 
   if (email.endsWith("@student.rru.ac.in")) {
@@ -31,21 +32,20 @@ function computeRole(email) {
   return "student";
 }
 
-export async function authMiddleware(req, res, next) {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ success: false, error: "Missing token" });
-  }
-
-  const token = authHeader.split(" ")[1];
-
+/**
+ * Verifies a Supabase access token and loads the user behind it, creating
+ * their DB record on first sight and keeping their email-derived role in
+ * sync. Shared by authMiddleware and the Socket.IO handshake.
+ *
+ * Resolves with { user } (the shape of req.user) or { status, error }.
+ */
+export async function authenticateToken(token) {
   try {
     const { data, error } = await supabase.auth.getUser(token);
 
 
     if (error || !data.user) {
-      return res.status(401).json({ success: false, error: "Invalid token" });
+      return { status: 401, error: "Invalid token" };
     }
 
     const { id, email } = data.user;
@@ -53,7 +53,7 @@ export async function authMiddleware(req, res, next) {
     let dbUser;
     try {
       const userResult = await pool.query(
-        "SELECT role, is_verified, is_suspended, course_id, preferred_course FROM users WHERE id = $1",
+        "SELECT full_name, role, is_verified, is_suspended, course_id, preferred_course FROM users WHERE id = $1",
         [id]
       );
 
@@ -70,7 +70,7 @@ export async function authMiddleware(req, res, next) {
         const insertRes = await pool.query(
           `INSERT INTO users (id, email, full_name, role, is_verified, course_id, preferred_course)
            VALUES ($1, $2, $3, $4, $5, $6, $7)
-           RETURNING role, is_verified, is_suspended, course_id, preferred_course`,
+           RETURNING full_name, role, is_verified, is_suspended, course_id, preferred_course`,
           [id, email, name, role, isVerified, courseId, preferredCourse]
         );
         dbUser = insertRes.rows[0];
@@ -80,16 +80,16 @@ export async function authMiddleware(req, res, next) {
       }
 
       if (dbUser.is_suspended) {
-        return res.status(403).json({ success: false, error: "Your account has been suspended by an administrator." });
+        return { status: 403, error: "Your account has been suspended by an administrator." };
       }
     } catch (dbErr) {
       console.error("DB FETCH ERROR:", dbErr.message);
-      return res.status(500).json({ success: false, error: "Database error during authentication" });
+      return { status: 500, error: "Database error during authentication" };
     }
 
     const computedRole = computeRole(email);
 
-    if (dbUser.role !== "admin" && dbUser.role !== computedRole) {
+    if ((!dbUser.role || EMAIL_ROLES.includes(dbUser.role)) && dbUser.role !== computedRole) {
       try {
         await pool.query(
           "UPDATE users SET role = $1 WHERE id = $2",
@@ -98,7 +98,7 @@ export async function authMiddleware(req, res, next) {
         dbUser.role = computedRole;
       } catch (updateErr) {
         console.error("DB ROLE UPDATE ERROR:", updateErr.message);
-        return res.status(500).json({ success: false, error: "Database error during role update" });
+        return { status: 500, error: "Database error during role update" };
       }
     }
 
@@ -113,24 +113,59 @@ export async function authMiddleware(req, res, next) {
           "UPDATE users SET course_id = COALESCE(course_id, $1), preferred_course = COALESCE(preferred_course, $2) WHERE id = $3",
           [metaCourseId, metaPrefCourse, id]
         );
+        dbUser.course_id ||= metaCourseId;
+        dbUser.preferred_course ||= metaPrefCourse;
       } catch (updateErr) {
         console.error("DB COURSE SYNC ERROR:", updateErr.message);
       }
     }
 
-    req.user = {
-      id,
-      email,
-      role: dbUser.role,
-      is_verified: dbUser.is_verified,
-      course_id: dbUser.course_id,
-      preferred_course: dbUser.preferred_course
-    };
-
+    let permissions;
+    try {
+      permissions = await permissionsFor(dbUser.role);
+    } catch (policyErr) {
+      console.error("PERMISSIONS LOAD ERROR:", policyErr.message);
+      return { status: 500, error: "Database error during authentication" };
+    }
 
-    next();
+    return {
+      user: {
+        id,
+        email,
+        full_name: dbUser.full_name,
+        role: dbUser.role,
+        permissions,
+        is_verified: dbUser.is_verified,
+        course_id: dbUser.course_id,
+        preferred_course: dbUser.preferred_course
+      }
+    };
   } catch (err) {
     console.error("AUTH ERROR:", err.message);
-    return res.status(401).json({ success: false, error: "Invalid or missing token" });
+    return { status: 401, error: "Invalid or missing token" };
   }
-}
\ No newline at end of file
+}
+
+export async function authMiddleware(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ success: false, error: "Missing token" });
+  }
+
+  const { user, status, error } = await authenticateToken(authHeader.split(" ")[1]);
+  if (error) return res.status(status).json({ success: false, error });
+
+  req.user = user;
+  next();
+}
+
+// Route guard run after authMiddleware: the user must hold every listed permission
+export function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!permissions.every(permission => can(req.user, permission))) {
+      return res.status(403).json({ success: false, error: "You do not have permission to do this" });
+    }
+    next();
+  };
+}
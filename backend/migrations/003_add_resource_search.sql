@@ -0,0 +1,37 @@
+-- ============================================================
+-- Migration: Full-text search over resources
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Weighted search document built from the resource's own metadata.
+--    Wrapped in a function so the same expression is used by the index
+--    and by GET /api/resources (the planner only uses the index on an exact match).
+CREATE OR REPLACE FUNCTION resource_search_vector(title TEXT, description TEXT, ai_summary TEXT)
+RETURNS tsvector
+LANGUAGE sql
+IMMUTABLE PARALLEL SAFE
+AS $$
+  SELECT setweight(to_tsvector('english', coalesce(title, '')), 'A')
+      || setweight(to_tsvector('english', coalesce(description, '')), 'B')
+      || setweight(to_tsvector('english', coalesce(ai_summary, '')), 'C');
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_resources_search
+  ON resources USING GIN (resource_search_vector(title, description, ai_summary));
+
+-- 2. Text extracted from uploaded files (kept out of `resources` so
+--    `SELECT r.*` payloads stay small).
+CREATE TABLE IF NOT EXISTS resource_texts (
+  resource_id UUID PRIMARY KEY REFERENCES resources(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', left(content, 500000)), 'D')
+  ) STORED,
+  extracted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_texts_search
+  ON resource_texts USING GIN (search_vector);
+
+-- Done. Existing files are picked up by the summary background task,
+-- which now stores the extracted text alongside the summary.
@@ -0,0 +1,13 @@
+-- ============================================================
+-- Migration: Download counter for sorting resource lists
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Incremented whenever a signed URL is issued for the file
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS download_count INTEGER NOT NULL DEFAULT 0;
+
+-- 2. Indexes backing the list sort options
+CREATE INDEX IF NOT EXISTS idx_resources_created_at ON resources(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resources_download_count ON resources(download_count DESC);
+CREATE INDEX IF NOT EXISTS idx_resources_is_verified ON resources(is_verified);
@@ -0,0 +1,47 @@
+-- ============================================================
+-- Migration: Resource version history
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per change to a resource, holding the state *after* the change.
+--    Replaced files are no longer deleted from storage, so every version's
+--    storage_path stays downloadable and restorable.
+CREATE TABLE IF NOT EXISTS resource_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  change_type TEXT NOT NULL CHECK (change_type IN ('created', 'file_replaced', 'metadata_updated', 'restored')),
+  change_note TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  title TEXT,
+  description TEXT,
+  resource_type TEXT,
+  visibility TEXT,
+  content_type TEXT,
+  subject_id UUID,
+  subject_offering_id UUID,
+  unit_id UUID,
+  storage_path TEXT,
+  original_filename TEXT,
+  external_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (resource_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_versions_resource
+  ON resource_versions (resource_id, version_number DESC);
+
+-- 2. Seed version 1 for resources that existed before this migration.
+INSERT INTO resource_versions (
+  resource_id, version_number, change_type, changed_by,
+  title, description, resource_type, visibility, content_type,
+  subject_id, subject_offering_id, unit_id, storage_path, external_url, created_at
+)
+SELECT
+  r.id, 1, 'created', r.contributor_id,
+  r.title, r.description, r.resource_type, r.visibility, r.content_type,
+  r.subject_id, r.subject_offering_id, r.unit_id, r.storage_path, r.external_url, r.created_at
+FROM resources r
+WHERE NOT EXISTS (SELECT 1 FROM resource_versions v WHERE v.resource_id = r.id);
+
+-- Done.
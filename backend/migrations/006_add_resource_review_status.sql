@@ -0,0 +1,34 @@
+-- ============================================================
+-- Migration: Resource review workflow (reject / request changes)
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Review status alongside is_verified. is_verified stays the flag the
+--    rest of the app reads; it is TRUE exactly when review_status = 'approved'.
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (review_status IN ('pending', 'approved', 'changes_requested', 'rejected'));
+
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
+-- 2. Existing verified resources count as approved
+UPDATE resources SET review_status = 'approved' WHERE is_verified = TRUE AND review_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_resources_review_status ON resources (review_status);
+
+-- 3. Every status change, with the reason given and who made it
+CREATE TABLE IF NOT EXISTS resource_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_status_history_resource
+  ON resource_status_history (resource_id, created_at DESC);
+
+-- Done.
@@ -0,0 +1,56 @@
+-- ============================================================
+-- Migration: Ratings, reviews and helpfulness votes
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One review per user per resource: a 1-5 star rating plus optional text.
+--    Hidden reviews are kept for moderation but left out of everything public.
+CREATE TABLE IF NOT EXISTS resource_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  body TEXT,
+  helpful_count INTEGER NOT NULL DEFAULT 0,
+  report_count INTEGER NOT NULL DEFAULT 0,
+  is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+  hidden_reason TEXT,
+  hidden_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  hidden_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (resource_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_reviews_resource
+  ON resource_reviews (resource_id, helpful_count DESC, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resource_reviews_reported
+  ON resource_reviews (report_count DESC) WHERE report_count > 0;
+
+-- 2. "Was this review helpful?" — one vote per user per review
+CREATE TABLE IF NOT EXISTS review_helpful_votes (
+  review_id UUID NOT NULL REFERENCES resource_reviews(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (review_id, user_id)
+);
+
+-- 3. Reports of abusive reviews, surfaced in the admin moderation queue
+CREATE TABLE IF NOT EXISTS review_reports (
+  review_id UUID NOT NULL REFERENCES resource_reviews(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (review_id, user_id)
+);
+
+-- 4. Aggregate score on the resource itself so lists can show and sort by it
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS rating_avg NUMERIC(3, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_resources_rating ON resources (rating_avg DESC, rating_count DESC);
+
+-- Done.
@@ -0,0 +1,29 @@
+-- ============================================================
+-- Migration: View and download analytics
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per user, resource, kind of access and day. Opening the same
+--    file ten times in an afternoon still counts once; the contributor's
+--    own accesses are never recorded.
+--      view     = an external link was opened
+--      download = a signed URL was issued for the file
+CREATE TABLE IF NOT EXISTS resource_access_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('view', 'download')),
+  event_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (resource_id, user_id, event_type, event_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_access_events_date
+  ON resource_access_events (event_date DESC, resource_id);
+
+-- 2. Running totals shown on resource cards. download_count already exists
+--    (migration 004) and from now on counts de-duplicated downloads.
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS view_count INTEGER NOT NULL DEFAULT 0;
+
+-- Done.
@@ -0,0 +1,27 @@
+-- ============================================================
+-- Migration: File formats beyond PDF, PDF renditions and thumbnails
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Which allow-listed format the current file is (see utils/fileFormats.js)
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS file_format TEXT;
+
+-- Every file uploaded before this migration was a PDF
+UPDATE resources SET file_format = 'pdf'
+WHERE content_type = 'file' AND storage_path IS NOT NULL AND file_format IS NULL;
+
+-- 2. Derived files stored next to the original:
+--    pdf_rendition_path — PDF version of an Office upload, used for summaries/OCR
+--    thumbnail_path     — small JPEG for image uploads
+--    preview_status     — pending until the derived files are generated
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS pdf_rendition_path TEXT,
+  ADD COLUMN IF NOT EXISTS thumbnail_path TEXT,
+  ADD COLUMN IF NOT EXISTS preview_status TEXT
+    CHECK (preview_status IN ('pending', 'ready', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_resources_preview_pending
+  ON resources (created_at) WHERE preview_status = 'pending';
+
+-- Done.
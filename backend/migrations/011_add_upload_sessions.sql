@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migration: Resumable upload sessions
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per resumable upload. Chunks are relayed to Supabase Storage's
+--    resumable (TUS) endpoint at `upload_url`; `received_bytes` is how much of
+--    the file has been accepted so far. Once complete, the staged object is
+--    copied to the resource's own path when the upload is attached.
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  file_format TEXT NOT NULL,
+  total_bytes BIGINT NOT NULL CHECK (total_bytes > 0),
+  received_bytes BIGINT NOT NULL DEFAULT 0,
+  storage_path TEXT NOT NULL,
+  upload_url TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'uploading'
+    CHECK (status IN ('uploading', 'complete', 'attached')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours'
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user
+  ON upload_sessions (user_id, created_at DESC);
+
+-- 2. Lets the cleanup task find abandoned sessions quickly
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expiry
+  ON upload_sessions (expires_at) WHERE status <> 'attached';
+
+-- Done.
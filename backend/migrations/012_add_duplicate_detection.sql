@@ -0,0 +1,48 @@
+-- ============================================================
+-- Migration: Duplicate and near-duplicate upload detection
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Content hash of each uploaded file (see contentHash in utils/uploadSessions.js).
+--    Files uploaded before this migration have none, so exact matching only
+--    covers new uploads; near-duplicate matching (below) covers everything.
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_resources_content_hash
+  ON resources (content_hash) WHERE content_hash IS NOT NULL;
+
+-- 2. Resumable uploads hash each chunk as it arrives; chunk_hashes is set to
+--    NULL if the sequence is ever broken, and then no content hash is made.
+ALTER TABLE upload_sessions
+  ADD COLUMN IF NOT EXISTS chunk_hashes TEXT[] DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+-- 3. MinHash signature of the extracted text, for near-duplicate matching.
+--    An empty array means the text was too short to fingerprint.
+ALTER TABLE resource_texts
+  ADD COLUMN IF NOT EXISTS fingerprint INTEGER[];
+
+-- 4. Flagged pairs: `resource_id` is the newer upload, `duplicate_of` the one
+--    it matches. Admins either merge the pair or dismiss the flag.
+CREATE TABLE IF NOT EXISTS resource_duplicates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  duplicate_of UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  match_type TEXT NOT NULL CHECK (match_type IN ('exact', 'near')),
+  similarity NUMERIC(4, 3) NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed')),
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMPTZ,
+  UNIQUE (resource_id, duplicate_of),
+  CHECK (resource_id <> duplicate_of)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_duplicates_open
+  ON resource_duplicates (detected_at DESC) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_resource_duplicates_of
+  ON resource_duplicates (duplicate_of);
+
+-- Done.
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migration: Passage index for the chat assistant
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. pgvector (available on every Supabase project, off by default)
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- 2. When the extracted text was last split into passages. saveExtractedText
+--    clears it whenever the text changes, so the indexing task redoes it.
+ALTER TABLE resource_texts
+  ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMPTZ;
+
+-- 3. Passages of extracted text, each with a full-text vector and (when an
+--    embedding provider is configured) a 768-dimension embedding. Passages
+--    hang off resource_texts so replacing a file drops them with its text.
+CREATE TABLE IF NOT EXISTS resource_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id UUID NOT NULL REFERENCES resource_texts(resource_id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+  embedding vector(768),
+  UNIQUE (resource_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_chunks_search
+  ON resource_chunks USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_resource_chunks_embedding
+  ON resource_chunks USING hnsw (embedding vector_cosine_ops);
+
+-- Done. Texts already extracted are indexed by the background indexing task.
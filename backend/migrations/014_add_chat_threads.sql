@@ -0,0 +1,27 @@
+-- ============================================================
+-- Migration: Saved chat conversations
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per conversation with the assistant. resource_id is the
+--    resource the user was looking at when the conversation started.
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  resource_id UUID REFERENCES resources(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_threads_user ON chat_threads (user_id, updated_at DESC);
+
+-- 2. chat_history (created by schema.js) now holds the messages of each
+--    thread, with the sources an answer cited.
+ALTER TABLE chat_history
+  ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES chat_threads(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS citations JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_chat_history_thread ON chat_history (thread_id, created_at);
+
+-- Done.
@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migration: AI practice quizzes and flashcards
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. The generated study set of a resource: multiple-choice and short-answer
+--    questions plus flashcards, as JSON. Cached like ai_summary and cleared
+--    with it when the file is replaced.
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS ai_study_set JSONB;
+
+-- 2. A student's scored attempts at a resource's quiz. generated_at is the
+--    study set the attempt was taken against.
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  score INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  answers JSONB NOT NULL,
+  generated_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_resource
+  ON quiz_attempts (user_id, resource_id, created_at DESC);
+
+-- Done.
@@ -0,0 +1,38 @@
+-- ============================================================
+-- Migration: Durable background job queue
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per piece of background work (for now: 'summary' — extract a
+--    file's text and summarize it). Workers claim due jobs with
+--    FOR UPDATE SKIP LOCKED, so several backend replicas never take the
+--    same job. A failed attempt is rescheduled with exponential backoff;
+--    after max_attempts the job is dead-lettered as 'failed' until an admin
+--    retries it.
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL,
+  resource_id UUID REFERENCES resources(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- At most one open job of a kind per resource
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_open
+  ON jobs (type, resource_id) WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due
+  ON jobs (type, run_at) WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status
+  ON jobs (status, updated_at DESC);
+
+-- Done. The summary task enqueues jobs for resources that still need them.
@@ -0,0 +1,25 @@
+-- ============================================================
+-- Migration: Multi-level AI summaries and unit digests
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. The structured summary behind ai_summary: a TL;DR, snapshot bullets,
+--    a summary per section of the document and a key-terms glossary.
+--    ai_summary keeps the same summary rendered as markdown for display and
+--    search. Cleared together with ai_summary when the file is replaced.
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS ai_summary_outline JSONB;
+
+-- 2. A digest of a syllabus unit, built from the summaries of the resources
+--    attached to it. source_hash fingerprints those summaries, so the digest
+--    is rebuilt when a resource is added, removed or re-summarized.
+CREATE TABLE IF NOT EXISTS unit_digests (
+  unit_id UUID PRIMARY KEY REFERENCES units(id) ON DELETE CASCADE,
+  digest TEXT NOT NULL,
+  outline JSONB NOT NULL,
+  resource_count INTEGER NOT NULL,
+  source_hash TEXT NOT NULL,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Done. Existing summaries keep working; they gain an outline when regenerated.
@@ -0,0 +1,23 @@
+-- ============================================================
+-- Migration: Full-document OCR with per-page text
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Text recognized on each page of a scanned PDF by the OCR task. Pages
+--    are saved as they are read, so a restarted job carries on where it
+--    stopped. Cleared when the file is replaced.
+CREATE TABLE IF NOT EXISTS resource_ocr_pages (
+  resource_id UUID NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  confidence REAL,
+  recognized_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (resource_id, page_number)
+);
+
+-- 2. Copy of the scanned PDF with an invisible text layer, so its text can
+--    be selected and searched in a PDF viewer (only with OCR_SEARCHABLE_PDF).
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS searchable_pdf_path TEXT;
+
+-- Done.
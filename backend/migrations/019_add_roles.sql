@@ -0,0 +1,51 @@
+-- ============================================================
+-- Migration: Roles and the permissions each one grants
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. The roles users.role may hold. Student, alumni and faculty follow from
+--    the user's email address; the others are handed out in the admin panel.
+CREATE TABLE IF NOT EXISTS roles (
+  name TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO roles (name, label, description) VALUES
+  ('admin', 'Administrator', 'Runs the platform; always holds every permission'),
+  ('department_coordinator', 'Department Coordinator', 'Looks after a department''s catalog and uploads'),
+  ('teaching_assistant', 'Teaching Assistant', 'Helps faculty keep reviews and uploads in order'),
+  ('faculty', 'Faculty', 'Teaching staff (@rru.ac.in addresses)'),
+  ('student', 'Student', 'Enrolled students (@student.rru.ac.in addresses)'),
+  ('alumni', 'Alumni', 'Students five or more years after admission')
+ON CONFLICT (name) DO NOTHING;
+
+-- 2. Named permissions (see PERMISSIONS in utils/permissions.js) granted to
+--    each role. Admins are never listed: they hold every permission in code,
+--    so no edit here can lock everyone out of the panel.
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+-- 3. What each role could do before permissions existed, plus the new roles
+INSERT INTO role_permissions (role, permission) VALUES
+  ('faculty', 'resource.view_faculty'),
+  ('faculty', 'resource.bulk_upload'),
+  ('faculty', 'faculty.profile'),
+  ('department_coordinator', 'admin.access'),
+  ('department_coordinator', 'content.manage'),
+  ('department_coordinator', 'resource.view_faculty'),
+  ('department_coordinator', 'resource.bulk_upload'),
+  ('department_coordinator', 'resource.verify'),
+  ('department_coordinator', 'duplicate.manage'),
+  ('department_coordinator', 'review.moderate'),
+  ('department_coordinator', 'faculty.manage'),
+  ('teaching_assistant', 'admin.access'),
+  ('teaching_assistant', 'resource.view_faculty'),
+  ('teaching_assistant', 'review.moderate')
+ON CONFLICT DO NOTHING;
+
+-- Done. Role edits in the admin panel take effect within a minute.
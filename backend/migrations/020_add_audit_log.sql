@@ -0,0 +1,56 @@
+-- ============================================================
+-- Migration: Append-only audit log of admin actions
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. One row per admin mutation: who did it, what they did to which record,
+--    the fields that changed and where the request came from. The actor's
+--    name and email are copied in, and nothing references users or the
+--    target, so entries outlive the accounts and records they mention.
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor_id UUID,
+  actor_name TEXT,
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT,
+  target_label TEXT,
+  -- { field: { "from": ..., "to": ... } } for every field that changed
+  changes JSONB,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created
+  ON admin_audit_log (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor
+  ON admin_audit_log (actor_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action
+  ON admin_audit_log (action, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+  ON admin_audit_log (target_type, target_id);
+
+-- 2. Entries can be added but never changed or removed, whoever connects
+CREATE OR REPLACE FUNCTION admin_audit_log_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_admin_audit_log_no_update ON admin_audit_log;
+CREATE TRIGGER trg_admin_audit_log_no_update
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+
+DROP TRIGGER IF EXISTS trg_admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER trg_admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_append_only();
+
+-- Done. Administrators can read the log; grant 'audit.view' to other roles
+-- from the admin panel.
@@ -0,0 +1,32 @@
+-- ============================================================
+-- Migration: Faculty approval workflow
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. Review bookkeeping on faculty profiles. status is 'pending' until an
+--    admin approves or rejects the application; a rejection carries the
+--    reason shown to the applicant.
+ALTER TABLE faculty_profiles
+  ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE faculty_profiles SET status = 'pending' WHERE status IS NULL;
+
+-- 2. Only approved faculty are listed in the directory. Profiles that were
+--    already filled in (and so already listed) stay listed.
+UPDATE faculty_profiles SET status = 'approved', reviewed_at = NOW()
+WHERE status = 'pending'
+  AND (NULLIF(education, '') IS NOT NULL OR NULLIF(research_interests, '') IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_faculty_profiles_pending
+  ON faculty_profiles (submitted_at) WHERE status = 'pending';
+
+-- 3. Coordinators already look after faculty profiles
+INSERT INTO role_permissions (role, permission) VALUES
+  ('department_coordinator', 'faculty.approve')
+ON CONFLICT DO NOTHING;
+
+-- Done. New registrations wait in the admin panel under Faculty Approvals.
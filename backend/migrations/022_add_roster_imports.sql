@@ -0,0 +1,46 @@
+-- ============================================================
+-- Migration: Roster imports (bulk user creation from CSV)
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. The batch a student belongs to, e.g. '2024' or '2024-2028'
+ALTER TABLE users ADD COLUMN IF NOT EXISTS batch TEXT;
+
+-- 2. One row per import run, with its totals
+CREATE TABLE IF NOT EXISTS roster_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  filename TEXT,
+  send_invites BOOLEAN NOT NULL DEFAULT false,
+  total_rows INT NOT NULL DEFAULT 0,
+  created_count INT NOT NULL DEFAULT 0,
+  skipped_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_imports_created
+  ON roster_imports (created_at DESC);
+
+-- 3. What happened to each row of the CSV. 'skipped' rows already had an
+--    account; 'failed' rows were invalid or could not be created.
+CREATE TABLE IF NOT EXISTS roster_import_rows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  import_id UUID NOT NULL REFERENCES roster_imports(id) ON DELETE CASCADE,
+  row_number INT NOT NULL,
+  email TEXT,
+  full_name TEXT,
+  role TEXT,
+  course_code TEXT,
+  batch TEXT,
+  status TEXT NOT NULL CHECK (status IN ('created', 'skipped', 'failed')),
+  message TEXT,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  invited BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_import_rows_import
+  ON roster_import_rows (import_id, row_number);
+
+-- Done. Administrators can import rosters; grant 'user.import' to other
+-- roles from the admin panel.
@@ -0,0 +1,75 @@
+-- ============================================================
+-- Migration: Course enrollments and subject follows
+-- Run this ONCE in Supabase SQL Editor (or your DB client)
+-- ============================================================
+
+-- 1. The courses a user is enrolled in: their main course (users.course_id,
+--    picked at onboarding) plus any minors or elective courses.
+CREATE TABLE IF NOT EXISTS course_enrollments (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  is_primary BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_enrollments_course
+  ON course_enrollments (course_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_course_enrollments_primary
+  ON course_enrollments (user_id) WHERE is_primary;
+
+-- 2. Individual subjects a user follows outside their courses. Without an
+--    offering the follow covers every academic year of the subject; with one,
+--    only that offering's resources.
+CREATE TABLE IF NOT EXISTS subject_follows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  subject_id UUID NOT NULL REFERENCES subjects(id) ON DELETE CASCADE,
+  subject_offering_id UUID REFERENCES subject_offerings(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subject_follows_subject
+  ON subject_follows (user_id, subject_id) WHERE subject_offering_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subject_follows_offering
+  ON subject_follows (user_id, subject_offering_id) WHERE subject_offering_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_subject_follows_by_subject
+  ON subject_follows (subject_id);
+
+-- 3. users.course_id stays the main course. Whatever sets it (onboarding,
+--    sign-up metadata, roster imports) keeps the primary enrollment in step;
+--    the previous main course stays on as an ordinary enrollment.
+CREATE OR REPLACE FUNCTION sync_primary_enrollment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.course_id IS NOT DISTINCT FROM OLD.course_id THEN
+    RETURN NEW;
+  END IF;
+
+  UPDATE course_enrollments SET is_primary = false
+  WHERE user_id = NEW.id AND is_primary AND course_id IS DISTINCT FROM NEW.course_id;
+
+  IF NEW.course_id IS NOT NULL THEN
+    INSERT INTO course_enrollments (user_id, course_id, is_primary)
+    VALUES (NEW.id, NEW.course_id, true)
+    ON CONFLICT (user_id, course_id) DO UPDATE SET is_primary = true;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_users_primary_enrollment ON users;
+CREATE TRIGGER trg_users_primary_enrollment
+  AFTER INSERT OR UPDATE OF course_id ON users
+  FOR EACH ROW EXECUTE FUNCTION sync_primary_enrollment();
+
+-- 4. Everyone's current course becomes their primary enrollment
+INSERT INTO course_enrollments (user_id, course_id, is_primary)
+SELECT id, course_id, true FROM users WHERE course_id IS NOT NULL
+ON CONFLICT (user_id, course_id) DO NOTHING;
+
+-- Done. Upload notifications now reach everyone enrolled in the course or
+-- following the subject.
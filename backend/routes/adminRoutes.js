@@ -1,10 +1,21 @@
 import express from 'express';
 import pool from '../db.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, computeRole, requirePermission } from '../middleware/auth.js';
 import { createClient } from '@supabase/supabase-js';
 import config from '../config.js';
-import { getIO } from '../socket.js';
-import { notifyCourseSubscribers } from '../utils/notifications.js';
+import { disconnectUser } from '../socket.js';
+import { notifySubscribers, notifyUser } from '../utils/notifications.js';
+import { getResourceStoragePaths, refreshResourceRating, setReviewStatus, withTransaction } from '../utils/dbHelpers.js';
+import {
+  RESOURCE_LIST_FROM, buildResourceFilters, numberPlaceholders, parsePagination, queryResourceList
+} from '../utils/resourceListing.js';
+import {
+  parseWindow, getAccessTimeline, getAccessTotals, getTopContributors, getTopResources
+} from '../utils/resourceAnalytics.js';
+import { retryJob, cancelJob } from '../utils/jobQueue.js';
+import { EMAIL_ROLES, PERMISSIONS, SUPER_ROLE, invalidatePolicy, visibleResourceFilter } from '../utils/permissions.js';
+import { AUDIT_ACTIONS, recordAudit } from '../utils/auditLog.js';
+import { MAX_ROSTER_ROWS, checkRoster, importRoster } from '../utils/rosterImport.js';
 
 const supabase = createClient(
   config.supabase.url,
@@ -13,16 +24,8 @@ const supabase = createClient(
 
 const router = express.Router();
 
-// Middleware: admin-only guard
-function adminOnly(req, res, next) {
-  if (req.user?.role !== 'admin') {
-    return res.status(403).json({ success: false, error: 'Admin access required' });
-  }
-  next();
-}
-
 // GET /api/admin/stats — dashboard summary stats
-router.get('/stats', authMiddleware, adminOnly, async (req, res) => {
+router.get('/stats', authMiddleware, requirePermission('admin.access'), async (req, res) => {
   try {
     const [
       facultyRes, studentsRes, coursesRes, subjectsRes,
@@ -33,7 +36,7 @@ router.get('/stats', authMiddleware, adminOnly, async (req, res) => {
       pool.query(`SELECT COUNT(*) FROM courses`),
       pool.query(`SELECT COUNT(*) FROM subjects`),
       pool.query(`SELECT COUNT(*) FROM resources`),
-      pool.query(`SELECT COUNT(*) FROM resources WHERE is_verified = false`),
+      pool.query(`SELECT COUNT(*) FROM resources WHERE review_status = 'pending'`),
     ]);
 
     // Fetch Auth users to count pending ones
@@ -63,11 +66,31 @@ router.get('/stats', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
+// GET /api/admin/analytics?days=30 — most used resources and contributors
+router.get('/analytics', authMiddleware, requirePermission('admin.access'), async (req, res) => {
+  const days = parseWindow(req.query);
+  try {
+    const [totals, timeline, topResources, topContributors] = await Promise.all([
+      getAccessTotals(days),
+      getAccessTimeline(days),
+      getTopResources(days, { limit: 10 }),
+      getTopContributors(days, { limit: 10 }),
+    ]);
+    res.json({
+      success: true,
+      data: { days, totals, timeline, top_resources: topResources, top_contributors: topContributors },
+    });
+  } catch (err) {
+    console.error('Error fetching analytics:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // ============================================================================
 // CONTENT MANAGEMENT — COURSES
 // ============================================================================
 
-router.get('/courses', authMiddleware, adminOnly, async (req, res) => {
+router.get('/courses', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT c.id, c.code, c.name, c.degree_type, c.department, c.created_at,
@@ -84,16 +107,21 @@ router.get('/courses', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.post('/courses', authMiddleware, adminOnly, async (req, res) => {
+router.post('/courses', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { code, name, degree_type, department } = req.body;
   if (!code || !name) return res.status(400).json({ error: 'code and name are required' });
   try {
-    const result = await pool.query(
-      `INSERT INTO courses (id, code, name, degree_type, department)
-       VALUES (gen_random_uuid(), $1, $2, $3, $4) RETURNING *`,
-      [code.toUpperCase(), name, degree_type || null, department || null]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO courses (id, code, name, degree_type, department)
+         VALUES (gen_random_uuid(), $1, $2, $3, $4) RETURNING *`,
+        [code.toUpperCase(), name, degree_type || null, department || null]
+      );
+      const row = result.rows[0];
+      await recordAudit(req, { action: 'course.create', targetType: 'course', targetId: row.id, targetLabel: row.code, after: row }, client);
+      return row;
+    });
+    res.status(201).json({ success: true, data: created });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Course code already exists' });
     console.error('Error creating course:', err);
@@ -101,18 +129,25 @@ router.post('/courses', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.put('/courses/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/courses/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   const { code, name, degree_type, department } = req.body;
   if (!code || !name) return res.status(400).json({ error: 'code and name are required' });
   try {
-    const result = await pool.query(
-      `UPDATE courses SET code = $1, name = $2, degree_type = $3, department = $4
-       WHERE id = $5 RETURNING *`,
-      [code.toUpperCase(), name, degree_type || null, department || null, id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Course not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const updated = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE courses SET code = $1, name = $2, degree_type = $3, department = $4
+         WHERE id = $5 RETURNING *`,
+        [code.toUpperCase(), name, degree_type || null, department || null, id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, { action: 'course.update', targetType: 'course', targetId: row.id, targetLabel: row.code, before: before.rows[0], after: row }, client);
+      return row;
+    });
+    if (!updated) return res.status(404).json({ success: false, error: 'Course not found' });
+    res.json({ success: true, data: updated });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Course code already exists' });
     console.error('Error updating course:', err);
@@ -120,11 +155,16 @@ router.put('/courses/:id', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.delete('/courses/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/courses/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM courses WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Course not found' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM courses WHERE id = $1 RETURNING *`, [id]);
+      const row = result.rows[0];
+      if (row) await recordAudit(req, { action: 'course.delete', targetType: 'course', targetId: row.id, targetLabel: row.code, before: row }, client);
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ success: false, error: 'Course not found' });
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting course:', err);
@@ -136,7 +176,7 @@ router.delete('/courses/:id', authMiddleware, adminOnly, async (req, res) => {
 // CONTENT MANAGEMENT — SUBJECTS
 // ============================================================================
 
-router.get('/subjects', authMiddleware, adminOnly, async (req, res) => {
+router.get('/subjects', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { course_id } = req.query;
   try {
     let query = `
@@ -154,16 +194,21 @@ router.get('/subjects', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.post('/subjects', authMiddleware, adminOnly, async (req, res) => {
+router.post('/subjects', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { code, name, course_id } = req.body;
   if (!code || !name || !course_id) return res.status(400).json({ error: 'code, name, and course_id are required' });
   try {
-    const result = await pool.query(
-      `INSERT INTO subjects (id, code, name, course_id)
-       VALUES (gen_random_uuid(), $1, $2, $3) RETURNING *`,
-      [code.toUpperCase(), name, course_id]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO subjects (id, code, name, course_id)
+         VALUES (gen_random_uuid(), $1, $2, $3) RETURNING *`,
+        [code.toUpperCase(), name, course_id]
+      );
+      const row = result.rows[0];
+      await recordAudit(req, { action: 'subject.create', targetType: 'subject', targetId: row.id, targetLabel: row.code, after: row }, client);
+      return row;
+    });
+    res.status(201).json({ success: true, data: created });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Subject code already exists' });
     console.error('Error creating subject:', err);
@@ -171,18 +216,25 @@ router.post('/subjects', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.put('/subjects/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/subjects/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   const { code, name, course_id } = req.body;
   if (!code || !name || !course_id) return res.status(400).json({ error: 'code, name, and course_id are required' });
   try {
-    const result = await pool.query(
-      `UPDATE subjects SET code = $1, name = $2, course_id = $3
-       WHERE id = $4 RETURNING *`,
-      [code.toUpperCase(), name, course_id, id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Subject not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const updated = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM subjects WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE subjects SET code = $1, name = $2, course_id = $3
+         WHERE id = $4 RETURNING *`,
+        [code.toUpperCase(), name, course_id, id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, { action: 'subject.update', targetType: 'subject', targetId: row.id, targetLabel: row.code, before: before.rows[0], after: row }, client);
+      return row;
+    });
+    if (!updated) return res.status(404).json({ success: false, error: 'Subject not found' });
+    res.json({ success: true, data: updated });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Subject code already exists' });
     console.error('Error updating subject:', err);
@@ -190,11 +242,16 @@ router.put('/subjects/:id', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.delete('/subjects/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/subjects/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM subjects WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Subject not found' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM subjects WHERE id = $1 RETURNING *`, [id]);
+      const row = result.rows[0];
+      if (row) await recordAudit(req, { action: 'subject.delete', targetType: 'subject', targetId: row.id, targetLabel: row.code, before: row }, client);
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ success: false, error: 'Subject not found' });
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting subject:', err);
@@ -206,7 +263,7 @@ router.delete('/subjects/:id', authMiddleware, adminOnly, async (req, res) => {
 // CONTENT MANAGEMENT — ACADEMIC YEARS
 // ============================================================================
 
-router.get('/academic-years', authMiddleware, adminOnly, async (req, res) => {
+router.get('/academic-years', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   try {
     const result = await pool.query(`SELECT id, start_year, end_year FROM academic_years ORDER BY start_year DESC`);
     res.json({ success: true, data: result.rows });
@@ -215,15 +272,20 @@ router.get('/academic-years', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.post('/academic-years', authMiddleware, adminOnly, async (req, res) => {
+router.post('/academic-years', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { start_year, end_year } = req.body;
   if (!start_year || !end_year) return res.status(400).json({ error: 'start_year and end_year are required' });
   try {
-    const result = await pool.query(
-      `INSERT INTO academic_years (id, start_year, end_year) VALUES (gen_random_uuid(), $1, $2) RETURNING *`,
-      [parseInt(start_year), parseInt(end_year)]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO academic_years (id, start_year, end_year) VALUES (gen_random_uuid(), $1, $2) RETURNING *`,
+        [parseInt(start_year), parseInt(end_year)]
+      );
+      const row = result.rows[0];
+      await recordAudit(req, { action: 'academic_year.create', targetType: 'academic_year', targetId: row.id, targetLabel: `${row.start_year}-${row.end_year}`, after: row }, client);
+      return row;
+    });
+    res.status(201).json({ success: true, data: created });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Academic year already exists' });
     console.error('Error creating academic year:', err);
@@ -231,18 +293,25 @@ router.post('/academic-years', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.put('/academic-years/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/academic-years/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   const { start_year, end_year } = req.body;
   if (!start_year || !end_year) return res.status(400).json({ error: 'start_year and end_year are required' });
   try {
-    const result = await pool.query(
-      `UPDATE academic_years SET start_year = $1, end_year = $2
-       WHERE id = $3 RETURNING *`,
-      [parseInt(start_year), parseInt(end_year), id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const updated = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM academic_years WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE academic_years SET start_year = $1, end_year = $2
+         WHERE id = $3 RETURNING *`,
+        [parseInt(start_year), parseInt(end_year), id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, { action: 'academic_year.update', targetType: 'academic_year', targetId: row.id, targetLabel: `${row.start_year}-${row.end_year}`, before: before.rows[0], after: row }, client);
+      return row;
+    });
+    if (!updated) return res.status(404).json({ success: false, error: 'Not found' });
+    res.json({ success: true, data: updated });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'Academic year already exists' });
     console.error('Error updating academic year:', err);
@@ -250,11 +319,16 @@ router.put('/academic-years/:id', authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
-router.delete('/academic-years/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/academic-years/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM academic_years WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM academic_years WHERE id = $1 RETURNING *`, [id]);
+      const row = result.rows[0];
+      if (row) await recordAudit(req, { action: 'academic_year.delete', targetType: 'academic_year', targetId: row.id, targetLabel: `${row.start_year}-${row.end_year}`, before: row }, client);
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Cannot delete — offerings may reference this year' });
@@ -265,7 +339,7 @@ router.delete('/academic-years/:id', authMiddleware, adminOnly, async (req, res)
 // CONTENT MANAGEMENT — SUBJECT OFFERINGS (Subject + Year + Faculty assignment)
 // ============================================================================
 
-router.get('/subject-offerings', authMiddleware, adminOnly, async (req, res) => {
+router.get('/subject-offerings', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT so.id, so.subject_id, so.academic_year_id, so.faculty_id,
@@ -288,16 +362,21 @@ router.get('/subject-offerings', authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
-router.post('/subject-offerings', authMiddleware, adminOnly, async (req, res) => {
+router.post('/subject-offerings', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { subject_id, academic_year_id, faculty_id } = req.body;
   if (!subject_id || !academic_year_id) return res.status(400).json({ error: 'subject_id and academic_year_id are required' });
   try {
-    const result = await pool.query(
-      `INSERT INTO subject_offerings (id, subject_id, academic_year_id, faculty_id)
-       VALUES (gen_random_uuid(), $1, $2, $3) RETURNING *`,
-      [subject_id, academic_year_id, faculty_id || null]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO subject_offerings (id, subject_id, academic_year_id, faculty_id)
+         VALUES (gen_random_uuid(), $1, $2, $3) RETURNING *`,
+        [subject_id, academic_year_id, faculty_id || null]
+      );
+      const row = result.rows[0];
+      await recordAudit(req, { action: 'offering.create', targetType: 'offering', targetId: row.id, after: row }, client);
+      return row;
+    });
+    res.status(201).json({ success: true, data: created });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'This subject offering already exists for that year' });
     console.error('Error creating offering:', err);
@@ -305,18 +384,25 @@ router.post('/subject-offerings', authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
-router.put('/subject-offerings/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/subject-offerings/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   const { subject_id, academic_year_id, faculty_id } = req.body;
   if (!subject_id || !academic_year_id) return res.status(400).json({ error: 'subject_id and academic_year_id are required' });
   try {
-    const result = await pool.query(
-      `UPDATE subject_offerings SET subject_id = $1, academic_year_id = $2, faculty_id = $3
-       WHERE id = $4 RETURNING *`,
-      [subject_id, academic_year_id, faculty_id || null, id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const updated = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM subject_offerings WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE subject_offerings SET subject_id = $1, academic_year_id = $2, faculty_id = $3
+         WHERE id = $4 RETURNING *`,
+        [subject_id, academic_year_id, faculty_id || null, id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, { action: 'offering.update', targetType: 'offering', targetId: row.id, before: before.rows[0], after: row }, client);
+      return row;
+    });
+    if (!updated) return res.status(404).json({ success: false, error: 'Not found' });
+    res.json({ success: true, data: updated });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'This subject offering already exists for that year' });
     console.error('Error updating offering:', err);
@@ -324,11 +410,16 @@ router.put('/subject-offerings/:id', authMiddleware, adminOnly, async (req, res)
   }
 });
 
-router.delete('/subject-offerings/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/subject-offerings/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM subject_offerings WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM subject_offerings WHERE id = $1 RETURNING *`, [id]);
+      const row = result.rows[0];
+      if (row) await recordAudit(req, { action: 'offering.delete', targetType: 'offering', targetId: row.id, before: row }, client);
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Cannot delete — units or resources may exist under this offering' });
@@ -339,7 +430,7 @@ router.delete('/subject-offerings/:id', authMiddleware, adminOnly, async (req, r
 // CONTENT MANAGEMENT — UNITS
 // ============================================================================
 
-router.get('/units', authMiddleware, adminOnly, async (req, res) => {
+router.get('/units', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { offering_id } = req.query;
   try {
     let query = `
@@ -362,16 +453,21 @@ router.get('/units', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.post('/units', authMiddleware, adminOnly, async (req, res) => {
+router.post('/units', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { subject_offering_id, unit_number } = req.body;
   if (!subject_offering_id || !unit_number) return res.status(400).json({ error: 'subject_offering_id and unit_number are required' });
   try {
-    const result = await pool.query(
-      `INSERT INTO units (id, subject_offering_id, unit_number)
-       VALUES (gen_random_uuid(), $1, $2) RETURNING *`,
-      [subject_offering_id, parseInt(unit_number)]
-    );
-    res.status(201).json({ success: true, data: result.rows[0] });
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO units (id, subject_offering_id, unit_number)
+         VALUES (gen_random_uuid(), $1, $2) RETURNING *`,
+        [subject_offering_id, parseInt(unit_number)]
+      );
+      const row = result.rows[0];
+      await recordAudit(req, { action: 'unit.create', targetType: 'unit', targetId: row.id, targetLabel: `Unit ${row.unit_number}`, after: row }, client);
+      return row;
+    });
+    res.status(201).json({ success: true, data: created });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'This unit number already exists for this offering' });
     console.error('Error creating unit:', err);
@@ -379,18 +475,25 @@ router.post('/units', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.put('/units/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/units/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   const { subject_offering_id, unit_number } = req.body;
   if (!subject_offering_id || !unit_number) return res.status(400).json({ error: 'subject_offering_id and unit_number are required' });
   try {
-    const result = await pool.query(
-      `UPDATE units SET subject_offering_id = $1, unit_number = $2
-       WHERE id = $3 RETURNING *`,
-      [subject_offering_id, parseInt(unit_number), id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
-    res.json({ success: true, data: result.rows[0] });
+    const updated = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM units WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE units SET subject_offering_id = $1, unit_number = $2
+         WHERE id = $3 RETURNING *`,
+        [subject_offering_id, parseInt(unit_number), id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, { action: 'unit.update', targetType: 'unit', targetId: row.id, targetLabel: `Unit ${row.unit_number}`, before: before.rows[0], after: row }, client);
+      return row;
+    });
+    if (!updated) return res.status(404).json({ success: false, error: 'Not found' });
+    res.json({ success: true, data: updated });
   } catch (err) {
     if (err.code === '23505') return res.status(409).json({ success: false, error: 'This unit number already exists for this offering' });
     console.error('Error updating unit:', err);
@@ -398,11 +501,16 @@ router.put('/units/:id', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.delete('/units/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/units/:id', authMiddleware, requirePermission('content.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM units WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Not found' });
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(`DELETE FROM units WHERE id = $1 RETURNING *`, [id]);
+      const row = result.rows[0];
+      if (row) await recordAudit(req, { action: 'unit.delete', targetType: 'unit', targetId: row.id, targetLabel: `Unit ${row.unit_number}`, before: row }, client);
+      return row;
+    });
+    if (!deleted) return res.status(404).json({ success: false, error: 'Not found' });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Cannot delete — resources may exist under this unit' });
@@ -413,77 +521,69 @@ router.delete('/units/:id', authMiddleware, adminOnly, async (req, res) => {
 // RESOURCE VERIFICATION
 // ============================================================================
 
-router.get('/resources/pending', authMiddleware, adminOnly, async (req, res) => {
+const ADMIN_RESOURCE_SELECT = `
+  r.id, r.title, r.description, r.resource_type, r.content_type,
+  r.external_url, r.storage_path, r.file_format, r.created_at, r.is_verified, r.verified_at, r.ai_summary,
+  r.download_count, r.review_status, r.review_reason, r.rating_avg, r.rating_count,
+  s.code AS subject_code, s.name AS subject_name,
+  c.name AS course_name,
+  u.full_name AS contributor_name, u.email AS contributor_email, u.role AS contributor_role,
+  verifier.full_name AS verified_by_name,
+  ay.start_year, ay.end_year, un.unit_number,
+  faculty.full_name AS faculty_name
+`;
+
+const ADMIN_RESOURCE_FROM = `${RESOURCE_LIST_FROM}
+  LEFT JOIN users verifier ON r.verified_by = verifier.id
+`;
+
+// Shared by the pending queue and the full list: same filters (search, course,
+// subject, year, unit, type), sort options and facet counts as GET /api/resources.
+async function listAdminResources(req, res, scope) {
   try {
-    const result = await pool.query(`
-      SELECT r.id, r.title, r.description, r.resource_type, r.content_type,
-        r.external_url, r.storage_path, r.created_at, r.is_verified, r.ai_summary,
-        s.code AS subject_code, s.name AS subject_name,
-        c.name AS course_name,
-        u.full_name AS contributor_name, u.email AS contributor_email, u.role AS contributor_role,
-        ay.start_year, ay.end_year, un.unit_number,
-        fac.full_name AS faculty_name
-      FROM resources r
-      JOIN subjects s ON r.subject_id = s.id
-      JOIN courses c ON s.course_id = c.id
-      JOIN users u ON r.contributor_id = u.id
-      LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
-      LEFT JOIN academic_years ay ON so.academic_year_id = ay.id
-      LEFT JOIN units un ON r.unit_id = un.id
-      LEFT JOIN users fac ON so.faculty_id = fac.id
-      WHERE r.is_verified = false
-      ORDER BY r.created_at DESC
-    `);
-    res.json({ success: true, data: result.rows });
+    const { conditions, searchTerm } = buildResourceFilters(req.query);
+    if (scope) conditions.unshift(scope);
+
+    const { rows, pagination, facets } = await queryResourceList({
+      select: ADMIN_RESOURCE_SELECT,
+      from: ADMIN_RESOURCE_FROM,
+      conditions,
+      searchTerm,
+      sort: req.query.sort,
+      pagination: parsePagination(req.query, { defaultLimit: 20 }),
+    });
+    res.json({ success: true, data: rows, pagination, facets });
   } catch (err) {
-    console.error('Error fetching pending resources:', err);
+    console.error('Error fetching admin resources:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+}
 
-router.get('/resources/all', authMiddleware, adminOnly, async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT r.id, r.title, r.description, r.resource_type, r.content_type,
-        r.external_url, r.storage_path, r.created_at, r.is_verified, r.verified_at, r.ai_summary,
-        s.code AS subject_code, s.name AS subject_name,
-        c.name AS course_name,
-        u.full_name AS contributor_name, u.email AS contributor_email, u.role AS contributor_role,
-        verifier.full_name AS verified_by_name,
-        ay.start_year, ay.end_year, un.unit_number,
-        fac.full_name AS faculty_name
-      FROM resources r
-      JOIN subjects s ON r.subject_id = s.id
-      JOIN courses c ON s.course_id = c.id
-      JOIN users u ON r.contributor_id = u.id
-      LEFT JOIN users verifier ON r.verified_by = verifier.id
-      LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
-      LEFT JOIN academic_years ay ON so.academic_year_id = ay.id
-      LEFT JOIN units un ON r.unit_id = un.id
-      LEFT JOIN users fac ON so.faculty_id = fac.id
-      ORDER BY r.created_at DESC
-    `);
-    res.json({ success: true, data: result.rows });
-  } catch (err) {
-    console.error('Error fetching all resources:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+router.get('/resources/pending', authMiddleware, requirePermission('resource.verify'), (req, res) =>
+  listAdminResources(req, res, { key: null, sql: `r.review_status = 'pending'`, values: [] })
+);
+
+// Everything the reviewer may open: private, rejected and sent-back uploads
+// of others only with resource.view_all
+router.get('/resources/all', authMiddleware, requirePermission('resource.verify'), (req, res) =>
+  listAdminResources(req, res, { key: null, ...visibleResourceFilter(req.user) })
+);
 
-router.put('/resources/:id/verify', authMiddleware, adminOnly, async (req, res) => {
+router.put('/resources/:id/verify', authMiddleware, requirePermission('resource.verify'), async (req, res) => {
   const { id } = req.params;
   try {
-    // 1. Update resource as verified
-    const result = await pool.query(
-      `UPDATE resources
-       SET is_verified = true, verified_by = $1, verified_at = NOW()
-       WHERE id = $2
-       RETURNING id, title, is_verified, verified_at, contributor_id, subject_id`,
-      [req.user.id, id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Resource not found' });
-
-    const resource = result.rows[0];
+    // 1. Update resource as verified (approved) and log it in the status history
+    const resource = await withTransaction(async (client) => {
+      const updated = await setReviewStatus(id, { status: 'approved', changedBy: req.user.id }, client);
+      if (!updated) return null;
+      await recordAudit(req, {
+        action: 'resource.verify', targetType: 'resource', targetId: updated.id, targetLabel: updated.title,
+        before: { review_status: updated.previous_status },
+        after: { review_status: updated.review_status },
+      }, client);
+      return updated;
+    });
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
 
     // 2. Fetch context for notification (subject info and course ID)
     const contextResult = await pool.query(
@@ -494,10 +594,11 @@ router.put('/resources/:id/verify', authMiddleware, adminOnly, async (req, res)
     );
     const ctx = contextResult.rows[0] || {};
 
-    // 3. Trigger targeted course notification
+    // 3. Notify the course's students and the subject's followers
     try {
-      notifyCourseSubscribers({
+      notifySubscribers({
         courseId: ctx.course_id,
+        subjects: [{ subjectId: resource.subject_id, offeringId: resource.subject_offering_id }],
         resourceId: resource.id,
         title: 'New Resource Verified',
         message: `The resource "${resource.title}" for ${ctx.subject_name} has been verified and is now available.`,
@@ -509,29 +610,85 @@ router.put('/resources/:id/verify', authMiddleware, adminOnly, async (req, res)
     }
 
 
-    res.json({ success: true, data: result.rows[0] });
+    res.json({ success: true, data: resource });
   } catch (err) {
     console.error('Error verifying resource:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-router.delete('/resources/:id', authMiddleware, adminOnly, async (req, res) => {
+const REVIEW_DECISIONS = {
+  rejected: {
+    action: 'resource.reject',
+    title: 'Resource Rejected',
+    message: (title, reason) => `Your resource "${title}" was rejected. Reason: ${reason}`,
+  },
+  changes_requested: {
+    action: 'resource.request_changes',
+    title: 'Changes Requested',
+    message: (title, reason) => `An admin asked for changes to "${title}" before it can be verified: ${reason}. Update it from My Resources and resubmit.`,
+  },
+};
+
+// Reject or send back a pending upload. The reason is required, stored in the
+// status history and sent to the contributor.
+async function reviewWithReason(req, res, status) {
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) return res.status(400).json({ success: false, error: 'A reason is required' });
+
+  try {
+    const decision = REVIEW_DECISIONS[status];
+    const resource = await withTransaction(async (client) => {
+      const updated = await setReviewStatus(id, { status, reason, changedBy: req.user.id }, client);
+      if (!updated) return null;
+      await recordAudit(req, {
+        action: decision.action, targetType: 'resource', targetId: updated.id, targetLabel: updated.title,
+        before: { review_status: updated.previous_status },
+        after: { review_status: updated.review_status, review_reason: reason },
+      }, client);
+      return updated;
+    });
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+
+    notifyUser({
+      userId: resource.contributor_id,
+      resourceId: resource.id,
+      title: decision.title,
+      message: decision.message(resource.title, reason),
+    });
+
+    res.json({ success: true, data: resource });
+  } catch (err) {
+    console.error(`Error setting resource status to ${status}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+router.put('/resources/:id/reject', authMiddleware, requirePermission('resource.verify'), (req, res) =>
+  reviewWithReason(req, res, 'rejected')
+);
+
+router.put('/resources/:id/request-changes', authMiddleware, requirePermission('resource.verify'), (req, res) =>
+  reviewWithReason(req, res, 'changes_requested')
+);
+
+router.delete('/resources/:id', authMiddleware, requirePermission('resource.manage'), async (req, res) => {
   const { id } = req.params;
   const client = await pool.connect();
   try {
-    // 1. Fetch resource to check for storage file
-    const fetchResult = await client.query('SELECT storage_path, content_type FROM resources WHERE id = $1', [id]);
+    // 1. Fetch resource to check for storage files (current + older versions)
+    const fetchResult = await client.query('SELECT * FROM resources WHERE id = $1', [id]);
     if (fetchResult.rows.length === 0) return res.status(404).json({ success: false, error: 'Resource not found' });
     
-    const resource = fetchResult.rows[0];
+    const storagePaths = await getResourceStoragePaths(id, client);
     await client.query('BEGIN');
 
     // 2. Delete from Supabase Storage if applicable
-    if (resource.content_type === 'file' && resource.storage_path) {
+    if (storagePaths.length > 0) {
       const { error: storageError } = await supabase.storage
         .from('resources')
-        .remove([resource.storage_path]);
+        .remove(storagePaths);
       if (storageError) {
         console.error('Admin delete: Storage cleanup failed (non-fatal):', storageError.message);
       }
@@ -545,6 +702,15 @@ router.delete('/resources/:id', authMiddleware, adminOnly, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Resource not found' });
     }
 
+    const resource = fetchResult.rows[0];
+    await recordAudit(req, {
+      action: 'resource.delete', targetType: 'resource', targetId: id, targetLabel: resource.title,
+      before: {
+        title: resource.title, subject_id: resource.subject_id, unit_id: resource.unit_id,
+        contributor_id: resource.contributor_id, review_status: resource.review_status,
+        visibility: resource.visibility, storage_path: resource.storage_path, external_url: resource.external_url,
+      },
+    }, client);
     await client.query('COMMIT');
     res.json({ success: true });
   } catch (err) {
@@ -556,23 +722,347 @@ router.delete('/resources/:id', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
+// ============================================================================
+// DUPLICATE REVIEW
+// ============================================================================
+
+const DUPLICATE_SIDE_SELECT = (alias, prefix) => `
+  json_build_object(
+    'id', ${alias}.id, 'title', ${alias}.title, 'content_type', ${alias}.content_type,
+    'file_format', ${alias}.file_format, 'review_status', ${alias}.review_status,
+    'visibility', ${alias}.visibility, 'created_at', ${alias}.created_at,
+    'view_count', ${alias}.view_count, 'download_count', ${alias}.download_count,
+    'subject_code', ${prefix}s.code, 'contributor_name', ${prefix}u.full_name
+  )`;
+
+// GET /api/admin/duplicates
+// Open duplicate flags, newest first. `resource` is the later upload,
+// `duplicate_of` the one it matches.
+router.get('/duplicates', authMiddleware, requirePermission('duplicate.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.id, d.match_type, d.similarity, d.detected_at,
+        ${DUPLICATE_SIDE_SELECT('r', 'r')} AS resource,
+        ${DUPLICATE_SIDE_SELECT('o', 'o')} AS duplicate_of
+      FROM resource_duplicates d
+      JOIN resources r ON d.resource_id = r.id
+      JOIN subjects rs ON r.subject_id = rs.id
+      LEFT JOIN users ru ON r.contributor_id = ru.id
+      JOIN resources o ON d.duplicate_of = o.id
+      JOIN subjects os ON o.subject_id = os.id
+      LEFT JOIN users ou ON o.contributor_id = ou.id
+      WHERE d.status = 'open'
+      ORDER BY d.detected_at DESC
+    `);
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching duplicates:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/duplicates/:id/dismiss
+// Not a duplicate: the pair stays recorded so it isn't flagged again.
+router.post('/duplicates/:id/dismiss', authMiddleware, requirePermission('duplicate.manage'), async (req, res) => {
+  try {
+    const flag = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE resource_duplicates
+        SET status = 'dismissed', resolved_by = $2, resolved_at = NOW()
+        WHERE id = $1 AND status = 'open'
+        RETURNING id, resource_id, duplicate_of
+      `, [req.params.id, req.user.id]);
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, {
+        action: 'duplicate.dismiss', targetType: 'duplicate', targetId: row.id,
+        before: { status: 'open', resource_id: row.resource_id, duplicate_of: row.duplicate_of },
+        after: { status: 'dismissed', resource_id: row.resource_id, duplicate_of: row.duplicate_of },
+      }, client);
+      return row;
+    });
+    if (!flag) {
+      return res.status(404).json({ success: false, error: 'Duplicate flag not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error dismissing duplicate:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/duplicates/:id/merge
+// Body: { keep: <resource id> } - one of the two resources in the pair.
+// The other one is deleted; its bookmarks, collection entries, reviews and
+// access counts move to the kept resource.
+router.post('/duplicates/:id/merge', authMiddleware, requirePermission('duplicate.manage'), async (req, res) => {
+  const { keep } = req.body || {};
+  const client = await pool.connect();
+  try {
+    const pairRes = await client.query(
+      `SELECT resource_id, duplicate_of FROM resource_duplicates WHERE id = $1 AND status = 'open'`,
+      [req.params.id]
+    );
+    if (pairRes.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Duplicate flag not found' });
+    }
+    const { resource_id, duplicate_of } = pairRes.rows[0];
+    if (keep !== resource_id && keep !== duplicate_of) {
+      return res.status(400).json({ success: false, error: 'keep must be one of the two resources' });
+    }
+    const discard = keep === resource_id ? duplicate_of : resource_id;
+
+    const storagePaths = await getResourceStoragePaths(discard, client);
+    await client.query('BEGIN');
+
+    await client.query(`
+      INSERT INTO bookmarks (user_id, resource_id, created_at)
+      SELECT user_id, $1, created_at FROM bookmarks WHERE resource_id = $2
+      ON CONFLICT DO NOTHING
+    `, [keep, discard]);
+    await client.query(`
+      INSERT INTO collection_items (collection_id, resource_id, added_at)
+      SELECT collection_id, $1, added_at FROM collection_items WHERE resource_id = $2
+      ON CONFLICT DO NOTHING
+    `, [keep, discard]);
+    await client.query(`
+      INSERT INTO resource_access_events (resource_id, user_id, event_type, event_date, created_at)
+      SELECT $1, user_id, event_type, event_date, created_at FROM resource_access_events WHERE resource_id = $2
+      ON CONFLICT DO NOTHING
+    `, [keep, discard]);
+    // A reviewer who rated both keeps the review they left on the kept resource
+    await client.query(`
+      UPDATE resource_reviews SET resource_id = $1
+      WHERE resource_id = $2
+        AND user_id NOT IN (SELECT user_id FROM resource_reviews WHERE resource_id = $1)
+    `, [keep, discard]);
+    await client.query(`
+      UPDATE resources SET
+        view_count = resources.view_count + other.view_count,
+        download_count = resources.download_count + other.download_count
+      FROM (SELECT view_count, download_count FROM resources WHERE id = $2) other
+      WHERE resources.id = $1
+    `, [keep, discard]);
+    await refreshResourceRating(keep, client);
+
+    const removed = await client.query('DELETE FROM resources WHERE id = $1 RETURNING title', [discard]);
+    await recordAudit(req, {
+      action: 'duplicate.merge', targetType: 'duplicate', targetId: req.params.id,
+      targetLabel: removed.rows[0]?.title,
+      before: { resources: [resource_id, duplicate_of] },
+      after: { resources: [keep] },
+    }, client);
+    await client.query('COMMIT');
+
+    if (storagePaths.length > 0) {
+      const { error: storageError } = await supabase.storage.from('resources').remove(storagePaths);
+      if (storageError) {
+        console.error('Duplicate merge: Storage cleanup failed (non-fatal):', storageError.message);
+      }
+    }
+    res.json({ success: true, data: { kept: keep, removed: discard } });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error merging duplicates:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================================================
+// REVIEW MODERATION
+// ============================================================================
+
+const REVIEW_MODERATION_SCOPES = {
+  reported: 'rv.report_count > 0 AND rv.is_hidden = FALSE',
+  hidden: 'rv.is_hidden = TRUE',
+  all: 'TRUE',
+};
+
+// GET /api/admin/reviews?filter=reported|hidden|all&search=
+// Reported reviews come first, most reported at the top
+router.get('/reviews', authMiddleware, requirePermission('review.moderate'), async (req, res) => {
+  try {
+    const scope = REVIEW_MODERATION_SCOPES[req.query.filter] || REVIEW_MODERATION_SCOPES.reported;
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+    const where = `WHERE ${scope}${search ? ' AND (rv.body ILIKE $1 OR r.title ILIKE $1 OR u.full_name ILIKE $1)' : ''}`;
+    const values = search ? [`%${search}%`] : [];
+    const from = `
+      FROM resource_reviews rv
+      JOIN resources r ON rv.resource_id = r.id
+      LEFT JOIN users u ON rv.user_id = u.id
+    `;
+
+    const [result, count] = await Promise.all([
+      pool.query(`
+        SELECT rv.*, r.title AS resource_title,
+               u.full_name AS author_name, u.email AS author_email,
+               hider.full_name AS hidden_by_name,
+               COALESCE((
+                 SELECT json_agg(json_build_object('reason', rr.reason, 'created_at', rr.created_at) ORDER BY rr.created_at DESC)
+                 FROM review_reports rr WHERE rr.review_id = rv.id
+               ), '[]') AS reports
+        ${from}
+        LEFT JOIN users hider ON rv.hidden_by = hider.id
+        ${where}
+        ORDER BY rv.report_count DESC, rv.created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, pagination.limit, pagination.offset]),
+      pool.query(`SELECT COUNT(*)::int AS total ${from} ${where}`, values),
+    ]);
+
+    const total = count.rows[0].total;
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching reviews for moderation:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/reviews/:id/hide — takes a review out of public view and the rating
+router.put('/reviews/:id/hide', authMiddleware, requirePermission('review.moderate'), async (req, res) => {
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) return res.status(400).json({ success: false, error: 'A reason is required' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      'SELECT is_hidden, hidden_reason FROM resource_reviews WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const result = await client.query(`
+      UPDATE resource_reviews
+      SET is_hidden = TRUE, hidden_reason = $2, hidden_by = $3, hidden_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, reason, req.user.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    const review = result.rows[0];
+    await refreshResourceRating(review.resource_id, client);
+    await recordAudit(req, {
+      action: 'review.hide', targetType: 'review', targetId: review.id,
+      before: before.rows[0],
+      after: { is_hidden: true, hidden_reason: reason },
+    }, client);
+    await client.query('COMMIT');
+
+    notifyUser({
+      userId: review.user_id,
+      resourceId: review.resource_id,
+      title: 'Review Hidden',
+      message: `Your review was hidden by an admin. Reason: ${reason}`,
+    });
+
+    res.json({ success: true, data: review });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error hiding review:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/reviews/:id/approve — keeps (or restores) a review and clears its reports
+router.put('/reviews/:id/approve', authMiddleware, requirePermission('review.moderate'), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      'SELECT is_hidden, hidden_reason, report_count FROM resource_reviews WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    const result = await client.query(`
+      UPDATE resource_reviews
+      SET is_hidden = FALSE, hidden_reason = NULL, hidden_by = NULL, hidden_at = NULL, report_count = 0
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    await client.query('DELETE FROM review_reports WHERE review_id = $1', [id]);
+    await refreshResourceRating(result.rows[0].resource_id, client);
+    await recordAudit(req, {
+      action: 'review.approve', targetType: 'review', targetId: id,
+      before: before.rows[0],
+      after: { is_hidden: false, hidden_reason: null, report_count: 0 },
+    }, client);
+    await client.query('COMMIT');
+    res.json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error approving review:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/admin/reviews/:id
+router.delete('/reviews/:id', authMiddleware, requirePermission('review.moderate'), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'DELETE FROM resource_reviews WHERE id = $1 RETURNING id, resource_id, user_id, rating, body, is_hidden',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    await refreshResourceRating(result.rows[0].resource_id, client);
+    await recordAudit(req, { action: 'review.delete', targetType: 'review', targetId: id, before: result.rows[0] }, client);
+    await client.query('COMMIT');
+    res.json({ success: true });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting review:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // ============================================================================
 // USERS LIST
 // ============================================================================
 
 // GET /api/admin/users — all users list
-router.get('/users', authMiddleware, adminOnly, async (req, res) => {
+router.get('/users', authMiddleware, requirePermission('user.view'), async (req, res) => {
   try {
     // 1. Fetch all users from public.users table (with faculty profile info)
     const dbResult = await pool.query(`
       SELECT
         u.id, u.full_name, u.email, u.role, u.is_suspended, u.is_verified, u.created_at,
+        u.batch, c.code AS course_code,
         CASE
           WHEN u.role = 'faculty' THEN fp.department
           ELSE NULL
         END AS department
       FROM users u
       LEFT JOIN faculty_profiles fp ON fp.user_id = u.id
+      LEFT JOIN courses c ON c.id = u.course_id
       ORDER BY u.created_at DESC
     `);
 
@@ -619,7 +1109,7 @@ router.get('/users', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
-router.post('/users/:id/verify', authMiddleware, adminOnly, async (req, res) => {
+router.post('/users/:id/verify', authMiddleware, requirePermission('user.verify'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1. Get user info from Auth to ensure they exist and have metadata
@@ -639,11 +1129,18 @@ router.post('/users/:id/verify', authMiddleware, adminOnly, async (req, res) =>
 
     // 3. Ensure user exists in local DB and mark as verified
     // Use ON CONFLICT to sync them if they were missing (is_pending_sync case)
-    await pool.query(`
-      INSERT INTO users (id, full_name, email, role, is_verified)
-      VALUES ($1, $2, $3, 'student', true)
-      ON CONFLICT (id) DO UPDATE SET is_verified = true
-    `, [id, authUser.user_metadata?.full_name || 'User', authUser.email]);
+    await withTransaction(async (client) => {
+      const before = await client.query('SELECT is_verified FROM users WHERE id = $1 FOR UPDATE', [id]);
+      await client.query(`
+        INSERT INTO users (id, full_name, email, role, is_verified)
+        VALUES ($1, $2, $3, 'student', true)
+        ON CONFLICT (id) DO UPDATE SET is_verified = true
+      `, [id, authUser.user_metadata?.full_name || 'User', authUser.email]);
+      await recordAudit(req, {
+        action: 'user.verify', targetType: 'user', targetId: id, targetLabel: authUser.email,
+        before: before.rows[0], after: { is_verified: true },
+      }, client);
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -652,7 +1149,7 @@ router.post('/users/:id/verify', authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
-router.post('/users/:id/unverify', authMiddleware, adminOnly, async (req, res) => {
+router.post('/users/:id/unverify', authMiddleware, requirePermission('user.verify'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1. Mark as unverified in Supabase Auth
@@ -665,7 +1162,19 @@ router.post('/users/:id/unverify', authMiddleware, adminOnly, async (req, res) =
     }
 
     // 2. Mark as unverified in local Users table
-    await pool.query('UPDATE users SET is_verified = false WHERE id = $1', [id]);
+    await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users u SET is_verified = false
+         FROM users old
+         WHERE u.id = $1 AND old.id = u.id
+         RETURNING u.email, old.is_verified AS was_verified`,
+        [id]
+      );
+      await recordAudit(req, {
+        action: 'user.unverify', targetType: 'user', targetId: id, targetLabel: result.rows[0]?.email,
+        before: { is_verified: result.rows[0]?.was_verified }, after: { is_verified: false },
+      }, client);
+    });
 
     res.json({ success: true });
   } catch (err) {
@@ -674,7 +1183,7 @@ router.post('/users/:id/unverify', authMiddleware, adminOnly, async (req, res) =
   }
 });
 
-router.post('/users/:id/suspend', authMiddleware, adminOnly, async (req, res) => {
+router.post('/users/:id/suspend', authMiddleware, requirePermission('user.suspend'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1. Get user info from Auth for sync
@@ -693,11 +1202,21 @@ router.post('/users/:id/suspend', authMiddleware, adminOnly, async (req, res) =>
     }
 
     // 3. Ensure user exists in local DB and suspend
-    await pool.query(`
-      INSERT INTO users (id, full_name, email, role, is_suspended)
-      VALUES ($1, $2, $3, 'student', true)
-      ON CONFLICT (id) DO UPDATE SET is_suspended = true
-    `, [id, authUser.user_metadata?.full_name || 'User', authUser.email]);
+    await withTransaction(async (client) => {
+      const before = await client.query('SELECT is_suspended FROM users WHERE id = $1 FOR UPDATE', [id]);
+      await client.query(`
+        INSERT INTO users (id, full_name, email, role, is_suspended)
+        VALUES ($1, $2, $3, 'student', true)
+        ON CONFLICT (id) DO UPDATE SET is_suspended = true
+      `, [id, authUser.user_metadata?.full_name || 'User', authUser.email]);
+      await recordAudit(req, {
+        action: 'user.suspend', targetType: 'user', targetId: id, targetLabel: authUser.email,
+        before: before.rows[0], after: { is_suspended: true },
+      }, client);
+    });
+
+    // 4. Drop their live connections; reconnecting fails while suspended
+    disconnectUser(id);
 
     res.json({ success: true });
   } catch (err) {
@@ -706,7 +1225,7 @@ router.post('/users/:id/suspend', authMiddleware, adminOnly, async (req, res) =>
   }
 });
 
-router.post('/users/:id/unsuspend', authMiddleware, adminOnly, async (req, res) => {
+router.post('/users/:id/unsuspend', authMiddleware, requirePermission('user.suspend'), async (req, res) => {
   const { id } = req.params;
   try {
     // 1. Lift ban in Supabase Auth
@@ -719,7 +1238,19 @@ router.post('/users/:id/unsuspend', authMiddleware, adminOnly, async (req, res)
     }
 
     // 2. Update local DB
-    await pool.query('UPDATE users SET is_suspended = false WHERE id = $1', [id]);
+    await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users u SET is_suspended = false
+         FROM users old
+         WHERE u.id = $1 AND old.id = u.id
+         RETURNING u.email, old.is_suspended AS was_suspended`,
+        [id]
+      );
+      await recordAudit(req, {
+        action: 'user.unsuspend', targetType: 'user', targetId: id, targetLabel: result.rows[0]?.email,
+        before: { is_suspended: result.rows[0]?.was_suspended }, after: { is_suspended: false },
+      }, client);
+    });
     res.json({ success: true });
   } catch (err) {
     console.error('Error unsuspending user:', err);
@@ -728,11 +1259,247 @@ router.post('/users/:id/unsuspend', authMiddleware, adminOnly, async (req, res)
 });
 
 
+// ============================================================================
+// ROSTER IMPORT
+// ============================================================================
+
+function checkRosterRequest(req) {
+  const { rows } = req.body || {};
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { status: 400, error: 'rows must be a non-empty array' };
+  }
+  if (rows.length > MAX_ROSTER_ROWS) {
+    return { status: 400, error: `At most ${MAX_ROSTER_ROWS} users can be imported at once` };
+  }
+  return null;
+}
+
+// POST /api/admin/users/import/validate
+// Body: { rows: [{ email, full_name, role, course_code, batch }] }
+// Dry run: what importing these rows would do, row by row, without creating anything
+router.post('/users/import/validate', authMiddleware, requirePermission('user.import'), async (req, res) => {
+  try {
+    const rowsError = checkRosterRequest(req);
+    if (rowsError) return res.status(rowsError.status).json({ success: false, error: rowsError.error });
+
+    const results = await checkRoster(req.body.rows, req.user);
+    const counts = { ready: 0, exists: 0, invalid: 0 };
+    for (const r of results) counts[r.status]++;
+    res.json({ success: true, data: { results, counts } });
+  } catch (err) {
+    console.error('Error validating roster:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/users/import
+// Body: { rows, filename, send_invites }
+// Creates the accounts and returns the import with its per-row results
+router.post('/users/import', authMiddleware, requirePermission('user.import'), async (req, res) => {
+  try {
+    const rowsError = checkRosterRequest(req);
+    if (rowsError) return res.status(rowsError.status).json({ success: false, error: rowsError.error });
+
+    const { filename, send_invites } = req.body;
+    const summary = await importRoster(req, req.body.rows, {
+      filename: typeof filename === 'string' ? filename.slice(0, 255) : null,
+      sendInvites: send_invites === true,
+    });
+    const rows = await pool.query(
+      'SELECT * FROM roster_import_rows WHERE import_id = $1 ORDER BY row_number',
+      [summary.id]
+    );
+    res.status(201).json({ success: true, data: { ...summary, rows: rows.rows } });
+  } catch (err) {
+    console.error('Error importing roster:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/users/imports — past imports, newest first
+router.get('/users/imports', authMiddleware, requirePermission('user.import'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+    const [result, countRes] = await Promise.all([
+      pool.query(`
+        SELECT ri.*, u.full_name AS imported_by_name
+        FROM roster_imports ri
+        LEFT JOIN users u ON u.id = ri.imported_by
+        ORDER BY ri.created_at DESC
+        LIMIT $1 OFFSET $2
+      `, [pagination.limit, pagination.offset]),
+      pool.query('SELECT COUNT(*)::int AS total FROM roster_imports'),
+    ]);
+
+    const { total } = countRes.rows[0];
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching roster imports:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/users/imports/:id — one import with the outcome of every row
+router.get('/users/imports/:id', authMiddleware, requirePermission('user.import'), async (req, res) => {
+  try {
+    const importRes = await pool.query(`
+      SELECT ri.*, u.full_name AS imported_by_name
+      FROM roster_imports ri
+      LEFT JOIN users u ON u.id = ri.imported_by
+      WHERE ri.id = $1
+    `, [req.params.id]);
+    if (importRes.rows.length === 0) return res.status(404).json({ success: false, error: 'Import not found' });
+
+    const rows = await pool.query(
+      'SELECT * FROM roster_import_rows WHERE import_id = $1 ORDER BY row_number',
+      [req.params.id]
+    );
+    res.json({ success: true, data: { ...importRes.rows[0], rows: rows.rows } });
+  } catch (err) {
+    console.error('Error fetching roster import:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// ============================================================================
+// ROLES & PERMISSIONS
+// ============================================================================
+
+// GET /api/admin/roles — every role with its permissions and user count, plus the permission catalog
+router.get('/roles', authMiddleware, requirePermission('role.manage'), async (req, res) => {
+  try {
+    const [rolesRes, grantsRes] = await Promise.all([
+      pool.query(`
+        SELECT ro.name, ro.label, ro.description,
+               (SELECT COUNT(*)::int FROM users u WHERE u.role = ro.name) AS user_count
+        FROM roles ro
+        ORDER BY ro.created_at, ro.name
+      `),
+      pool.query('SELECT role, permission FROM role_permissions'),
+    ]);
+
+    const roles = rolesRes.rows.map(role => ({
+      ...role,
+      permissions: role.name === SUPER_ROLE
+        ? Object.keys(PERMISSIONS)
+        : grantsRes.rows.filter(g => g.role === role.name && PERMISSIONS[g.permission]).map(g => g.permission),
+      locked: role.name === SUPER_ROLE,
+      from_email: EMAIL_ROLES.includes(role.name),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/roles/:name — replace the permissions a role grants
+router.put('/roles/:name', authMiddleware, requirePermission('role.manage'), async (req, res) => {
+  const { name } = req.params;
+  const { permissions } = req.body || {};
+  if (name === SUPER_ROLE) {
+    return res.status(400).json({ success: false, error: 'Administrators always hold every permission' });
+  }
+  if (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS[p])) {
+    return res.status(400).json({ success: false, error: 'permissions must be a list of known permissions' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const roleRes = await client.query('SELECT name FROM roles WHERE name = $1 FOR UPDATE', [name]);
+    if (roleRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+    const previous = await client.query(
+      'DELETE FROM role_permissions WHERE role = $1 RETURNING permission',
+      [name]
+    );
+    await client.query(
+      'INSERT INTO role_permissions (role, permission) SELECT $1, unnest($2::text[])',
+      [name, [...new Set(permissions)]]
+    );
+    await recordAudit(req, {
+      action: 'role.update', targetType: 'role', targetId: name,
+      before: { permissions: previous.rows.map(r => r.permission).sort() },
+      after: { permissions: [...new Set(permissions)].sort() },
+    }, client);
+    await client.query('COMMIT');
+    invalidatePolicy();
+
+    res.json({ success: true, data: { name, permissions: [...new Set(permissions)] } });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating role permissions:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/users/:id/role — give a user a role, or { role: null } to go
+// back to the one their email address implies (student, alumni or faculty)
+router.put('/users/:id/role', authMiddleware, requirePermission('role.manage'), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body || {};
+  if (id === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+  }
+  if (role != null && (typeof role !== 'string' || EMAIL_ROLES.includes(role))) {
+    return res.status(400).json({ success: false, error: 'Pick an assignable role, or none to follow the email address' });
+  }
+
+  try {
+    if (role) {
+      const roleRes = await pool.query('SELECT name FROM roles WHERE name = $1', [role]);
+      if (roleRes.rows.length === 0) return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    const user = await withTransaction(async (client) => {
+      const userRes = await client.query('SELECT email, role FROM users WHERE id = $1 FOR UPDATE', [id]);
+      if (userRes.rows.length === 0) return null;
+
+      const result = await client.query(
+        'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, full_name, email, role',
+        [role || computeRole(userRes.rows[0].email), id]
+      );
+      const updated = result.rows[0];
+      await recordAudit(req, {
+        action: 'user.role_change', targetType: 'user', targetId: id, targetLabel: updated.email,
+        before: { role: userRes.rows[0].role }, after: { role: updated.role },
+      }, client);
+      return updated;
+    });
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    res.json({ success: true, data: user });
+  } catch (err) {
+    console.error('Error changing user role:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // ============================================================================
 // FACULTY FULL LIST (separate from approval workflow)
 // ============================================================================
 
-router.get('/faculty/list', authMiddleware, adminOnly, async (req, res) => {
+router.get('/faculty/list', authMiddleware, requirePermission('faculty.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
@@ -761,7 +1528,7 @@ router.get('/faculty/list', authMiddleware, adminOnly, async (req, res) => {
 });
 
 // PUT /api/admin/faculty/:id — update a faculty profile (full edit)
-router.put('/faculty/:id', authMiddleware, adminOnly, async (req, res) => {
+router.put('/faculty/:id', authMiddleware, requirePermission('faculty.manage'), async (req, res) => {
   const { id } = req.params; // this is the user_id
   const {
     department, employee_id, education, research_interests, phd_topic,
@@ -770,40 +1537,184 @@ router.put('/faculty/:id', authMiddleware, adminOnly, async (req, res) => {
   } = req.body;
 
   try {
-    const result = await pool.query(
-      `UPDATE faculty_profiles 
-       SET department = $1, employee_id = $2, education = $3, 
-           research_interests = $4, phd_topic = $5,
-           open_for_interns = $6, open_for_research = $7, open_for_mentoring = $8,
-           internship_details = $9, research_details = $10, mentoring_details = $11,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE user_id = $12
-       RETURNING *`,
-      [
-        department, employee_id, education, research_interests, phd_topic,
-        open_for_interns, open_for_research, open_for_mentoring,
-        internship_details, research_details, mentoring_details,
-        id
-      ]
-    );
+    const profile = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM faculty_profiles WHERE user_id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE faculty_profiles 
+         SET department = $1, employee_id = $2, education = $3, 
+             research_interests = $4, phd_topic = $5,
+             open_for_interns = $6, open_for_research = $7, open_for_mentoring = $8,
+             internship_details = $9, research_details = $10, mentoring_details = $11,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $12
+         RETURNING *`,
+        [
+          department, employee_id, education, research_interests, phd_topic,
+          open_for_interns, open_for_research, open_for_mentoring,
+          internship_details, research_details, mentoring_details,
+          id
+        ]
+      );
+      if (result.rows.length === 0) return null;
+
+      const facultyRes = await client.query('SELECT email FROM users WHERE id = $1', [id]);
+      await recordAudit(req, {
+        action: 'faculty.update', targetType: 'user', targetId: id, targetLabel: facultyRes.rows[0]?.email,
+        before: before.rows[0], after: result.rows[0],
+      }, client);
+      return result.rows[0];
+    });
 
-    if (result.rows.length === 0) {
+    if (!profile) {
       return res.status(404).json({ success: false, error: 'Faculty profile not found' });
     }
 
-    res.json({ success: true, data: result.rows[0] });
+    res.json({ success: true, data: profile });
   } catch (err) {
     console.error('Error updating faculty profile:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// ============================================================================
+// FACULTY APPROVALS
+// ============================================================================
+
+const FACULTY_STATUSES = ['pending', 'approved', 'rejected'];
+
+// GET /api/admin/faculty/requests?status=pending|approved|rejected|all
+// Faculty applications, oldest pending first, with the count in each status
+router.get('/faculty/requests', authMiddleware, requirePermission('faculty.approve'), async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null
+      : FACULTY_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+    const where = status ? 'WHERE fp.status = $1' : '';
+    const values = status ? [status] : [];
+
+    const [result, counts] = await Promise.all([
+      pool.query(`
+        SELECT u.id, u.full_name, u.email, u.created_at,
+          fp.status, fp.department, fp.employee_id, fp.education, fp.research_interests,
+          fp.rejection_reason, fp.submitted_at, fp.reviewed_at,
+          reviewer.full_name AS reviewed_by_name
+        FROM faculty_profiles fp
+        JOIN users u ON u.id = fp.user_id
+        LEFT JOIN users reviewer ON reviewer.id = fp.reviewed_by
+        ${where}
+        ORDER BY ${status === 'pending' ? 'fp.submitted_at ASC' : 'COALESCE(fp.reviewed_at, fp.submitted_at) DESC'}
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, pagination.limit, pagination.offset]),
+      pool.query('SELECT status, COUNT(*)::int AS count FROM faculty_profiles GROUP BY status'),
+    ]);
+
+    const byStatus = Object.fromEntries(FACULTY_STATUSES.map(s => [s, 0]));
+    for (const row of counts.rows) if (row.status in byStatus) byStatus[row.status] = row.count;
+    const total = status ? byStatus[status] : Object.values(byStatus).reduce((a, b) => a + b, 0);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      counts: byStatus,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching faculty requests:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const FACULTY_DECISIONS = {
+  approved: {
+    action: 'faculty.approve',
+    title: 'Faculty Profile Approved',
+    message: () => 'Your faculty registration was approved. Your profile is now listed in the faculty directory.',
+  },
+  rejected: {
+    action: 'faculty.reject',
+    title: 'Faculty Registration Rejected',
+    message: (reason) => `Your faculty registration was rejected. Reason: ${reason}. Update your profile to apply again.`,
+  },
+};
+
+// Approve or reject a faculty application and tell the applicant. A
+// rejection needs a reason; either decision can later be reversed.
+async function decideFaculty(req, res, status) {
+  const { id } = req.params;
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+  if (status === 'rejected' && !reason) {
+    return res.status(400).json({ success: false, error: 'A rejection reason is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      `SELECT fp.status, fp.rejection_reason, u.email
+       FROM faculty_profiles fp JOIN users u ON u.id = fp.user_id
+       WHERE fp.user_id = $1
+       FOR UPDATE OF fp`,
+      [id]
+    );
+    if (before.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Faculty profile not found' });
+    }
+    const { email, ...previous } = before.rows[0];
+    if (previous.status === status) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ success: false, error: `This application is already ${status}` });
+    }
+
+    const result = await client.query(`
+      UPDATE faculty_profiles
+      SET status = $2, rejection_reason = $3, reviewed_by = $4, reviewed_at = NOW()
+      WHERE user_id = $1
+      RETURNING user_id, status, rejection_reason, reviewed_at
+    `, [id, status, status === 'rejected' ? reason : null, req.user.id]);
+    const profile = result.rows[0];
+
+    const decision = FACULTY_DECISIONS[status];
+    await recordAudit(req, {
+      action: decision.action, targetType: 'user', targetId: id, targetLabel: email,
+      before: previous,
+      after: { status: profile.status, rejection_reason: profile.rejection_reason },
+    }, client);
+    await client.query('COMMIT');
+
+    notifyUser({ userId: id, title: decision.title, message: decision.message(reason) });
+
+    res.json({ success: true, data: profile });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`Error setting faculty status to ${status}:`, err);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+}
+
+// POST /api/admin/faculty/:id/approve
+router.post('/faculty/:id/approve', authMiddleware, requirePermission('faculty.approve'), (req, res) =>
+  decideFaculty(req, res, 'approved')
+);
+
+// POST /api/admin/faculty/:id/reject — body: { reason }
+router.post('/faculty/:id/reject', authMiddleware, requirePermission('faculty.approve'), (req, res) =>
+  decideFaculty(req, res, 'rejected')
+);
+
 // ============================================================================
 // CONTACT MESSAGES
 // ============================================================================
 
 // GET /api/admin/messages — list all contact messages (newest first)
-router.get('/messages', authMiddleware, adminOnly, async (req, res) => {
+router.get('/messages', authMiddleware, requirePermission('message.manage'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT id, name, email, subject, message, is_read, created_at
@@ -818,14 +1729,26 @@ router.get('/messages', authMiddleware, adminOnly, async (req, res) => {
 });
 
 // PATCH /api/admin/messages/:id/read — mark a message as read
-router.patch('/messages/:id/read', authMiddleware, adminOnly, async (req, res) => {
+router.patch('/messages/:id/read', authMiddleware, requirePermission('message.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(
-      `UPDATE contact_messages SET is_read = true WHERE id = $1 RETURNING id`,
-      [id]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Message not found' });
+    const message = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE contact_messages m SET is_read = true
+         FROM contact_messages old
+         WHERE m.id = $1 AND old.id = m.id
+         RETURNING m.id, m.subject, old.is_read AS was_read`,
+        [id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, {
+        action: 'message.read', targetType: 'message', targetId: id, targetLabel: row.subject,
+        before: { is_read: row.was_read }, after: { is_read: true },
+      }, client);
+      return row;
+    });
+    if (!message) return res.status(404).json({ success: false, error: 'Message not found' });
     res.json({ success: true });
   } catch (err) {
     console.error('Error marking message as read:', err);
@@ -834,11 +1757,23 @@ router.patch('/messages/:id/read', authMiddleware, adminOnly, async (req, res) =
 });
 
 // DELETE /api/admin/messages/:id — delete a message
-router.delete('/messages/:id', authMiddleware, adminOnly, async (req, res) => {
+router.delete('/messages/:id', authMiddleware, requirePermission('message.manage'), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query(`DELETE FROM contact_messages WHERE id = $1 RETURNING id`, [id]);
-    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Message not found' });
+    const message = await withTransaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM contact_messages WHERE id = $1 RETURNING id, name, email, subject, message, is_read, created_at`,
+        [id]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      await recordAudit(req, {
+        action: 'message.delete', targetType: 'message', targetId: id, targetLabel: row.subject,
+        before: row,
+      }, client);
+      return row;
+    });
+    if (!message) return res.status(404).json({ success: false, error: 'Message not found' });
     res.json({ success: true });
   } catch (err) {
     console.error('Error deleting message:', err);
@@ -846,5 +1781,217 @@ router.delete('/messages/:id', authMiddleware, adminOnly, async (req, res) => {
   }
 });
 
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+const JOB_STATUSES = ['queued', 'running', 'failed', 'completed', 'cancelled'];
+
+// GET /api/admin/jobs?status=queued|running|failed|completed|cancelled|all
+// Jobs of the background queue, most recently changed first, with the count
+// of jobs in each status for the filter tabs
+router.get('/jobs', authMiddleware, requirePermission('job.manage'), async (req, res) => {
+  try {
+    const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const pagination = parsePagination(req.query, { defaultLimit: 20 });
+    const where = status ? 'WHERE j.status = $1' : '';
+    const values = status ? [status] : [];
+
+    const [result, counts] = await Promise.all([
+      pool.query(`
+        SELECT j.*, r.title AS resource_title, r.file_format
+        FROM jobs j
+        LEFT JOIN resources r ON j.resource_id = r.id
+        ${where}
+        ORDER BY j.updated_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, pagination.limit, pagination.offset]),
+      pool.query('SELECT status, COUNT(*)::int AS count FROM jobs GROUP BY status'),
+    ]);
+
+    const byStatus = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    for (const row of counts.rows) byStatus[row.status] = row.count;
+    const total = status ? byStatus[status] : Object.values(byStatus).reduce((a, b) => a + b, 0);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      counts: byStatus,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/jobs/:id/retry — requeue a failed or cancelled job with fresh attempts
+router.post('/jobs/:id/retry', authMiddleware, requirePermission('job.manage'), async (req, res) => {
+  try {
+    const job = await withTransaction(async (client) => {
+      const before = await client.query('SELECT status, attempts FROM jobs WHERE id = $1 FOR UPDATE', [req.params.id]);
+      const retried = await retryJob(req.params.id, client);
+      if (!retried) return null;
+      await recordAudit(req, {
+        action: 'job.retry', targetType: 'job', targetId: retried.id, targetLabel: retried.type,
+        before: before.rows[0], after: { status: retried.status, attempts: retried.attempts },
+      }, client);
+      return retried;
+    });
+    if (!job) {
+      return res.status(409).json({ success: false, error: 'Only failed or cancelled jobs can be retried' });
+    }
+    res.json({ success: true, data: job });
+  } catch (err) {
+    console.error('Error retrying job:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/jobs/:id/cancel — cancel a job that hasn't started yet
+router.post('/jobs/:id/cancel', authMiddleware, requirePermission('job.manage'), async (req, res) => {
+  try {
+    const job = await withTransaction(async (client) => {
+      const cancelled = await cancelJob(req.params.id, client);
+      if (!cancelled) return null;
+      await recordAudit(req, {
+        action: 'job.cancel', targetType: 'job', targetId: cancelled.id, targetLabel: cancelled.type,
+        before: { status: 'queued' }, after: { status: cancelled.status },
+      }, client);
+      return cancelled;
+    });
+    if (!job) {
+      return res.status(409).json({ success: false, error: 'Only queued jobs can be cancelled' });
+    }
+    res.json({ success: true, data: job });
+  } catch (err) {
+    console.error('Error cancelling job:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const AUDIT_EXPORT_LIMIT = 50000;
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Filters shared by the viewer and the CSV export: actor_id, action,
+// target_type, target (an id, or part of the target's name) and
+// from / to (YYYY-MM-DD, both inclusive). Returns { sql, values } with `?`
+// placeholders.
+function buildAuditFilters(query) {
+  const conditions = [];
+  const values = [];
+  const add = (sql, ...params) => { conditions.push(sql); values.push(...params); };
+
+  if (query.actor_id) add('a.actor_id::text = ?', query.actor_id);
+  if (AUDIT_ACTIONS[query.action]) add('a.action = ?', query.action);
+  if (query.target_type) add('a.target_type = ?', query.target_type);
+  const target = typeof query.target === 'string' ? query.target.trim() : '';
+  if (target) add('(a.target_id = ? OR a.target_label ILIKE ?)', target, `%${target}%`);
+  if (isDate(query.from)) add('a.created_at >= ?::date', query.from);
+  if (isDate(query.to)) add(`a.created_at < ?::date + INTERVAL '1 day'`, query.to);
+
+  return { sql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+// GET /api/admin/audit?actor_id=&action=&target_type=&target=&from=&to=&page=
+// Newest first, with the admins, actions and target types there are to filter by
+router.get('/audit', authMiddleware, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { defaultLimit: 50 });
+    const where = buildAuditFilters(req.query);
+
+    const [result, count, actors, targetTypes] = await Promise.all([
+      pool.query(
+        numberPlaceholders(`SELECT a.* FROM admin_audit_log a ${where.sql} ORDER BY a.created_at DESC, a.id LIMIT ? OFFSET ?`),
+        [...where.values, pagination.limit, pagination.offset]
+      ),
+      pool.query(numberPlaceholders(`SELECT COUNT(*)::int AS total FROM admin_audit_log a ${where.sql}`), where.values),
+      pool.query(`
+        SELECT DISTINCT ON (actor_id) actor_id AS id, actor_name AS full_name, actor_email AS email
+        FROM admin_audit_log
+        WHERE actor_id IS NOT NULL
+        ORDER BY actor_id, created_at DESC
+      `),
+      pool.query('SELECT DISTINCT target_type FROM admin_audit_log ORDER BY target_type'),
+    ]);
+
+    const total = count.rows[0].total;
+    const actorName = (a) => a.full_name || a.email || '';
+    res.json({
+      success: true,
+      data: result.rows,
+      filters: {
+        actors: actors.rows.sort((a, b) => actorName(a).localeCompare(actorName(b))),
+        actions: Object.entries(AUDIT_ACTIONS).map(([key, label]) => ({ key, label })),
+        target_types: targetTypes.rows.map(r => r.target_type),
+      },
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+const AUDIT_CSV_COLUMNS = [
+  ['created_at', 'Time'],
+  ['actor_name', 'Admin'],
+  ['actor_email', 'Admin email'],
+  ['action', 'Action'],
+  ['target_type', 'Target type'],
+  ['target_id', 'Target ID'],
+  ['target_label', 'Target'],
+  ['changes', 'Changes'],
+  ['ip', 'IP'],
+];
+
+// Quotes a CSV field, and defuses values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET /api/admin/audit/export — the filtered log as CSV (same filters as
+// GET /audit, newest first, at most AUDIT_EXPORT_LIMIT rows)
+router.get('/audit/export', authMiddleware, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const where = buildAuditFilters(req.query);
+    const result = await pool.query(
+      numberPlaceholders(`SELECT a.* FROM admin_audit_log a ${where.sql} ORDER BY a.created_at DESC, a.id LIMIT ?`),
+      [...where.values, AUDIT_EXPORT_LIMIT]
+    );
+
+    const lines = [
+      AUDIT_CSV_COLUMNS.map(([, header]) => header).join(','),
+      ...result.rows.map(row => AUDIT_CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(',')),
+    ];
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(lines.join('\r\n') + '\r\n');
+  } catch (err) {
+    console.error('Error exporting audit log:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 export default router;
 
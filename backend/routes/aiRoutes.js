@@ -1,57 +1,190 @@
 import express from 'express';
 import pool from '../db.js';
 import { authMiddleware } from '../middleware/auth.js';
-import { chatWithAI } from '../utils/ai.js';
+import { chatWithAI, streamChatWithAI } from '../utils/ai.js';
+import { getViewableResource } from '../utils/dbHelpers.js';
+import { retrievePassages } from '../utils/passageIndex.js';
+import { chatMessageSchema, chatThreadSchema } from '../validators/chatValidator.js';
 
 const router = express.Router();
+const MAX_HISTORY_MESSAGES = 20; // earlier turns are left out of the prompt
+const THREAD_TITLE_LENGTH = 60;
+
+// Thread titles start as the opening question, cut at a word boundary
+function titleFromMessage(message) {
+  const oneLine = message.replace(/\s+/g, ' ').trim();
+  if (oneLine.length <= THREAD_TITLE_LENGTH) return oneLine;
+  const cut = oneLine.slice(0, THREAD_TITLE_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : THREAD_TITLE_LENGTH)}…`;
+}
+
+async function getOwnThread(threadId, userId, client = pool) {
+  const result = await client.query(
+    'SELECT * FROM chat_threads WHERE id = $1 AND user_id = $2',
+    [threadId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// The latest turns of a thread, oldest first, as chatWithAI expects them
+async function loadThreadHistory(threadId) {
+  const result = await pool.query(`
+    SELECT role, message FROM (
+      SELECT role, message, created_at FROM chat_history
+      WHERE thread_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    ) recent
+    ORDER BY created_at ASC
+  `, [threadId, MAX_HISTORY_MESSAGES]);
+  return result.rows;
+}
+
+// The passages the answer actually cites ([n] markers), in number order
+function collectCitations(answer, passages) {
+  const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(m => Number(m[1])));
+  return [...cited]
+    .filter(n => n >= 1 && n <= passages.length)
+    .sort((a, b) => a - b)
+    .map(n => {
+      const p = passages[n - 1];
+      return {
+        number: n,
+        resource_id: p.resource_id,
+        title: p.title,
+        subject_code: p.subject_code,
+        unit_number: p.unit_number,
+      };
+    });
+}
 
 /**
- * POST /api/chat
- * Main entry point for the AI Academic Assistant.
+ * Everything the assistant needs to answer a chat request: the thread's
+ * earlier turns, the resource being viewed and the matching passages.
+ * Returns { status, error } if the request can't be answered.
  */
-router.post('/', authMiddleware, async (req, res) => {
+async function prepareChat(body, user) {
+  const validation = chatMessageSchema.safeParse(body || {});
+  if (!validation.success) {
+    return { status: 400, error: validation.error.issues[0].message };
+  }
+  const { message, resourceId, threadId } = validation.data;
+
+  let thread = null;
+  let history = [];
+  if (threadId) {
+    thread = await getOwnThread(threadId, user.id);
+    if (!thread) return { status: 404, error: 'Conversation not found' };
+    history = await loadThreadHistory(thread.id);
+  }
+
+  // 1. Fetch current resource context if resourceId provided
+  let context = null;
+  if (resourceId && await getViewableResource(resourceId, user)) {
+    const resourceRes = await pool.query(`
+      SELECT r.id, r.title, r.description, r.resource_type, s.name as subject_name, u.full_name as faculty_name
+      FROM resources r
+      JOIN subjects s ON r.subject_id = s.id
+      LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
+      LEFT JOIN users u ON so.faculty_id = u.id
+      WHERE r.id = $1
+    `, [resourceId]);
+    context = resourceRes.rows[0];
+  }
+
+  // 2. Fetch Global Hub Stats (minimal context for conciseness)
+  const statsRes = await pool.query('SELECT COUNT(*) FROM resources');
+  
+  // We only provide counts and basic info to keep it small as requested.
+  const globalContext = {
+    totalResources: statsRes.rows[0].count
+  };
+
+  // 3. Retrieve relevant passages; without them the assistant still answers
+  //    platform questions, so a retrieval failure isn't fatal
+  let passages = [];
   try {
-    const { message, resourceId, history = [] } = req.body;
+    passages = await retrievePassages(message, user, { resourceId: context?.id || null });
+  } catch (retrievalError) {
+    console.error('Passage retrieval failed:', retrievalError);
+  }
+
+  return { message, thread, history, context, globalContext, passages };
+}
 
-    if (!message) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
+async function createThread(userId, message, resourceId, client = pool) {
+  const result = await client.query(
+    'INSERT INTO chat_threads (user_id, title, resource_id) VALUES ($1, $2, $3) RETURNING *',
+    [userId, titleFromMessage(message), resourceId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Saves a question and its answer to `thread`, starting a new thread if it's
+ * null. Returns the thread and the saved answer row.
+ */
+async function saveExchange({ thread, user, message, answer, passages, resourceId }) {
+  const citations = collectCitations(answer, passages);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!thread) {
+      thread = await createThread(user.id, message, resourceId, client);
+    } else {
+      await client.query('UPDATE chat_threads SET updated_at = NOW() WHERE id = $1', [thread.id]);
     }
+    // The answer is stamped a moment after the question so they sort in order
+    const insertRes = await client.query(`
+      INSERT INTO chat_history (user_id, thread_id, resource_id, role, message, citations, created_at)
+      VALUES ($1, $2, $3, 'user', $4, '[]', NOW()),
+             ($1, $2, $3, 'model', $5, $6, NOW() + INTERVAL '1 millisecond')
+      RETURNING id, thread_id, resource_id, role, message, citations, created_at
+    `, [user.id, thread.id, resourceId, message, answer, JSON.stringify(citations)]);
+    await client.query('COMMIT');
+    return { thread, saved: insertRes.rows.find(row => row.role === 'model') };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-    // 1. Fetch current resource context if resourceId provided
-    let context = null;
-    if (resourceId) {
-      const resourceRes = await pool.query(`
-        SELECT r.id, r.title, r.description, r.resource_type, s.name as subject_name, u.full_name as faculty_name
-        FROM resources r
-        JOIN subjects s ON r.subject_id = s.id
-        LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
-        LEFT JOIN users u ON so.faculty_id = u.id
-        WHERE r.id = $1
-      `, [resourceId]);
-      context = resourceRes.rows[0];
+/**
+ * POST /api/chat
+ * Main entry point for the AI Academic Assistant. Answers from passages of
+ * the documents the user may open, and returns the ones it cites.
+ * Body: { message, resourceId?, threadId? }. Without threadId a new thread is
+ * started; either way the earlier turns are read from the thread, and both
+ * the question and the answer are saved to it.
+ */
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const prepared = await prepareChat(req.body, req.user);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ success: false, error: prepared.error });
     }
+    const { message, history, context, globalContext, passages } = prepared;
 
-    // 2. Fetch Global Hub Stats (minimal context for conciseness)
-    const statsRes = await pool.query('SELECT COUNT(*) FROM resources');
-    
-    // We only provide counts and basic info to keep it small as requested.
-    const globalContext = {
-      totalResources: statsRes.rows[0].count
-    };
-
-    // 3. Get AI Response
-    const aiResponse = await chatWithAI(history, message, context, globalContext);
-
-    // 4. Return the response
-    res.json({ 
-      success: true, 
-      data: {
-        id: Date.now(),
-        message: aiResponse,
-        role: 'model',
-        created_at: new Date().toISOString(),
-        resource_id: resourceId || null
-      } 
+    // 4. Get AI Response
+    const aiResponse = await chatWithAI(history, message, context, globalContext, passages);
+
+    // 5. Save the exchange to the thread
+    const { thread, saved } = await saveExchange({
+      thread: prepared.thread,
+      user: req.user,
+      message,
+      answer: aiResponse,
+      passages,
+      resourceId: context?.id || null
+    });
+
+    // 6. Return the response
+    res.json({
+      success: true,
+      data: saved,
+      thread: { id: thread.id, title: thread.title }
     });
 
   } catch (error) {
@@ -73,4 +206,173 @@ router.post('/', authMiddleware, async (req, res) => {
 
 });
 
+/**
+ * POST /api/chat/stream
+ * Same as POST /api/chat, but the answer is streamed as server-sent events:
+ *   thread  { id, title }      first, so a new conversation can be resumed
+ *   token   { text }           each piece of the answer as it is generated
+ *   done    { data, thread }   the saved answer with its citations
+ *   error   { error }          generation failed; nothing is saved
+ * Closing the connection stops generation; whatever was generated by then is
+ * saved as the answer.
+ */
+router.post('/stream', authMiddleware, async (req, res) => {
+  let prepared;
+  let thread;
+  try {
+    prepared = await prepareChat(req.body, req.user);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ success: false, error: prepared.error });
+    }
+    // Created up front so the client knows where a stopped answer went
+    thread = prepared.thread || await createThread(req.user.id, prepared.message, prepared.context?.id || null);
+  } catch (error) {
+    console.error('Error in chat stream route:', error);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+  const { message, history, context, globalContext, passages } = prepared;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+  const send = (event, data) => {
+    if (!abort.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('thread', { id: thread.id, title: thread.title });
+
+  let answer = '';
+  let failure = null;
+  try {
+    await streamChatWithAI(history, message, context, globalContext, passages, {
+      signal: abort.signal,
+      onToken: (text) => {
+        // Keep exactly what the user saw before stopping
+        if (abort.signal.aborted) return;
+        answer += text;
+        send('token', { text });
+      }
+    });
+  } catch (error) {
+    failure = error;
+  }
+  const stopped = abort.signal.aborted;
+
+  try {
+    if (answer && (!failure || stopped)) {
+      const { saved } = await saveExchange({
+        thread,
+        user: req.user,
+        message,
+        answer,
+        passages,
+        resourceId: context?.id || null
+      });
+      send('done', { data: saved, thread: { id: thread.id, title: thread.title } });
+    } else {
+      if (failure && !stopped) {
+        console.error('Error in chat stream route:', failure);
+        send('error', { error: failure.message || 'Failed to process chat' });
+      }
+      // Don't leave an empty conversation behind
+      if (!prepared.thread) await pool.query('DELETE FROM chat_threads WHERE id = $1', [thread.id]);
+    }
+  } catch (error) {
+    console.error('Error saving streamed chat:', error);
+    send('error', { error: 'Internal server error' });
+  }
+  res.end();
+});
+
+/**
+ * GET /api/chat/threads
+ * The user's saved conversations, most recently active first.
+ */
+router.get('/threads', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.id, t.title, t.resource_id, t.created_at, t.updated_at,
+             (SELECT COUNT(*)::int FROM chat_history h WHERE h.thread_id = t.id) AS message_count
+      FROM chat_threads t
+      WHERE t.user_id = $1
+      ORDER BY t.updated_at DESC
+    `, [req.user.id]);
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Error fetching chat threads:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/chat/threads/:id
+ * One conversation with all its messages, to resume it.
+ */
+router.get('/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const thread = await getOwnThread(req.params.id, req.user.id);
+    if (!thread) return res.status(404).json({ success: false, error: 'Conversation not found' });
+
+    const messages = await pool.query(`
+      SELECT id, role, message, citations, resource_id, created_at
+      FROM chat_history
+      WHERE thread_id = $1
+      ORDER BY created_at ASC
+    `, [thread.id]);
+    res.json({ success: true, data: { ...thread, messages: messages.rows } });
+  } catch (error) {
+    console.error('Error fetching chat thread:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/chat/threads/:id
+ * Body: { title }
+ */
+router.patch('/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const validation = chatThreadSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+    }
+
+    const result = await pool.query(
+      'UPDATE chat_threads SET title = $3 WHERE id = $1 AND user_id = $2 RETURNING id, title, updated_at',
+      [req.params.id, req.user.id, validation.data.title]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    res.json({ success: true, data: result.rows[0] });
+  } catch (error) {
+    console.error('Error renaming chat thread:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/chat/threads/:id
+ * Deletes the conversation and its messages.
+ */
+router.delete('/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM chat_threads WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Conversation not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting chat thread:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 export default router;
@@ -47,19 +47,22 @@ router.post('/contact', async (req, res) => {
 });
 
 // POST /api/auth/faculty/register
-// Faculty self-registration — creates Supabase user + DB records
+// Faculty self-registration — creates Supabase user + DB records. The faculty
+// profile starts out 'pending' until an admin approves it.
 router.post('/faculty/register', async (req, res) => {
   const validation = facultyRegisterSchema.safeParse(req.body);
   
   if (!validation.success) {
     return res.status(400).json({
       success: false,
-      error: validation.error.errors[0].message
+      error: validation.error.issues[0].message
     });
   }
 
   const { email, password, full_name, department, employee_id, education, research_interests } = validation.data;
 
+  let userId = null;
+  const client = await pool.connect();
   try {
     // 1. Create Supabase Auth user
     const { data: authData, error: authError } = await supabase.auth.admin.createUser({
@@ -76,20 +79,45 @@ router.post('/faculty/register', async (req, res) => {
       return res.status(400).json({ success: false, error: authError.message });
     }
 
-    const userId = authData.user.id;
+    userId = authData.user.id;
+
+    await client.query('BEGIN');
 
     // 2. Insert into users table with role = 'faculty' and is_verified = true (auto-approved via domain)
-    await pool.query(
+    await client.query(
       `INSERT INTO users (id, email, full_name, role, is_verified)
        VALUES ($1, $2, $3, 'faculty', true)
        ON CONFLICT (id) DO UPDATE SET full_name = $3, role = 'faculty', is_verified = true`,
       [userId, email, full_name]
     );
 
-    res.status(201).json({ success: true, message: 'Registration successful! You may now log in.', data: { userId } });
+    // 3. Faculty profile, waiting in the admin approval queue
+    await client.query(
+      `INSERT INTO faculty_profiles
+         (user_id, department, employee_id, education, research_interests, status, submitted_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, 'pending', NOW(), NOW())`,
+      [userId, department.trim(), employee_id.trim(), education?.trim() || null, research_interests?.trim() || null]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration received! You may log in now; your faculty profile will be listed once an administrator approves it.',
+      data: { userId, status: 'pending' },
+    });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error('Faculty registration error:', err);
+
+    // Don't leave an Auth account behind that has no DB records
+    if (userId) {
+      const { error: cleanupError } = await supabase.auth.admin.deleteUser(userId);
+      if (cleanupError) console.error('Faculty registration: Auth cleanup failed:', cleanupError.message);
+    }
     res.status(500).json({ success: false, error: 'Registration failed. Please try again.' });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,78 @@
+// backend/routes/bookmarkRoutes.js
+import express from 'express';
+import pool from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { getViewableResource } from '../utils/dbHelpers.js';
+import { canViewResource } from '../utils/permissions.js';
+import { RESOURCE_CARD_SELECT, RESOURCE_LIST_FROM } from '../utils/resourceListing.js';
+
+const router = express.Router();
+
+// GET /api/bookmarks
+// The user's saved resources, most recently saved first. Resources they can
+// no longer open (e.g. made private since) are left out and counted.
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${RESOURCE_CARD_SELECT}, b.created_at AS bookmarked_at
+      ${RESOURCE_LIST_FROM}
+      JOIN bookmarks b ON b.resource_id = r.id
+      WHERE b.user_id = $1
+      ORDER BY b.created_at DESC
+    `, [req.user.id]);
+
+    const visible = result.rows.filter(r => canViewResource(r, req.user));
+
+    res.json({ success: true, data: visible, hidden_count: result.rows.length - visible.length });
+  } catch (err) {
+    console.error('Error fetching bookmarks:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/bookmarks/ids
+// Just the bookmarked resource IDs, so lists can mark saved cards
+router.get('/ids', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT resource_id FROM bookmarks WHERE user_id = $1', [req.user.id]);
+    res.json({ success: true, data: result.rows.map(r => r.resource_id) });
+  } catch (err) {
+    console.error('Error fetching bookmark ids:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PUT /api/bookmarks/:resourceId
+router.put('/:resourceId', authMiddleware, async (req, res) => {
+  const { resourceId } = req.params;
+  try {
+    const resource = await getViewableResource(resourceId, req.user);
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+
+    await pool.query(
+      'INSERT INTO bookmarks (user_id, resource_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, resourceId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error adding bookmark:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/bookmarks/:resourceId
+// Unsaving does not take the resource out of the user's collections
+router.delete('/:resourceId', authMiddleware, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM bookmarks WHERE user_id = $1 AND resource_id = $2',
+      [req.user.id, req.params.resourceId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing bookmark:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,240 @@
+// backend/routes/collectionRoutes.js
+// Personal, named groups of resources ("Sem 5 DBMS revision") that can be
+// kept private or shared with classmates through an unguessable link.
+import express from 'express';
+import crypto from 'crypto';
+import pool from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { collectionSchema, collectionUpdateSchema } from '../validators/collectionValidator.js';
+import { getViewableResource } from '../utils/dbHelpers.js';
+import { canViewResource } from '../utils/permissions.js';
+import { RESOURCE_CARD_SELECT, RESOURCE_LIST_FROM } from '../utils/resourceListing.js';
+
+const router = express.Router();
+
+const newShareToken = () => crypto.randomBytes(16).toString('base64url');
+
+const COLLECTION_SELECT = `
+  col.id, col.name, col.description, col.is_shared, col.share_token, col.created_at, col.updated_at,
+  (SELECT COUNT(*)::int FROM collection_items ci WHERE ci.collection_id = col.id) AS item_count
+`;
+
+// Postgres unique_violation on (user_id, name)
+const isDuplicateName = (err) => err.code === '23505' && err.constraint?.includes('name');
+
+async function loadOwnCollection(collectionId, userId) {
+  const result = await pool.query(
+    `SELECT ${COLLECTION_SELECT} FROM collections col WHERE col.id = $1 AND col.user_id = $2`,
+    [collectionId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Items of a collection that the viewer is allowed to open
+async function loadVisibleItems(collectionId, user) {
+  const result = await pool.query(`
+    SELECT ${RESOURCE_CARD_SELECT}, ci.added_at
+    ${RESOURCE_LIST_FROM}
+    JOIN collection_items ci ON ci.resource_id = r.id
+    WHERE ci.collection_id = $1
+    ORDER BY ci.added_at DESC
+  `, [collectionId]);
+
+  const items = result.rows.filter(r => canViewResource(r, user));
+  return { items, hiddenCount: result.rows.length - items.length };
+}
+
+// GET /api/collections
+// The user's collections. With ?resource_id= each one also says whether it
+// already holds that resource (used by the "Save to collection" menu).
+router.get('/', authMiddleware, async (req, res) => {
+  const { resource_id } = req.query;
+  try {
+    const result = await pool.query(`
+      SELECT ${COLLECTION_SELECT}
+        ${resource_id ? ', EXISTS (SELECT 1 FROM collection_items ci WHERE ci.collection_id = col.id AND ci.resource_id = $2) AS has_resource' : ''}
+      FROM collections col
+      WHERE col.user_id = $1
+      ORDER BY col.updated_at DESC
+    `, resource_id ? [req.user.id, resource_id] : [req.user.id]);
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching collections:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/collections
+router.post('/', authMiddleware, async (req, res) => {
+  const validation = collectionSchema.safeParse(req.body);
+  if (!validation.success) {
+    return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+  }
+  const { name, description, is_shared } = validation.data;
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO collections (user_id, name, description, is_shared, share_token)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *, 0 AS item_count
+    `, [req.user.id, name, description ?? null, is_shared, is_shared ? newShareToken() : null]);
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ success: false, error: 'You already have a collection with this name' });
+    }
+    console.error('Error creating collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/collections/shared/:token
+// Read-only view of a shared collection for anyone signed in. Each viewer
+// only sees the items their own visibility allows.
+router.get('/shared/:token', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT col.id, col.name, col.description, col.user_id, col.updated_at, u.full_name AS owner_name
+      FROM collections col
+      LEFT JOIN users u ON col.user_id = u.id
+      WHERE col.share_token = $1 AND col.is_shared = TRUE
+    `, [req.params.token]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'This link is invalid or is no longer shared' });
+    }
+
+    const { user_id, ...collection } = result.rows[0];
+    const { items, hiddenCount } = await loadVisibleItems(collection.id, req.user);
+    res.json({
+      success: true,
+      data: { ...collection, is_owner: user_id === req.user.id, items, hidden_count: hiddenCount },
+    });
+  } catch (err) {
+    console.error('Error fetching shared collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/collections/:id
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const collection = await loadOwnCollection(req.params.id, req.user.id);
+    if (!collection) return res.status(404).json({ success: false, error: 'Collection not found' });
+
+    const { items, hiddenCount } = await loadVisibleItems(collection.id, req.user);
+    res.json({ success: true, data: { ...collection, items, hidden_count: hiddenCount } });
+  } catch (err) {
+    console.error('Error fetching collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PUT /api/collections/:id
+// Rename, describe, or turn sharing on/off. Turning sharing back on issues a
+// fresh link, so a link that was once revoked never works again.
+router.put('/:id', authMiddleware, async (req, res) => {
+  const validation = collectionUpdateSchema.safeParse(req.body);
+  if (!validation.success) {
+    return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+  }
+  const { name, description, is_shared } = validation.data;
+
+  try {
+    const existing = await loadOwnCollection(req.params.id, req.user.id);
+    if (!existing) return res.status(404).json({ success: false, error: 'Collection not found' });
+
+    const shared = is_shared ?? existing.is_shared;
+    const shareToken = !shared ? null : existing.share_token || newShareToken();
+
+    const result = await pool.query(`
+      UPDATE collections SET
+        name = $2, description = $3, is_shared = $4, share_token = $5, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      existing.id,
+      name ?? existing.name,
+      description !== undefined ? description : existing.description,
+      shared,
+      shareToken,
+    ]);
+    res.json({ success: true, data: { ...result.rows[0], item_count: existing.item_count } });
+  } catch (err) {
+    if (isDuplicateName(err)) {
+      return res.status(409).json({ success: false, error: 'You already have a collection with this name' });
+    }
+    console.error('Error updating collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/collections/:id
+// Deletes the collection only; the resources and bookmarks stay
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM collections WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Collection not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/collections/:id/items
+// Adds a resource the user can open. It is bookmarked too, so everything in
+// a collection also shows under "All saved".
+router.post('/:id/items', authMiddleware, async (req, res) => {
+  const resourceId = req.body?.resource_id;
+  if (!resourceId) return res.status(400).json({ success: false, error: 'resource_id is required' });
+
+  const client = await pool.connect();
+  try {
+    const collection = await loadOwnCollection(req.params.id, req.user.id);
+    if (!collection) return res.status(404).json({ success: false, error: 'Collection not found' });
+    const resource = await getViewableResource(resourceId, req.user);
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+
+    await client.query('BEGIN');
+    await client.query(
+      'INSERT INTO collection_items (collection_id, resource_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [collection.id, resourceId]
+    );
+    await client.query(
+      'INSERT INTO bookmarks (user_id, resource_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [req.user.id, resourceId]
+    );
+    await client.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.id]);
+    await client.query('COMMIT');
+    res.json({ success: true });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error adding to collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/collections/:id/items/:resourceId
+router.delete('/:id/items/:resourceId', authMiddleware, async (req, res) => {
+  try {
+    const collection = await loadOwnCollection(req.params.id, req.user.id);
+    if (!collection) return res.status(404).json({ success: false, error: 'Collection not found' });
+
+    await pool.query(
+      'DELETE FROM collection_items WHERE collection_id = $1 AND resource_id = $2',
+      [collection.id, req.params.resourceId]
+    );
+    await pool.query('UPDATE collections SET updated_at = NOW() WHERE id = $1', [collection.id]);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error removing from collection:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
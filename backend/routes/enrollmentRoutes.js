@@ -0,0 +1,195 @@
+// backend/routes/enrollmentRoutes.js
+import express from 'express';
+import pool from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { syncUserRooms } from '../socket.js';
+import { subjectFollowSchema } from '../validators/enrollmentValidator.js';
+
+/**
+ * The courses a user is enrolled in and the subjects they follow (migration
+ * 023). Both decide which upload notifications they get and what Browse and
+ * the Home feed show by default. The main course is users.course_id; a
+ * trigger keeps its enrollment in step.
+ */
+
+const router = express.Router();
+
+async function listEnrollments(userId) {
+  const [courses, subjects] = await Promise.all([
+    pool.query(`
+      SELECT c.id AS course_id, c.code, c.name, c.degree_type, ce.is_primary, ce.created_at
+      FROM course_enrollments ce
+      JOIN courses c ON c.id = ce.course_id
+      WHERE ce.user_id = $1
+      ORDER BY ce.is_primary DESC, c.name ASC
+    `, [userId]),
+    pool.query(`
+      SELECT sf.id, sf.subject_id, sf.subject_offering_id, sf.created_at,
+        s.code AS subject_code, s.name AS subject_name, c.name AS course_name,
+        ay.start_year, ay.end_year, faculty.full_name AS faculty_name
+      FROM subject_follows sf
+      JOIN subjects s ON s.id = sf.subject_id
+      LEFT JOIN courses c ON c.id = s.course_id
+      LEFT JOIN subject_offerings so ON so.id = sf.subject_offering_id
+      LEFT JOIN academic_years ay ON ay.id = so.academic_year_id
+      LEFT JOIN users faculty ON faculty.id = so.faculty_id
+      WHERE sf.user_id = $1
+      ORDER BY s.name ASC, ay.start_year DESC NULLS FIRST
+    `, [userId]),
+  ]);
+  return { courses: courses.rows, subjects: subjects.rows };
+}
+
+// GET /api/enrollments — { courses, subjects } of the current user
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, data: await listEnrollments(req.user.id) });
+  } catch (err) {
+    console.error('Error fetching enrollments:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/enrollments/offerings?subject_id= — the academic years a subject
+// is offered in, for following just one of them
+router.get('/offerings', authMiddleware, async (req, res) => {
+  const { subject_id } = req.query;
+  if (!subject_id) return res.status(400).json({ success: false, error: 'subject_id is required' });
+
+  try {
+    const result = await pool.query(`
+      SELECT so.id, ay.start_year, ay.end_year, faculty.full_name AS faculty_name
+      FROM subject_offerings so
+      JOIN academic_years ay ON ay.id = so.academic_year_id
+      LEFT JOIN users faculty ON faculty.id = so.faculty_id
+      WHERE so.subject_id = $1
+      ORDER BY ay.start_year DESC
+    `, [subject_id]);
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching subject offerings:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PUT /api/enrollments/courses/:courseId — enroll in a course. Body:
+// { primary: true } makes it the main course; so does enrolling without one.
+router.put('/courses/:courseId', authMiddleware, async (req, res) => {
+  const { courseId } = req.params;
+  try {
+    const courseRes = await pool.query('SELECT id FROM courses WHERE id = $1', [courseId]);
+    if (courseRes.rows.length === 0) return res.status(404).json({ success: false, error: 'Course not found' });
+
+    if (req.body?.primary === true || !req.user.course_id) {
+      await pool.query('UPDATE users SET course_id = $1 WHERE id = $2', [courseId, req.user.id]);
+    } else {
+      await pool.query(
+        'INSERT INTO course_enrollments (user_id, course_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [req.user.id, courseId]
+      );
+    }
+
+    await syncUserRooms(req.user.id);
+    res.json({ success: true, data: await listEnrollments(req.user.id) });
+  } catch (err) {
+    console.error('Error enrolling in course:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/enrollments/courses/:courseId — leaving the main course makes
+// the oldest remaining enrollment the main one
+router.delete('/courses/:courseId', authMiddleware, async (req, res) => {
+  const { courseId } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const enrollmentRes = await client.query(
+      'SELECT is_primary FROM course_enrollments WHERE user_id = $1 AND course_id = $2 FOR UPDATE',
+      [req.user.id, courseId]
+    );
+    if (enrollmentRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Not enrolled in this course' });
+    }
+
+    if (enrollmentRes.rows[0].is_primary) {
+      await client.query(`
+        UPDATE users SET course_id = (
+          SELECT course_id FROM course_enrollments
+          WHERE user_id = $1 AND course_id <> $2
+          ORDER BY created_at ASC
+          LIMIT 1
+        )
+        WHERE id = $1
+      `, [req.user.id, courseId]);
+    }
+    await client.query('DELETE FROM course_enrollments WHERE user_id = $1 AND course_id = $2', [req.user.id, courseId]);
+    await client.query('COMMIT');
+
+    await syncUserRooms(req.user.id);
+    res.json({ success: true, data: await listEnrollments(req.user.id) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error leaving course:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/enrollments/subjects — body: { subject_id, subject_offering_id? }
+// Follows a subject, or one offering of it. Following twice is a no-op.
+router.post('/subjects', authMiddleware, async (req, res) => {
+  const validation = subjectFollowSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+  }
+  const { subject_id, subject_offering_id } = validation.data;
+
+  try {
+    const subjectRes = await pool.query('SELECT id FROM subjects WHERE id = $1', [subject_id]);
+    if (subjectRes.rows.length === 0) return res.status(404).json({ success: false, error: 'Subject not found' });
+    if (subject_offering_id) {
+      const offeringRes = await pool.query(
+        'SELECT id FROM subject_offerings WHERE id = $1 AND subject_id = $2',
+        [subject_offering_id, subject_id]
+      );
+      if (offeringRes.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'This subject has no such offering' });
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO subject_follows (user_id, subject_id, subject_offering_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT DO NOTHING`,
+      [req.user.id, subject_id, subject_offering_id]
+    );
+
+    await syncUserRooms(req.user.id);
+    res.status(201).json({ success: true, data: await listEnrollments(req.user.id) });
+  } catch (err) {
+    console.error('Error following subject:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/enrollments/subjects/:id — stop following (id of the follow)
+router.delete('/subjects/:id', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM subject_follows WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ success: false, error: 'Follow not found' });
+
+    await syncUserRooms(req.user.id);
+    res.json({ success: true, data: await listEnrollments(req.user.id) });
+  } catch (err) {
+    console.error('Error unfollowing subject:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import pool from '../db.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requirePermission } from '../middleware/auth.js';
+import { can } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -22,6 +23,7 @@ router.get('/', authMiddleware, async (req, res) => {
       WHERE u.role = 'faculty' 
         AND u.is_suspended = false
         AND f.is_visible = true
+        AND f.status = 'approved'
         AND (NULLIF(f.education, '') IS NOT NULL OR NULLIF(f.research_interests, '') IS NOT NULL)
       ORDER BY u.full_name ASC
     `);
@@ -50,6 +52,7 @@ router.get('/recent', authMiddleware, async (req, res) => {
       WHERE u.role = 'faculty' 
         AND u.is_suspended = false
         AND f.is_visible = true
+        AND f.status = 'approved'
         AND (NULLIF(f.education, '') IS NOT NULL OR NULLIF(f.research_interests, '') IS NOT NULL)
       ORDER BY f.updated_at DESC
       LIMIT 3
@@ -62,12 +65,9 @@ router.get('/recent', authMiddleware, async (req, res) => {
 });
 
 // PUT /api/faculty/profile — faculty updates their own profile
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authMiddleware, requirePermission('faculty.profile'), async (req, res) => {
   try {
-    const { id: userId, role } = req.user;
-    if (role !== 'faculty') {
-      return res.status(403).json({ success: false, error: 'Only faculty can update profiles' });
-    }
+    const { id: userId } = req.user;
 
     let { 
       education, 
@@ -102,6 +102,9 @@ router.put('/profile', authMiddleware, async (req, res) => {
         mentoring_details = $9,
         department = $10,
         is_visible = $11,
+        -- Updating a rejected profile applies again
+        status = CASE WHEN status = 'rejected' THEN 'pending' ELSE status END,
+        submitted_at = CASE WHEN status = 'rejected' THEN NOW() ELSE submitted_at END,
         updated_at = NOW()
       WHERE user_id = $12
       RETURNING *
@@ -123,9 +126,9 @@ router.put('/profile', authMiddleware, async (req, res) => {
     if (result.rows.length === 0) {
       result = await pool.query(`
         INSERT INTO faculty_profiles 
-          (user_id, education, research_interests, phd_topic, open_for_interns, open_for_research, open_for_mentoring, internship_details, research_details, mentoring_details, status, is_visible, updated_at)
+          (user_id, education, research_interests, phd_topic, open_for_interns, open_for_research, open_for_mentoring, internship_details, research_details, mentoring_details, department, status, is_visible, updated_at)
         VALUES 
-          ($11, $1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, NOW())
+          ($12, $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', $11, NOW())
         RETURNING *
       `, [
         education, 
@@ -137,6 +140,7 @@ router.put('/profile', authMiddleware, async (req, res) => {
         internship_details, 
         research_details, 
         mentoring_details,
+        department,
         is_visible !== undefined ? is_visible : true,
         userId
       ]);
@@ -185,13 +189,16 @@ router.get('/:id', authMiddleware, async (req, res) => {
 
     const facultyData = result.rows[0];
     const isOwner = req.user.id === facultyData.id;
-    const isAdmin = req.user.role === 'admin';
+    const canManage = can(req.user, 'faculty.manage');
     const isInitialized = (facultyData.education && facultyData.education.trim() !== '') || 
                           (facultyData.research_interests && facultyData.research_interests.trim() !== '');
 
-    if (!isInitialized && !isOwner && !isAdmin) {
+    if (!isInitialized && !isOwner && !canManage) {
       return res.status(403).json({ success: false, error: 'Faculty profile is not yet initialized' });
     }
+    if (facultyData.status !== 'approved' && !isOwner && !canManage) {
+      return res.status(403).json({ success: false, error: 'Faculty profile is not yet approved' });
+    }
 
     res.json({ success: true, data: facultyData });
   } catch (error) {
@@ -2,13 +2,14 @@
 import express from "express";
 import { authMiddleware } from "../middleware/auth.js";
 import pool from "../db.js";
+import { syncUserRooms } from "../socket.js";
 
 
 const router = express.Router();
 
 router.get("/", authMiddleware, (req, res) => {
-  const { id, email, role, is_verified, course_id, preferred_course } = req.user;
-  return res.json({ id, email, role, is_verified, course_id, preferred_course });
+  const { id, email, role, permissions, is_verified, course_id, preferred_course } = req.user;
+  return res.json({ id, email, role, permissions, is_verified, course_id, preferred_course });
 });
 
 router.put("/onboard", authMiddleware, async (req, res) => {
@@ -28,6 +29,7 @@ router.put("/onboard", authMiddleware, async (req, res) => {
       return res.status(404).json({ success: false, error: "User not found" });
     }
 
+    await syncUserRooms(userId);
     res.json({ success: true, data: result.rows[0] });
   } catch (err) {
     console.error("Onboarding update error:", err);
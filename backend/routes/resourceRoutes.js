@@ -7,22 +7,41 @@ import pool from '../db.js';
 import config from '../config.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { resourceSchema, fileResourceSchema } from '../validators/resourceValidator.js';
-import { notifyCourseSubscribers } from '../utils/notifications.js';
+import { studySetSchema, quizAttemptSchema } from '../validators/quizValidator.js';
+import { notifySubscribers } from '../utils/notifications.js';
 import { 
   resolveSubject, 
   resolveAcademicYear, 
   resolveSubjectOffering, 
   resolveUnit, 
-  isAdmin, 
   isResourceOwner, 
+  saveExtractedText,
+  recordResourceVersion,
+  getResourceStoragePaths,
+  logStatusChange,
+  setReviewStatus,
+  recordResourceAccess,
+  getViewableResource,
   generateStoragePath 
 } from '../utils/dbHelpers.js';
+import {
+  RESOURCE_CARD_SELECT, buildResourceFilters, numberPlaceholders, parsePagination, queryResourceList
+} from '../utils/resourceListing.js';
+import { can, canViewResource, visibleResourceFilter } from '../utils/permissions.js';
+import {
+  parseWindow, getAccessTimeline, getAccessTotals, getTopResources
+} from '../utils/resourceAnalytics.js';
+import { validateFileUpload, formatForFilename, FILE_FORMATS } from '../utils/fileFormats.js';
+import {
+  generatePreviews, needsPreview, extractResourceText, attachThumbnailUrls
+} from '../utils/resourceFiles.js';
+import { getCompletedUpload, attachUpload, removeStagedUpload, contentHash } from '../utils/uploadSessions.js';
+import { findExactDuplicates, recordDuplicates, checkNearDuplicates } from '../utils/duplicates.js';
+import { clearResourceJobs } from '../utils/jobQueue.js';
+import reviewRoutes from './reviewRoutes.js';
 
 const router = express.Router();
 const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
-const ALLOWED_FILE_TYPES = new Set(['application/pdf']);
-const ALLOWED_FILE_EXTENSIONS = new Set(['.pdf']);
-const PDF_SIGNATURE = Buffer.from('%PDF-');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -30,36 +49,13 @@ const supabase = createClient(
   config.supabase.serviceKey
 );
 
-function getFileExtension(filename = '') {
-  const dotIndex = filename.lastIndexOf('.');
-  return dotIndex === -1 ? '' : filename.slice(dotIndex).toLowerCase();
+// Starts a background job for Office renditions / image thumbnails
+function queuePreviews(resourceId, format, data) {
+  if (!needsPreview(format)) return;
+  generatePreviews(resourceId, { data }).catch(err => console.error('Preview generation failed:', err));
 }
 
-function validatePdfUpload({ filename, mimeType, fileData }) {
-  if (!fileData || !filename) {
-    return 'No file uploaded';
-  }
-
-  if (fileData.length > MAX_UPLOAD_BYTES) {
-    return 'File size must be 10MB or less';
-  }
-
-  if (!ALLOWED_FILE_TYPES.has(mimeType)) {
-    return 'Only PDF files are allowed';
-  }
-
-  if (!ALLOWED_FILE_EXTENSIONS.has(getFileExtension(filename))) {
-    return 'Only .pdf files are allowed';
-  }
-
-  if (fileData.length < PDF_SIGNATURE.length || !fileData.subarray(0, PDF_SIGNATURE.length).equals(PDF_SIGNATURE)) {
-    return 'Invalid PDF file';
-  }
-
-  return null;
-}
-
-function createPdfUploadParser(req) {
+function createUploadParser(req) {
   const busboy = Busboy({
     headers: req.headers,
     limits: {
@@ -102,66 +98,270 @@ function createPdfUploadParser(req) {
   return { busboy, fields, upload };
 }
 
-// GET /api/resources
-// Public/Protected list of resources with filters
-router.get('/', authMiddleware, async (req, res) => {
-  const { 
-    course_id, subject_id, academic_year_id, 
-    resource_type, is_verified, search 
-  } = req.query;
+// The file sent with an upload request: either inline in the multipart body
+// or as `upload_id`, the id of a finished resumable upload (routes/uploadRoutes.js).
+// Returns { error } or { filename, format, data, staged, contentHash }.
+async function resolveIncomingFile(upload, fields, userId) {
+  if (fields.upload_id) {
+    if (upload.filename) return { error: 'Send either a file or an upload_id, not both' };
+    const { error, session } = await getCompletedUpload(fields.upload_id, userId);
+    if (error) return { error };
+    return {
+      filename: session.filename, format: session.file_format, data: null, staged: session,
+      contentHash: session.content_hash,
+    };
+  }
 
+  if (upload.error) return { error: upload.error };
+  const { error, format } = validateFileUpload({
+    filename: upload.filename,
+    mimeType: upload.mimeType,
+    fileData: upload.data,
+  }, { maxBytes: MAX_UPLOAD_BYTES });
+  if (error) return { error };
+  return {
+    filename: upload.filename, format, data: upload.data, staged: null,
+    contentHash: contentHash(upload.data),
+  };
+}
+
+const DUPLICATE_UPLOAD_ERROR = 'This file has already been uploaded';
+
+// Existing resources with exactly this file that the uploader can open, so
+// they can be pointed at those instead of publishing a second copy.
+async function findVisibleDuplicates(file, user, excludeId = null) {
+  const matches = await findExactDuplicates(file.contentHash, { excludeId });
+  if (matches.length === 0) return [];
+  return matches
+    .filter(match => canViewResource(match, user))
+    .map(({ id, title, subject_code, subject_name, contributor_name, created_at }) => ({
+      id, title, subject_code, subject_name, contributor_name, created_at,
+    }));
+}
+
+// Flags a resource whose file is byte-for-byte the same as others' for admin
+// review. Uploaders may go ahead with a duplicate, so this is never fatal.
+async function flagExactDuplicates(resourceId, hash) {
   try {
-    const userIsAdmin = await isAdmin(req.user.id);
-    const userIsFaculty = req.user.role === 'faculty';
+    const matches = await findExactDuplicates(hash, { excludeId: resourceId });
+    await recordDuplicates(resourceId, matches.map(m => ({ id: m.id, matchType: 'exact', similarity: 1 })));
+  } catch (err) {
+    console.error(`Duplicate check failed for resource ${resourceId}:`, err);
+  }
+}
 
-    let query = `
-      SELECT 
-        r.*, 
-        u.full_name as contributor_name, u.role as contributor_type, u.is_verified as contributor_is_verified,
-        s.name as subject_name, s.code as subject_code,
-        c.name as course_name, c.degree_type,
-        ay.start_year, ay.end_year,
-        faculty.full_name as faculty_name
-      FROM resources r
-      LEFT JOIN users u ON r.contributor_id = u.id
-      LEFT JOIN subjects s ON r.subject_id = s.id
-      LEFT JOIN courses c ON s.course_id = c.id
-      LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
-      LEFT JOIN academic_years ay ON so.academic_year_id = ay.id
-      LEFT JOIN users faculty ON so.faculty_id = faculty.id
-      WHERE 
-        (r.visibility = 'public' 
-        OR r.visibility IS NULL
-        OR (r.visibility = 'private' AND $1 = true)
-        OR (r.visibility = 'faculty' AND $2 = true)
-        OR r.contributor_id = $3)
-    `;
+// Uploads are held back when they duplicate a visible resource, unless the
+// uploader has seen the warning and sent allow_duplicate.
+const allowsDuplicate = (value) => value === true || value === 'true';
 
-    const values = [true, userIsAdmin || userIsFaculty, req.user.id];
-    let paramCount = 4;
+// Puts the incoming file at its resource path
+async function storeIncomingFile(file, storagePath, client) {
+  if (file.staged) return attachUpload(file.staged, storagePath, client);
+
+  const { error } = await supabase.storage
+    .from('resources')
+    .upload(storagePath, file.data, { contentType: FILE_FORMATS[file.format].mimeType, upsert: false });
+  if (error) throw new Error(`File upload failed: ${error.message}`);
+}
 
-    if (subject_id) {
-      query += ` AND r.subject_id = $${paramCount++}`;
-      values.push(subject_id);
+// Tells the course's students and the subject's followers about a new upload
+async function notifyNewResource(resource) {
+  try {
+    const contextRes = await pool.query(`SELECT name as subject_name, course_id FROM subjects WHERE id = $1`, [resource.subject_id]);
+    const ctx = contextRes.rows[0] || {};
+    if (contextRes.rows.length > 0) {
+      notifySubscribers({
+        courseId: ctx.course_id,
+        subjects: [{ subjectId: resource.subject_id, offeringId: resource.subject_offering_id }],
+        resourceId: resource.id,
+        title: 'New Resource Uploaded',
+        message: `A new ${resource.resource_type.replace('_', ' ')} titled "${resource.title}" has been uploaded to ${ctx.subject_name}.`
+      }).catch(err => console.error('Notification failed:', err));
     }
-    if (resource_type) {
-      query += ` AND r.resource_type = $${paramCount++}`;
-      values.push(resource_type);
+  } catch (ctxErr) {
+    console.error('Notification context fetch failed:', ctxErr);
+  }
+}
+
+/**
+ * Creates a file resource from validated metadata (fileResourceSchema) and a
+ * file from resolveIncomingFile. Used by single and bulk uploads. On failure
+ * the transaction is rolled back, the stored file removed, and the error
+ * rethrown.
+ */
+async function createFileResource(data, file, user, { notify = true } = {}) {
+  const {
+    title, description, subject_code, start_year,
+    end_year, unit_number, resource_type, visibility
+  } = data;
+  const { format } = file;
+
+  const client = await pool.connect();
+  let uploadedPath = null;
+  let resource;
+
+  try {
+    await client.query('BEGIN');
+    const subject = await resolveSubject(subject_code);
+    const academicYearId = await resolveAcademicYear(parseInt(start_year), parseInt(end_year));
+    const offering = await resolveSubjectOffering(subject.id, academicYearId);
+    let unitId = null;
+    if (unit_number) {
+      unitId = await resolveUnit(offering.id, parseInt(unit_number));
     }
-    if (is_verified !== undefined) {
-      query += ` AND r.is_verified = $${paramCount++}`;
-      values.push(is_verified === 'true');
+
+    const autoVerified = user.is_verified === true;
+    const resourceId = crypto.randomUUID();
+
+    const insertQuery = `
+      INSERT INTO resources (
+        id, subject_id, subject_offering_id, unit_id, title, description,
+        resource_type, content_type, contributor_id,
+        is_verified, verified_by, verified_at, visibility, review_status,
+        file_format, preview_status, content_hash
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `;
+    await client.query(insertQuery, [
+      resourceId, subject.id, offering.id, unitId, title.trim(), description.trim(),
+      resource_type, 'file', user.id,
+      autoVerified,
+      autoVerified ? user.id : null,
+      autoVerified ? new Date() : null,
+      visibility || 'public',
+      autoVerified ? 'approved' : 'pending',
+      format,
+      needsPreview(format) ? 'pending' : null,
+      file.contentHash || null,
+    ]);
+    await logStatusChange(resourceId, { to: autoVerified ? 'approved' : 'pending', changedBy: user.id }, client);
+
+    const storagePath = generateStoragePath(subject.id, offering.id, unitId, `${resourceId}-${file.filename}`);
+    await storeIncomingFile(file, storagePath, client);
+    uploadedPath = storagePath;
+
+    const updateResult = await client.query(
+      `UPDATE resources SET storage_path = $1 WHERE id = $2 RETURNING *`,
+      [storagePath, resourceId]
+    );
+    resource = updateResult.rows[0];
+    await recordResourceVersion(resourceId, {
+      changeType: 'created', changedBy: user.id, filename: file.filename,
+    }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (uploadedPath) await supabase.storage.from('resources').remove([uploadedPath]);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (file.staged) removeStagedUpload(file.staged);
+  queuePreviews(resource.id, format, file.data);
+  await flagExactDuplicates(resource.id, file.contentHash);
+  if (notify) await notifyNewResource(resource);
+  return resource;
+}
+
+const MAX_BULK_ITEMS = 50;
+
+// Bulk uploads are for faculty publishing a semester's material at once
+function checkBulkRequest(req) {
+  if (!can(req.user, 'resource.bulk_upload')) {
+    return { status: 403, error: 'Bulk upload is not available to your role' };
+  }
+  const { items } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    return { status: 400, error: 'items must be a non-empty array' };
+  }
+  if (items.length > MAX_BULK_ITEMS) {
+    return { status: 400, error: `At most ${MAX_BULK_ITEMS} files can be uploaded at once` };
+  }
+  return null;
+}
+
+/**
+ * Validates one manifest row with fileResourceSchema and checks that its
+ * subject and academic year exist. Returns { error } or { data }.
+ */
+async function validateBulkRow(row) {
+  const validation = fileResourceSchema.safeParse(row || {});
+  if (!validation.success) {
+    const issue = validation.error.issues[0];
+    return { error: issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message };
+  }
+
+  const { subject_code, start_year, end_year } = validation.data;
+  try {
+    const subject = await resolveSubject(subject_code);
+    const academicYearId = await resolveAcademicYear(start_year, end_year);
+    await resolveSubjectOffering(subject.id, academicYearId);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { data: validation.data };
+}
+
+// One notification per course for a bulk upload instead of one per file; the
+// followers of its subjects get the same one
+async function notifyBulkUpload(resources) {
+  if (resources.length === 1) return notifyNewResource(resources[0]);
+  if (resources.length === 0) return;
+
+  try {
+    const contextRes = await pool.query(
+      `SELECT id, name, course_id FROM subjects WHERE id = ANY($1)`,
+      [[...new Set(resources.map(r => r.subject_id))]]
+    );
+    const byCourse = new Map();
+    for (const resource of resources) {
+      const subject = contextRes.rows.find(sub => sub.id === resource.subject_id);
+      if (!subject) continue;
+      const courseId = subject.course_id || null;
+      const group = byCourse.get(courseId) || { resources: [], subjects: new Set() };
+      group.resources.push(resource);
+      group.subjects.add(subject.name);
+      byCourse.set(courseId, group);
     }
-    if (search) {
-      query += ` AND (r.title ILIKE $${paramCount} OR r.description ILIKE $${paramCount})`;
-      values.push(`%${search}%`);
-      paramCount++;
+
+    for (const [courseId, group] of byCourse) {
+      notifySubscribers({
+        courseId,
+        subjects: group.resources.map(r => ({ subjectId: r.subject_id, offeringId: r.subject_offering_id })),
+        resourceId: group.resources[0].id,
+        title: 'New Resources Uploaded',
+        message: group.resources.length === 1
+          ? `"${group.resources[0].title}" has been uploaded to ${[...group.subjects][0]}.`
+          : `${group.resources.length} new resources have been uploaded to ${[...group.subjects].join(', ')}.`
+      }).catch(err => console.error('Notification failed:', err));
     }
+  } catch (ctxErr) {
+    console.error('Notification context fetch failed:', ctxErr);
+  }
+}
 
-    query += ` ORDER BY r.created_at DESC`;
+// GET /api/resources
+// Paginated list of resources with filters, sorting and facet counts.
+// `search` runs a ranked full-text query over title, description, AI summary
+// and the text extracted from the file, and returns a highlighted snippet.
+// `enrolled=true` keeps to the user's enrolled courses and followed subjects.
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { conditions, searchTerm } = buildResourceFilters(req.query, req.user);
+    // Private, faculty-only and unapproved uploads only for those allowed to see them
+    conditions.unshift({ key: null, ...visibleResourceFilter(req.user) });
+
+    const { rows, pagination, facets } = await queryResourceList({
+      select: RESOURCE_CARD_SELECT,
+      conditions,
+      searchTerm,
+      sort: req.query.sort,
+      pagination: parsePagination(req.query),
+    });
 
-    const result = await pool.query(query, values);
-    res.json({ success: true, data: result.rows });
+    res.json({ success: true, data: await attachThumbnailUrls(rows), pagination, facets });
   } catch (err) {
     console.error('Error fetching resources:', err);
     res.status(500).json({ success: false, error: 'Internal server error' });
@@ -171,10 +371,12 @@ router.get('/', authMiddleware, async (req, res) => {
 // GET /api/resources/latest
 router.get('/latest', authMiddleware, async (req, res) => {
   try {
+    const visible = visibleResourceFilter(req.user);
     const query = `
       SELECT 
         r.id, r.title, r.description, r.resource_type, r.content_type,
         r.external_url, r.storage_path, r.created_at, r.ai_summary,
+        r.view_count, r.download_count, r.file_format,
         s.code AS subject_code, s.name AS subject_name,
         c.name AS course_name, c.degree_type,
         ay.start_year, ay.end_year, u.unit_number,
@@ -188,18 +390,11 @@ router.get('/latest', authMiddleware, async (req, res) => {
       LEFT JOIN units u ON r.unit_id = u.id
       JOIN users usr ON r.contributor_id = usr.id
       LEFT JOIN users faculty ON so.faculty_id = faculty.id
-      WHERE 
-        r.visibility = 'public' 
-        OR r.visibility IS NULL
-        OR (r.visibility = 'private' AND $1 = true)
-        OR (r.visibility = 'faculty' AND $2 = true)
-        OR r.contributor_id = $3
+      WHERE ${visible.sql}
       ORDER BY r.created_at DESC
       LIMIT 3
     `;
-    const isVerified = req.user?.is_verified === true || req.user?.role === 'admin';
-    const isFacultyOrAdmin = req.user?.role === 'faculty' || req.user?.role === 'admin';
-    const result = await pool.query(query, [isVerified, isFacultyOrAdmin, req.user?.id]);
+    const result = await pool.query(numberPlaceholders(query), visible.values);
     res.json({ success: true, data: result.rows });
   } catch (error) {
     console.error('Error fetching latest resources:', error);
@@ -215,11 +410,22 @@ router.get('/my', authMiddleware, async (req, res) => {
       SELECT 
         r.id, r.title, r.description, r.resource_type, r.content_type,
         r.contributor_id, r.external_url, r.storage_path, r.created_at,
-        r.is_verified, r.verified_at, r.ai_summary,
+        r.is_verified, r.verified_at, r.ai_summary, r.review_status, r.review_reason,
+        r.view_count, r.download_count,
+        r.file_format, r.pdf_rendition_path, r.thumbnail_path, r.preview_status,
         s.code AS subject_code, s.name AS subject_name, s.course_id,
         c.name AS course_name, ay.start_year, ay.end_year, u.unit_number,
         usr.role AS contributor_type, usr.is_verified AS contributor_is_verified,
-        faculty.full_name AS faculty_name
+        faculty.full_name AS faculty_name,
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'id', orig.id, 'title', orig.title, 'match_type', d.match_type
+          ) ORDER BY d.similarity DESC), '[]'::json)
+          FROM resource_duplicates d JOIN resources orig ON orig.id = d.duplicate_of
+          WHERE d.resource_id = r.id AND d.status = 'open'
+            AND (orig.visibility = 'public' OR orig.contributor_id = $1
+                 OR (orig.visibility = 'faculty' AND $2 = true))
+        ) AS possible_duplicates
       FROM resources r
       JOIN subjects s ON r.subject_id = s.id
       JOIN courses c ON s.course_id = c.id
@@ -231,14 +437,41 @@ router.get('/my', authMiddleware, async (req, res) => {
       WHERE r.contributor_id = $1
       ORDER BY r.created_at DESC
     `;
-    const result = await pool.query(query, [userId]);
-    res.json({ success: true, data: result.rows });
+    const result = await pool.query(query, [userId, can(req.user, 'resource.view_faculty')]);
+    res.json({ success: true, data: await attachThumbnailUrls(result.rows) });
   } catch (error) {
     console.error('Error fetching my resources:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch your resources' });
   }
 });
 
+// GET /api/resources/analytics/me?days=30
+// "My impact": how often the user's uploads were viewed and downloaded
+router.get('/analytics/me', authMiddleware, async (req, res) => {
+  const days = parseWindow(req.query);
+  try {
+    const [totals, timeline, topResources, allTime] = await Promise.all([
+      getAccessTotals(days, req.user.id),
+      getAccessTimeline(days, req.user.id),
+      getTopResources(days, { contributorId: req.user.id }),
+      pool.query(
+        `SELECT COUNT(*)::int AS resources,
+                COALESCE(SUM(view_count), 0)::int AS views,
+                COALESCE(SUM(download_count), 0)::int AS downloads
+         FROM resources WHERE contributor_id = $1`,
+        [req.user.id]
+      ),
+    ]);
+    res.json({
+      success: true,
+      data: { days, totals, all_time: allTime.rows[0], timeline, top_resources: topResources },
+    });
+  } catch (err) {
+    console.error('Error fetching contributor analytics:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // GET /api/resources/:id
 router.get('/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
@@ -264,15 +497,9 @@ router.get('/:id', authMiddleware, async (req, res) => {
     const resource = result.rows[0];
     
     // Visibility Check
-    const userIsAdmin = await isAdmin(req.user.id);
-    const userIsFaculty = req.user.role === 'faculty';
-    const isOwner = resource.contributor_id === req.user.id;
-
-    if (resource.visibility === 'private' && !isOwner && !userIsAdmin) {
-      return res.status(403).json({ success: false, error: 'Access denied to private resource' });
-    }
-    if (resource.visibility === 'faculty' && !userIsAdmin && !userIsFaculty && !isOwner) {
-      return res.status(403).json({ success: false, error: 'Access restricted to faculty only' });
+    if (!canViewResource(resource, req.user)) {
+      const error = resource.visibility === 'private' ? 'Access denied to private resource' : 'Access restricted to faculty only';
+      return res.status(403).json({ success: false, error });
     }
 
     res.json({ success: true, data: resource });
@@ -282,89 +509,457 @@ router.get('/:id', authMiddleware, async (req, res) => {
   }
 });
 
-// GET /api/resources/signed-url/:id
-// Generates a temporary link to view/download a file
+// GET /api/resources/signed-url/:id?original=true
+// Generates a temporary link to view/download a file. Scans that OCR gave a
+// text layer are served as that searchable copy unless `original` is set.
 router.get('/signed-url/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query('SELECT storage_path, content_type, visibility, contributor_id FROM resources WHERE id = $1', [id]);
+    const result = await pool.query(
+      'SELECT storage_path, searchable_pdf_path, content_type, visibility, contributor_id, review_status FROM resources WHERE id = $1',
+      [id]
+    );
     if (result.rows.length === 0) {
       return res.status(404).json({ success: false, error: 'Resource not found' });
     }
 
-    const { storage_path, content_type, visibility, contributor_id } = result.rows[0];
+    const { storage_path, searchable_pdf_path, content_type, visibility, contributor_id, review_status } = result.rows[0];
 
     if (content_type !== 'file' || !storage_path) {
       return res.status(400).json({ success: false, error: 'Resource is not a file or has no storage path' });
     }
 
     // Permission Check
-    const userIsAdmin = await isAdmin(req.user.id);
-    const userIsFaculty = req.user.role === 'faculty';
-    const isOwner = contributor_id === req.user.id;
+    if (!canViewResource({ visibility, contributor_id, review_status }, req.user)) {
+      const error = visibility === 'private' ? 'Access denied' : 'Access restricted to faculty';
+      return res.status(403).json({ success: false, error });
+    }
+
+    // Generate Signed URL (valid for 1 hour)
+    const searchable = !!searchable_pdf_path && req.query.original !== 'true';
+    const { data, error } = await supabase.storage
+      .from('resources')
+      .createSignedUrl(searchable ? searchable_pdf_path : storage_path, 3600);
+
+    if (error) throw error;
+
+    await recordResourceAccess({ id, contributor_id }, req.user.id, 'download');
+
+    res.json({ success: true, signedUrl: data.signedUrl, searchable });
+  } catch (err) {
+    console.error('Error generating signed URL:', err);
+    res.status(500).json({ success: false, error: 'Failed to generate access link' });
+  }
+});
+
+// POST /api/resources/:id/view
+// Records that the user opened a resource's external link. Files are counted
+// when their signed URL is issued instead.
+router.post('/:id/view', authMiddleware, async (req, res) => {
+  try {
+    const resource = await getViewableResource(req.params.id, req.user);
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+
+    const counted = await recordResourceAccess(resource, req.user.id, 'view');
+    res.json({ success: true, counted });
+  } catch (err) {
+    console.error('Error recording view:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/resources/:id/status-history
+// Review decisions for a resource, newest first (owner or admin only)
+router.get('/:id/status-history', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const canManage = can(req.user, 'resource.manage');
+    const userIsOwner = await isResourceOwner(id, req.user.id);
+
+    if (!canManage && !userIsOwner) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to view this history' });
+    }
+
+    const result = await pool.query(`
+      SELECT h.id, h.from_status, h.to_status, h.reason, h.created_at,
+             u.full_name AS changed_by_name, u.role AS changed_by_role
+      FROM resource_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.resource_id = $1
+      ORDER BY h.created_at DESC
+    `, [id]);
+
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching status history:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/resubmit
+// Sends a resource that an admin returned with "changes requested" back to
+// the review queue, with an optional note about what was fixed.
+router.post('/:id/resubmit', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query(
+      'SELECT contributor_id, review_status FROM resources WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+    if (existing.rows[0].contributor_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ success: false, error: 'Only the contributor can resubmit this resource' });
+    }
+    if (existing.rows[0].review_status !== 'changes_requested') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: 'Only resources with requested changes can be resubmitted' });
+    }
+
+    const resource = await setReviewStatus(id, { status: 'pending', reason: note || null, changedBy: req.user.id }, client);
+    await client.query('COMMIT');
+    res.json({ success: true, data: resource });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resubmitting resource:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
 
-    if (visibility === 'private' && !isOwner && !userIsAdmin) {
+// GET /api/resources/:id/versions
+// Version history of a resource, newest first (owner or admin only)
+router.get('/:id/versions', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const canManage = can(req.user, 'resource.manage');
+    const userIsOwner = await isResourceOwner(id, req.user.id);
+
+    if (!canManage && !userIsOwner) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to view this history' });
+    }
+
+    const result = await pool.query(`
+      SELECT v.id, v.version_number, v.change_type, v.change_note, v.created_at,
+             v.title, v.description, v.resource_type, v.visibility, v.content_type,
+             v.external_url, v.original_filename, v.storage_path IS NOT NULL AS has_file,
+             v.version_number = MAX(v.version_number) OVER () AS is_current,
+             u.full_name AS changed_by_name,
+             s.name AS subject_name, s.code AS subject_code,
+             ay.start_year, ay.end_year, un.unit_number
+      FROM resource_versions v
+      LEFT JOIN users u ON v.changed_by = u.id
+      LEFT JOIN subjects s ON v.subject_id = s.id
+      LEFT JOIN subject_offerings so ON v.subject_offering_id = so.id
+      LEFT JOIN academic_years ay ON so.academic_year_id = ay.id
+      LEFT JOIN units un ON v.unit_id = un.id
+      WHERE v.resource_id = $1
+      ORDER BY v.version_number DESC
+    `, [id]);
+
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching resource versions:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/resources/:id/versions/:versionId/signed-url
+// Temporary link to the file as it was at a given version
+router.get('/:id/versions/:versionId/signed-url', authMiddleware, async (req, res) => {
+  const { id, versionId } = req.params;
+  try {
+    const canManage = can(req.user, 'resource.manage');
+    const userIsOwner = await isResourceOwner(id, req.user.id);
+
+    if (!canManage && !userIsOwner) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
-    if (visibility === 'faculty' && !userIsAdmin && !userIsFaculty && !isOwner) {
-      return res.status(403).json({ success: false, error: 'Access restricted to faculty' });
+
+    const result = await pool.query(
+      'SELECT storage_path FROM resource_versions WHERE id = $1 AND resource_id = $2',
+      [versionId, id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    if (!result.rows[0].storage_path) {
+      return res.status(400).json({ success: false, error: 'This version has no file' });
     }
 
-    // Generate Signed URL (valid for 1 hour)
     const { data, error } = await supabase.storage
       .from('resources')
-      .createSignedUrl(storage_path, 3600);
+      .createSignedUrl(result.rows[0].storage_path, 3600);
 
     if (error) throw error;
 
     res.json({ success: true, signedUrl: data.signedUrl });
   } catch (err) {
-    console.error('Error generating signed URL:', err);
+    console.error('Error generating version signed URL:', err);
     res.status(500).json({ success: false, error: 'Failed to generate access link' });
   }
 });
 
+// POST /api/resources/:id/versions/:versionId/restore
+// Makes an older version current again. The restore is itself recorded as a
+// new version, so it can be undone the same way.
+router.post('/:id/versions/:versionId/restore', authMiddleware, async (req, res) => {
+  const { id, versionId } = req.params;
+  const client = await pool.connect();
+  try {
+    const canManage = can(req.user, 'resource.manage');
+    const userIsOwner = await isResourceOwner(id, req.user.id, client);
+
+    if (!canManage && !userIsOwner) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to restore this resource' });
+    }
+
+    await client.query('BEGIN');
+    const currentRes = await client.query('SELECT storage_path FROM resources WHERE id = $1 FOR UPDATE', [id]);
+    if (currentRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+
+    const versionRes = await client.query(
+      'SELECT * FROM resource_versions WHERE id = $1 AND resource_id = $2',
+      [versionId, id]
+    );
+    if (versionRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    const version = versionRes.rows[0];
+    const fileChanged = version.storage_path !== currentRes.rows[0].storage_path;
+    // Renditions/thumbnails are regenerated by the preview task for the restored file
+    const fileFormat = version.storage_path ? formatForFilename(version.original_filename || version.storage_path) || 'pdf' : null;
+
+    const result = await client.query(`
+      UPDATE resources SET
+        title = $1, description = $2, resource_type = $3, visibility = $4, content_type = $5,
+        subject_id = $6, subject_offering_id = $7, unit_id = $8, storage_path = $9, external_url = $10
+        ${fileChanged ? `, ai_summary = NULL, ai_summary_outline = NULL, ai_study_set = NULL, file_format = $12, pdf_rendition_path = NULL, thumbnail_path = NULL,
+          searchable_pdf_path = NULL, preview_status = $13, content_hash = NULL` : ''}
+      WHERE id = $11
+      RETURNING *
+    `, [
+      version.title, version.description, version.resource_type, version.visibility, version.content_type,
+      version.subject_id, version.subject_offering_id, version.unit_id, version.storage_path, version.external_url,
+      id,
+      ...(fileChanged ? [fileFormat, needsPreview(fileFormat) ? 'pending' : null] : []),
+    ]);
+
+    // Summary and search text are rebuilt for the restored file
+    if (fileChanged) {
+      await client.query('DELETE FROM resource_texts WHERE resource_id = $1', [id]);
+      await client.query('DELETE FROM resource_ocr_pages WHERE resource_id = $1', [id]);
+      await client.query(
+        `DELETE FROM resource_duplicates WHERE (resource_id = $1 OR duplicate_of = $1) AND status = 'open'`,
+        [id]
+      );
+      await clearResourceJobs(id, client);
+    }
+
+    const newVersion = await recordResourceVersion(id, {
+      changeType: 'restored',
+      changedBy: req.user.id,
+      note: `Restored version ${version.version_number}`,
+      filename: version.original_filename,
+    }, client);
+
+    await client.query('COMMIT');
+    res.json({ success: true, data: result.rows[0], version: newVersion });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error restoring resource version:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // POST /api/resources/:id/summarize
 // Manually triggers or fetches an AI summary for a resource
 router.post('/:id/summarize', authMiddleware, async (req, res) => {
   const { id } = req.params;
-  const { extractTextFromPDF, generateSummary } = await import('../utils/ai.js');
+  const { generateSummary, formatSummary } = await import('../utils/ai.js');
 
   try {
-    // 1. Check if summary already exists
-    const result = await pool.query('SELECT ai_summary, storage_path, content_type FROM resources WHERE id = $1', [id]);
-    if (result.rows.length === 0) {
+    if (!await getViewableResource(id, req.user)) {
       return res.status(404).json({ success: false, error: 'Resource not found' });
     }
 
-    const { ai_summary, storage_path, content_type } = result.rows[0];
+    // 1. Check if summary already exists
+    const result = await pool.query(
+      'SELECT id, ai_summary, storage_path, content_type, file_format, pdf_rendition_path, preview_status FROM resources WHERE id = $1',
+      [id]
+    );
+    const resource = result.rows[0];
+    const { ai_summary, storage_path, content_type } = resource;
 
     if (ai_summary) {
       return res.json({ success: true, summary: ai_summary });
     }
 
     if (content_type !== 'file' || !storage_path) {
-      return res.status(400).json({ success: false, error: 'AI Summary is only available for PDF files' });
+      return res.status(400).json({ success: false, error: 'AI Summary is only available for uploaded files' });
     }
 
     // 2. Generate summary on the fly if it doesn't exist
-    const { data, error } = await supabase.storage.from('resources').download(storage_path);
-    if (error) throw error;
-
-    const buffer = Buffer.from(await data.arrayBuffer());
-    const text = await extractTextFromPDF(buffer);
-    const summary = await generateSummary(text);
+    const text = await extractResourceText(resource);
+    if (text === null) {
+      return resource.preview_status === 'pending'
+        ? res.status(409).json({ success: false, error: 'This file is still being converted. Try again in a minute.' })
+        : res.status(400).json({ success: false, error: 'AI Summary is not available for this file type' });
+    }
+    await saveExtractedText(id, text);
+    checkNearDuplicates(id).catch(err => console.error('Near-duplicate check failed:', err));
+    const outline = await generateSummary(text);
+    const summary = formatSummary(outline);
 
-    // 3. Save to DB
-    await pool.query('UPDATE resources SET ai_summary = $1 WHERE id = $2', [summary, id]);
+    // 3. Save to DB, unless the file was replaced while this one was summarized
+    await pool.query(
+      'UPDATE resources SET ai_summary = $1, ai_summary_outline = $2 WHERE id = $3 AND storage_path = $4',
+      [summary, JSON.stringify(outline), id, storage_path]
+    );
 
     res.json({ success: true, summary });
   } catch (err) {
+    if (err.ocrPending) return res.status(409).json({ success: false, error: err.message });
     console.error('Error in on-demand summarization:', err);
     res.status(500).json({ success: false, error: 'Failed to generate summary' });
   }
 });
 
+// POST /api/resources/:id/study-set
+// Fetches the practice quiz and flashcards for a resource, generating them
+// from its text the first time
+router.post('/:id/study-set', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const { generateStudySet } = await import('../utils/ai.js');
+
+  try {
+    if (!await getViewableResource(id, req.user)) {
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+
+    // 1. Return the cached set if there is one
+    const result = await pool.query(
+      'SELECT id, ai_study_set, storage_path, content_type, file_format, pdf_rendition_path, preview_status FROM resources WHERE id = $1',
+      [id]
+    );
+    const resource = result.rows[0];
+    if (resource.ai_study_set) {
+      return res.json({ success: true, data: resource.ai_study_set });
+    }
+
+    if (resource.content_type !== 'file' || !resource.storage_path) {
+      return res.status(400).json({ success: false, error: 'Practice quizzes are only available for uploaded files' });
+    }
+
+    // 2. Use the text already extracted for search, or extract it now
+    const textRes = await pool.query('SELECT content FROM resource_texts WHERE resource_id = $1', [id]);
+    let text = textRes.rows[0]?.content;
+    if (!text) {
+      text = await extractResourceText(resource);
+      if (text === null) {
+        return resource.preview_status === 'pending'
+          ? res.status(409).json({ success: false, error: 'This file is still being converted. Try again in a minute.' })
+          : res.status(400).json({ success: false, error: 'Practice quizzes are not available for this file type' });
+      }
+      await saveExtractedText(id, text);
+      checkNearDuplicates(id).catch(err => console.error('Near-duplicate check failed:', err));
+    }
+    if (!text.trim()) {
+      return res.status(400).json({ success: false, error: 'This file has no readable text to build a quiz from' });
+    }
+
+    // 3. Generate, check the shape and cache
+    const validation = studySetSchema.safeParse(await generateStudySet(text));
+    if (!validation.success) {
+      console.error('Generated study set was malformed:', validation.error.issues[0]);
+      return res.status(500).json({ success: false, error: 'Failed to generate quiz' });
+    }
+    const studySet = { ...validation.data, generated_at: new Date().toISOString() };
+    await pool.query('UPDATE resources SET ai_study_set = $1 WHERE id = $2', [JSON.stringify(studySet), id]);
+
+    res.json({ success: true, data: studySet });
+  } catch (err) {
+    if (err.ocrPending) return res.status(409).json({ success: false, error: err.message });
+    console.error('Error generating study set:', err);
+    res.status(500).json({ success: false, error: 'Failed to generate quiz' });
+  }
+});
+
+// POST /api/resources/:id/quiz-attempts
+// Scores and saves an attempt at the resource's quiz. Multiple-choice answers
+// are marked here; short answers are marked by the student against the model
+// answer.
+router.post('/:id/quiz-attempts', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const validation = quizAttemptSchema.safeParse(req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+    }
+    const { generated_at, multiple_choice, short_answer } = validation.data;
+
+    if (!await getViewableResource(id, req.user)) {
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+
+    const setRes = await pool.query('SELECT ai_study_set FROM resources WHERE id = $1', [id]);
+    const studySet = setRes.rows[0].ai_study_set;
+    if (!studySet || studySet.generated_at !== generated_at) {
+      return res.status(409).json({ success: false, error: 'This quiz has changed since you started it. Please reload it.' });
+    }
+    if (multiple_choice.length !== studySet.multiple_choice.length || short_answer.length > studySet.short_answer.length) {
+      return res.status(400).json({ success: false, error: 'Answers do not match the quiz' });
+    }
+
+    const correct = multiple_choice.filter((choice, i) => choice === studySet.multiple_choice[i].answer_index).length;
+    const score = correct + short_answer.filter(Boolean).length;
+    const total = studySet.multiple_choice.length + studySet.short_answer.length;
+
+    const result = await pool.query(`
+      INSERT INTO quiz_attempts (user_id, resource_id, score, total, answers, generated_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, score, total, created_at
+    `, [req.user.id, id, score, total, JSON.stringify({ multiple_choice, short_answer }), generated_at]);
+
+    res.status(201).json({ success: true, data: result.rows[0] });
+  } catch (err) {
+    console.error('Error saving quiz attempt:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/resources/:id/quiz-attempts
+// The current user's past scores on the resource's quiz, latest first
+router.get('/:id/quiz-attempts', authMiddleware, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, score, total, generated_at, created_at
+      FROM quiz_attempts
+      WHERE user_id = $1 AND resource_id = $2
+      ORDER BY created_at DESC
+      LIMIT 20
+    `, [req.user.id, req.params.id]);
+    res.json({ success: true, data: result.rows });
+  } catch (err) {
+    console.error('Error fetching quiz attempts:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // POST /api/resources (External Link)
 router.post('/', authMiddleware, async (req, res) => {
   const client = await pool.connect();
@@ -394,8 +989,8 @@ router.post('/', authMiddleware, async (req, res) => {
       INSERT INTO resources (
         id, subject_id, subject_offering_id, unit_id, title, description,
         resource_type, content_type, external_url, contributor_id,
-        is_verified, verified_by, verified_at, visibility
-      ) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        is_verified, verified_by, verified_at, visibility, review_status
+      ) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
     const result = await client.query(insertQuery, [
@@ -404,8 +999,11 @@ router.post('/', authMiddleware, async (req, res) => {
       autoVerified,
       autoVerified ? req.user.id : null,
       autoVerified ? new Date() : null,
-      visibility || 'public'
+      visibility || 'public',
+      autoVerified ? 'approved' : 'pending'
     ]);
+    await recordResourceVersion(result.rows[0].id, { changeType: 'created', changedBy: req.user.id }, client);
+    await logStatusChange(result.rows[0].id, { to: result.rows[0].review_status, changedBy: req.user.id }, client);
 
     // Notification Logic
     try {
@@ -413,9 +1011,10 @@ router.post('/', authMiddleware, async (req, res) => {
       const contextRes = await client.query(`SELECT name as subject_name, course_id FROM subjects WHERE id = $1`, [subject.id]);
       const ctx = contextRes.rows[0] || {};
       
-      if (ctx.course_id) {
-        notifyCourseSubscribers({
+      if (contextRes.rows.length > 0) {
+        notifySubscribers({
           courseId: ctx.course_id,
+          subjects: [{ subjectId: subject.id, offeringId: offering.id }],
           resourceId: resourceId,
           title: 'New Resource Uploaded',
           message: `A new ${resource_type.replace('_', ' ')} titled "${title}" has been uploaded to ${ctx.subject_name}.`
@@ -438,103 +1037,32 @@ router.post('/', authMiddleware, async (req, res) => {
 
 // POST /api/resources/file (File Upload)
 router.post('/file', authMiddleware, (req, res) => {
-  const { busboy, fields, upload } = createPdfUploadParser(req);
+  const { busboy, fields, upload } = createUploadParser(req);
 
   busboy.on('finish', async () => {
-    const client = await pool.connect();
-    let uploadedPath = null;
-
     try {
       const validation = fileResourceSchema.safeParse(fields);
       if (!validation.success) {
         return res.status(400).json({ success: false, error: validation.error.errors[0].message });
       }
 
-      const { 
-        title, description, subject_code, start_year, 
-        end_year, unit_number, resource_type, visibility 
-      } = validation.data;
-
-      const fileValidationError = upload.error || validatePdfUpload({
-        filename: upload.filename,
-        mimeType: upload.mimeType,
-        fileData: upload.data,
-      });
-
-      if (fileValidationError) {
-        return res.status(400).json({ success: false, error: fileValidationError });
-      }
-
-      await client.query('BEGIN');
-      const subject = await resolveSubject(subject_code);
-      const academicYearId = await resolveAcademicYear(parseInt(start_year), parseInt(end_year));
-      const offering = await resolveSubjectOffering(subject.id, academicYearId);
-      let unitId = null;
-      if (unit_number) {
-        unitId = await resolveUnit(offering.id, parseInt(unit_number));
+      const file = await resolveIncomingFile(upload, fields, req.user.id);
+      if (file.error) {
+        return res.status(400).json({ success: false, error: file.error });
       }
 
-      const autoVerified = req.user.is_verified === true;
-      const resourceId = crypto.randomUUID();
-
-      const insertQuery = `
-        INSERT INTO resources (
-          id, subject_id, subject_offering_id, unit_id, title, description,
-          resource_type, content_type, contributor_id,
-          is_verified, verified_by, verified_at, visibility
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-        RETURNING *
-      `;
-      await client.query(insertQuery, [
-        resourceId, subject.id, offering.id, unitId, title.trim(), description.trim(),
-        resource_type, 'file', req.user.id,
-        autoVerified,
-        autoVerified ? req.user.id : null,
-        autoVerified ? new Date() : null,
-        visibility || 'public'
-      ]);
-
-      const storagePath = generateStoragePath(subject.id, offering.id, unitId, `${resourceId}-${upload.filename}`);
-      const { error: uploadError } = await supabase.storage
-        .from('resources')
-        .upload(storagePath, upload.data, { contentType: upload.mimeType, upsert: false });
-
-      if (uploadError) throw new Error(`File upload failed: ${uploadError.message}`);
-      uploadedPath = storagePath;
-
-      const updateResult = await client.query(
-        `UPDATE resources SET storage_path = $1 WHERE id = $2 RETURNING *`,
-        [storagePath, resourceId]
-      );
-      const result = updateResult;
-
-      await client.query('COMMIT');
-
-      // Notification Logic
-      try {
-        const resource = result.rows[0];
-        const contextRes = await client.query(`SELECT name as subject_name, course_id FROM subjects WHERE id = $1`, [resource.subject_id]);
-        const ctx = contextRes.rows[0] || {};
-        if (ctx.course_id) {
-          notifyCourseSubscribers({
-            courseId: ctx.course_id,
-            resourceId: resource.id,
-            title: 'New Resource Uploaded',
-            message: `A new ${resource_type.replace('_', ' ')} titled "${resource.title}" has been uploaded to ${ctx.subject_name}.`
-          }).catch(err => console.error('Notification failed:', err));
+      if (!allowsDuplicate(fields.allow_duplicate)) {
+        const duplicates = await findVisibleDuplicates(file, req.user);
+        if (duplicates.length > 0) {
+          return res.status(409).json({ success: false, error: DUPLICATE_UPLOAD_ERROR, duplicates });
         }
-      } catch (ctxErr) {
-        console.error('Notification context fetch failed:', ctxErr);
       }
 
-      res.status(201).json({ success: true, data: result.rows[0] });
+      const resource = await createFileResource(validation.data, file, req.user);
+      res.status(201).json({ success: true, data: resource });
     } catch (error) {
-      await client.query('ROLLBACK');
-      if (uploadedPath) await supabase.storage.from('resources').remove([uploadedPath]);
       console.error('Error uploading file resource:', error);
       res.status(400).json({ success: false, error: error.message || 'Failed to upload file' });
-    } finally {
-      client.release();
     }
   });
 
@@ -546,22 +1074,96 @@ router.post('/file', authMiddleware, (req, res) => {
   req.pipe(busboy);
 });
 
+// POST /api/resources/bulk/validate
+// Body: { items: [{ title, description, subject_code, start_year, end_year, unit_number, resource_type, visibility }] }
+// Checks every manifest row without creating anything, so problems show up
+// before the files are uploaded.
+router.post('/bulk/validate', authMiddleware, async (req, res) => {
+  try {
+    const itemsError = checkBulkRequest(req);
+    if (itemsError) return res.status(itemsError.status).json({ success: false, error: itemsError.error });
+
+    const results = [];
+    for (const [index, row] of req.body.items.entries()) {
+      const { error } = await validateBulkRow(row);
+      results.push(error ? { index, valid: false, error } : { index, valid: true });
+    }
+    res.json({ success: true, data: { results } });
+  } catch (err) {
+    console.error('Error validating bulk upload:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/bulk
+// Body: { items: [{ upload_id, allow_duplicate, ...same fields as above }] }
+// Creates one resource per row from files already sent as resumable uploads.
+// Rows succeed or fail independently; the response reports each one.
+router.post('/bulk', authMiddleware, async (req, res) => {
+  try {
+    const itemsError = checkBulkRequest(req);
+    if (itemsError) return res.status(itemsError.status).json({ success: false, error: itemsError.error });
+
+    const results = [];
+    const created = [];
+    for (const [index, row] of req.body.items.entries()) {
+      try {
+        const { error, data } = await validateBulkRow(row);
+        if (error) {
+          results.push({ index, success: false, error });
+          continue;
+        }
+
+        const file = await resolveIncomingFile({}, { upload_id: row.upload_id }, req.user.id);
+        if (file.error) {
+          results.push({ index, success: false, error: file.error });
+          continue;
+        }
+
+        if (!allowsDuplicate(row.allow_duplicate)) {
+          const duplicates = await findVisibleDuplicates(file, req.user);
+          if (duplicates.length > 0) {
+            results.push({ index, success: false, error: DUPLICATE_UPLOAD_ERROR, duplicates });
+            continue;
+          }
+        }
+
+        const resource = await createFileResource(data, file, req.user, { notify: false });
+        created.push(resource);
+        results.push({ index, success: true, resource: { id: resource.id, title: resource.title } });
+      } catch (rowErr) {
+        console.error(`Bulk upload row ${index} failed:`, rowErr);
+        results.push({ index, success: false, error: rowErr.message || 'Failed to create resource' });
+      }
+    }
+
+    notifyBulkUpload(created);
+
+    res.json({
+      success: true,
+      data: { created: created.length, failed: results.length - created.length, results },
+    });
+  } catch (err) {
+    console.error('Error processing bulk upload:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // PUT /api/resources/file/:id
 router.put('/file/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
-  const { busboy, fields, upload } = createPdfUploadParser(req);
+  const { busboy, fields, upload } = createUploadParser(req);
 
   busboy.on('finish', async () => {
     const client = await pool.connect();
-    let oldPath = null;
     let newPath = null;
     let transactionStarted = false;
 
     try {
-      const userIsAdmin = await isAdmin(req.user.id, client);
+      const canManage = can(req.user, 'resource.manage');
       const userIsOwner = await isResourceOwner(id, req.user.id, client);
 
-      if (!userIsAdmin && !userIsOwner) {
+      if (!canManage && !userIsOwner) {
         return res.status(403).json({ success: false, error: 'Permission denied' });
       }
 
@@ -569,21 +1171,18 @@ router.put('/file/:id', authMiddleware, async (req, res) => {
       if (existingRes.rows.length === 0) throw new Error('Resource not found');
       
       const existing = existingRes.rows[0];
-      oldPath = existing.storage_path;
-
-      if (upload.error) {
-        return res.status(400).json({ success: false, error: upload.error });
-      }
-
-      if (upload.data || upload.filename) {
-        const fileValidationError = validatePdfUpload({
-          filename: upload.filename,
-          mimeType: upload.mimeType,
-          fileData: upload.data,
-        });
 
-        if (fileValidationError) {
-          return res.status(400).json({ success: false, error: fileValidationError });
+      let file = null;
+      if (upload.error || upload.filename || fields.upload_id) {
+        file = await resolveIncomingFile(upload, fields, req.user.id);
+        if (file.error) {
+          return res.status(400).json({ success: false, error: file.error });
+        }
+        if (!allowsDuplicate(fields.allow_duplicate)) {
+          const duplicates = await findVisibleDuplicates(file, req.user, id);
+          if (duplicates.length > 0) {
+            return res.status(409).json({ success: false, error: DUPLICATE_UPLOAD_ERROR, duplicates });
+          }
         }
       }
 
@@ -620,35 +1219,57 @@ router.put('/file/:id', authMiddleware, async (req, res) => {
         addUpdate('unit_id', uId);
       }
 
-      if (updates.length > 0 || (upload.data && upload.filename)) {
+      if (updates.length > 0 || file) {
         await client.query('BEGIN');
         transactionStarted = true;
       }
 
-      // Handle file replacement
-      if (upload.data && upload.filename) {
-        const storagePath = generateStoragePath(subjectId, offeringId, fields.unit_number || existing.unit_id, `${id}-${upload.filename}`);
-        const { error: uploadError } = await supabase.storage.from('resources').upload(storagePath, upload.data, { contentType: upload.mimeType, upsert: true });
-        if (uploadError) throw uploadError;
+      // Handle file replacement. Each upload gets its own path so the previous
+      // file stays in storage for the version history.
+      if (file) {
+        const storagePath = generateStoragePath(subjectId, offeringId, fields.unit_number || existing.unit_id, `${id}-${Date.now()}-${file.filename}`);
+        await storeIncomingFile(file, storagePath, client);
         
         newPath = storagePath;
         addUpdate('storage_path', storagePath);
         addUpdate('content_type', 'file'); // Ensure it's marked as file
+        addUpdate('file_format', file.format);
+        addUpdate('pdf_rendition_path', null);
+        addUpdate('thumbnail_path', null);
+        addUpdate('searchable_pdf_path', null);
+        addUpdate('preview_status', needsPreview(file.format) ? 'pending' : null);
+        addUpdate('content_hash', file.contentHash || null);
+        addUpdate('ai_summary', null); // Summary, quiz and search text are rebuilt for the new file
+        addUpdate('ai_summary_outline', null);
+        addUpdate('ai_study_set', null);
+        await client.query('DELETE FROM resource_texts WHERE resource_id = $1', [id]);
+        await client.query('DELETE FROM resource_ocr_pages WHERE resource_id = $1', [id]);
+        // Matches found for the old file no longer apply
+        await client.query(
+          `DELETE FROM resource_duplicates WHERE (resource_id = $1 OR duplicate_of = $1) AND status = 'open'`,
+          [id]
+        );
+        await clearResourceJobs(id, client); // An old failure shouldn't block the new file
       }
 
       if (updates.length > 0) {
         values.push(id);
         await client.query(`UPDATE resources SET ${updates.join(', ')} WHERE id = $${paramCount}`, values);
+        await recordResourceVersion(id, {
+          changeType: newPath ? 'file_replaced' : 'metadata_updated',
+          changedBy: req.user.id,
+          filename: newPath ? file.filename : null,
+        }, client);
       }
 
       if (transactionStarted) {
         await client.query('COMMIT');
         transactionStarted = false;
       }
-
-      // Cleanup old file if it was replaced
-      if (newPath && oldPath && oldPath !== newPath) {
-        await supabase.storage.from('resources').remove([oldPath]);
+      if (file?.staged) removeStagedUpload(file.staged);
+      if (newPath) {
+        queuePreviews(id, file.format, file.data);
+        await flagExactDuplicates(id, file.contentHash);
       }
 
       res.json({ success: true, message: 'Resource updated' });
@@ -679,10 +1300,10 @@ router.put('/:id', authMiddleware, async (req, res) => {
       external_url, subject_code, start_year, end_year, unit_number 
     } = req.body;
 
-    const userIsAdmin = await isAdmin(req.user.id, client);
+    const canManage = can(req.user, 'resource.manage');
     const userIsOwner = await isResourceOwner(id, req.user.id, client);
 
-    if (!userIsAdmin && !userIsOwner) {
+    if (!canManage && !userIsOwner) {
       return res.status(403).json({ success: false, error: 'You do not have permission to update this resource' });
     }
 
@@ -734,6 +1355,7 @@ router.put('/:id', authMiddleware, async (req, res) => {
       values.push(id);
       const query = `UPDATE resources SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`;
       const result = await client.query(query, values);
+      await recordResourceVersion(id, { changeType: 'metadata_updated', changedBy: req.user.id }, client);
       await client.query('COMMIT');
       res.json({ success: true, data: result.rows[0] });
     } else {
@@ -754,25 +1376,26 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
   const client = await pool.connect();
   try {
-    const userIsAdmin = await isAdmin(req.user.id, client);
+    const canManage = can(req.user, 'resource.manage');
     const userIsOwner = await isResourceOwner(id, req.user.id, client);
 
-    if (!userIsAdmin && !userIsOwner) {
+    if (!canManage && !userIsOwner) {
       return res.status(403).json({ success: false, error: 'You do not have permission to delete this resource' });
     }
 
-    const resourceResult = await client.query('SELECT storage_path, content_type FROM resources WHERE id = $1', [id]);
+    const resourceResult = await client.query('SELECT id FROM resources WHERE id = $1', [id]);
     if (resourceResult.rows.length === 0) {
       return res.status(404).json({ success: false, error: 'Resource not found' });
     }
 
-    const { storage_path, content_type } = resourceResult.rows[0];
+    // Collected before the delete cascades away the version rows
+    const storagePaths = await getResourceStoragePaths(id, client);
 
     await client.query('BEGIN');
     await client.query('DELETE FROM resources WHERE id = $1', [id]);
 
-    if (content_type === 'file' && storage_path) {
-      const { error: storageError } = await supabase.storage.from('resources').remove([storage_path]);
+    if (storagePaths.length > 0) {
+      const { error: storageError } = await supabase.storage.from('resources').remove(storagePaths);
       if (storageError) console.error('Failed to remove file from storage:', storageError);
     }
 
@@ -787,4 +1410,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Ratings and reviews: /api/resources/:id/reviews
+router.use('/:id/reviews', reviewRoutes);
+
 export default router;
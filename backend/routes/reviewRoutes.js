@@ -0,0 +1,268 @@
+// backend/routes/reviewRoutes.js
+// Ratings, written reviews and helpfulness votes for a single resource.
+// Mounted by resourceRoutes under /api/resources/:id/reviews.
+import express from 'express';
+import pool from '../db.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { reviewSchema, reviewReportSchema } from '../validators/reviewValidator.js';
+import { getViewableResource, refreshResourceRating } from '../utils/dbHelpers.js';
+import { parsePagination } from '../utils/resourceListing.js';
+
+const router = express.Router({ mergeParams: true });
+
+const REVIEW_SORTS = {
+  helpful: 'rv.helpful_count DESC, rv.created_at DESC',
+  newest: 'rv.created_at DESC',
+  highest: 'rv.rating DESC, rv.created_at DESC',
+  lowest: 'rv.rating ASC, rv.created_at DESC',
+};
+
+const REVIEW_SELECT = `
+  rv.id, rv.resource_id, rv.user_id, rv.rating, rv.body, rv.helpful_count,
+  rv.is_hidden, rv.hidden_reason, rv.created_at, rv.updated_at,
+  u.full_name AS author_name, u.role AS author_role
+`;
+
+// Reviews can only be voted on or reported through the resource they belong to
+async function loadReview(resourceId, reviewId) {
+  const result = await pool.query(
+    'SELECT id, user_id, is_hidden FROM resource_reviews WHERE id = $1 AND resource_id = $2',
+    [reviewId, resourceId]
+  );
+  return result.rows[0] || null;
+}
+
+// GET /api/resources/:id/reviews
+// Visible reviews for a resource with the star distribution, plus the
+// caller's own review (even if an admin hid it) so they can edit it.
+router.get('/', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const resource = await getViewableResource(id, req.user);
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+
+    const pagination = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    const orderBy = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.helpful;
+
+    const [reviews, count, distribution, mine] = await Promise.all([
+      pool.query(`
+        SELECT ${REVIEW_SELECT},
+               EXISTS (SELECT 1 FROM review_helpful_votes v WHERE v.review_id = rv.id AND v.user_id = $2) AS voted_helpful
+        FROM resource_reviews rv
+        LEFT JOIN users u ON rv.user_id = u.id
+        WHERE rv.resource_id = $1 AND rv.is_hidden = FALSE
+        ORDER BY ${orderBy}, rv.id
+        LIMIT $3 OFFSET $4
+      `, [id, req.user.id, pagination.limit, pagination.offset]),
+      pool.query(
+        'SELECT COUNT(*)::int AS total FROM resource_reviews WHERE resource_id = $1 AND is_hidden = FALSE',
+        [id]
+      ),
+      pool.query(`
+        SELECT rating, COUNT(*)::int AS count
+        FROM resource_reviews
+        WHERE resource_id = $1 AND is_hidden = FALSE
+        GROUP BY rating
+      `, [id]),
+      pool.query(`
+        SELECT ${REVIEW_SELECT}
+        FROM resource_reviews rv
+        LEFT JOIN users u ON rv.user_id = u.id
+        WHERE rv.resource_id = $1 AND rv.user_id = $2
+      `, [id, req.user.id]),
+    ]);
+
+    const total = count.rows[0].total;
+    const stars = Object.fromEntries([1, 2, 3, 4, 5].map(n => [n, 0]));
+    distribution.rows.forEach(row => { stars[row.rating] = row.count; });
+
+    res.json({
+      success: true,
+      data: reviews.rows,
+      summary: {
+        rating_avg: Number(resource.rating_avg),
+        rating_count: resource.rating_count,
+        distribution: stars,
+      },
+      mine: mine.rows[0] || null,
+      can_review: resource.contributor_id !== req.user.id,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        total,
+        total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+      },
+    });
+  } catch (err) {
+    console.error('Error fetching reviews:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PUT /api/resources/:id/reviews
+// Creates or updates the caller's review. A hidden review stays hidden when
+// edited; only an admin can bring it back.
+router.put('/', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const validation = reviewSchema.safeParse(req.body);
+  if (!validation.success) {
+    return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+  }
+  const { rating, body } = validation.data;
+
+  const client = await pool.connect();
+  try {
+    const resource = await getViewableResource(id, req.user);
+    if (!resource) return res.status(404).json({ success: false, error: 'Resource not found' });
+    if (resource.contributor_id === req.user.id) {
+      return res.status(403).json({ success: false, error: 'You cannot review your own resource' });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO resource_reviews (resource_id, user_id, rating, body)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (resource_id, user_id)
+      DO UPDATE SET rating = EXCLUDED.rating, body = EXCLUDED.body, updated_at = NOW()
+      RETURNING *, (xmax = 0) AS created
+    `, [id, req.user.id, rating, body]);
+    await refreshResourceRating(id, client);
+    const aggregate = await client.query('SELECT rating_avg, rating_count FROM resources WHERE id = $1', [id]);
+    await client.query('COMMIT');
+
+    const { created, ...review } = result.rows[0];
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: review,
+      summary: { rating_avg: Number(aggregate.rows[0].rating_avg), rating_count: aggregate.rows[0].rating_count },
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error saving review:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/resources/:id/reviews
+// Removes the caller's own review
+router.delete('/', authMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'DELETE FROM resource_reviews WHERE resource_id = $1 AND user_id = $2 RETURNING id',
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+    await refreshResourceRating(id, client);
+    await client.query('COMMIT');
+    res.json({ success: true });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting review:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/resources/:id/reviews/:reviewId/helpful
+// Marks a review as helpful. Voting twice is a no-op.
+router.post('/:reviewId/helpful', authMiddleware, async (req, res) => {
+  const { id, reviewId } = req.params;
+  try {
+    if (!(await getViewableResource(id, req.user))) {
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+    const review = await loadReview(id, reviewId);
+    if (!review || review.is_hidden) return res.status(404).json({ success: false, error: 'Review not found' });
+    if (review.user_id === req.user.id) {
+      return res.status(403).json({ success: false, error: 'You cannot vote on your own review' });
+    }
+
+    const result = await pool.query(`
+      WITH vote AS (
+        INSERT INTO review_helpful_votes (review_id, user_id) VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING review_id
+      )
+      UPDATE resource_reviews SET helpful_count = helpful_count + (SELECT COUNT(*) FROM vote)
+      WHERE id = $1
+      RETURNING helpful_count
+    `, [reviewId, req.user.id]);
+
+    res.json({ success: true, data: { helpful_count: result.rows[0].helpful_count, voted_helpful: true } });
+  } catch (err) {
+    console.error('Error voting on review:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/resources/:id/reviews/:reviewId/helpful
+// Takes back a helpful vote
+router.delete('/:reviewId/helpful', authMiddleware, async (req, res) => {
+  const { id, reviewId } = req.params;
+  try {
+    const review = await loadReview(id, reviewId);
+    if (!review) return res.status(404).json({ success: false, error: 'Review not found' });
+
+    const result = await pool.query(`
+      WITH vote AS (
+        DELETE FROM review_helpful_votes WHERE review_id = $1 AND user_id = $2
+        RETURNING review_id
+      )
+      UPDATE resource_reviews SET helpful_count = helpful_count - (SELECT COUNT(*) FROM vote)
+      WHERE id = $1
+      RETURNING helpful_count
+    `, [reviewId, req.user.id]);
+
+    res.json({ success: true, data: { helpful_count: result.rows[0].helpful_count, voted_helpful: false } });
+  } catch (err) {
+    console.error('Error removing helpful vote:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// POST /api/resources/:id/reviews/:reviewId/report
+// Flags a review as abusive for the admin moderation queue
+router.post('/:reviewId/report', authMiddleware, async (req, res) => {
+  const { id, reviewId } = req.params;
+  const validation = reviewReportSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+  }
+
+  try {
+    if (!(await getViewableResource(id, req.user))) {
+      return res.status(404).json({ success: false, error: 'Resource not found' });
+    }
+    const review = await loadReview(id, reviewId);
+    if (!review || review.is_hidden) return res.status(404).json({ success: false, error: 'Review not found' });
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot report your own review' });
+    }
+
+    await pool.query(`
+      WITH report AS (
+        INSERT INTO review_reports (review_id, user_id, reason) VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING review_id
+      )
+      UPDATE resource_reviews SET report_count = report_count + (SELECT COUNT(*) FROM report)
+      WHERE id = $1
+    `, [reviewId, req.user.id, validation.data.reason]);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error reporting review:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
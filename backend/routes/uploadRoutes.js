@@ -0,0 +1,106 @@
+// backend/routes/uploadRoutes.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { uploadSessionSchema } from '../validators/uploadValidator.js';
+import {
+  CHUNK_SIZE,
+  createUploadSession,
+  getUploadSession,
+  syncUploadOffset,
+  appendChunk,
+  cancelUploadSession,
+  serializeUploadSession,
+} from '../utils/uploadSessions.js';
+
+/**
+ * Resumable uploads (see utils/uploadSessions.js). A client opens a session,
+ * PATCHes the file chunk by chunk with an Upload-Offset header, and after a
+ * disconnect asks GET /:id where to carry on. The finished upload's id is
+ * then sent as `upload_id` to POST /api/resources/file or
+ * PUT /api/resources/file/:id in place of the file itself.
+ */
+
+const router = express.Router();
+
+// POST /api/uploads
+// Body: { filename, size, mime_type }
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const validation = uploadSessionSchema.safeParse(req.body);
+    if (!validation.success) {
+      return res.status(400).json({ success: false, error: validation.error.issues[0].message });
+    }
+
+    const { filename, size, mime_type } = validation.data;
+    const { error, session } = await createUploadSession(req.user.id, { filename, size, mimeType: mime_type });
+    if (error) return res.status(400).json({ success: false, error });
+
+    res.status(201).json({ success: true, data: serializeUploadSession(session) });
+  } catch (err) {
+    console.error('Error starting upload:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// GET /api/uploads/:id
+// Current progress, used to resume after a dropped connection
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ success: false, error: 'Upload not found or expired' });
+
+    res.json({ success: true, data: serializeUploadSession(await syncUploadOffset(session)) });
+  } catch (err) {
+    console.error('Error fetching upload:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/uploads/:id
+// Body: raw chunk bytes (Content-Type: application/offset+octet-stream)
+// Header: Upload-Offset — byte position of this chunk in the file
+router.patch(
+  '/:id',
+  authMiddleware,
+  express.raw({ type: 'application/offset+octet-stream', limit: CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const offset = parseInt(req.get('Upload-Offset'), 10);
+      if (Number.isNaN(offset) || !Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ success: false, error: 'Send the chunk as application/offset+octet-stream with an Upload-Offset header' });
+      }
+
+      const session = await getUploadSession(req.params.id, req.user.id);
+      if (!session) return res.status(404).json({ success: false, error: 'Upload not found or expired' });
+
+      const result = await appendChunk(session, offset, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, data: serializeUploadSession(result.session) });
+    } catch (err) {
+      console.error('Error receiving upload chunk:', err);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+// DELETE /api/uploads/:id
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.user.id);
+    if (!session) return res.status(404).json({ success: false, error: 'Upload not found or expired' });
+    if (session.status === 'attached') {
+      return res.status(409).json({ success: false, error: 'This upload already belongs to a resource' });
+    }
+
+    await cancelUploadSession(session);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error cancelling upload:', err);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,8 +1,27 @@
 import { Server as SocketIOServer } from 'socket.io';
 import config from './config.js';
+import { authenticateToken } from './middleware/auth.js';
+import pool from './db.js';
 
 let io = null;
 
+// Rooms that follow the user's enrollments, as opposed to their own user: room
+const ENROLLMENT_ROOM = /^(course|subject|offering):/;
+
+// The rooms a user's sockets belong to: their own, one per enrolled course and
+// one per followed subject or offering. Always derived from the database,
+// never from anything the client sends.
+async function roomsFor(userId) {
+  const result = await pool.query(`
+    SELECT 'course:' || course_id AS room FROM course_enrollments WHERE user_id = $1
+    UNION
+    SELECT CASE WHEN subject_offering_id IS NULL THEN 'subject:' || subject_id
+                ELSE 'offering:' || subject_offering_id END
+    FROM subject_follows WHERE user_id = $1
+  `, [userId]);
+  return [`user:${userId}`, ...result.rows.map(r => r.room)];
+}
+
 export function initSocketIO(httpServer) {
   io = new SocketIOServer(httpServer, {
     cors: {
@@ -12,21 +31,31 @@ export function initSocketIO(httpServer) {
     },
   });
 
-  io.on('connection', (socket) => {
-    console.log(`[Socket.IO] Client connected: ${socket.id}`);
+  // Same token check as authMiddleware; a rejected handshake reaches the
+  // client as a connect_error carrying the reason
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token;
+    if (!token) return next(new Error('Missing token'));
 
-    // Join room based on course_id if provided in handshake auth
-    const courseId = socket.handshake.auth?.courseId;
-    const userId = socket.handshake.auth?.userId;
-
-    if (courseId) {
-      socket.join(`course:${courseId}`);
-      console.log(`[Socket.IO] User ${userId || 'unknown'} joined course room: course:${courseId}`);
+    const { user, status, error } = await authenticateToken(token);
+    if (error) {
+      const err = new Error(error);
+      err.data = { status };
+      return next(err);
     }
+    socket.data.user = user;
+    next();
+  });
 
-    if (userId) {
-      socket.join(`user:${userId}`);
-      console.log(`[Socket.IO] User joined private room: user:${userId}`);
+  io.on('connection', async (socket) => {
+    const { user } = socket.data;
+    socket.join(`user:${user.id}`);
+    try {
+      const rooms = await roomsFor(user.id);
+      socket.join(rooms);
+      console.log(`[Socket.IO] User ${user.id} connected (${socket.id}), rooms: ${rooms.join(', ')}`);
+    } catch (err) {
+      console.error(`[Socket.IO] Could not load rooms for ${user.id}:`, err.message);
     }
 
     socket.on('disconnect', () => {
@@ -37,6 +66,30 @@ export function initSocketIO(httpServer) {
   return io;
 }
 
+/**
+ * Moves a user's open sockets into the rooms of their current enrollments,
+ * e.g. after they pick a course during onboarding or follow a subject.
+ */
+export async function syncUserRooms(userId) {
+  if (!io) return;
+  const rooms = await roomsFor(userId);
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  for (const socket of sockets) {
+    for (const room of socket.rooms) {
+      if (ENROLLMENT_ROOM.test(room) && !rooms.includes(room)) socket.leave(room);
+    }
+    socket.join(rooms);
+  }
+}
+
+/**
+ * Closes every open socket of a user, e.g. when an admin suspends them.
+ * Reconnecting fails the handshake for as long as they stay suspended.
+ */
+export function disconnectUser(userId) {
+  if (!io) return;
+  io.in(`user:${userId}`).disconnectSockets(true);
+}
 
 export function getIO() {
   if (!io) throw new Error('[Socket.IO] Not initialized — call initSocketIO(httpServer) first');
@@ -0,0 +1,28 @@
+// backend/tasks/indexingTask.js
+import { indexPendingTexts, embedPendingChunks } from '../utils/passageIndex.js';
+
+/**
+ * Keeps the chat assistant's passage index in step with the extracted texts:
+ * splits new or changed texts into passages, then embeds passages that don't
+ * have an embedding yet (keyword retrieval covers them until then).
+ */
+async function processPendingIndexing() {
+  try {
+    const indexed = await indexPendingTexts();
+    if (indexed > 0) console.log(`[IndexingTask] Split ${indexed} resource texts into passages`);
+
+    const embedded = await embedPendingChunks();
+    if (embedded > 0) console.log(`[IndexingTask] Embedded ${embedded} passages`);
+  } catch (err) {
+    console.error('[IndexingTask] Critical error in indexing task:', err.message);
+  }
+}
+
+/**
+ * Initializes and starts the background task.
+ */
+export function startIndexingTask(intervalMs = 2 * 60000) { // Default: Every 2 minutes
+  console.log(`[IndexingTask] Passage indexing task started (Interval: ${intervalMs}ms)`);
+  processPendingIndexing();
+  setInterval(processPendingIndexing, intervalMs);
+}
@@ -0,0 +1,67 @@
+// backend/tasks/ocrTask.js
+import { saveExtractedText } from '../utils/dbHelpers.js';
+import { runResourceOcr } from '../utils/resourceFiles.js';
+import { checkNearDuplicates } from '../utils/duplicates.js';
+import { claimJobs, completeJob, discardJob, failJob, recoverStaleJobs, touchJob } from '../utils/jobQueue.js';
+
+// A long scan can outlast the interval; a second run would only compete for the CPU
+let running = false;
+
+/**
+ * Reads one queued scanned PDF per run with OCR ('ocr' jobs, queued when
+ * its text is first asked for). The text it finds is saved as the
+ * resource's search text, after which the summary task summarizes it.
+ */
+async function processOcrJobs() {
+  if (running) return;
+  running = true;
+  try {
+    const recovered = await recoverStaleJobs('ocr');
+    if (recovered > 0) console.warn(`[OcrTask] Requeued ${recovered} jobs abandoned mid-run.`);
+
+    const [job] = await claimJobs('ocr', 1);
+    if (!job) return;
+
+    try {
+      console.log(`[OcrTask] Reading scanned resource ${job.resource_id}`);
+      const text = await runResourceOcr(job.resource_id, {
+        onPage: async (pageNumber, pageCount) => {
+          await touchJob(job.id);
+          if (pageNumber % 10 === 0) console.log(`[OcrTask] ${job.resource_id}: page ${pageNumber} of ${pageCount}`);
+        },
+      });
+
+      // The file was replaced (or removed) meanwhile. A completed job would
+      // pass for the new file's OCR, whose pages were never read.
+      if (text === null) {
+        await discardJob(job.id);
+        console.log(`[OcrTask] File of ${job.resource_id} changed while it was read; dropped the job`);
+        return;
+      }
+
+      await saveExtractedText(job.resource_id, text);
+      await checkNearDuplicates(job.resource_id);
+      await completeJob(job.id);
+      console.log(`[OcrTask] ✅ Finished ${job.resource_id}`);
+    } catch (err) {
+      const deadLettered = await failJob(job, err);
+      console.error(
+        `[OcrTask] ❌ OCR failed for resource ${job.resource_id} (attempt ${job.attempts}/${job.max_attempts}${deadLettered ? ', giving up' : ''}):`,
+        err.message
+      );
+    }
+  } catch (err) {
+    console.error('[OcrTask] Critical error in OCR task:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Initializes and starts the background task.
+ */
+export function startOcrTask(intervalMs = 60000) { // Default: Every 1 minute
+  console.log(`[OcrTask] OCR background task started (Interval: ${intervalMs}ms)`);
+  processOcrJobs();
+  setInterval(processOcrJobs, intervalMs);
+}
@@ -0,0 +1,39 @@
+// backend/tasks/previewTask.js
+import pool from '../db.js';
+import { generatePreviews } from '../utils/resourceFiles.js';
+
+/**
+ * Picks up files whose rendition/thumbnail is still pending: uploads whose
+ * in-process conversion was cut short by a restart, and restored versions.
+ * Fresh uploads are skipped for a few minutes since the upload request
+ * already started their conversion.
+ */
+async function processPendingPreviews() {
+  try {
+    const result = await pool.query(`
+      SELECT r.id, r.title
+      FROM resources r
+      WHERE r.preview_status = 'pending'
+      AND r.storage_path IS NOT NULL
+      AND r.created_at < NOW() - INTERVAL '5 minutes'
+      ORDER BY r.created_at
+      LIMIT 5
+    `);
+
+    for (const resource of result.rows) {
+      console.log(`[PreviewTask] Generating preview: ${resource.title} (${resource.id})`);
+      await generatePreviews(resource.id);
+    }
+  } catch (err) {
+    console.error('[PreviewTask] Critical error in preview task:', err.message);
+  }
+}
+
+/**
+ * Initializes and starts the background task.
+ */
+export function startPreviewTask(intervalMs = 5 * 60000) { // Default: Every 5 minutes
+  console.log(`[PreviewTask] Preview background task started (Interval: ${intervalMs}ms)`);
+  processPendingPreviews();
+  setInterval(processPendingPreviews, intervalMs);
+}
@@ -1,72 +1,158 @@
 // backend/tasks/summaryTask.js
 import pool from '../db.js';
-import { createClient } from '@supabase/supabase-js';
-import config from '../config.js';
-import { extractTextFromPDF, generateSummary } from '../utils/ai.js';
+import { generateSummary, formatSummary } from '../utils/ai.js';
+import { saveExtractedText } from '../utils/dbHelpers.js';
+import { DIRECT_TEXT_FORMATS, extractResourceText } from '../utils/resourceFiles.js';
+import { checkNearDuplicates, backfillFingerprints } from '../utils/duplicates.js';
+import {
+  enqueueJob, claimJobs, completeJob, failJob, releaseJob, recoverStaleJobs, touchJob,
+} from '../utils/jobQueue.js';
 
-const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+const JOBS_PER_CYCLE = 5;
+const RATE_LIMIT_DELAY_MS = 5 * 60 * 1000;
+
+// A cycle of long summaries can outlast the interval; a second one would run
+// the same queue alongside it. No cycle starts before pausedUntil (rate limits).
+let running = false;
+let pausedUntil = 0;
+
+const isRateLimit = (err) =>
+  err.isQuotaExceeded || err.message.includes("429") || err.message.includes("high volume");
 
 /**
- * Background task to process resources missing AI summaries.
+ * Queues a 'summary' job for every file resource missing its AI summary or
+ * searchable text. Resources whose job was dead-lettered or cancelled are
+ * left alone until an admin retries it from the job queue page, as are scans
+ * the OCR task hasn't finished reading.
  */
-async function processPendingSummaries() {
+async function enqueueMissingSummaries(client) {
+  // Find resources that:
+  // 1. Are files (not external links)
+  // 2. Have a storage path
+  // 3. Have readable text: a PDF/image, or an Office file whose PDF rendition is ready
+  // 4. Are missing an AI summary or their extracted search text
+  const result = await client.query(`
+    SELECT r.id
+    FROM resources r
+    LEFT JOIN resource_texts rt ON rt.resource_id = r.id
+    WHERE r.content_type = 'file'
+    AND r.storage_path IS NOT NULL
+    AND (r.file_format IS NULL OR r.file_format = ANY($1) OR r.pdf_rendition_path IS NOT NULL)
+    AND (r.ai_summary IS NULL OR r.ai_summary = '' OR rt.resource_id IS NULL)
+    AND NOT EXISTS (
+      SELECT 1 FROM jobs j
+      WHERE j.type IN ('summary', 'ocr') AND j.resource_id = r.id AND j.status <> 'completed'
+    )
+    LIMIT 50
+  `, [DIRECT_TEXT_FORMATS]);
+
+  let queued = 0;
+  for (const row of result.rows) {
+    if (await enqueueJob('summary', row.id, client)) queued++;
+  }
+  if (queued > 0) console.log(`[SummaryTask] Queued ${queued} resources for processing.`);
+}
+
+/**
+ * Extracts, indexes and summarizes the resource of one job, keeping the job
+ * alive while the AI works through its sections. Throws to fail the attempt.
+ */
+async function runSummaryJob(job) {
+  const resourceRes = await pool.query(`
+    SELECT r.id, r.storage_path, r.title, r.ai_summary, r.file_format, r.pdf_rendition_path, r.content_type
+    FROM resources r WHERE r.id = $1
+  `, [job.resource_id]);
+  const resource = resourceRes.rows[0];
+  // Turned into a link since it was queued; nothing left to do
+  if (!resource || resource.content_type !== 'file' || !resource.storage_path) return;
+
+  console.log(`[SummaryTask] Processing: ${resource.title} (${resource.id})`);
+
+  // 1. Download the file (or its PDF rendition) and extract its text
+  let text;
+  try {
+    text = await extractResourceText(resource);
+  } catch (err) {
+    // A scan: picked up again once the OCR task has read it
+    if (err.ocrPending) return console.log(`[SummaryTask] Waiting for OCR: ${resource.title}`);
+    throw err;
+  }
+  if (text === null) throw new Error('No readable text for this file format');
+
+  // 2. Index the text for full-text search, then look for near duplicates of it
+  await saveExtractedText(resource.id, text);
+  await checkNearDuplicates(resource.id);
+  await touchJob(job.id);
+
+  // Text-only backfill for resources that already have a summary
+  if (resource.ai_summary) return;
+
+  // 3. Summarize & update DB, unless the file was replaced while we worked
+  const outline = await generateSummary(text, { onSection: () => touchJob(job.id) });
+  await pool.query(
+    'UPDATE resources SET ai_summary = $1, ai_summary_outline = $2 WHERE id = $3 AND storage_path = $4',
+    [formatSummary(outline), JSON.stringify(outline), resource.id, resource.storage_path]
+  );
+  console.log(`[SummaryTask] ✅ Summary generated for: ${resource.title}`);
+}
+
+/**
+ * Queues the resources that need work, holding a client only for that.
+ */
+async function prepareQueue() {
   const client = await pool.connect();
   try {
-    // Find resources that:
-    // 1. Are files (not external links)
-    // 2. Have a storage path
-    // 3. Are missing an AI summary
-    const result = await client.query(`
-      SELECT id, storage_path, title 
-      FROM resources 
-      WHERE content_type = 'file' 
-      AND storage_path IS NOT NULL 
-      AND (ai_summary IS NULL OR ai_summary = '')
-      LIMIT 5
-    `);
-
-    if (result.rows.length === 0) return;
-
-    console.log(`[SummaryTask] Found ${result.rows.length} resources to process.`);
-
-    for (const resource of result.rows) {
-      try {
-        console.log(`[SummaryTask] Processing: ${resource.title} (${resource.id})`);
+    // Texts extracted before fingerprinting existed still need checking for near duplicates
+    await backfillFingerprints(20, client);
 
-        // 1. Download file from Supabase
-        const { data, error } = await supabase.storage
-          .from('resources')
-          .download(resource.storage_path);
+    const recovered = await recoverStaleJobs('summary', client);
+    if (recovered > 0) console.warn(`[SummaryTask] Requeued ${recovered} jobs abandoned mid-run.`);
 
-        if (error) {
-          console.error(`[SummaryTask] Failed to download ${resource.storage_path}:`, error.message);
-          continue;
-        }
+    await enqueueMissingSummaries(client);
+  } finally {
+    client.release();
+  }
+}
 
-        // 2. Extract & Summarize
-        const buffer = Buffer.from(await data.arrayBuffer());
-        const text = await extractTextFromPDF(buffer);
-        const summary = await generateSummary(text);
+/**
+ * Background task to process resources missing AI summaries or searchable text.
+ * Jobs are claimed one at a time, so none sits claimed while another runs.
+ */
+async function processPendingSummaries() {
+  if (running || Date.now() < pausedUntil) return;
+  running = true;
+  try {
+    await prepareQueue();
 
-        // 3. Update DB
-        await client.query('UPDATE resources SET ai_summary = $1 WHERE id = $2', [summary, resource.id]);
-        console.log(`[SummaryTask] ✅ Summary generated for: ${resource.title}`);
+    for (let i = 0; i < JOBS_PER_CYCLE; i++) {
+      const [job] = await claimJobs('summary', 1);
+      if (!job) break;
 
-        // 4. Wait a bit between files to avoid hitting rate limits too hard
-        await new Promise(resolve => setTimeout(resolve, 5000)); 
+      // Wait a bit between files to avoid hitting rate limits too hard
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, 5000));
 
+      try {
+        await runSummaryJob(job);
+        await completeJob(job.id);
       } catch (err) {
-        if (err.message.includes("429") || err.message.includes("high volume")) {
-          console.warn(`[SummaryTask] ⚠️ Rate limit hit. Stopping this cycle to let the API cool down.`);
-          break; // Stop the loop and wait for next interval
+        if (isRateLimit(err)) {
+          console.warn(`[SummaryTask] ⚠️ Rate limit hit. Pausing to let the API cool down.`);
+          // It never got a fair attempt, so it doesn't count
+          await releaseJob(job.id, RATE_LIMIT_DELAY_MS);
+          pausedUntil = Date.now() + RATE_LIMIT_DELAY_MS;
+          break;
         }
-        console.error(`[SummaryTask] ❌ Failed to process resource ${resource.id}:`, err.message);
+        const deadLettered = await failJob(job, err);
+        console.error(
+          `[SummaryTask] ❌ Failed to process resource ${job.resource_id} (attempt ${job.attempts}/${job.max_attempts}${deadLettered ? ', giving up' : ''}):`,
+          err.message
+        );
       }
     }
   } catch (err) {
     console.error('[SummaryTask] Critical error in summary task:', err.message);
   } finally {
-    client.release();
+    running = false;
   }
 }
 
@@ -75,10 +161,10 @@ async function processPendingSummaries() {
  */
 export function startSummaryTask(intervalMs = 60000) { // Default: Every 1 minute
   console.log(`[SummaryTask] AI Summary background task started (Interval: ${intervalMs}ms)`);
-  
+
   // Run immediately on start
   processPendingSummaries();
-  
+
   // Then run on interval
   setInterval(processPendingSummaries, intervalMs);
 }
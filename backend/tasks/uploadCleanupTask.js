@@ -0,0 +1,24 @@
+// backend/tasks/uploadCleanupTask.js
+import { cleanupUploadSessions } from '../utils/uploadSessions.js';
+
+/**
+ * Clears out resumable uploads that were abandoned or have been attached to
+ * a resource, so staged files don't pile up in storage.
+ */
+async function cleanupUploads() {
+  try {
+    const removed = await cleanupUploadSessions();
+    if (removed > 0) console.log(`[UploadCleanupTask] Removed ${removed} finished or expired upload sessions`);
+  } catch (err) {
+    console.error('[UploadCleanupTask] Critical error in upload cleanup task:', err.message);
+  }
+}
+
+/**
+ * Initializes and starts the background task.
+ */
+export function startUploadCleanupTask(intervalMs = 60 * 60000) { // Default: Every hour
+  console.log(`[UploadCleanupTask] Upload cleanup task started (Interval: ${intervalMs}ms)`);
+  cleanupUploads();
+  setInterval(cleanupUploads, intervalMs);
+}
@@ -1,68 +1,41 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { OpenAI } from "openai";
 import pdfParse from 'pdf-parse/lib/pdf-parse.js';
-import config from '../config.js';
-
-// --- Client Initializations ---
-const apiKeys = config.gemini.allKeys;
-const geminiClients = apiKeys.map(key => new GoogleGenerativeAI(key));
-
-// Groq is OpenAI-compatible
-const groqClient = config.groq.apiKey ? new OpenAI({
-  apiKey: config.groq.apiKey,
-  baseURL: config.groq.baseUrl
-}) : null;
+import { providersFor } from './aiProviders.js';
+import {
+  sectionSummarySchema, condensedSummarySchema, summaryOverviewSchema
+} from '../validators/summaryValidator.js';
 
 /**
- * Helper to determine which provider to use.
- * Prioritizes Groq if a key is provided.
+ * Runs `operationFn(provider)` on the providers configured for `feature`
+ * (utils/aiProviders.js) in priority order until one succeeds.
  */
-async function executeAIOperation(operationFn) {
-  if (groqClient) {
-    try {
-      return await operationFn(groqClient, 'groq');
-    } catch (error) {
-      console.error("Groq Error:", error.message);
-      if (geminiClients.length === 0) throw error;
-      console.warn("Groq failed. Falling back to Gemini...");
-    }
-  }
-
-  // Gemini Fallback Logic
-  if (geminiClients.length === 0) {
-    throw new Error("No AI providers configured (Missing Groq or Gemini keys)");
+async function executeAIOperation(feature, operationFn) {
+  const providers = providersFor(feature);
+  if (providers.length === 0) {
+    throw new Error(`No AI providers configured for ${feature} (check AI_PROVIDERS and provider keys)`);
   }
 
   let lastError = null;
-  for (let i = 0; i < geminiClients.length; i++) {
+  for (const [i, provider] of providers.entries()) {
     try {
-      return await operationFn(geminiClients[i], 'gemini', i);
+      return await operationFn(provider);
     } catch (error) {
       lastError = error;
-      const errorMsg = error.message?.toLowerCase() || "";
-      const isQuotaError = error.status === 429 || errorMsg.includes("429") || errorMsg.includes("quota");
-
-      if (isQuotaError && i < apiKeys.length - 1) {
-        console.warn(`Gemini Key #${i+1} hit quota. Rotating...`);
-        continue;
-      }
-      
-      if (isQuotaError) {
-        const quotaError = new Error("The AI Assistant is currently very busy. Please try again in a few moments!");
-        quotaError.isQuotaExceeded = true;
-        throw quotaError;
-      }
-      break; 
+      console.error(`AI provider "${provider.name}" Error:`, error.message);
+      if (error.noFallback || i === providers.length - 1) break;
+      console.warn(`"${provider.name}" failed. Falling back to "${providers[i + 1].name}"...`);
     }
   }
   throw lastError;
 }
 
 // --- Text Extraction ---
-import { createCanvas, loadImage } from 'canvas';
 import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
-import Tesseract from 'tesseract.js';
+import { recognizeImage } from './ocr.js';
 
+/**
+ * Reads the text layer of a PDF. Scans have little or none; their text comes
+ * from the OCR task instead (see extractResourceText).
+ */
 export async function extractTextFromPDF(buffer) {
   try {
     const uint8Array = new Uint8Array(buffer);
@@ -74,82 +47,309 @@ export async function extractTextFromPDF(buffer) {
       const content = await page.getTextContent();
       text += content.items.map(item => item.str).join(" ") + "\n";
     }
-    if (text.trim().length < 50) text = await performOCR(buffer);
     return text;
   } catch (error) {
     throw new Error("Failed to extract text from PDF");
   }
 }
 
-async function performOCR(buffer) {
-  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), useSystemFonts: true, disableFontFace: true }).promise;
-  const numPages = Math.min(doc.numPages, 10);
-  let ocrText = "";
-  for (let i = 1; i <= numPages; i++) {
-    const page = await doc.getPage(i);
-    const viewport = page.getViewport({ scale: 2.0 });
-    const canvas = createCanvas(viewport.width, viewport.height);
-    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
-    const { data: { text } } = await Tesseract.recognize(canvas.toBuffer('image/png'), 'eng');
-    ocrText += `--- Page ${i} ---\n${text}\n\n`;
+export async function extractTextFromImage(buffer) {
+  try {
+    const { text } = await recognizeImage(buffer);
+    return text;
+  } catch (error) {
+    throw new Error("Failed to extract text from image");
   }
-  return ocrText;
 }
 
 // --- AI Features ---
 
-export async function generateSummary(text) {
-  return executeAIOperation(async (client, provider) => {
-    const prompt = `Summarize this academic text into a concise "Quick Snapshot" (max 200 words):\n\n${text.substring(0, 30000)}`;
-    
-    if (provider === 'groq') {
-      const completion = await client.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages: [{ role: "user", content: prompt }],
-      });
-      return completion.choices[0].message.content;
-    } else {
-      const model = client.getGenerativeModel({ model: "gemini-2.0-flash" });
-      const result = await model.generateContent(prompt);
-      return result.response.text();
+// Long documents are summarized map-reduce style: every section on its own
+// (map), then the section summaries together into a TL;DR and snapshot
+// (reduce). Section summaries too long for one prompt are first condensed in
+// rounds, so the whole document is covered whatever its length.
+const SECTION_CHARS = 12000;
+const MAX_SECTIONS = 20; // ~240k characters; text past that is left out
+const REDUCE_CHARS = 12000;
+const MAX_KEY_TERMS = 15;
+
+// Cuts text into sections of about SECTION_CHARS, between lines (pages for PDFs)
+function splitIntoSections(text) {
+  const lines = text.split(/\n+/).map(l => l.trim()).filter(Boolean)
+    .flatMap(l => (l.length <= SECTION_CHARS ? [l] : l.match(new RegExp(`.{1,${SECTION_CHARS}}`, 'g'))));
+
+  const sections = [];
+  let current = '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > SECTION_CHARS) {
+      sections.push(current);
+      if (sections.length === MAX_SECTIONS) return sections;
+      current = '';
     }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) sections.push(current);
+  return sections;
+}
+
+// One summarizing step. Unparseable or misshapen output counts as a failure,
+// so the next provider is tried
+function completeSummaryJSON(schema, prompt, source, maxTokens) {
+  return executeAIOperation('summary', async (provider) => {
+    const reply = await provider.complete({
+      feature: 'summary',
+      source,
+      json: true,
+      maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    });
+    return schema.parse(JSON.parse(reply));
   });
 }
 
-export async function chatWithAI(history, userMessage, context = null, globalContext = null) {
-  return executeAIOperation(async (client, provider) => {
-    const systemInstruction = `
-      You are the "Academic Assistant" for the Academic Resource Hub. Be professional and concise (2-3 sentences max).
+function summarizeSection(section, index, total) {
+  const prompt = `This is part ${index + 1} of ${total} of an academic text. Summarize it for a student revising the material. Only use facts stated in the text.
+Reply with JSON only, in exactly this shape:
+{ "title": "...", "summary": "...", "key_terms": [{ "term": "...", "definition": "..." }] }
+"title" is a heading of a few words for this part, "summary" is 3-5 sentences, and "key_terms" lists up to 5 terms the part introduces with a one-sentence definition each.
+
+Text:
+${section}`;
+  return completeSummaryJSON(sectionSummarySchema, prompt, section, 700);
+}
+
+const formatParts = (parts) => parts.map((p, i) => `${i + 1}. ${p.title}: ${p.summary}`).join('\n\n');
+const partsLength = (parts) => parts.reduce((sum, p) => sum + p.title.length + p.summary.length, 0);
+
+// Merges neighbouring parts until they fit in one prompt together
+async function condenseParts(parts) {
+  let level = parts;
+  while (level.length > 1 && partsLength(level) > REDUCE_CHARS) {
+    const batches = [];
+    let batch = [];
+    for (const part of level) {
+      if (batch.length > 0 && partsLength([...batch, part]) > REDUCE_CHARS) {
+        batches.push(batch);
+        batch = [];
+      }
+      batch.push(part);
+    }
+    batches.push(batch);
+    if (batches.length === level.length) break; // Every part is too long on its own; nothing left to merge
+
+    const next = [];
+    for (const group of batches) {
+      if (group.length === 1) {
+        next.push(group[0]);
+        continue;
+      }
+      const source = formatParts(group);
+      const { summary } = await completeSummaryJSON(condensedSummarySchema, `Combine these consecutive summaries from an academic text into one summary of 4-6 sentences that keeps the most important points. Only use facts stated in them.
+Reply with JSON only, in exactly this shape: { "summary": "..." }
+
+${source}`, source, 600);
+      next.push({ title: `${group[0].title} – ${group[group.length - 1].title}`, summary });
+    }
+    level = next;
+  }
+  return level;
+}
+
+async function summarizeOverview(parts, subject) {
+  const source = formatParts(await condenseParts(parts));
+  const prompt = `Below are summaries of the parts of ${subject}, in order. Write an overview of it for a student. Only use facts stated in the summaries.
+Reply with JSON only, in exactly this shape:
+{ "tldr": "...", "snapshot": ["...", "..."] }
+"tldr" is one or two sentences, and "snapshot" is 4-6 bullet points covering the most important ideas.
+
+${source}`;
+  return completeSummaryJSON(summaryOverviewSchema, prompt, source, 800);
+}
+
+const mergeKeyTerms = (terms) => {
+  const seen = new Map();
+  for (const t of terms) {
+    const key = t.term.toLowerCase();
+    if (!seen.has(key)) seen.set(key, t);
+  }
+  return [...seen.values()].slice(0, MAX_KEY_TERMS);
+};
+
+/**
+ * Summarizes a document at several levels. Resolves with its outline:
+ *   { tldr, snapshot: [...], sections: [{ title, summary }], key_terms: [{ term, definition }] }
+ * `sections` is empty when the document is short enough to be a single section.
+ * `onSection(index, total)` is called after each section is summarized.
+ */
+export async function generateSummary(text, { onSection } = {}) {
+  const chunks = splitIntoSections(text);
+  if (chunks.length === 0) throw new Error("No readable text to summarize");
+
+  const sections = [];
+  for (const [i, chunk] of chunks.entries()) {
+    sections.push(await summarizeSection(chunk, i, chunks.length));
+    if (onSection) await onSection(i, chunks.length);
+  }
+  const { tldr, snapshot } = await summarizeOverview(sections, 'an academic text');
+
+  return {
+    tldr,
+    snapshot,
+    sections: sections.length > 1 ? sections.map(({ title, summary }) => ({ title, summary })) : [],
+    key_terms: mergeKeyTerms(sections.flatMap(s => s.key_terms)),
+  };
+}
+
+// Summaries written before outlines existed are markdown; flattened for prompts
+const plainSummary = (markdown) =>
+  markdown.replace(/^#+\s*/gm, '').replace(/^[*-]\s+/gm, '').replace(/\*\*/g, '').replace(/\s+/g, ' ').trim().slice(0, 2000);
+
+/**
+ * Builds the digest of a syllabus unit from the summaries of its resources
+ * ({ title, ai_summary, ai_summary_outline } each). Resolves with an outline
+ * like generateSummary's, with one section per resource.
+ */
+export async function generateUnitDigest(unitLabel, resources) {
+  const parts = resources.map(r => ({
+    title: r.title,
+    summary: r.ai_summary_outline
+      ? `${r.ai_summary_outline.tldr} ${r.ai_summary_outline.snapshot.join(' ')}`
+      : plainSummary(r.ai_summary),
+  }));
+  const { tldr, snapshot } = await summarizeOverview(parts, `${unitLabel}, one part per study resource`);
+
+  return {
+    tldr,
+    snapshot,
+    sections: resources.map(r => ({
+      title: r.title,
+      summary: r.ai_summary_outline?.tldr || plainSummary(r.ai_summary).slice(0, 300),
+    })),
+    key_terms: mergeKeyTerms(resources.flatMap(r => r.ai_summary_outline?.key_terms || [])),
+  };
+}
+
+/**
+ * Renders an outline as the markdown stored in ai_summary and shown by the
+ * summary modal.
+ */
+export function formatSummary({ tldr, snapshot, sections, key_terms }, sectionsHeading = 'Section by Section') {
+  const lines = ['### TL;DR', tldr, '', '### Quick Snapshot', ...snapshot.map(s => `* ${s}`)];
+  if (sections.length > 0) {
+    lines.push('', `### ${sectionsHeading}`, ...sections.map((s, i) => `**${i + 1}. ${s.title}:** ${s.summary}`));
+  }
+  if (key_terms.length > 0) {
+    lines.push('', '### Key Terms', ...key_terms.map(t => `* **${t.term}:** ${t.definition}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Writes practice material for a document: multiple-choice and short-answer
+ * questions plus flashcards. Resolves with the parsed JSON; the caller checks
+ * its shape (validators/quizValidator.js).
+ */
+export async function generateStudySet(text) {
+  return executeAIOperation('quiz', async (provider) => {
+    const prompt = `Write revision material for a student from this academic text. Only use facts stated in the text.
+Reply with JSON only, in exactly this shape:
+{
+  "multiple_choice": [{ "question": "...", "options": ["...", "...", "...", "..."], "answer_index": 0, "explanation": "..." }],
+  "short_answer": [{ "question": "...", "answer": "..." }],
+  "flashcards": [{ "front": "...", "back": "..." }]
+}
+Write 8 multiple_choice questions with exactly 4 options each (answer_index is the 0-based index of the correct option), 4 short_answer questions with a model answer of 1-3 sentences, and 10 flashcards (a term or question on the front, a brief answer on the back).
+
+Text:
+${text.substring(0, 30000)}`;
+
+    const reply = await provider.complete({
+      feature: 'quiz',
+      source: text,
+      json: true,
+      messages: [{ role: 'user', content: prompt }],
+    });
+    // Unparseable output counts as a failure, so the next provider is tried
+    return JSON.parse(reply);
+  });
+}
+
+/**
+ * Whether any configured provider can embed text for the chat passage index.
+ */
+export function canEmbed() {
+  return providersFor('embedding').length > 0;
+}
+
+/**
+ * Embeds texts for the chat passage index with the first provider that can.
+ * There is no fallback: vectors from different models can't be compared.
+ * taskType is 'RETRIEVAL_DOCUMENT' for passages and 'RETRIEVAL_QUERY' for
+ * questions. Resolves with one vector per text.
+ */
+export async function embedTexts(texts, taskType = 'RETRIEVAL_DOCUMENT') {
+  const [provider] = providersFor('embedding');
+  if (!provider) {
+    throw new Error('No AI providers configured for embedding (check AI_EMBEDDING_PROVIDERS and provider keys)');
+  }
+  return provider.embed(texts, taskType);
+}
+
+// Numbered source list for the system prompt; the numbers are what the model cites
+function formatPassages(passages) {
+  return passages.map((p, i) => {
+    const where = [p.subject_code, p.unit_number ? `Unit ${p.unit_number}` : null].filter(Boolean).join(', ');
+    return `[${i + 1}] "${p.title}" (${where}):\n${p.content}`;
+  }).join('\n\n');
+}
+
+// Room for a full answer; the prompt asks for brevity, this only stops runaways
+const CHAT_MAX_TOKENS = 1024;
+
+function buildChatInstruction(context, passages) {
+  return `
+      You are the "Academic Assistant" for the Academic Resource Hub. Be professional and concise (${passages.length ? 'a short paragraph or a few bullet points' : '2-3 sentences max'}).
       Platform Info: Rashtriya Raksha University (RRU) SITAICS material sharing. Find Unit Notes, Question Papers, Assignments here.
       Navigation tags: [NAVIGATE:/browse|Browse], [NAVIGATE:/faculty|Faculty], [NAVIGATE:/upload|Upload].
       ${context ? `Current Context: ${context.title} (${context.subject_name})` : ''}
+      ${passages.length ? `Answer questions about course content from the numbered sources below, citing each claim with its number in square brackets, e.g. [1] or [2][3]. Only cite numbers listed here. If the sources don't cover the question, say so rather than guessing.
+
+Sources:
+${formatPassages(passages)}` : ''}
     `;
+}
 
-    if (provider === 'groq') {
-      const messages = [
-        { role: "system", content: systemInstruction },
-        ...history.map(h => ({ role: h.role === 'user' ? 'user' : 'assistant', content: h.message })),
-        { role: "user", content: userMessage }
-      ];
-      const completion = await client.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages,
-        max_tokens: 150
-      });
-      return completion.choices[0].message.content;
-    } else {
-      const model = client.getGenerativeModel({ 
-        model: "gemini-2.0-flash",
-        systemInstruction
-      });
-      const chat = model.startChat({
-        history: history.map(h => ({
-          role: h.role === 'user' ? 'user' : 'model',
-          parts: [{ text: h.message }]
-        })),
-      });
-      const result = await chat.sendMessage(userMessage);
-      return result.response.text();
-    }
-  });
+function chatRequest(history, userMessage, context, passages) {
+  return {
+    feature: 'chat',
+    source: userMessage,
+    system: buildChatInstruction(context, passages),
+    messages: [
+      ...history.map(h => ({ role: h.role === 'user' ? 'user' : 'assistant', content: h.message })),
+      { role: 'user', content: userMessage }
+    ],
+    maxTokens: CHAT_MAX_TOKENS,
+  };
+}
+
+/**
+ * `passages` are retrieved from the hub's documents (utils/passageIndex.js);
+ * when there are any the assistant answers from them and cites them as [n].
+ */
+export async function chatWithAI(history, userMessage, context = null, globalContext = null, passages = []) {
+  return executeAIOperation('chat', (provider) =>
+    provider.complete(chatRequest(history, userMessage, context, passages))
+  );
+}
+
+/**
+ * Same as chatWithAI, but hands the answer to `onToken` piece by piece as the
+ * provider produces it, and resolves with the whole answer. Aborting `signal`
+ * stops generation. Once any text has been handed out a failure is not
+ * retried on the next provider, which would start the answer over.
+ */
+export async function streamChatWithAI(history, userMessage, context = null, globalContext = null, passages = [], { onToken, signal } = {}) {
+  return executeAIOperation('chat', (provider) =>
+    provider.complete({ ...chatRequest(history, userMessage, context, passages), onToken, signal })
+  );
 }
@@ -0,0 +1,265 @@
+// backend/utils/aiProviders.js
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { OpenAI } from "openai";
+import config from '../config.js';
+
+/**
+ * AI provider registry. Every provider in config.ai.providers is wrapped in
+ * the same interface, so the features in utils/ai.js don't care which one
+ * answers:
+ *
+ *   provider.complete({ feature, system, messages, source, json, maxTokens, signal, onToken })
+ *
+ * `messages` alternate { role: 'user' | 'assistant', content } and end with
+ * the user's turn. `json` asks for a JSON reply. With `onToken` the reply is
+ * streamed to it piece by piece. Resolves with the full reply text.
+ * `feature` and `source` (the text the prompt was built from) are only used
+ * by the mock provider.
+ *
+ * Providers that can embed text for the chat passage index also have
+ *
+ *   provider.embed(texts, taskType)
+ *
+ * resolving with one EMBEDDING_DIMENSIONS-long vector per text. taskType is
+ * 'RETRIEVAL_DOCUMENT' for passages and 'RETRIEVAL_QUERY' for questions.
+ */
+
+// Size of the resource_chunks.embedding column (migration 013)
+export const EMBEDDING_DIMENSIONS = 768;
+
+const isQuotaError = (error) => {
+  const errorMsg = error.message?.toLowerCase() || "";
+  return error.status === 429 || errorMsg.includes("429") || errorMsg.includes("quota");
+};
+
+// Once part of a reply has been streamed, trying again (with another key or
+// provider) would start it over, so such failures are marked final
+function streamGuard(attempt) {
+  return async (request) => {
+    if (!request.onToken) return attempt(request);
+    let streamed = false;
+    try {
+      return await attempt({ ...request, onToken: (text) => { streamed = true; request.onToken(text); } });
+    } catch (error) {
+      if (streamed || request.signal?.aborted) error.noFallback = true;
+      throw error;
+    }
+  };
+}
+
+const maxTokensFor = (settings, request) =>
+  request.maxTokens ? Math.min(request.maxTokens, settings.maxTokens) : settings.maxTokens;
+
+// Groq and local servers (Ollama, LM Studio, vLLM...) speak the OpenAI API
+function openAIProvider(name, settings) {
+  const client = settings.apiKey && settings.baseUrl
+    ? new OpenAI({ apiKey: settings.apiKey, baseURL: settings.baseUrl })
+    : null;
+
+  const complete = streamGuard(async ({ system, messages, json, signal, onToken, ...request }) => {
+    const params = {
+      model: settings.model,
+      messages: [...(system ? [{ role: "system", content: system }] : []), ...messages],
+      temperature: settings.temperature,
+      max_tokens: maxTokensFor(settings, request),
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+    };
+
+    if (!onToken) {
+      const completion = await client.chat.completions.create(params, { signal });
+      return completion.choices[0].message.content;
+    }
+
+    const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+    let reply = '';
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (!text) continue;
+      reply += text;
+      onToken(text);
+    }
+    return reply;
+  });
+
+  // Only when an embedding model is set, e.g. nomic-embed-text on Ollama
+  const embed = async (texts) => {
+    const result = await client.embeddings.create({ model: settings.embeddingModel, input: texts });
+    return result.data.map(d => d.embedding);
+  };
+
+  return {
+    name, model: settings.model, available: !!client, complete,
+    embed: settings.embeddingModel ? embed : null,
+  };
+}
+
+async function geminiRequest(client, settings, { system, messages, json, signal, onToken, ...request }) {
+  const model = client.getGenerativeModel({
+    model: settings.model,
+    ...(system ? { systemInstruction: system } : {}),
+    generationConfig: {
+      temperature: settings.temperature,
+      maxOutputTokens: maxTokensFor(settings, request),
+      ...(json ? { responseMimeType: "application/json" } : {}),
+    },
+  });
+  const chat = model.startChat({
+    history: messages.slice(0, -1).map(m => ({
+      role: m.role === 'user' ? 'user' : 'model',
+      parts: [{ text: m.content }]
+    })),
+  });
+  const question = messages[messages.length - 1].content;
+
+  if (!onToken) {
+    const result = await chat.sendMessage(question, { signal });
+    return result.response.text();
+  }
+
+  const result = await chat.sendMessageStream(question, { signal });
+  let reply = '';
+  for await (const chunk of result.stream) {
+    const text = chunk.text();
+    if (!text) continue;
+    reply += text;
+    onToken(text);
+  }
+  return reply;
+}
+
+const EMBED_BATCH_SIZE = 100; // batchEmbedContents limit
+
+async function geminiEmbed(client, settings, texts, taskType) {
+  const model = client.getGenerativeModel({ model: settings.embeddingModel });
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    const result = await model.batchEmbedContents({
+      requests: texts.slice(start, start + EMBED_BATCH_SIZE).map(text => ({
+        content: { role: 'user', parts: [{ text }] },
+        taskType,
+      })),
+    });
+    vectors.push(...result.embeddings.map(e => e.values));
+  }
+  return vectors;
+}
+
+// Gemini keys are rotated on quota errors
+function geminiProvider(name, settings) {
+  const clients = settings.apiKeys.map(key => new GoogleGenerativeAI(key));
+
+  const withKeyRotation = (attempt) => async (...args) => {
+    for (let i = 0; i < clients.length; i++) {
+      try {
+        return await attempt(clients[i], ...args);
+      } catch (error) {
+        if (error.noFallback || !isQuotaError(error)) throw error;
+        if (i < clients.length - 1) {
+          console.warn(`Gemini Key #${i+1} hit quota. Rotating...`);
+          continue;
+        }
+        const quotaError = new Error("The AI Assistant is currently very busy. Please try again in a few moments!");
+        quotaError.isQuotaExceeded = true;
+        throw quotaError;
+      }
+    }
+  };
+
+  const complete = withKeyRotation((client, request) =>
+    streamGuard(req => geminiRequest(client, settings, req))(request)
+  );
+  const embed = withKeyRotation((client, texts, taskType) => geminiEmbed(client, settings, texts, taskType));
+
+  return { name, model: settings.model, available: clients.length > 0, complete, embed };
+}
+
+const sentencesOf = (text) =>
+  (text || '').replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 3);
+
+// Deterministic replies built from the request, in the shape each feature expects
+const MOCK_REPLIES = {
+  // One shape for every summarizing step; each step reads the fields it asked for
+  summary: ({ source }) => {
+    const sentences = sentencesOf(source).slice(0, 3);
+    if (sentences.length === 0) sentences.push('(no text)');
+    return JSON.stringify({
+      title: sentences[0].split(' ').slice(0, 5).join(' '),
+      summary: sentences.join(' '),
+      key_terms: [{ term: sentences[0].split(' ')[0], definition: sentences[0] }],
+      tldr: sentences[0],
+      snapshot: sentences,
+    });
+  },
+  chat: ({ source, system }) =>
+    `This is a mock answer to "${source}".${system?.includes('Sources:') ? ' The first source covers it [1].' : ''}`,
+  quiz: ({ source }) => {
+    const facts = sentencesOf(source);
+    if (facts.length === 0) facts.push('The document has no readable text.');
+    const pick = (i) => facts[i % facts.length];
+    return JSON.stringify({
+      multiple_choice: facts.slice(0, 8).map((fact, i) => {
+        const options = ['None of these', 'All of these', 'It is not covered'];
+        options.splice(i % 4, 0, fact);
+        return {
+          question: `Which statement is made in the text? (${i + 1})`,
+          options,
+          answer_index: i % 4,
+          explanation: `The text says: ${fact}`,
+        };
+      }),
+      short_answer: [0, 1].map(i => ({ question: `Explain: ${pick(i).split(' ').slice(0, 5).join(' ')}…`, answer: pick(i) })),
+      flashcards: facts.slice(0, 10).map((fact, i) => ({ front: `Fact ${i + 1}`, back: fact })),
+    });
+  },
+};
+
+// Bag of hashed words, so passages sharing words with a question come out
+// close to it
+function mockEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of (text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const ch of word) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map(v => v / norm);
+}
+
+function mockProvider(name, settings) {
+  async function complete(request) {
+    const reply = (MOCK_REPLIES[request.feature] || MOCK_REPLIES.chat)(request);
+    if (request.onToken) {
+      for (const piece of reply.match(/\S+\s*/g) || []) {
+        if (request.signal?.aborted) break;
+        request.onToken(piece);
+      }
+    }
+    return reply;
+  }
+
+  const embed = async (texts) => texts.map(mockEmbedding);
+
+  return { name, model: settings.model, available: true, complete, embed };
+}
+
+const PROVIDER_TYPES = { openai: openAIProvider, gemini: geminiProvider, mock: mockProvider };
+
+const registry = new Map(
+  Object.entries(config.ai.providers).map(([name, settings]) => [name, PROVIDER_TYPES[settings.type](name, settings)])
+);
+
+/**
+ * The providers to try for `feature` ('summary', 'chat', 'quiz' or
+ * 'embedding'), best first: its route from config.ai.routes, else
+ * config.ai.order, leaving out providers that aren't configured (or, for
+ * 'embedding', can't embed).
+ */
+export function providersFor(feature) {
+  const names = config.ai.routes[feature] || config.ai.order;
+  return names.map(name => {
+    const provider = registry.get(name);
+    if (!provider) console.warn(`Unknown AI provider "${name}" in config; skipping.`);
+    return provider;
+  }).filter(provider => provider?.available && (feature !== 'embedding' || provider.embed));
+}
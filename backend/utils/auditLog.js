@@ -0,0 +1,102 @@
+// backend/utils/auditLog.js
+import pool from '../db.js';
+
+/**
+ * Append-only record of admin mutations (migration 020). Every admin route
+ * that changes something calls recordAudit in the transaction that made the
+ * change, passing its client, so the change and its entry are kept together
+ * or not at all.
+ */
+
+// Everything an entry's `action` may be, with how the admin panel names it
+export const AUDIT_ACTIONS = {
+  'course.create': 'Created course',
+  'course.update': 'Edited course',
+  'course.delete': 'Deleted course',
+  'subject.create': 'Created subject',
+  'subject.update': 'Edited subject',
+  'subject.delete': 'Deleted subject',
+  'academic_year.create': 'Created academic year',
+  'academic_year.update': 'Edited academic year',
+  'academic_year.delete': 'Deleted academic year',
+  'offering.create': 'Created subject offering',
+  'offering.update': 'Edited subject offering',
+  'offering.delete': 'Deleted subject offering',
+  'unit.create': 'Created unit',
+  'unit.update': 'Edited unit',
+  'unit.delete': 'Deleted unit',
+  'resource.verify': 'Verified resource',
+  'resource.reject': 'Rejected resource',
+  'resource.request_changes': 'Sent resource back',
+  'resource.delete': 'Deleted resource',
+  'duplicate.dismiss': 'Dismissed duplicate',
+  'duplicate.merge': 'Merged duplicates',
+  'review.hide': 'Hid review',
+  'review.approve': 'Approved review',
+  'review.delete': 'Deleted review',
+  'user.verify': 'Verified user',
+  'user.unverify': 'Unverified user',
+  'user.suspend': 'Suspended user',
+  'user.unsuspend': 'Unsuspended user',
+  'user.role_change': 'Changed user role',
+  'user.import': 'Imported roster',
+  'role.update': 'Edited role permissions',
+  'faculty.update': 'Edited faculty profile',
+  'faculty.approve': 'Approved faculty',
+  'faculty.reject': 'Rejected faculty',
+  'message.read': 'Marked message read',
+  'message.delete': 'Deleted message',
+  'job.retry': 'Retried job',
+  'job.cancel': 'Cancelled job',
+};
+
+// Bumped by every write, so never worth a line in the diff
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * The fields that differ between two snapshots of a record, as
+ * { field: { from, to } }. A missing snapshot counts as all fields null, so a
+ * created record lists every field it was given and a deleted one every field
+ * it had. Returns null when nothing changed.
+ */
+export function diffChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!same(from, to)) changes[field] = { from, to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Appends an entry for what req.user just did.
+ *
+ * @param {Object} req - The admin request (for the actor and their IP)
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - Kind of record, e.g. 'course' or 'user'
+ * @param {string} [entry.targetId] - Its id
+ * @param {string} [entry.targetLabel] - A readable name that survives its deletion
+ * @param {Object} [entry.before] - The record (or the fields of it that matter) before
+ * @param {Object} [entry.after] - The same after
+ */
+export async function recordAudit(req, { action, targetType, targetId, targetLabel, before, after }, client = pool) {
+  if (!AUDIT_ACTIONS[action]) throw new Error(`Unknown audit action: ${action}`);
+
+  const changes = diffChanges(before, after);
+  await client.query(
+    `INSERT INTO admin_audit_log
+       (actor_id, actor_name, actor_email, action, target_type, target_id, target_label, changes, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req.user.id, req.user.full_name || null, req.user.email || null,
+      action, targetType, targetId != null ? String(targetId) : null, targetLabel || null,
+      changes ? JSON.stringify(changes) : null, req.ip || null,
+    ]
+  );
+}
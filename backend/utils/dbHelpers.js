@@ -1,5 +1,28 @@
 // backend/utils/dbHelpers.js
 import pool from '../db.js';
+import { derivedPaths } from './resourceFiles.js';
+import { textFingerprint } from './duplicates.js';
+import { canViewResource } from './permissions.js';
+
+/**
+ * Runs `work(client)` in a transaction on one pooled client: committed if it
+ * resolves, rolled back (and the error rethrown) if it throws. Resolves with
+ * what `work` returns.
+ */
+export async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
 
 /**
  * Resolves a subject code to a subject record.
@@ -46,14 +69,6 @@ export async function resolveUnit(offeringId, unitNumber) {
   return res.rows[0].id;
 }
 
-/**
- * Checks if a user is an administrator.
- */
-export async function isAdmin(userId, client = pool) {
-  const res = await client.query('SELECT role FROM users WHERE id = $1', [userId]);
-  return res.rows.length > 0 && res.rows[0].role === 'admin';
-}
-
 /**
  * Checks if a user is the owner (contributor) of a resource.
  */
@@ -62,6 +77,163 @@ export async function isResourceOwner(resourceId, userId, client = pool) {
   return res.rows.length > 0 && res.rows[0].contributor_id === userId;
 }
 
+/**
+ * Fetches a resource if it exists and the user may open it, otherwise null.
+ */
+export async function getViewableResource(resourceId, user, client = pool) {
+  const res = await client.query(
+    `SELECT id, title, contributor_id, visibility, review_status, rating_avg, rating_count
+     FROM resources WHERE id = $1`,
+    [resourceId]
+  );
+  if (res.rows.length === 0) return null;
+  return canViewResource(res.rows[0], user) ? res.rows[0] : null;
+}
+
+/**
+ * Stores (or replaces) the text extracted from a resource's file so it can be
+ * full-text searched, with its fingerprint for near-duplicate checks. The
+ * chat passage index picks up the new text on its next run.
+ */
+export async function saveExtractedText(resourceId, text, client = pool) {
+  // Postgres TEXT cannot hold NUL bytes, which pdf.js occasionally emits.
+  const content = (text || '').replace(/\u0000/g, '');
+  await client.query(
+    `INSERT INTO resource_texts (resource_id, content, extracted_at, fingerprint)
+     VALUES ($1, $2, NOW(), $3)
+     ON CONFLICT (resource_id) DO UPDATE
+       SET content = EXCLUDED.content, extracted_at = NOW(), fingerprint = EXCLUDED.fingerprint,
+           indexed_at = NULL`,
+    [resourceId, content, textFingerprint(content)]
+  );
+}
+
+/**
+ * Snapshots the current state of a resource as its next version.
+ * Call it inside the transaction that made the change, after the UPDATE,
+ * so the row lock keeps version numbers in order.
+ */
+export async function recordResourceVersion(resourceId, { changeType, changedBy, note = null, filename = null }, client = pool) {
+  const res = await client.query(
+    `INSERT INTO resource_versions (
+       resource_id, version_number, change_type, change_note, changed_by,
+       title, description, resource_type, visibility, content_type,
+       subject_id, subject_offering_id, unit_id, storage_path, original_filename, external_url
+     )
+     SELECT
+       r.id,
+       COALESCE((SELECT MAX(version_number) FROM resource_versions WHERE resource_id = r.id), 0) + 1,
+       $2, $3, $4,
+       r.title, r.description, r.resource_type, r.visibility, r.content_type,
+       r.subject_id, r.subject_offering_id, r.unit_id, r.storage_path,
+       COALESCE($5, (
+         SELECT v.original_filename FROM resource_versions v
+         WHERE v.resource_id = r.id AND v.storage_path = r.storage_path AND v.original_filename IS NOT NULL
+         ORDER BY v.version_number DESC LIMIT 1
+       )),
+       r.external_url
+     FROM resources r
+     WHERE r.id = $1
+     RETURNING *`,
+    [resourceId, changeType, note, changedBy, filename]
+  );
+  return res.rows[0];
+}
+
+/**
+ * Appends an entry to a resource's review status history.
+ */
+export async function logStatusChange(resourceId, { from = null, to, reason = null, changedBy }, client = pool) {
+  await client.query(
+    `INSERT INTO resource_status_history (resource_id, from_status, to_status, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [resourceId, from, to, reason, changedBy]
+  );
+}
+
+/**
+ * Moves a resource to a new review status and logs the change.
+ * 'approved' also marks the resource verified; every other status clears it.
+ * Returns the updated row (with `previous_status`), or null if it does not exist.
+ */
+export async function setReviewStatus(resourceId, { status, reason = null, changedBy }, client = pool) {
+  const res = await client.query(
+    `UPDATE resources r SET
+       review_status = $2,
+       review_reason = $3,
+       is_verified = ($2 = 'approved'),
+       verified_by = CASE WHEN $2 = 'approved' THEN $4::uuid END,
+       verified_at = CASE WHEN $2 = 'approved' THEN NOW() END
+     FROM resources old
+     WHERE r.id = $1 AND old.id = r.id
+     RETURNING r.*, old.review_status AS previous_status`,
+    [resourceId, status, reason, changedBy]
+  );
+  if (res.rows.length === 0) return null;
+
+  const resource = res.rows[0];
+  await logStatusChange(resourceId, { from: resource.previous_status, to: status, reason, changedBy }, client);
+  return resource;
+}
+
+/**
+ * Recomputes a resource's rating aggregate from its visible reviews.
+ * Call it after any review is written, deleted, hidden or unhidden.
+ */
+export async function refreshResourceRating(resourceId, client = pool) {
+  await client.query(
+    `UPDATE resources SET
+       rating_avg = COALESCE(agg.avg, 0),
+       rating_count = agg.count
+     FROM (
+       SELECT ROUND(AVG(rating), 2) AS avg, COUNT(*)::int AS count
+       FROM resource_reviews
+       WHERE resource_id = $1 AND is_hidden = FALSE
+     ) agg
+     WHERE resources.id = $1`,
+    [resourceId]
+  );
+}
+
+const ACCESS_COUNTERS = { view: 'view_count', download: 'download_count' };
+
+/**
+ * Logs a view or download of a resource, at most once per user per day, and
+ * bumps the matching counter on the resource. Contributors opening their own
+ * uploads are not counted. Returns true if the access was counted.
+ */
+export async function recordResourceAccess(resource, userId, eventType, client = pool) {
+  if (resource.contributor_id === userId) return false;
+
+  const inserted = await client.query(
+    `INSERT INTO resource_access_events (resource_id, user_id, event_type)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (resource_id, user_id, event_type, event_date) DO NOTHING
+     RETURNING id`,
+    [resource.id, userId, eventType]
+  );
+  if (inserted.rows.length === 0) return false;
+
+  const counter = ACCESS_COUNTERS[eventType];
+  await client.query(`UPDATE resources SET ${counter} = ${counter} + 1 WHERE id = $1`, [resource.id]);
+  return true;
+}
+
+/**
+ * Lists every storage object a resource owns: its current file plus the
+ * files kept for older versions, and any rendition/thumbnail generated for
+ * them. Used to clean up storage on delete.
+ */
+export async function getResourceStoragePaths(resourceId, client = pool) {
+  const res = await client.query(
+    `SELECT storage_path FROM resources WHERE id = $1 AND content_type = 'file' AND storage_path IS NOT NULL
+     UNION
+     SELECT storage_path FROM resource_versions WHERE resource_id = $1 AND storage_path IS NOT NULL`,
+    [resourceId]
+  );
+  return res.rows.flatMap(r => [r.storage_path, ...Object.values(derivedPaths(r.storage_path))]);
+}
+
 /**
  * Generates a storage path for Supabase files.
  */
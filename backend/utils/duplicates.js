@@ -0,0 +1,159 @@
+// backend/utils/duplicates.js
+import pool from '../db.js';
+
+/**
+ * Duplicate detection. Exact duplicates share a content hash, checked when a
+ * file is uploaded. Near duplicates (a re-scan of the same paper, a copy
+ * with one page added) are found from the extracted text: each text gets a
+ * MinHash signature over its 5-word shingles, and two signatures agreeing in
+ * most positions means the texts overlap about that much.
+ *
+ * Matches are kept in resource_duplicates for the admin review panel.
+ */
+
+const SIGNATURE_SIZE = 64;
+const SHINGLE_WORDS = 5;
+const MAX_SHINGLES = 20000; // enough to characterise even a long document
+export const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+// 32-bit FNV-1a, with a different offset basis per hash family
+function fnv1a(str, basis) {
+  let hash = basis;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MinHash signature of a text, as signed 32-bit ints (they fit Postgres
+ * INTEGER). Returns [] when the text is too short to compare meaningfully.
+ */
+export function textFingerprint(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length < SHINGLE_WORDS * 10) return [];
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length && shingles.size < MAX_SHINGLES; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+  }
+
+  // Double hashing stands in for SIGNATURE_SIZE independent hash functions
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const h1 = fnv1a(shingle, 0x811c9dc5);
+    const h2 = fnv1a(shingle, 0x050c5d1f) | 1;
+    for (let k = 0; k < SIGNATURE_SIZE; k++) {
+      const h = (h1 + Math.imul(k, h2)) >>> 0;
+      if (h < signature[k]) signature[k] = h;
+    }
+  }
+  return signature.map(h => h | 0);
+}
+
+/**
+ * Estimated share of shingles two texts have in common (0–1).
+ */
+export function fingerprintSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+/**
+ * Other resources whose file has the given content hash, oldest first, with
+ * what the caller needs to decide whether the uploader may see them.
+ */
+export async function findExactDuplicates(contentHash, { excludeId = null } = {}, client = pool) {
+  if (!contentHash) return [];
+  const result = await client.query(`
+    SELECT r.id, r.title, r.contributor_id, r.visibility, r.review_status, r.created_at,
+           s.code AS subject_code, s.name AS subject_name, u.full_name AS contributor_name
+    FROM resources r
+    JOIN subjects s ON r.subject_id = s.id
+    LEFT JOIN users u ON r.contributor_id = u.id
+    WHERE r.content_hash = $1 AND ($2::uuid IS NULL OR r.id <> $2)
+    ORDER BY r.created_at ASC
+  `, [contentHash, excludeId]);
+  return result.rows;
+}
+
+/**
+ * Flags `resourceId` as a duplicate of each match ({ id, matchType, similarity }).
+ * A pair already flagged in either direction is left as it is, including
+ * ones an admin dismissed.
+ */
+export async function recordDuplicates(resourceId, matches, client = pool) {
+  for (const match of matches) {
+    await client.query(`
+      INSERT INTO resource_duplicates (resource_id, duplicate_of, match_type, similarity)
+      SELECT $1, $2, $3, $4
+      WHERE NOT EXISTS (
+        SELECT 1 FROM resource_duplicates WHERE resource_id = $2 AND duplicate_of = $1
+      )
+      ON CONFLICT (resource_id, duplicate_of) DO NOTHING
+    `, [resourceId, match.id, match.matchType, match.similarity]);
+  }
+}
+
+/**
+ * Compares a resource's text fingerprint with the other resources in its
+ * subject and flags the close ones. The newer resource of each pair is the
+ * one marked as the duplicate. Returns the matches found.
+ */
+export async function checkNearDuplicates(resourceId, client = pool) {
+  const own = await client.query(`
+    SELECT r.subject_id, r.created_at, rt.fingerprint
+    FROM resources r JOIN resource_texts rt ON rt.resource_id = r.id
+    WHERE r.id = $1
+  `, [resourceId]);
+  const resource = own.rows[0];
+  if (!resource?.fingerprint?.length) return [];
+
+  const others = await client.query(`
+    SELECT r.id, r.created_at, rt.fingerprint
+    FROM resources r JOIN resource_texts rt ON rt.resource_id = r.id
+    WHERE r.subject_id = $1 AND r.id <> $2 AND cardinality(rt.fingerprint) = $3
+  `, [resource.subject_id, resourceId, SIGNATURE_SIZE]);
+
+  const matches = [];
+  for (const other of others.rows) {
+    const similarity = fingerprintSimilarity(resource.fingerprint, other.fingerprint);
+    if (similarity < NEAR_DUPLICATE_THRESHOLD) continue;
+
+    const match = { matchType: 'near', similarity };
+    matches.push({ id: other.id, ...match });
+    if (new Date(other.created_at) <= new Date(resource.created_at)) {
+      await recordDuplicates(resourceId, [{ id: other.id, ...match }], client);
+    } else {
+      await recordDuplicates(other.id, [{ id: resourceId, ...match }], client);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Fingerprints texts extracted before near-duplicate detection existed, a
+ * batch at a time, and checks each for near duplicates.
+ */
+export async function backfillFingerprints(limit = 20, client = pool) {
+  const result = await client.query(
+    'SELECT resource_id, content FROM resource_texts WHERE fingerprint IS NULL LIMIT $1',
+    [limit]
+  );
+  for (const row of result.rows) {
+    await client.query(
+      'UPDATE resource_texts SET fingerprint = $2 WHERE resource_id = $1',
+      [row.resource_id, textFingerprint(row.content)]
+    );
+    await checkNearDuplicates(row.resource_id, client);
+  }
+  return result.rows.length;
+}
@@ -0,0 +1,50 @@
+// backend/utils/fileConversion.js
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createCanvas, loadImage } from 'canvas';
+import config from '../config.js';
+
+const execFileAsync = promisify(execFile);
+const THUMBNAIL_WIDTH = 480;
+
+/**
+ * Renders an Office/OpenDocument file as PDF with headless LibreOffice.
+ * Each call gets its own temp directory and LibreOffice profile, so several
+ * conversions can run side by side.
+ */
+export async function convertToPdf(buffer, extension) {
+  const workDir = await mkdtemp(path.join(tmpdir(), 'arh-convert-'));
+  try {
+    const input = path.join(workDir, `source${extension}`);
+    await writeFile(input, buffer);
+    await execFileAsync(config.conversion.sofficePath, [
+      `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+      '--headless', '--norestore',
+      '--convert-to', 'pdf',
+      '--outdir', workDir,
+      input,
+    ], { timeout: config.conversion.timeoutMs });
+    return await readFile(path.join(workDir, 'source.pdf'));
+  } catch (err) {
+    throw new Error(`PDF conversion failed: ${err.message}`);
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Scales an image down to a JPEG thumbnail for resource cards.
+ */
+export async function createThumbnail(buffer) {
+  const image = await loadImage(buffer);
+  const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+  const canvas = createCanvas(Math.round(image.width * scale), Math.round(image.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff'; // transparent PNGs would otherwise turn black
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toBuffer('image/jpeg', { quality: 0.8 });
+}
@@ -0,0 +1,206 @@
+// backend/utils/fileFormats.js
+
+/**
+ * Allow-list of file formats that can be uploaded as a resource.
+ *
+ * A file is accepted only when its extension names one of these formats and
+ * its first bytes match that format's signature, so a renamed executable
+ * can't get through as "notes.pdf". The browser-reported MIME type is only
+ * checked loosely (many browsers send application/octet-stream for Office
+ * files) and the canonical `mimeType` below is what gets stored.
+ *
+ * `kind` decides what happens after upload:
+ *   pdf     — summarized / OCR'd directly
+ *   office  — converted to a PDF rendition, which is then summarized
+ *   image   — gets a thumbnail and is OCR'd directly
+ *   archive — stored as-is
+ *   media   — lecture recordings, stored as-is (these are usually too big
+ *             for a single request and arrive as resumable uploads)
+ */
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+const startsWith = (data, bytes, offset = 0) =>
+  data.length >= offset + bytes.length && bytes.every((b, i) => data[offset + i] === b);
+
+const asciiAt = (data, text, offset) => startsWith(data, [...Buffer.from(text, 'latin1')], offset);
+
+// Office Open XML files are ZIPs; the part folders name the application
+const isOoxml = (folder) => (data) =>
+  startsWith(data, ZIP_SIGNATURE) && data.includes('[Content_Types].xml') && data.includes(folder);
+
+// OpenDocument files are ZIPs whose first entry is an uncompressed "mimetype"
+const isOpenDocument = (mimeType) => (data) =>
+  startsWith(data, ZIP_SIGNATURE) && asciiAt(data, `mimetype${mimeType}`, 30);
+
+export const FILE_FORMATS = {
+  pdf: {
+    label: 'PDF', kind: 'pdf', extensions: ['.pdf'],
+    mimeType: 'application/pdf',
+    matches: (data) => asciiAt(data, '%PDF-', 0),
+  },
+  docx: {
+    label: 'Word', kind: 'office', extensions: ['.docx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    matches: isOoxml('word/'),
+  },
+  pptx: {
+    label: 'PowerPoint', kind: 'office', extensions: ['.pptx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    matches: isOoxml('ppt/'),
+  },
+  xlsx: {
+    label: 'Excel', kind: 'office', extensions: ['.xlsx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    matches: isOoxml('xl/'),
+  },
+  doc: {
+    label: 'Word', kind: 'office', extensions: ['.doc'],
+    mimeType: 'application/msword',
+    matches: (data) => startsWith(data, OLE_SIGNATURE),
+  },
+  ppt: {
+    label: 'PowerPoint', kind: 'office', extensions: ['.ppt'],
+    mimeType: 'application/vnd.ms-powerpoint',
+    matches: (data) => startsWith(data, OLE_SIGNATURE),
+  },
+  xls: {
+    label: 'Excel', kind: 'office', extensions: ['.xls'],
+    mimeType: 'application/vnd.ms-excel',
+    matches: (data) => startsWith(data, OLE_SIGNATURE),
+  },
+  odt: {
+    label: 'OpenDocument Text', kind: 'office', extensions: ['.odt'],
+    mimeType: 'application/vnd.oasis.opendocument.text',
+    matches: isOpenDocument('application/vnd.oasis.opendocument.text'),
+  },
+  odp: {
+    label: 'OpenDocument Slides', kind: 'office', extensions: ['.odp'],
+    mimeType: 'application/vnd.oasis.opendocument.presentation',
+    matches: isOpenDocument('application/vnd.oasis.opendocument.presentation'),
+  },
+  png: {
+    label: 'Image', kind: 'image', extensions: ['.png'],
+    mimeType: 'image/png',
+    matches: (data) => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  jpeg: {
+    label: 'Image', kind: 'image', extensions: ['.jpg', '.jpeg'],
+    mimeType: 'image/jpeg',
+    matches: (data) => startsWith(data, [0xff, 0xd8, 0xff]),
+  },
+  webp: {
+    label: 'Image', kind: 'image', extensions: ['.webp'],
+    mimeType: 'image/webp',
+    matches: (data) => asciiAt(data, 'RIFF', 0) && asciiAt(data, 'WEBP', 8),
+  },
+  zip: {
+    label: 'ZIP', kind: 'archive', extensions: ['.zip'],
+    mimeType: 'application/zip',
+    matches: (data) => startsWith(data, ZIP_SIGNATURE) || startsWith(data, [0x50, 0x4b, 0x05, 0x06]),
+  },
+  mp4: {
+    label: 'Video', kind: 'media', extensions: ['.mp4', '.m4v'],
+    mimeType: 'video/mp4',
+    matches: (data) => asciiAt(data, 'ftyp', 4),
+  },
+  webm: {
+    label: 'Video', kind: 'media', extensions: ['.webm'],
+    mimeType: 'video/webm',
+    matches: (data) => startsWith(data, [0x1a, 0x45, 0xdf, 0xa3]),
+  },
+  mp3: {
+    label: 'Audio', kind: 'media', extensions: ['.mp3'],
+    mimeType: 'audio/mpeg',
+    matches: (data) => asciiAt(data, 'ID3', 0) || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0),
+  },
+  m4a: {
+    label: 'Audio', kind: 'media', extensions: ['.m4a'],
+    mimeType: 'audio/mp4',
+    matches: (data) => asciiAt(data, 'ftyp', 4),
+  },
+};
+
+// Extra MIME types browsers are known to send for the formats above
+const MIME_ALIASES = {
+  'application/x-pdf': 'pdf',
+  'image/jpg': 'jpeg',
+  'image/pjpeg': 'jpeg',
+  'application/x-zip-compressed': 'zip',
+  'application/x-zip': 'zip',
+  'audio/mp3': 'mp3',
+  'audio/x-m4a': 'm4a',
+};
+
+// ZIP-based formats are often reported as plain ZIPs
+const ZIP_CONTAINERS = new Set(['docx', 'pptx', 'xlsx', 'odt', 'odp']);
+
+// Sent by browsers that don't know the type; the signature check still applies
+const GENERIC_MIME_TYPES = new Set(['application/octet-stream', 'binary/octet-stream', '']);
+
+export const ALLOWED_EXTENSIONS = Object.values(FILE_FORMATS).flatMap(f => f.extensions);
+
+export function getFileExtension(filename = '') {
+  const dotIndex = filename.lastIndexOf('.');
+  return dotIndex === -1 ? '' : filename.slice(dotIndex).toLowerCase();
+}
+
+/**
+ * Finds the allow-listed format for a filename by its extension, or null.
+ */
+export function formatForFilename(filename) {
+  const ext = getFileExtension(filename);
+  const key = Object.keys(FILE_FORMATS).find(k => FILE_FORMATS[k].extensions.includes(ext));
+  return key || null;
+}
+
+/**
+ * Checks a file's name, reported MIME type and size against the allow-list,
+ * before any of its bytes are seen (resumable uploads validate this up
+ * front). Returns `{ error }` or `{ format }` with the key into FILE_FORMATS.
+ */
+export function validateFileMetadata({ filename, mimeType, size }, { maxBytes }) {
+  if (size > maxBytes) {
+    return { error: `File size must be ${Math.round(maxBytes / 1024 / 1024)}MB or less` };
+  }
+
+  const format = formatForFilename(filename);
+  if (!format) {
+    return { error: `Unsupported file type. Allowed: ${ALLOWED_EXTENSIONS.join(', ')}` };
+  }
+
+  const reported = (mimeType || '').toLowerCase();
+  const mimeOk = GENERIC_MIME_TYPES.has(reported) || reported === FILE_FORMATS[format].mimeType
+    || MIME_ALIASES[reported] === format
+    || (reported === 'application/zip' && ZIP_CONTAINERS.has(format));
+  if (!mimeOk) {
+    return { error: `File type does not match its ${getFileExtension(filename)} extension` };
+  }
+
+  return { format };
+}
+
+/**
+ * Checks the first bytes of a file against its format's signature. Returns
+ * an error message, or null when they match.
+ */
+export function checkFileSignature(format, data) {
+  return FILE_FORMATS[format].matches(data) ? null : `Invalid ${FILE_FORMATS[format].label} file`;
+}
+
+/**
+ * Checks an uploaded file against the allow-list. Returns `{ error }` when it
+ * is rejected, otherwise `{ format }` with the key into FILE_FORMATS.
+ */
+export function validateFileUpload({ filename, mimeType, fileData }, { maxBytes }) {
+  if (!fileData || !filename) {
+    return { error: 'No file uploaded' };
+  }
+
+  const result = validateFileMetadata({ filename, mimeType, size: fileData.length }, { maxBytes });
+  if (result.error) return result;
+
+  const signatureError = checkFileSignature(result.format, fileData);
+  return signatureError ? { error: signatureError } : result;
+}
@@ -0,0 +1,174 @@
+// backend/utils/jobQueue.js
+import pool from '../db.js';
+
+/**
+ * Database-backed job queue (migration 016). A job moves
+ *   queued → running → completed
+ * or, when an attempt throws, back to queued with a growing delay, and to
+ * failed once it has used up its attempts. Failed and cancelled jobs stay
+ * put until an admin retries them.
+ */
+
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+// A running job its worker hasn't touched for this long was abandoned (see touchJob)
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+// 1, 2, 4, 8... minutes after the n-th failed attempt, up to 6 hours
+export const backoffDelay = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+/**
+ * Queues a job unless the resource already has an open one of that type.
+ * Returns the new job, or null if one was already open.
+ */
+export async function enqueueJob(type, resourceId, client = pool) {
+  const result = await client.query(`
+    INSERT INTO jobs (type, resource_id)
+    VALUES ($1, $2)
+    ON CONFLICT (type, resource_id) WHERE status IN ('queued', 'running') DO NOTHING
+    RETURNING *
+  `, [type, resourceId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Claims up to `limit` due jobs of `type` for this worker, marking them
+ * running and counting the attempt. Rows another worker is claiming at the
+ * same moment are skipped rather than waited for.
+ */
+export async function claimJobs(type, limit, client = pool) {
+  const result = await client.query(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = NOW(), updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE type = $1 AND status = 'queued' AND run_at <= NOW()
+      ORDER BY run_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [type, limit]);
+  return result.rows;
+}
+
+export async function completeJob(jobId, client = pool) {
+  await client.query(`
+    UPDATE jobs SET status = 'completed', locked_at = NULL, last_error = NULL,
+                    completed_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND status = 'running'
+  `, [jobId]);
+}
+
+/**
+ * Records a failed attempt: the job is retried after backoffDelay, or
+ * dead-lettered as failed if that was its last attempt.
+ */
+export async function failJob(job, error, client = pool) {
+  const message = (error?.message || String(error)).slice(0, 2000);
+  const exhausted = job.attempts >= job.max_attempts;
+  await client.query(`
+    UPDATE jobs SET status = $2, last_error = $3, locked_at = NULL, updated_at = NOW(),
+                    run_at = NOW() + ($4 || ' milliseconds')::interval
+    WHERE id = $1 AND status = 'running'
+  `, [job.id, exhausted ? 'failed' : 'queued', message, exhausted ? 0 : backoffDelay(job.attempts)]);
+  return exhausted;
+}
+
+/**
+ * Drops a running job whose work no longer applies, e.g. OCR of a file that
+ * was replaced mid-run, so the replacement gets a job of its own.
+ */
+export async function discardJob(jobId, client = pool) {
+  await client.query(`DELETE FROM jobs WHERE id = $1 AND status = 'running'`, [jobId]);
+}
+
+/**
+ * Puts a claimed job back without counting the attempt, e.g. when the AI
+ * provider is rate limiting and the job never really ran.
+ */
+export async function releaseJob(jobId, delayMs, client = pool) {
+  await client.query(`
+    UPDATE jobs SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_at = NULL,
+                    run_at = NOW() + ($2 || ' milliseconds')::interval, updated_at = NOW()
+    WHERE id = $1 AND status = 'running'
+  `, [jobId, delayMs]);
+}
+
+/**
+ * Tells other workers a long job is still alive; see recoverStaleJobs.
+ */
+export async function touchJob(jobId, client = pool) {
+  await client.query(
+    `UPDATE jobs SET locked_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'running'`,
+    [jobId]
+  );
+}
+
+/**
+ * Requeues jobs of `type` left running by a worker that stopped mid-job. The
+ * attempt it used still counts, so a job that crashes the worker can't loop
+ * forever.
+ */
+export async function recoverStaleJobs(type, client = pool) {
+  const result = await client.query(`
+    UPDATE jobs SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+                    last_error = COALESCE(last_error, 'Worker stopped before the job finished'),
+                    locked_at = NULL, updated_at = NOW()
+    WHERE type = $1 AND status = 'running' AND locked_at < NOW() - ($2 || ' milliseconds')::interval
+    RETURNING id
+  `, [type, STALE_AFTER_MS]);
+  return result.rows.length;
+}
+
+/**
+ * The most recent job of `type` for a resource, or null if it never had one.
+ */
+export async function latestJob(type, resourceId, client = pool) {
+  const result = await client.query(
+    'SELECT * FROM jobs WHERE type = $1 AND resource_id = $2 ORDER BY created_at DESC LIMIT 1',
+    [type, resourceId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Sends a failed or cancelled job back to the queue with a fresh set of
+ * attempts. Returns the job, or null if it isn't in a retryable state.
+ */
+export async function retryJob(jobId, client = pool) {
+  const result = await client.query(`
+    UPDATE jobs SET status = 'queued', attempts = 0, run_at = NOW(), locked_at = NULL, updated_at = NOW()
+    WHERE id = $1 AND status IN ('failed', 'cancelled')
+      AND NOT EXISTS (
+        SELECT 1 FROM jobs open
+        WHERE open.type = jobs.type AND open.resource_id = jobs.resource_id
+          AND open.status IN ('queued', 'running')
+      )
+    RETURNING *
+  `, [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Cancels a job that hasn't started. Returns the job, or null if it isn't queued.
+ */
+export async function cancelJob(jobId, client = pool) {
+  const result = await client.query(`
+    UPDATE jobs SET status = 'cancelled', locked_at = NULL, updated_at = NOW()
+    WHERE id = $1 AND status = 'queued'
+    RETURNING *
+  `, [jobId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Forgets finished-for-good jobs of a resource whose file was replaced, so
+ * the new file gets processed instead of being blocked by the old failure.
+ */
+export async function clearResourceJobs(resourceId, client = pool) {
+  await client.query(
+    `DELETE FROM jobs WHERE resource_id = $1 AND status IN ('failed', 'cancelled', 'completed')`,
+    [resourceId]
+  );
+}
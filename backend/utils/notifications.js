@@ -2,27 +2,40 @@ import pool from '../db.js';
 import { getIO } from '../socket.js';
 
 /**
- * Creates persistent notification records for all users in a specific course
- * and emits a real-time event to the course room.
- * 
+ * Creates persistent notification records for everyone enrolled in a course
+ * or following one of the given subjects, and emits a real-time event to the
+ * matching rooms (see roomsFor in socket.js). A follow with an offering only
+ * matches resources of that offering; one without matches the whole subject.
+ *
  * @param {Object} params
- * @param {string} params.courseId - The ID of the course to notify
+ * @param {string} [params.courseId] - Course whose enrolled users to notify
+ * @param {Array<{subjectId: string, offeringId: ?string}>} [params.subjects] - Subjects (and offerings) of the resources, for their followers
  * @param {string} params.resourceId - The ID of the uploaded resource
  * @param {string} params.title - Notification title
  * @param {string} params.message - Notification message
  * @param {string} [params.excludeUserId] - Optional user ID to exclude (e.g. the uploader)
  */
-export async function notifyCourseSubscribers({ courseId, resourceId, title, message, excludeUserId }) {
-  if (!courseId) return;
+export async function notifySubscribers({ courseId, subjects = [], resourceId, title, message, excludeUserId }) {
+  const targets = subjects.filter(s => s.subjectId);
+  if (!courseId && targets.length === 0) return;
 
   try {
-    // 1. Find all users enrolled in this course
+    // 1. Find everyone enrolled in the course or following one of the subjects
     const usersRes = await pool.query(
-      `SELECT id FROM users WHERE course_id = $1 ${excludeUserId ? 'AND id != $2' : ''}`,
-      excludeUserId ? [courseId, excludeUserId] : [courseId]
+      `SELECT user_id FROM (
+         SELECT user_id FROM course_enrollments WHERE course_id = $1
+         UNION
+         SELECT sf.user_id
+         FROM subject_follows sf
+         JOIN unnest($2::uuid[], $3::uuid[]) AS t(subject_id, offering_id)
+           ON sf.subject_id = t.subject_id
+          AND (sf.subject_offering_id IS NULL OR sf.subject_offering_id = t.offering_id)
+       ) subscribers
+       WHERE user_id IS DISTINCT FROM $4`,
+      [courseId || null, targets.map(t => t.subjectId), targets.map(t => t.offeringId || null), excludeUserId || null]
     );
 
-    const userIds = usersRes.rows.map(r => r.id);
+    const userIds = usersRes.rows.map(r => r.user_id);
 
     // 2. Create persistent notification records in bulk (if any users found)
     if (userIds.length > 0) {
@@ -39,13 +52,18 @@ export async function notifyCourseSubscribers({ courseId, resourceId, title, mes
         `INSERT INTO notifications (user_id, resource_id, title, message) VALUES ${placeholders.join(', ')}`,
         values
       );
-      console.log(`[Notifications] Persisted for ${userIds.length} users in Course ${courseId}`);
+      console.log(`[Notifications] Persisted for ${userIds.length} subscribers of ${courseId ? `Course ${courseId}` : 'followed subjects'}`);
     }
 
-    // 3. Emit real-time socket event to the course room ALWAYS
-    // This ensures currently connected users (including the uploader if in the room)
-    // get the live notification even if they aren't 'officially' in the DB list for this course yet.
-    getIO().to(`course:${courseId}`).emit('notification:new', {
+    // 3. Emit real-time socket event to the matching rooms ALWAYS
+    // This ensures currently connected users (including the uploader if in a room)
+    // get the live notification; a socket in several of the rooms gets it once.
+    const rooms = [
+      ...(courseId ? [`course:${courseId}`] : []),
+      ...targets.map(t => `subject:${t.subjectId}`),
+      ...targets.filter(t => t.offeringId).map(t => `offering:${t.offeringId}`),
+    ];
+    getIO().to([...new Set(rooms)]).emit('notification:new', {
       title,
       message,
       resourceId,
@@ -53,6 +71,38 @@ export async function notifyCourseSubscribers({ courseId, resourceId, title, mes
     });
 
   } catch (err) {
-    console.error('[Notifications] Error notifying course subscribers:', err);
+    console.error('[Notifications] Error notifying subscribers:', err);
+  }
+}
+
+/**
+ * Creates a notification for a single user and pushes it to their private room.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Recipient
+ * @param {string} [params.resourceId] - Related resource, if any
+ * @param {string} params.title - Notification title
+ * @param {string} params.message - Notification message
+ */
+export async function notifyUser({ userId, resourceId = null, title, message }) {
+  if (!userId) return;
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO notifications (user_id, resource_id, title, message)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, created_at`,
+      [userId, resourceId, title, message]
+    );
+
+    getIO().to(`user:${userId}`).emit('notification:new', {
+      id: result.rows[0].id,
+      title,
+      message,
+      resourceId,
+      created_at: result.rows[0].created_at
+    });
+  } catch (err) {
+    console.error('[Notifications] Error notifying user:', err);
   }
 }
@@ -0,0 +1,66 @@
+// backend/utils/ocr.js
+import { createCanvas } from 'canvas';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import Tesseract from 'tesseract.js';
+import { PDFDocument } from 'pdf-lib';
+import config from '../config.js';
+
+/**
+ * OCR for scanned files, in the languages of config.ocr.languages (Tesseract
+ * reads them all at once, so a paper mixing English and Hindi works).
+ */
+
+const LANGUAGES = config.ocr.languages.join('+');
+const RENDER_SCALE = 2.0; // Tesseract reads small print better from a larger render
+
+export async function recognizeImage(buffer) {
+  const { data } = await Tesseract.recognize(buffer, LANGUAGES);
+  return { text: data.text, confidence: data.confidence };
+}
+
+/**
+ * Reads a PDF page by page from `fromPage` on, calling `onPage` with
+ * { pageNumber, pageCount, text, confidence, pdf } as each page is done.
+ * With `searchable`, `pdf` is a one-page PDF of the page image with the
+ * recognized text laid invisibly over it (see buildSearchablePdf).
+ */
+export async function recognizePdfPages(buffer, { fromPage = 1, searchable = false, onPage }) {
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), useSystemFonts: true, disableFontFace: true }).promise;
+  // One worker for the whole document; loading the language data is the slow part
+  const worker = await Tesseract.createWorker(LANGUAGES);
+  try {
+    for (let pageNumber = fromPage; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const canvas = createCanvas(viewport.width, viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+      const { data } = await worker.recognize(canvas.toBuffer('image/png'), {}, { text: true, pdf: searchable });
+      page.cleanup();
+      await onPage({
+        pageNumber,
+        pageCount: doc.numPages,
+        text: data.text,
+        confidence: data.confidence,
+        pdf: searchable ? Uint8Array.from(data.pdf) : null,
+      });
+    }
+    return doc.numPages;
+  } finally {
+    await worker.terminate();
+    await doc.destroy();
+  }
+}
+
+/**
+ * Joins the one-page PDFs from recognizePdfPages into a single document.
+ */
+export async function buildSearchablePdf(pagePdfs) {
+  const merged = await PDFDocument.create();
+  for (const bytes of pagePdfs) {
+    const pageDoc = await PDFDocument.load(bytes);
+    const pages = await merged.copyPages(pageDoc, pageDoc.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
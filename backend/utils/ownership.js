@@ -1,11 +1,13 @@
+import { can } from "./permissions.js";
+
 export function resolveContributor(req, bodyContributorId) {
   // If no auth, fallback to body (temporary compatibility)
   if (!req.user) {
     return bodyContributorId;
   }
 
-  // Admin override
-  if (req.user.role === "admin") {
+  // Those who manage everyone's resources may upload on someone's behalf
+  if (can(req.user, "resource.manage")) {
     return bodyContributorId;
   }
 
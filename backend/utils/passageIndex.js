@@ -0,0 +1,216 @@
+// backend/utils/passageIndex.js
+import pool from '../db.js';
+import { canEmbed, embedTexts } from './ai.js';
+import { visibleResourceFilter } from './permissions.js';
+import { numberPlaceholders } from './resourceListing.js';
+
+/**
+ * Passage index behind the chat assistant. Extracted file text is split into
+ * overlapping passages of a few paragraphs; each passage is full-text indexed
+ * straight away and embedded by the indexing task shortly after. A question
+ * is matched both ways and the two rankings are fused, so answers still work
+ * (by keyword) while embeddings are catching up or the provider is down.
+ */
+
+const CHUNK_CHARS = 1200;
+const OVERLAP_CHARS = 200;
+const MAX_CHUNKS = 300; // per resource; covers a few hundred pages of notes
+const MAX_PASSAGES_PER_RESOURCE = 3;
+// Cosine distance above which a passage is too unrelated to offer the model
+const MAX_DISTANCE = 0.6;
+const RRF_K = 60;
+
+/**
+ * Splits text into passages of about CHUNK_CHARS, breaking between sentences
+ * and repeating the last OVERLAP_CHARS or so at the start of the next passage
+ * so an idea cut at a boundary is still whole in one of them.
+ */
+export function chunkText(text) {
+  const sentences = (text || '')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .split(/(?<=[.!?])\s+|\n\s*\n|\n(?=--- Page)/)
+    .map(s => s.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    // A "sentence" longer than a passage (tables, OCR noise) is cut up as is
+    .flatMap(s => (s.length <= CHUNK_CHARS ? [s] : s.match(new RegExp(`.{1,${CHUNK_CHARS}}`, 'g'))));
+
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  for (const sentence of sentences) {
+    if (length + sentence.length > CHUNK_CHARS && current.length > 0) {
+      chunks.push(current.join(' '));
+      if (chunks.length >= MAX_CHUNKS) return chunks;
+
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0 && overlapLength + current[i].length <= OVERLAP_CHARS; i--) {
+        overlap.unshift(current[i]);
+        overlapLength += current[i].length + 1;
+      }
+      const fits = overlapLength + sentence.length <= CHUNK_CHARS;
+      current = fits ? overlap : [];
+      length = fits ? overlapLength : 0;
+    }
+    current.push(sentence);
+    length += sentence.length + 1;
+  }
+  if (current.length > 0) chunks.push(current.join(' '));
+  return chunks;
+}
+
+const toVector = (values) => `[${values.join(',')}]`;
+
+/**
+ * Rebuilds the passages of one resource from its current extracted text.
+ * Embeddings are left to embedPendingChunks. Returns the number of passages.
+ */
+export async function indexResourceText(resourceId) {
+  const client = await pool.connect();
+  try {
+    const textRes = await client.query(
+      'SELECT content, extracted_at FROM resource_texts WHERE resource_id = $1',
+      [resourceId]
+    );
+    if (textRes.rows.length === 0) return 0;
+    const { content, extracted_at } = textRes.rows[0];
+    const chunks = chunkText(content);
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM resource_chunks WHERE resource_id = $1', [resourceId]);
+    for (const [index, chunk] of chunks.entries()) {
+      await client.query(
+        'INSERT INTO resource_chunks (resource_id, chunk_index, content) VALUES ($1, $2, $3)',
+        [resourceId, index, chunk]
+      );
+    }
+    // Only if the text wasn't replaced meanwhile; otherwise the next run redoes it
+    await client.query(
+      'UPDATE resource_texts SET indexed_at = NOW() WHERE resource_id = $1 AND extracted_at = $2',
+      [resourceId, extracted_at]
+    );
+    await client.query('COMMIT');
+    return chunks.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Splits texts that are new or changed since they were last indexed.
+ * Returns how many resources were indexed.
+ */
+export async function indexPendingTexts(limit = 20) {
+  const result = await pool.query(
+    'SELECT resource_id FROM resource_texts WHERE indexed_at IS NULL ORDER BY extracted_at LIMIT $1',
+    [limit]
+  );
+  for (const row of result.rows) {
+    await indexResourceText(row.resource_id);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Embeds a batch of passages that don't have an embedding yet. Throws if the
+ * provider fails; the passages stay pending for the next run. Does nothing
+ * when no provider can embed, leaving retrieval to keyword search.
+ */
+export async function embedPendingChunks(limit = 200) {
+  if (!canEmbed()) return 0;
+
+  const result = await pool.query(
+    'SELECT id, content FROM resource_chunks WHERE embedding IS NULL LIMIT $1',
+    [limit]
+  );
+  if (result.rows.length === 0) return 0;
+
+  const vectors = await embedTexts(result.rows.map(r => r.content), 'RETRIEVAL_DOCUMENT');
+  for (const [i, row] of result.rows.entries()) {
+    await pool.query('UPDATE resource_chunks SET embedding = $2::vector WHERE id = $1', [row.id, toVector(vectors[i])]);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Finds the passages that best answer `question` among the resources `user`
+ * may open. Passages from `resourceId` (the resource the user is looking at)
+ * are preferred. Returns up to `limit` passages, best first, each with its
+ * resource's title, subject and unit for citing.
+ */
+export async function retrievePassages(question, user, { resourceId = null, limit = 6 } = {}) {
+  // Same visibility rules as the browse listing
+  const access = visibleResourceFilter(user);
+  const candidates = limit * 4;
+
+  let queryVector = null;
+  if (canEmbed()) {
+    try {
+      [queryVector] = await embedTexts([question], 'RETRIEVAL_QUERY');
+    } catch (err) {
+      console.error('Question embedding failed, using keyword search only:', err.message);
+    }
+  }
+
+  const [semantic, keyword] = await Promise.all([
+    queryVector
+      ? pool.query(numberPlaceholders(`
+          SELECT c.id, c.resource_id
+          FROM resource_chunks c JOIN resources r ON r.id = c.resource_id
+          WHERE c.embedding IS NOT NULL AND ${access.sql}
+            AND c.embedding <=> ?::vector < ?
+          ORDER BY c.embedding <=> ?::vector
+          LIMIT ?
+        `), [...access.values, toVector(queryVector), MAX_DISTANCE, toVector(queryVector), candidates])
+      : { rows: [] },
+    // Any of the question's words may match, ranked by how many and how often
+    pool.query(numberPlaceholders(`
+      WITH q AS (
+        SELECT NULLIF(replace(plainto_tsquery('english', ?)::text, '&', '|'), '')::tsquery AS query
+      )
+      SELECT c.id, c.resource_id
+      FROM resource_chunks c JOIN resources r ON r.id = c.resource_id, q
+      WHERE c.search_vector @@ q.query AND ${access.sql}
+      ORDER BY ts_rank(c.search_vector, q.query) DESC
+      LIMIT ?
+    `), [question, ...access.values, candidates]),
+  ]);
+
+  // Reciprocal rank fusion of the two rankings
+  const scores = new Map();
+  for (const ranking of [semantic.rows, keyword.rows]) {
+    ranking.forEach((row, rank) => {
+      const boost = row.resource_id === resourceId ? 2 : 1;
+      scores.set(row.id, (scores.get(row.id) || 0) + boost / (RRF_K + rank + 1));
+    });
+  }
+
+  const chunkIds = [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+  if (chunkIds.length === 0) return [];
+
+  const details = await pool.query(`
+    SELECT c.id, c.resource_id, c.chunk_index, c.content,
+           r.title, s.code AS subject_code, s.name AS subject_name, u.unit_number
+    FROM resource_chunks c
+    JOIN resources r ON r.id = c.resource_id
+    JOIN subjects s ON r.subject_id = s.id
+    LEFT JOIN units u ON r.unit_id = u.id
+    WHERE c.id = ANY($1)
+  `, [chunkIds]);
+  const byId = new Map(details.rows.map(row => [row.id, row]));
+
+  const passages = [];
+  const perResource = new Map();
+  for (const id of chunkIds) {
+    const passage = byId.get(id);
+    const count = perResource.get(passage.resource_id) || 0;
+    if (count >= MAX_PASSAGES_PER_RESOURCE) continue;
+    perResource.set(passage.resource_id, count + 1);
+    passages.push(passage);
+    if (passages.length >= limit) break;
+  }
+  return passages;
+}
@@ -1,3 +1,108 @@
-export function isAdmin(req) {
-  return req.user && req.user.role === "admin";
+// backend/utils/permissions.js
+import pool from '../db.js';
+
+/**
+ * Access policy. Routes never compare roles themselves: they ask whether the
+ * user holds a named permission (can, or requirePermission in
+ * middleware/auth.js), and which roles grant which permission lives in the
+ * role_permissions table, editable from the admin panel.
+ */
+
+// Every permission a role can be given, with what it allows
+export const PERMISSIONS = {
+  'admin.access': 'Open the admin panel and its dashboard',
+  'content.manage': 'Add, edit and delete courses, subjects, academic years, offerings and units',
+  'resource.view_faculty': 'See faculty-only resources',
+  'resource.view_all': "See everyone's private, rejected and sent-back resources",
+  'resource.manage': "Edit, replace, restore and delete anyone's resources",
+  'resource.bulk_upload': 'Upload many files at once',
+  'resource.verify': 'Approve, reject and send back uploads',
+  'duplicate.manage': 'Merge or dismiss duplicate uploads',
+  'review.moderate': 'Hide, restore and delete reviews',
+  'user.view': 'See all users',
+  'user.verify': 'Verify and unverify users',
+  'user.suspend': 'Suspend and unsuspend users',
+  'user.import': 'Create accounts in bulk from a roster CSV',
+  'faculty.profile': 'Keep a public faculty profile of their own',
+  'faculty.manage': 'Edit faculty profiles',
+  'faculty.approve': 'Approve and reject faculty registrations',
+  'message.manage': 'Read and delete contact messages',
+  'job.manage': 'Retry and cancel background jobs',
+  'role.manage': 'Change user roles and what each role may do',
+  'audit.view': 'See and export the log of admin actions',
+};
+
+// Holds every permission whatever role_permissions says
+export const SUPER_ROLE = 'admin';
+
+// Roles that follow from the email address at each login (see authMiddleware)
+export const EMAIL_ROLES = ['student', 'alumni', 'faculty'];
+
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+async function loadPolicy() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.byRole;
+
+  const result = await pool.query('SELECT role, permission FROM role_permissions');
+  const byRole = new Map();
+  for (const { role, permission } of result.rows) {
+    if (!PERMISSIONS[permission]) continue; // retired permission
+    if (!byRole.has(role)) byRole.set(role, []);
+    byRole.get(role).push(permission);
+  }
+  cache = { byRole, loadedAt: Date.now() };
+  return byRole;
+}
+
+/**
+ * Drops the cached policy after role_permissions changes. Other backend
+ * replicas pick the change up when their cache expires.
+ */
+export function invalidatePolicy() {
+  cache = null;
+}
+
+/**
+ * The permissions a role grants.
+ */
+export async function permissionsFor(role) {
+  if (role === SUPER_ROLE) return Object.keys(PERMISSIONS);
+  return (await loadPolicy()).get(role) || [];
+}
+
+/**
+ * Whether an authenticated user (req.user) holds a permission.
+ */
+export function can(user, permission) {
+  return !!user?.permissions?.includes(permission);
+}
+
+/**
+ * Whether a user may open a resource row (needs contributor_id, visibility
+ * and review_status): private resources are only for their contributor and
+ * those who may see everything, faculty-only ones for faculty-level roles as
+ * well, and rejected or sent-back uploads only for their contributor.
+ */
+export function canViewResource(resource, user) {
+  if (resource.contributor_id === user.id || can(user, 'resource.view_all')) return true;
+  if (!['pending', 'approved'].includes(resource.review_status)) return false;
+  if (resource.visibility === 'private') return false;
+  if (resource.visibility === 'faculty') return can(user, 'resource.view_faculty');
+  return true;
+}
+
+/**
+ * The same rule as canViewResource for SQL listings. Returns { sql, values } with `?`
+ * placeholders over resources aliased as `alias`.
+ */
+export function visibleResourceFilter(user, alias = 'r') {
+  const viewAll = can(user, 'resource.view_all');
+  return {
+    sql: `(${alias}.visibility = 'public' OR ${alias}.visibility IS NULL
+        OR (${alias}.visibility = 'faculty' AND ? = true)
+        OR ${alias}.contributor_id = ? OR ? = true)
+      AND (${alias}.review_status IN ('pending', 'approved') OR ${alias}.contributor_id = ? OR ? = true)`,
+    values: [can(user, 'resource.view_faculty'), user.id, viewAll, user.id, viewAll],
+  };
 }
@@ -0,0 +1,106 @@
+// backend/utils/resourceAnalytics.js
+import pool from '../db.js';
+
+/**
+ * Aggregates over resource_access_events for the contributor "My impact"
+ * panel and the admin dashboard. Every query looks at a trailing window of
+ * `days` days (today included) and can be narrowed to one contributor.
+ */
+
+export const ANALYTICS_WINDOWS = [7, 30, 90, 365];
+
+/**
+ * Reads `days` from a query string, falling back to 30 for anything that
+ * isn't one of the supported windows.
+ */
+export function parseWindow(query) {
+  const days = parseInt(query.days, 10);
+  return ANALYTICS_WINDOWS.includes(days) ? days : 30;
+}
+
+// Events inside the window; $1 = days, $2 = contributor id or null
+const WINDOW_FROM = `
+  FROM resource_access_events e
+  JOIN resources r ON e.resource_id = r.id
+`;
+const WINDOW_WHERE = `
+  WHERE e.event_date > CURRENT_DATE - $1::int
+    AND ($2::uuid IS NULL OR r.contributor_id = $2)
+`;
+
+/**
+ * Views/downloads per day for the window, with zero-filled days so charts
+ * don't have gaps.
+ */
+export async function getAccessTimeline(days, contributorId = null, client = pool) {
+  const result = await client.query(`
+    SELECT to_char(d.day, 'YYYY-MM-DD') AS date,
+           COALESCE(ev.views, 0)::int AS views,
+           COALESCE(ev.downloads, 0)::int AS downloads
+    FROM generate_series(CURRENT_DATE - ($1::int - 1), CURRENT_DATE, INTERVAL '1 day') AS d(day)
+    LEFT JOIN (
+      SELECT e.event_date,
+             COUNT(*) FILTER (WHERE e.event_type = 'view') AS views,
+             COUNT(*) FILTER (WHERE e.event_type = 'download') AS downloads
+      ${WINDOW_FROM}
+      ${WINDOW_WHERE}
+      GROUP BY e.event_date
+    ) ev ON ev.event_date = d.day::date
+    ORDER BY d.day
+  `, [days, contributorId]);
+  return result.rows;
+}
+
+/**
+ * Window totals plus the number of distinct people who opened something.
+ */
+export async function getAccessTotals(days, contributorId = null, client = pool) {
+  const result = await client.query(`
+    SELECT COUNT(*) FILTER (WHERE e.event_type = 'view')::int AS views,
+           COUNT(*) FILTER (WHERE e.event_type = 'download')::int AS downloads,
+           COUNT(DISTINCT e.user_id)::int AS unique_users
+    ${WINDOW_FROM}
+    ${WINDOW_WHERE}
+  `, [days, contributorId]);
+  return result.rows[0];
+}
+
+/**
+ * Most opened resources in the window, alongside their all-time counters.
+ */
+export async function getTopResources(days, { contributorId = null, limit = 5 } = {}, client = pool) {
+  const result = await client.query(`
+    SELECT r.id, r.title, r.resource_type, r.view_count, r.download_count,
+           u.full_name AS contributor_name,
+           COUNT(*) FILTER (WHERE e.event_type = 'view')::int AS views,
+           COUNT(*) FILTER (WHERE e.event_type = 'download')::int AS downloads,
+           COUNT(DISTINCT e.user_id)::int AS unique_users
+    ${WINDOW_FROM}
+    LEFT JOIN users u ON r.contributor_id = u.id
+    ${WINDOW_WHERE}
+    GROUP BY r.id, u.full_name
+    ORDER BY COUNT(*) DESC, r.title ASC
+    LIMIT $3
+  `, [days, contributorId, limit]);
+  return result.rows;
+}
+
+/**
+ * Contributors whose uploads were opened most in the window.
+ */
+export async function getTopContributors(days, { limit = 5 } = {}, client = pool) {
+  const result = await client.query(`
+    SELECT u.id, u.full_name, u.role,
+           COUNT(DISTINCT r.id)::int AS resources,
+           COUNT(*) FILTER (WHERE e.event_type = 'view')::int AS views,
+           COUNT(*) FILTER (WHERE e.event_type = 'download')::int AS downloads,
+           COUNT(DISTINCT e.user_id)::int AS unique_users
+    ${WINDOW_FROM}
+    JOIN users u ON r.contributor_id = u.id
+    WHERE e.event_date > CURRENT_DATE - $1::int
+    GROUP BY u.id
+    ORDER BY COUNT(*) DESC, u.full_name ASC
+    LIMIT $2
+  `, [days, limit]);
+  return result.rows;
+}
@@ -0,0 +1,213 @@
+// backend/utils/resourceFiles.js
+import { createClient } from '@supabase/supabase-js';
+import pool from '../db.js';
+import config from '../config.js';
+import { FILE_FORMATS, getFileExtension } from './fileFormats.js';
+import { enqueueJob, latestJob } from './jobQueue.js';
+
+/**
+ * Derived files for uploads that aren't PDFs: a PDF rendition for Office
+ * documents (so summaries and OCR keep working on a PDF) and a thumbnail
+ * for images. Both live in storage next to the original file, as does the
+ * searchable copy of a scanned PDF made by OCR.
+ */
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Formats whose text is read straight from the uploaded file
+export const DIRECT_TEXT_FORMATS = Object.keys(FILE_FORMATS).filter(k => ['pdf', 'image'].includes(FILE_FORMATS[k].kind));
+
+export const derivedPaths = (storagePath) => ({
+  rendition: `${storagePath}.rendition.pdf`,
+  thumbnail: `${storagePath}.thumb.jpg`,
+  searchable: `${storagePath}.searchable.pdf`,
+});
+
+/**
+ * Whether a format gets derived files, i.e. starts with preview_status 'pending'.
+ */
+export function needsPreview(format) {
+  return ['office', 'image'].includes(FILE_FORMATS[format]?.kind);
+}
+
+async function downloadFile(storagePath) {
+  const { data, error } = await supabase.storage.from('resources').download(storagePath);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+}
+
+async function uploadFile(storagePath, buffer, contentType) {
+  const { error } = await supabase.storage.from('resources').upload(storagePath, buffer, { contentType, upsert: true });
+  if (error) throw error;
+}
+
+/**
+ * Builds the rendition/thumbnail for a resource's current file and records
+ * them. Pass `data` when the file is already in memory (right after upload).
+ * Never throws: failures are logged and stored as preview_status 'failed'.
+ * If the file is replaced meanwhile, the stale result is discarded.
+ */
+export async function generatePreviews(resourceId, { data = null } = {}) {
+  const res = await pool.query('SELECT storage_path, file_format FROM resources WHERE id = $1', [resourceId]);
+  const resource = res.rows[0];
+  if (!resource?.storage_path || !needsPreview(resource.file_format)) return;
+
+  const { storage_path: storagePath, file_format: format } = resource;
+  try {
+    const { convertToPdf, createThumbnail } = await import('./fileConversion.js');
+    const buffer = data || await downloadFile(storagePath);
+    const paths = derivedPaths(storagePath);
+    let renditionPath = null;
+    let thumbnailPath = null;
+
+    if (FILE_FORMATS[format].kind === 'office') {
+      await uploadFile(paths.rendition, await convertToPdf(buffer, getFileExtension(storagePath)), 'application/pdf');
+      renditionPath = paths.rendition;
+    } else {
+      await uploadFile(paths.thumbnail, await createThumbnail(buffer), 'image/jpeg');
+      thumbnailPath = paths.thumbnail;
+    }
+
+    await pool.query(
+      `UPDATE resources SET pdf_rendition_path = $2, thumbnail_path = $3, preview_status = 'ready'
+       WHERE id = $1 AND storage_path = $4`,
+      [resourceId, renditionPath, thumbnailPath, storagePath]
+    );
+  } catch (err) {
+    console.error(`Preview generation failed for resource ${resourceId}:`, err.message);
+    await pool.query(
+      `UPDATE resources SET preview_status = 'failed' WHERE id = $1 AND storage_path = $2`,
+      [resourceId, storagePath]
+    ).catch(() => {});
+  }
+}
+
+// A PDF with less text than this is a scan and needs OCR
+const MIN_TEXT_LAYER_CHARS = 50;
+
+// The PDF whose pages hold a resource's text: the file itself, or an Office file's rendition
+const pdfSourceOf = (resource) => {
+  const kind = FILE_FORMATS[resource.file_format || 'pdf']?.kind;
+  if (kind === 'pdf') return resource.storage_path;
+  if (kind === 'office') return resource.pdf_rendition_path;
+  return null;
+};
+
+/**
+ * Text of a scan read by the OCR task, page by page.
+ */
+async function getOcrText(resourceId) {
+  const result = await pool.query(
+    'SELECT page_number, content FROM resource_ocr_pages WHERE resource_id = $1 ORDER BY page_number',
+    [resourceId]
+  );
+  return result.rows.map(p => `--- Page ${p.page_number} ---\n${p.content}`).join('\n\n');
+}
+
+/**
+ * Extracts the text of a file resource for search and summaries: from the
+ * PDF itself, from an Office file's PDF rendition, or by OCR for images.
+ * Returns null when the format has no text to extract (ZIPs) or the
+ * rendition isn't ready yet.
+ *
+ * Scanned PDFs are read by the OCR task in the background: until it is done
+ * this queues it and throws an error with `ocrPending` set.
+ */
+export async function extractResourceText(resource) {
+  const kind = FILE_FORMATS[resource.file_format || 'pdf']?.kind;
+  const { extractTextFromPDF, extractTextFromImage } = await import('./ai.js');
+
+  if (kind === 'image') return extractTextFromImage(await downloadFile(resource.storage_path));
+  const pdfPath = pdfSourceOf(resource);
+  if (!pdfPath) return null;
+
+  const text = await extractTextFromPDF(await downloadFile(pdfPath));
+  if (text.trim().length >= MIN_TEXT_LAYER_CHARS) return text;
+
+  const ocrJob = await latestJob('ocr', resource.id);
+  if (ocrJob?.status === 'completed') return getOcrText(resource.id);
+  if (ocrJob?.status === 'failed' || ocrJob?.status === 'cancelled') {
+    throw new Error('The text of this scanned file could not be read');
+  }
+  if (!ocrJob) await enqueueJob('ocr', resource.id);
+  const pending = new Error('This scanned file is still being read. Try again in a few minutes.');
+  pending.ocrPending = true;
+  throw pending;
+}
+
+/**
+ * Reads every page of a scanned resource with OCR, saving each page's text
+ * as it goes so a restarted job resumes after the last saved page. With
+ * config.ocr.searchablePdf it also stores a copy of the PDF with a text
+ * layer. `onPage(pageNumber, pageCount)` is called after each page.
+ * Resolves with the full text, or null if the file was replaced meanwhile.
+ */
+export async function runResourceOcr(resourceId, { onPage } = {}) {
+  const res = await pool.query(
+    'SELECT id, storage_path, file_format, pdf_rendition_path FROM resources WHERE id = $1',
+    [resourceId]
+  );
+  const resource = res.rows[0];
+  const pdfPath = resource && pdfSourceOf(resource);
+  if (!pdfPath) return null;
+
+  const { recognizePdfPages, buildSearchablePdf } = await import('./ocr.js');
+  const searchable = config.ocr.searchablePdf;
+  const done = await pool.query(
+    'SELECT COUNT(*)::int AS pages FROM resource_ocr_pages WHERE resource_id = $1',
+    [resourceId]
+  );
+  // The searchable copy needs every page's layer, so it always starts over
+  const fromPage = searchable ? 1 : done.rows[0].pages + 1;
+
+  const pagePdfs = [];
+  await recognizePdfPages(await downloadFile(pdfPath), {
+    fromPage,
+    searchable,
+    onPage: async ({ pageNumber, pageCount, text, confidence, pdf }) => {
+      await pool.query(`
+        INSERT INTO resource_ocr_pages (resource_id, page_number, content, confidence)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (resource_id, page_number) DO UPDATE SET
+          content = EXCLUDED.content, confidence = EXCLUDED.confidence, recognized_at = NOW()
+      `, [resourceId, pageNumber, text.trim(), confidence]);
+      if (pdf) pagePdfs.push(pdf);
+      if (onPage) await onPage(pageNumber, pageCount);
+    },
+  });
+
+  // Pages of a file that has since been replaced are of no use
+  const current = await pool.query('SELECT storage_path FROM resources WHERE id = $1', [resourceId]);
+  if (current.rows[0]?.storage_path !== resource.storage_path) {
+    await pool.query('DELETE FROM resource_ocr_pages WHERE resource_id = $1', [resourceId]);
+    return null;
+  }
+
+  if (pagePdfs.length > 0) {
+    const searchablePath = derivedPaths(resource.storage_path).searchable;
+    await uploadFile(searchablePath, await buildSearchablePdf(pagePdfs), 'application/pdf');
+    await pool.query(
+      'UPDATE resources SET searchable_pdf_path = $2 WHERE id = $1 AND storage_path = $3',
+      [resourceId, searchablePath, resource.storage_path]
+    );
+  }
+
+  return getOcrText(resourceId);
+}
+
+/**
+ * Adds a short-lived `thumbnail_url` to every row that has a thumbnail,
+ * signing them all in one storage call.
+ */
+export async function attachThumbnailUrls(rows) {
+  const paths = rows.map(r => r.thumbnail_path).filter(Boolean);
+  if (paths.length === 0) return rows;
+
+  const { data, error } = await supabase.storage.from('resources').createSignedUrls(paths, 3600);
+  if (error) {
+    console.error('Failed to sign thumbnail URLs:', error.message);
+    return rows;
+  }
+  const urls = new Map(data.filter(d => d.signedUrl).map(d => [d.path, d.signedUrl]));
+  return rows.map(r => (r.thumbnail_path ? { ...r, thumbnail_url: urls.get(r.thumbnail_path) || null } : r));
+}
@@ -0,0 +1,207 @@
+// backend/utils/resourceListing.js
+import pool from '../db.js';
+
+/**
+ * Shared query builder for paginated, sortable and faceted resource lists
+ * (GET /api/resources and the admin verification lists).
+ *
+ * Conditions are written with `?` placeholders and numbered when the final
+ * SQL is assembled. That lets the same set of filters be reused for the page
+ * query, the total count, and the facet counts — each facet leaves out its
+ * own filter so the other options keep their counts once one is selected.
+ */
+
+export const RESOURCE_LIST_FROM = `
+  FROM resources r
+  LEFT JOIN users u ON r.contributor_id = u.id
+  LEFT JOIN subjects s ON r.subject_id = s.id
+  LEFT JOIN courses c ON s.course_id = c.id
+  LEFT JOIN subject_offerings so ON r.subject_offering_id = so.id
+  LEFT JOIN academic_years ay ON so.academic_year_id = ay.id
+  LEFT JOIN units un ON r.unit_id = un.id
+  LEFT JOIN users faculty ON so.faculty_id = faculty.id
+  LEFT JOIN resource_texts rt ON rt.resource_id = r.id
+`;
+
+// Columns the resource cards in the frontend expect
+export const RESOURCE_CARD_SELECT = `
+  r.*,
+  u.full_name as contributor_name, u.role as contributor_type, u.is_verified as contributor_is_verified,
+  s.name as subject_name, s.code as subject_code,
+  c.name as course_name, c.degree_type,
+  ay.start_year, ay.end_year, un.unit_number,
+  faculty.full_name as faculty_name
+`;
+
+export const RESOURCE_SORTS = {
+  newest: 'r.created_at DESC',
+  oldest: 'r.created_at ASC',
+  downloads: 'r.download_count DESC, r.created_at DESC',
+  rating: 'r.rating_avg DESC, r.rating_count DESC, r.created_at DESC',
+  title: 'r.title ASC',
+  year: 'ay.start_year DESC NULLS LAST, r.created_at DESC',
+};
+
+const FACETS = {
+  course: { filter: 'course_id', value: 'c.id', label: 'c.name', order: 'label ASC' },
+  subject: { filter: 'subject_id', value: 's.id', label: 's.name', order: 'label ASC' },
+  year: { filter: 'start_year', value: 'ay.start_year', label: `ay.start_year || '-' || ay.end_year`, order: 'value DESC' },
+  unit: { filter: 'unit_number', value: 'un.unit_number', label: `'Unit ' || un.unit_number`, order: 'value ASC' },
+  resource_type: { filter: 'resource_type', value: 'r.resource_type', label: 'r.resource_type', order: 'count DESC' },
+  faculty: { filter: 'faculty_id', value: 'faculty.id', label: 'faculty.full_name', order: 'label ASC' },
+  status: { filter: 'review_status', value: 'r.review_status', label: 'r.review_status', order: 'count DESC' },
+};
+
+const SEARCH_DOCUMENT = `resource_search_vector(r.title, r.description, r.ai_summary)`;
+
+/**
+ * Reads `page` and `limit` from a query string, clamped to sane bounds.
+ */
+export function parsePagination(query, { defaultLimit = 24, maxLimit = 100 } = {}) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Translates the supported list filters in a query string into conditions.
+ * Each condition carries the filter `key` it came from so facets can skip it.
+ * `enrolled=true` narrows the list to the requesting user's enrolled courses
+ * and followed subjects; it stands in for course_id, so the course facet
+ * still counts every course.
+ */
+export function buildResourceFilters(query, user = null) {
+  const conditions = [];
+  const add = (key, sql, ...values) => conditions.push({ key, sql, values });
+  const asInt = (v) => (v === undefined || v === '' ? NaN : parseInt(v, 10));
+
+  if (query.course_id) add('course_id', 's.course_id = ?', query.course_id);
+  else if (query.enrolled === 'true' && user) {
+    add('course_id', `
+      s.course_id IN (SELECT course_id FROM course_enrollments WHERE user_id = ?)
+      OR EXISTS (
+        SELECT 1 FROM subject_follows sf
+        WHERE sf.user_id = ? AND sf.subject_id = r.subject_id
+          AND (sf.subject_offering_id IS NULL OR sf.subject_offering_id = r.subject_offering_id)
+      )
+    `, user.id, user.id);
+  }
+  if (query.subject_id) add('subject_id', 'r.subject_id = ?', query.subject_id);
+  if (query.academic_year_id) add('academic_year_id', 'so.academic_year_id = ?', query.academic_year_id);
+  if (!Number.isNaN(asInt(query.start_year))) add('start_year', 'ay.start_year = ?', asInt(query.start_year));
+  if (query.unit_id) add('unit_id', 'r.unit_id = ?', query.unit_id);
+  if (!Number.isNaN(asInt(query.unit_number))) add('unit_number', 'un.unit_number = ?', asInt(query.unit_number));
+  if (query.resource_type) add('resource_type', 'r.resource_type = ?', query.resource_type);
+  if (query.faculty_id) add('faculty_id', 'so.faculty_id = ?', query.faculty_id);
+  if (query.is_verified !== undefined) add('is_verified', 'r.is_verified = ?', query.is_verified === 'true');
+  if (query.review_status) add('review_status', 'r.review_status = ?', query.review_status);
+
+  const searchTerm = typeof query.search === 'string' ? query.search.trim() : '';
+  if (searchTerm) {
+    // Full-text match on the indexed documents, plus a substring fallback on
+    // names so partially typed words ("crypt") and subject codes still match.
+    // %, _ and \ in the term are matched literally.
+    const like = `%${searchTerm.replace(/[\\%_]/g, '\\$&')}%`;
+    add('search', `
+      ${SEARCH_DOCUMENT} @@ websearch_to_tsquery('english', ?)
+      OR rt.search_vector @@ websearch_to_tsquery('english', ?)
+      OR r.title ILIKE ? ESCAPE '\\' OR s.name ILIKE ? ESCAPE '\\'
+      OR s.code ILIKE ? ESCAPE '\\' OR faculty.full_name ILIKE ? ESCAPE '\\'
+    `, searchTerm, searchTerm, like, like, like, like);
+  }
+
+  return { conditions, searchTerm };
+}
+
+function compileWhere(conditions, excludeKey = null) {
+  const included = conditions.filter(c => !c.key || c.key !== excludeKey);
+  return {
+    sql: included.length ? `WHERE ${included.map(c => `(${c.sql})`).join(' AND ')}` : '',
+    values: included.flatMap(c => c.values),
+  };
+}
+
+// Turns `?` placeholders into $1, $2... for pg
+export function numberPlaceholders(sql) {
+  let n = 1;
+  return sql.replace(/\?/g, () => `$${n++}`);
+}
+
+/**
+ * Runs a resource list query and returns `{ rows, pagination, facets }`.
+ *
+ * @param {Object} params
+ * @param {string} params.select - Column list (without the SELECT keyword)
+ * @param {string} [params.from] - FROM clause; must keep the aliases of RESOURCE_LIST_FROM
+ * @param {Array} params.conditions - Conditions from buildResourceFilters plus any scoping ones
+ * @param {string} [params.searchTerm] - Adds `search_rank` and `search_snippet` columns
+ * @param {string} [params.sort] - One of RESOURCE_SORTS, or 'relevance' when searching
+ * @param {Object} params.pagination - Result of parsePagination
+ * @param {boolean} [params.withFacets=true]
+ */
+export async function queryResourceList({
+  select, from = RESOURCE_LIST_FROM, conditions, searchTerm = '', sort, pagination, withFacets = true,
+}) {
+  const searchColumns = searchTerm ? `,
+    ts_rank_cd(${SEARCH_DOCUMENT} || COALESCE(rt.search_vector, ''::tsvector), websearch_to_tsquery('english', ?)) AS search_rank,
+    ts_headline(
+      'english',
+      concat_ws(' … ', r.description, r.ai_summary, left(rt.content, 20000)),
+      websearch_to_tsquery('english', ?),
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=10, FragmentDelimiter=" … "'
+    ) AS search_snippet` : '';
+  const searchValues = searchTerm ? [searchTerm, searchTerm] : [];
+
+  const orderBy = searchTerm && (!sort || sort === 'relevance')
+    ? 'search_rank DESC, r.created_at DESC'
+    : RESOURCE_SORTS[sort] || RESOURCE_SORTS.newest;
+
+  const where = compileWhere(conditions);
+
+  // The page, count and facet queries run one after another on a single
+  // client, so a list request never holds more than one pool connection
+  const client = await pool.connect();
+  let pageResult, countResult;
+  const facetResults = [];
+  try {
+    pageResult = await client.query(
+      numberPlaceholders(`SELECT ${select}${searchColumns} ${from} ${where.sql} ORDER BY ${orderBy}, r.id LIMIT ? OFFSET ?`),
+      [...searchValues, ...where.values, pagination.limit, pagination.offset]
+    );
+    countResult = await client.query(
+      numberPlaceholders(`SELECT COUNT(*)::int AS total ${from} ${where.sql}`),
+      where.values
+    );
+    if (withFacets) {
+      for (const [name, facet] of Object.entries(FACETS)) {
+        const facetWhere = compileWhere(conditions, facet.filter);
+        const notNull = `${facetWhere.sql ? 'AND' : 'WHERE'} ${facet.value} IS NOT NULL`;
+        const result = await client.query(
+          numberPlaceholders(`
+            SELECT ${facet.value} AS value, ${facet.label} AS label, COUNT(*)::int AS count
+            ${from} ${facetWhere.sql} ${notNull}
+            GROUP BY 1, 2
+            ORDER BY ${facet.order}
+          `),
+          facetWhere.values
+        );
+        facetResults.push([name, result.rows]);
+      }
+    }
+  } finally {
+    client.release();
+  }
+
+  const total = countResult.rows[0].total;
+
+  return {
+    rows: pageResult.rows,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      total_pages: Math.max(Math.ceil(total / pagination.limit), 1),
+    },
+    facets: withFacets ? Object.fromEntries(facetResults) : undefined,
+  };
+}
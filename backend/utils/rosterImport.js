@@ -0,0 +1,197 @@
+// backend/utils/rosterImport.js
+import { createClient } from '@supabase/supabase-js';
+import pool from '../db.js';
+import config from '../config.js';
+import { computeRole } from '../middleware/auth.js';
+import { EMAIL_ROLES, SUPER_ROLE, can } from './permissions.js';
+import { rosterRowSchema } from '../validators/rosterValidator.js';
+import { recordAudit } from './auditLog.js';
+import { withTransaction } from './dbHelpers.js';
+
+/**
+ * Bulk account creation from a roster CSV (migration 022). The admin panel
+ * parses the file; rows arrive keyed email, full_name, role, course_code and
+ * batch. checkRoster is the dry run, importRoster creates the accounts and
+ * keeps the per-row outcome in roster_import_rows.
+ */
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Every row costs a round trip to Supabase Auth
+export const MAX_ROSTER_ROWS = 200;
+
+const roleKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// The role a row's account gets: the one its email address implies when the
+// column is blank, otherwise the named role (by name or label) if the
+// importer may hand it out. Returns { role } or { error }.
+function resolveRole(value, email, roles, user) {
+  const fromEmail = computeRole(email);
+  if (!value) return { role: fromEmail };
+
+  const key = roleKey(value);
+  const role = roles.find(r => r.name === key || roleKey(r.label) === key)?.name;
+  if (!role) return { error: `Unknown role "${value}"` };
+  if (EMAIL_ROLES.includes(role)) {
+    return role === fromEmail ? { role } : { error: `This email address makes the account ${fromEmail}, not ${role}` };
+  }
+  if (role === SUPER_ROLE) return { error: 'Administrators cannot be imported' };
+  if (!can(user, 'role.manage')) return { error: `You cannot give out the ${role} role` };
+  return { role };
+}
+
+/**
+ * Validates roster rows without creating anything. Each result is
+ * { index, status, error, data } where status is 'ready', 'exists' (the
+ * email already has an account, so the row will be skipped) or 'invalid',
+ * and data holds the cleaned row with its role resolved and course_id looked
+ * up from course_code.
+ */
+export async function checkRoster(rows, user, client = pool) {
+  const parsed = rows.map(row => rosterRowSchema.safeParse(row || {}));
+  const valid = parsed.filter(p => p.success).map(p => p.data);
+  const emails = [...new Set(valid.map(r => r.email))];
+  const codes = [...new Set(valid.map(r => r.course_code).filter(Boolean))];
+
+  const [existingRes, courseRes, roleRes] = await Promise.all([
+    client.query('SELECT LOWER(email) AS email FROM users WHERE LOWER(email) = ANY($1)', [emails]),
+    client.query('SELECT id, UPPER(code) AS code FROM courses WHERE UPPER(code) = ANY($1)', [codes]),
+    client.query('SELECT name, label FROM roles'),
+  ]);
+  const existing = new Set(existingRes.rows.map(r => r.email));
+  const courses = new Map(courseRes.rows.map(c => [c.code, c.id]));
+
+  const firstRow = new Map();
+  return parsed.map((result, index) => {
+    const raw = rows[index] || {};
+    if (!result.success) {
+      const issue = result.error.issues[0];
+      return {
+        index, status: 'invalid',
+        error: issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message,
+        data: { email: String(raw.email ?? '').trim(), full_name: String(raw.full_name ?? '').trim() },
+      };
+    }
+
+    const row = result.data;
+    const invalid = (error) => ({ index, status: 'invalid', error, data: row });
+
+    if (firstRow.has(row.email)) return invalid(`Same email as row ${firstRow.get(row.email) + 1}`);
+    firstRow.set(row.email, index);
+
+    const { role, error: roleError } = resolveRole(row.role, row.email, roleRes.rows, user);
+    if (roleError) return invalid(roleError);
+
+    let courseId = null;
+    if (row.course_code) {
+      courseId = courses.get(row.course_code);
+      if (!courseId) return invalid(`No course with code ${row.course_code}`);
+    }
+
+    const data = { ...row, role, course_id: courseId };
+    if (existing.has(row.email)) return { index, status: 'exists', error: null, data };
+    return { index, status: 'ready', error: null, data };
+  });
+}
+
+// Creates the sign-in account and the users row for one checked row. With
+// invites Supabase emails a link to set a password; without, the account is
+// confirmed straight away and the user sets one through "Forgot password".
+async function createRosterUser(row, { sendInvites, importedBy }) {
+  const metadata = { full_name: row.full_name };
+  const { data: authData, error: authError } = sendInvites
+    ? await supabase.auth.admin.inviteUserByEmail(row.email, { data: metadata })
+    : await supabase.auth.admin.createUser({ email: row.email, email_confirm: true, user_metadata: metadata });
+
+  if (authError) {
+    if (/already (been )?registered/i.test(authError.message)) {
+      return { status: 'skipped', message: 'Already has a sign-in account' };
+    }
+    return { status: 'failed', message: authError.message };
+  }
+
+  const userId = authData.user.id;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO users (id, email, full_name, role, is_verified, course_id, batch)
+       VALUES ($1, $2, $3, $4, true, $5, $6)`,
+      [userId, row.email, row.full_name, row.role, row.course_id, row.batch || null]
+    );
+    // Faculty added by an admin don't wait in the approval queue
+    if (row.role === 'faculty') {
+      await client.query(
+        `INSERT INTO faculty_profiles (user_id, status, reviewed_by, reviewed_at)
+         VALUES ($1, 'approved', $2, NOW())
+         ON CONFLICT (user_id) DO NOTHING`,
+        [userId, importedBy]
+      );
+    }
+    await client.query('COMMIT');
+    return { status: 'created', message: sendInvites ? 'Invitation sent' : 'Account created', user_id: userId, invited: sendInvites };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`[Roster] Could not save ${row.email}:`, err);
+    await supabase.auth.admin.deleteUser(userId);
+    return { status: 'failed', message: 'Could not save the user' };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs an import for req.user: creates an account for every ready row, skips
+ * the ones that already exist and records the invalid ones as failed. Rows
+ * succeed or fail independently. Returns the roster_imports row.
+ *
+ * @param {Object} req - The admin request
+ * @param {Object[]} rows - Rows keyed like rosterRowSchema
+ * @param {Object} options
+ * @param {string} [options.filename] - Name of the uploaded CSV, for the history
+ * @param {boolean} [options.sendInvites] - Email each new user an invitation
+ */
+export async function importRoster(req, rows, { filename, sendInvites = false }) {
+  const checked = await checkRoster(rows, req.user);
+
+  const importRes = await pool.query(
+    `INSERT INTO roster_imports (imported_by, filename, send_invites, total_rows)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [req.user.id, filename || null, sendInvites, rows.length]
+  );
+  const importId = importRes.rows[0].id;
+
+  const counts = { created: 0, skipped: 0, failed: 0 };
+  for (const { index, status, error, data } of checked) {
+    const outcome = status === 'invalid' ? { status: 'failed', message: error }
+      : status === 'exists' ? { status: 'skipped', message: 'Already has an account' }
+      : await createRosterUser(data, { sendInvites, importedBy: req.user.id });
+    counts[outcome.status]++;
+
+    await pool.query(
+      `INSERT INTO roster_import_rows
+         (import_id, row_number, email, full_name, role, course_code, batch, status, message, user_id, invited)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        importId, index + 1, data.email || null, data.full_name || null, data.role || null,
+        data.course_code || null, data.batch || null,
+        outcome.status, outcome.message, outcome.user_id || null, !!outcome.invited,
+      ]
+    );
+  }
+
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE roster_imports SET created_count = $1, skipped_count = $2, failed_count = $3
+       WHERE id = $4
+       RETURNING *`,
+      [counts.created, counts.skipped, counts.failed, importId]
+    );
+    await recordAudit(req, {
+      action: 'user.import', targetType: 'roster_import', targetId: importId, targetLabel: filename || 'Roster import',
+      after: { total_rows: rows.length, ...counts, send_invites: sendInvites },
+    }, client);
+    return result.rows[0];
+  });
+}
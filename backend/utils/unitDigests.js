@@ -0,0 +1,61 @@
+// backend/utils/unitDigests.js
+import crypto from 'crypto';
+import pool from '../db.js';
+import { generateUnitDigest, formatSummary } from './ai.js';
+
+const MAX_DIGEST_RESOURCES = 40;
+
+/**
+ * Returns the digest of a syllabus unit, building it from the AI summaries
+ * of the unit's resources the first time and again whenever those summaries
+ * change. Only resources every student can open are used, so the digest
+ * never reveals private or faculty-only material.
+ *
+ * Resolves with { digest } or { status, error }.
+ */
+export async function getUnitDigest(unitId, client = pool) {
+  const unitRes = await client.query(`
+    SELECT u.id, u.unit_number, s.code AS subject_code, s.name AS subject_name
+    FROM units u
+    JOIN subject_offerings so ON u.subject_offering_id = so.id
+    JOIN subjects s ON so.subject_id = s.id
+    WHERE u.id = $1
+  `, [unitId]);
+  if (unitRes.rows.length === 0) return { status: 404, error: 'Unit not found' };
+  const unit = unitRes.rows[0];
+
+  const sourcesRes = await client.query(`
+    SELECT r.id, r.title, r.ai_summary, r.ai_summary_outline
+    FROM resources r
+    WHERE r.unit_id = $1
+      AND r.ai_summary IS NOT NULL AND r.ai_summary <> ''
+      AND (r.visibility = 'public' OR r.visibility IS NULL)
+      AND r.review_status IN ('pending', 'approved')
+    ORDER BY r.created_at
+    LIMIT $2
+  `, [unitId, MAX_DIGEST_RESOURCES]);
+  const sources = sourcesRes.rows;
+  if (sources.length === 0) {
+    return { status: 404, error: 'None of the resources in this unit have an AI summary yet' };
+  }
+
+  const sourceHash = crypto.createHash('sha256')
+    .update(sources.map(s => `${s.id}:${s.ai_summary}`).join('\n'))
+    .digest('hex');
+
+  const cachedRes = await client.query('SELECT * FROM unit_digests WHERE unit_id = $1', [unitId]);
+  if (cachedRes.rows[0]?.source_hash === sourceHash) return { digest: cachedRes.rows[0] };
+
+  const label = `${unit.subject_code} ${unit.subject_name}, Unit ${unit.unit_number}`;
+  const outline = await generateUnitDigest(label, sources);
+  const saved = await client.query(`
+    INSERT INTO unit_digests (unit_id, digest, outline, resource_count, source_hash)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (unit_id) DO UPDATE SET
+      digest = EXCLUDED.digest, outline = EXCLUDED.outline, resource_count = EXCLUDED.resource_count,
+      source_hash = EXCLUDED.source_hash, generated_at = NOW()
+    RETURNING *
+  `, [unitId, formatSummary(outline, 'Resource by Resource'), JSON.stringify(outline), sources.length, sourceHash]);
+
+  return { digest: saved.rows[0] };
+}
@@ -0,0 +1,284 @@
+// backend/utils/uploadSessions.js
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import pool from '../db.js';
+import config from '../config.js';
+import { FILE_FORMATS, getFileExtension, validateFileMetadata, checkFileSignature } from './fileFormats.js';
+
+/**
+ * Resumable uploads. The browser sends a file in fixed-size chunks; each
+ * chunk is checked here and relayed to Supabase Storage's resumable (TUS)
+ * endpoint, so a large file never sits in server memory as a whole. The
+ * session row records how far the upload got, which is what lets a client
+ * carry on after a dropped connection instead of starting over.
+ *
+ * A finished upload is staged under uploads/<user>/ until a resource is
+ * created (or its file replaced) with its `upload_id`; the staged object is
+ * then copied to the resource's path.
+ */
+
+const supabase = createClient(config.supabase.url, config.supabase.serviceKey);
+
+// Supabase's resumable endpoint only accepts 6MB chunks (the last one may be shorter)
+export const CHUNK_SIZE = 6 * 1024 * 1024;
+
+const TUS_ENDPOINT = `${config.supabase.url}/storage/v1/upload/resumable`;
+
+const tusHeaders = (extra = {}) => ({
+  'Tus-Resumable': '1.0.0',
+  Authorization: `Bearer ${config.supabase.serviceKey}`,
+  ...extra,
+});
+
+const base64 = (value) => Buffer.from(value).toString('base64');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Content hash used for duplicate detection: SHA-256 over the SHA-256 of each
+ * CHUNK_SIZE slice. Resumable uploads can build it chunk by chunk without
+ * ever holding the whole file, and inline uploads hash the same way so the
+ * two are comparable.
+ */
+export function contentHash(buffer) {
+  const chunkHashes = [];
+  for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+    chunkHashes.push(sha256(buffer.subarray(offset, offset + CHUNK_SIZE)));
+  }
+  return sha256(chunkHashes.join(''));
+}
+
+/**
+ * The fields a client needs to drive (or resume) an upload.
+ */
+export function serializeUploadSession(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    file_format: session.file_format,
+    total_bytes: Number(session.total_bytes),
+    received_bytes: Number(session.received_bytes),
+    chunk_size: CHUNK_SIZE,
+    status: session.status,
+    expires_at: session.expires_at,
+  };
+}
+
+/**
+ * Validates the file's name/type/size and opens a resumable upload for it in
+ * storage. Returns `{ error }` or `{ session }`.
+ */
+export async function createUploadSession(userId, { filename, size, mimeType }) {
+  const { error, format } = validateFileMetadata({ filename, mimeType, size }, {
+    maxBytes: config.uploads.maxResumableBytes,
+  });
+  if (error) return { error };
+
+  const id = crypto.randomUUID();
+  const storagePath = `uploads/${userId}/${id}${getFileExtension(filename)}`;
+
+  const response = await fetch(TUS_ENDPOINT, {
+    method: 'POST',
+    headers: tusHeaders({
+      'Upload-Length': String(size),
+      'Upload-Metadata': [
+        `bucketName ${base64('resources')}`,
+        `objectName ${base64(storagePath)}`,
+        `contentType ${base64(FILE_FORMATS[format].mimeType)}`,
+      ].join(','),
+      'x-upsert': 'true',
+    }),
+  });
+  if (response.status !== 201 || !response.headers.get('location')) {
+    throw new Error(`Storage refused the upload (HTTP ${response.status})`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO upload_sessions (id, user_id, filename, file_format, total_bytes, storage_path, upload_url)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [id, userId, filename, format, size, storagePath, response.headers.get('location')]
+  );
+  return { session: result.rows[0] };
+}
+
+/**
+ * The user's upload session, or undefined. Expired sessions are treated as gone.
+ */
+export async function getUploadSession(id, userId, client = pool) {
+  const result = await client.query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND user_id = $2 AND expires_at > NOW()',
+    [id, userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Records progress. `chunkHash` is the hash of the chunk just relayed; without
+ * one (progress learned from storage instead) the chunk hashes can no longer
+ * be trusted, so the upload goes without a content hash.
+ */
+async function saveProgress(session, receivedBytes, chunkHash = null) {
+  const status = receivedBytes >= Number(session.total_bytes) ? 'complete' : 'uploading';
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET received_bytes = $2, status = $3, updated_at = NOW(),
+         chunk_hashes = CASE WHEN $4::text IS NULL THEN NULL ELSE array_append(chunk_hashes, $4::text) END
+     WHERE id = $1 RETURNING *`,
+    [session.id, receivedBytes, status, chunkHash]
+  );
+  const saved = result.rows[0];
+
+  if (saved.status === 'complete' && saved.chunk_hashes) {
+    const hashed = await pool.query(
+      'UPDATE upload_sessions SET content_hash = $2 WHERE id = $1 RETURNING *',
+      [saved.id, sha256(saved.chunk_hashes.join(''))]
+    );
+    return hashed.rows[0];
+  }
+  return saved;
+}
+
+/**
+ * Asks storage how much of the file it actually has and records that. A
+ * chunk that was relayed but never acknowledged (the connection dropped on
+ * the way back) is picked up here, so the client resumes at the right byte.
+ */
+export async function syncUploadOffset(session) {
+  if (session.status !== 'uploading') return session;
+
+  const response = await fetch(session.upload_url, { method: 'HEAD', headers: tusHeaders() });
+  const offset = parseInt(response.headers.get('upload-offset'), 10);
+  if (!response.ok || Number.isNaN(offset) || offset === Number(session.received_bytes)) return session;
+  return saveProgress(session, offset);
+}
+
+/**
+ * Relays one chunk starting at `offset`. Chunks must arrive in order and be
+ * exactly CHUNK_SIZE long, except the last. The first chunk is checked
+ * against the format's signature before anything is stored.
+ * Returns `{ error, status }` or `{ session }` with the new progress.
+ */
+export async function appendChunk(session, offset, chunk) {
+  const received = Number(session.received_bytes);
+  const total = Number(session.total_bytes);
+
+  if (session.status !== 'uploading') {
+    return { error: 'This upload is already complete', status: 409 };
+  }
+  if (offset !== received) {
+    return { error: `Expected the chunk at byte ${received}`, status: 409 };
+  }
+  if (!chunk?.length) {
+    return { error: 'Chunk is empty', status: 400 };
+  }
+  if (offset + chunk.length > total) {
+    return { error: 'Chunk runs past the end of the file', status: 400 };
+  }
+  if (chunk.length !== CHUNK_SIZE && offset + chunk.length !== total) {
+    return { error: `Chunks must be ${CHUNK_SIZE} bytes, except the last one`, status: 400 };
+  }
+  if (offset === 0) {
+    const signatureError = checkFileSignature(session.file_format, chunk);
+    if (signatureError) return { error: signatureError, status: 400 };
+  }
+
+  const response = await fetch(session.upload_url, {
+    method: 'PATCH',
+    headers: tusHeaders({
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream',
+    }),
+    body: chunk,
+  });
+
+  if (response.status === 404 || response.status === 410) {
+    return { error: 'This upload has expired, please start again', status: 410 };
+  }
+  if (response.status === 409) {
+    // Storage is somewhere else than we thought; tell the client where to resume
+    const synced = await syncUploadOffset(session);
+    return { error: `Expected the chunk at byte ${synced.received_bytes}`, status: 409 };
+  }
+  if (!response.ok) {
+    throw new Error(`Storage rejected the chunk (HTTP ${response.status})`);
+  }
+
+  const newOffset = parseInt(response.headers.get('upload-offset'), 10);
+  if (!Number.isNaN(newOffset) && newOffset !== offset + chunk.length) {
+    return { session: await saveProgress(session, newOffset) };
+  }
+  return { session: await saveProgress(session, offset + chunk.length, sha256(chunk)) };
+}
+
+/**
+ * Looks up a finished upload that can be attached to a resource.
+ * Returns `{ error }` or `{ session }`.
+ */
+export async function getCompletedUpload(id, userId, client = pool) {
+  const session = await getUploadSession(id, userId, client);
+  if (!session || session.status === 'attached') {
+    return { error: 'Upload not found or expired, please upload the file again' };
+  }
+  if (session.status !== 'complete') {
+    return { error: 'The file has not finished uploading yet' };
+  }
+  return { session };
+}
+
+/**
+ * Copies a finished upload to its resource path and marks the session used
+ * (inside the caller's transaction). The staged copy is removed separately,
+ * with removeStagedUpload, once the transaction has committed.
+ */
+export async function attachUpload(session, destinationPath, client = pool) {
+  // Claim it first so two requests can't both use the same upload
+  const claimed = await client.query(
+    `UPDATE upload_sessions SET status = 'attached', updated_at = NOW()
+     WHERE id = $1 AND status = 'complete'`,
+    [session.id]
+  );
+  if (claimed.rowCount === 0) throw new Error('This upload has already been used');
+
+  const { error } = await supabase.storage.from('resources').copy(session.storage_path, destinationPath);
+  if (error) throw new Error(`File upload failed: ${error.message}`);
+}
+
+export async function removeStagedUpload(session) {
+  const { error } = await supabase.storage.from('resources').remove([session.storage_path]);
+  if (error) console.error(`Failed to remove staged upload ${session.id}:`, error.message);
+}
+
+/**
+ * Deletes sessions past their expiry along with whatever they staged, and
+ * attached sessions once they're a day old. Returns how many were removed.
+ */
+export async function cleanupUploadSessions() {
+  const result = await pool.query(`
+    DELETE FROM upload_sessions
+    WHERE expires_at < NOW()
+    OR (status = 'attached' AND updated_at < NOW() - INTERVAL '1 day')
+    RETURNING id, status, storage_path
+  `);
+
+  const staged = result.rows.filter(s => s.status !== 'attached').map(s => s.storage_path);
+  if (staged.length > 0) {
+    const { error } = await supabase.storage.from('resources').remove(staged);
+    if (error) console.error('Failed to remove expired uploads:', error.message);
+  }
+  return result.rows.length;
+}
+
+/**
+ * Abandons an upload: ends it in storage, removes anything staged and
+ * deletes the session.
+ */
+export async function cancelUploadSession(session) {
+  if (session.status === 'uploading') {
+    await fetch(session.upload_url, { method: 'DELETE', headers: tusHeaders() })
+      .catch(err => console.error(`Failed to end upload ${session.id} in storage:`, err.message));
+  } else {
+    await removeStagedUpload(session);
+  }
+  await pool.query('DELETE FROM upload_sessions WHERE id = $1', [session.id]);
+}
@@ -0,0 +1,20 @@
+// backend/validators/chatValidator.js
+import { z } from 'zod';
+
+export const chatMessageSchema = z.object({
+  message: z.string()
+    .trim()
+    .min(1, "Message is required")
+    .max(4000, "Message cannot exceed 4000 characters"),
+
+  resourceId: z.guid("Invalid resource id").nullish(),
+
+  threadId: z.guid("Invalid conversation id").nullish(),
+});
+
+export const chatThreadSchema = z.object({
+  title: z.string()
+    .trim()
+    .min(1, "Title is required")
+    .max(100, "Title cannot exceed 100 characters"),
+});
@@ -0,0 +1,25 @@
+// backend/validators/collectionValidator.js
+import { z } from 'zod';
+
+const collectionFields = z.object({
+  name: z.string()
+    .trim()
+    .min(1, "Collection name is required")
+    .max(80, "Collection name cannot exceed 80 characters"),
+
+  description: z.string()
+    .max(500, "Description cannot exceed 500 characters")
+    .trim()
+    .nullable()
+    .transform(val => val || null),
+
+  is_shared: z.boolean(),
+});
+
+export const collectionSchema = collectionFields.extend({
+  description: collectionFields.shape.description.optional(),
+  is_shared: z.boolean().default(false),
+});
+
+// Only the fields that were sent are changed when editing
+export const collectionUpdateSchema = collectionFields.partial();
@@ -0,0 +1,12 @@
+// backend/validators/enrollmentValidator.js
+import { z } from 'zod';
+
+// Following a whole subject, or just one offering (academic year) of it
+export const subjectFollowSchema = z.object({
+  subject_id: z.guid("Invalid subject"),
+
+  subject_offering_id: z.guid("Invalid subject offering")
+    .nullable()
+    .optional()
+    .transform(val => val || null),
+});
@@ -0,0 +1,40 @@
+// backend/validators/quizValidator.js
+import { z } from 'zod';
+
+const text = z.string().trim().min(1);
+
+// Shape the model is asked to return; anything else is treated as a failed generation
+export const studySetSchema = z.object({
+  multiple_choice: z.array(z.object({
+    question: text,
+    options: z.array(text).length(4),
+    answer_index: z.number().int().min(0).max(3),
+    explanation: z.string().trim().optional().default(''),
+  })).min(1),
+
+  short_answer: z.array(z.object({
+    question: text,
+    answer: text,
+  })),
+
+  flashcards: z.array(z.object({
+    front: text,
+    back: text,
+  })),
+});
+
+export const quizAttemptSchema = z.object({
+  // generated_at of the study set the attempt was taken against
+  generated_at: z.string().min(1, "Quiz version is required"),
+
+  // Chosen option per multiple-choice question, null if skipped
+  multiple_choice: z.array(z.number().int().min(0).max(3).nullable())
+    .max(50, "Too many answers"),
+
+  // Whether the student marked each short answer as right after comparing
+  // it with the model answer
+  short_answer: z.array(z.boolean())
+    .max(50, "Too many answers")
+    .optional()
+    .default([]),
+});
@@ -0,0 +1,25 @@
+// backend/validators/reviewValidator.js
+import { z } from 'zod';
+
+export const reviewSchema = z.object({
+  rating: z.coerce.number()
+    .int("Rating must be a whole number of stars")
+    .min(1, "Rating must be between 1 and 5")
+    .max(5, "Rating must be between 1 and 5"),
+
+  body: z.string()
+    .max(1000, "Review cannot exceed 1000 characters")
+    .trim()
+    .optional()
+    .nullable()
+    .transform(val => val || null),
+});
+
+export const reviewReportSchema = z.object({
+  reason: z.string()
+    .max(500, "Reason cannot exceed 500 characters")
+    .trim()
+    .optional()
+    .nullable()
+    .transform(val => val || null),
+});
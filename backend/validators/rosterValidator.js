@@ -0,0 +1,35 @@
+// backend/validators/rosterValidator.js
+import { z } from 'zod';
+
+// One row of a roster CSV. Role, course and batch may be left blank: the
+// role then follows the email address and the user picks a course later.
+export const rosterRowSchema = z.object({
+  email: z.string()
+    .trim()
+    .toLowerCase()
+    .email("Invalid email format"),
+
+  full_name: z.string()
+    .trim()
+    .min(2, "Full name is too short")
+    .max(100, "Full name is too long"),
+
+  role: z.string()
+    .trim()
+    .max(50, "Role is too long")
+    .optional()
+    .default(''),
+
+  course_code: z.string()
+    .trim()
+    .max(20, "Course code too long")
+    .toUpperCase()
+    .optional()
+    .default(''),
+
+  batch: z.string()
+    .trim()
+    .regex(/^(\d{4}(-\d{4})?)?$/, "Batch must be a year (2024) or a range (2024-2028)")
+    .optional()
+    .default('')
+});
@@ -0,0 +1,27 @@
+// backend/validators/summaryValidator.js
+import { z } from 'zod';
+
+const text = z.string().trim().min(1);
+
+const keyTerms = z.array(z.object({
+  term: text,
+  definition: text,
+})).optional().default([]);
+
+// What the model returns for one section of a long document (the map step)
+export const sectionSummarySchema = z.object({
+  title: text,
+  summary: text,
+  key_terms: keyTerms,
+});
+
+// What it returns when condensing several section summaries into one
+export const condensedSummarySchema = z.object({
+  summary: text,
+});
+
+// What it returns for the document (or unit) as a whole (the reduce step)
+export const summaryOverviewSchema = z.object({
+  tldr: text,
+  snapshot: z.array(text).min(1),
+});
@@ -0,0 +1,18 @@
+// backend/validators/uploadValidator.js
+import { z } from 'zod';
+
+export const uploadSessionSchema = z.object({
+  filename: z.string()
+    .trim()
+    .min(1, "File name is required")
+    .max(255, "File name cannot exceed 255 characters"),
+
+  size: z.number()
+    .int("File size must be a whole number of bytes")
+    .positive("File is empty"),
+
+  mime_type: z.string()
+    .max(255)
+    .optional()
+    .default(''),
+});
@@ -6,11 +6,15 @@ import Sidebar from "./components/Sidebar";
 import Home from "./pages/Home";
 import Browse from "./pages/Browse";
 import UploadResource from "./pages/UploadResource";
+import BulkUpload from "./pages/BulkUpload";
 import Login from "./pages/Login";
 import SignUp from "./pages/SignUp";
 import FacultyDirectory from "./pages/FacultyDirectory";
 import FacultyProfile from "./pages/FacultyProfile";
 import MyResources from "./pages/MyResources";
+import Saved from "./pages/Saved";
+import MyCourses from "./pages/MyCourses";
+import SharedCollection from "./pages/SharedCollection";
 import ForgotPassword from "./pages/ForgotPassword";
 import ResetPassword from "./pages/ResetPassword";
 import ContactAdmin from "./pages/ContactAdmin";
@@ -125,6 +129,15 @@ function App({ onToggleTheme, isDark }) {
                 }
               />
 
+              <Route
+                path="/upload/bulk"
+                element={
+                  <ProtectedRoute>
+                    <BulkUpload />
+                  </ProtectedRoute>
+                }
+              />
+
               <Route
     path="/edit-resource/:id"
     element={
@@ -143,6 +156,33 @@ function App({ onToggleTheme, isDark }) {
     }
   />
 
+              <Route
+                path="/saved"
+                element={
+                  <ProtectedRoute>
+                    <Saved />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/my-courses"
+                element={
+                  <ProtectedRoute>
+                    <MyCourses />
+                  </ProtectedRoute>
+                }
+              />
+
+              <Route
+                path="/collections/shared/:token"
+                element={
+                  <ProtectedRoute>
+                    <SharedCollection />
+                  </ProtectedRoute>
+                }
+              />
+
               <Route
                 path="/faculty"
                 element={
@@ -15,7 +15,7 @@ async function fetchBackendUser(token) {
     return null;
   }
 
-  return res.json(); // { id, email, role, is_verified }
+  return res.json(); // { id, email, role, permissions, is_verified }
 }
 
 export function AuthProvider({ children }) {
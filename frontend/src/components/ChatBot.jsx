@@ -12,6 +12,81 @@ const Suggestions = [
   { text: "Show me the latest resources", icon: "✨", value: "What are the most recent resources?" }
 ];
 
+// The conversation in progress, so a page reload picks it up again
+const THREAD_STORAGE_KEY = 'chatbot:thread';
+
+async function chatFetch(path, options = {}) {
+  const { data: sessionData } = await supabase.auth.getSession();
+  const response = await fetch(`${API_BASE_URL}/api/chat${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${sessionData?.session?.access_token}`
+    }
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Request failed');
+  return result;
+}
+
+// Reads a server-sent event stream from a fetch response, calling
+// onEvent(event, data) for each event as it arrives
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const event = frame.match(/^event: (.*)$/m)?.[1];
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      if (event && data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Cited passages always come from uploaded files, so open them by signed URL
+async function openCitation(citation) {
+  try {
+    const { data: sessionData } = await supabase.auth.getSession();
+    const res = await fetch(`${API_BASE_URL}/resources/signed-url/${citation.resource_id}`, {
+      headers: { Authorization: `Bearer ${sessionData?.session?.access_token}` }
+    });
+    if (!res.ok) throw new Error('Failed to fetch signed URL');
+    const data = await res.json();
+    window.open(data.signedUrl, '_blank', 'noopener,noreferrer');
+  } catch (err) {
+    console.error('Error opening cited resource:', err);
+  }
+}
+
+// Turns the [n] markers in an answer into links to its sources; markers
+// that don't match a returned citation are dropped
+function renderWithCitations(text, citations = []) {
+  if (citations.length === 0) return text.replace(/\s?\[\d+\]/g, '');
+  return text.split(/(\[\d+\])/).map((part, i) => {
+    const marker = part.match(/^\[(\d+)\]$/);
+    if (!marker) return part;
+    const citation = citations.find(c => c.number === Number(marker[1]));
+    if (!citation) return null;
+    return (
+      <button
+        key={i}
+        className="chat-cite-marker"
+        onClick={() => openCitation(citation)}
+        title={citation.title}
+      >
+        {citation.number}
+      </button>
+    );
+  });
+}
+
 const ChatBot = () => {
   const navigate = useNavigate();
   const { activeResource } = useResourceContext();
@@ -19,7 +94,48 @@ const ChatBot = () => {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [threadId, setThreadId] = useState(() => localStorage.getItem(THREAD_STORAGE_KEY));
+  const [showThreads, setShowThreads] = useState(false);
+  const [threads, setThreads] = useState([]);
+  const [threadsLoading, setThreadsLoading] = useState(false);
+  const [renaming, setRenaming] = useState(null); // { id, title }
   const messagesEndRef = useRef(null);
+  // Thread whose messages are already on screen, so it isn't fetched again
+  const loadedThreadRef = useRef(null);
+  // Aborts the answer being streamed (stop button)
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const selectThread = (id) => {
+    if (id) localStorage.setItem(THREAD_STORAGE_KEY, id);
+    else localStorage.removeItem(THREAD_STORAGE_KEY);
+    setThreadId(id);
+  };
+
+  useEffect(() => {
+    if (!isOpen || !threadId || loadedThreadRef.current === threadId) return;
+    let cancelled = false;
+
+    async function loadThread() {
+      try {
+        const result = await chatFetch(`/threads/${threadId}`);
+        if (cancelled) return;
+        loadedThreadRef.current = threadId;
+        setMessages(result.data.messages);
+      } catch (err) {
+        console.error('Error loading conversation:', err);
+        // Deleted elsewhere or no longer ours: start afresh
+        if (!cancelled) {
+          localStorage.removeItem(THREAD_STORAGE_KEY);
+          setThreadId(null);
+        }
+      }
+    }
+
+    loadThread();
+    return () => { cancelled = true; };
+  }, [isOpen, threadId]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -47,11 +163,29 @@ const ChatBot = () => {
     setMessages(prev => [...prev, tempUserMsg]);
     setIsTyping(true);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let newThreadId = null;
+    let receivedText = false;
+
+    const appendToken = (text) => setMessages(prev => {
+      const last = prev[prev.length - 1];
+      if (last?.streaming) return [...prev.slice(0, -1), { ...last, message: last.message + text }];
+      return [...prev, {
+        id: `streaming-${Date.now()}`,
+        message: text,
+        role: 'model',
+        created_at: new Date().toISOString(),
+        streaming: true
+      }];
+    });
+
     try {
       const { data: sessionData } = await supabase.auth.getSession();
       const token = sessionData?.session?.access_token;
 
-      const response = await fetch(`${API_BASE_URL}/api/chat`, {
+      // The server keeps the conversation; only the new message is sent
+      const response = await fetch(`${API_BASE_URL}/api/chat/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -60,25 +194,50 @@ const ChatBot = () => {
         body: JSON.stringify({
           message: messageToSend,
           resourceId: activeResource?.id,
-          history: messages 
-        })
+          threadId
+        }),
+        signal: controller.signal
       });
 
-      if (response.ok) {
-        const result = await response.json();
-        setMessages(prev => [...prev, result.data]);
-      } else {
+      if (!response.ok) {
         const errorData = await response.json();
         throw new Error(errorData.error || 'Failed to get response');
       }
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'thread' && data.id !== threadId) {
+          newThreadId = data.id;
+          loadedThreadRef.current = data.id;
+          selectThread(data.id);
+        } else if (event === 'token') {
+          receivedText = true;
+          appendToken(data.text);
+        } else if (event === 'done') {
+          setMessages(prev => [...prev.filter(m => !m.streaming), data.data]);
+        } else if (event === 'error') {
+          throw new Error(data.error);
+        }
+      });
     } catch (err) {
+      // A new conversation is discarded by the server if nothing was saved to it
+      const discarded = newThreadId && (!receivedText || err.name !== 'AbortError');
+      if (discarded) {
+        loadedThreadRef.current = null;
+        selectThread(null);
+      }
+
+      if (err.name === 'AbortError') {
+        // Stopped: keep what was generated so far, as the server does
+        setMessages(prev => prev.map(m => (m.streaming ? { ...m, streaming: false, stopped: true } : m)));
+        return;
+      }
       console.error('Chat error:', err);
       
       const friendlyError = err.message.includes("quota") || err.message.includes("requests")
         ? "I'm currently very busy helping other students. Please try again in a few moments!"
         : `I'm having a little trouble connecting right now. ${err.message}`;
 
-      setMessages(prev => [...prev, {
+      setMessages(prev => [...prev.filter(m => !m.streaming), {
         id: Date.now() + 1,
         message: friendlyError,
         role: 'model',
@@ -86,14 +245,75 @@ const ChatBot = () => {
         isError: true
       }]);
     } finally {
-
+      abortRef.current = null;
       setIsTyping(false);
     }
   };
 
-  const handleClearChat = () => {
-    if (messages.length === 0) return;
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
+  const handleNewChat = () => {
+    loadedThreadRef.current = null;
+    selectThread(null);
     setMessages([]);
+    setShowThreads(false);
+  };
+
+  const handleShowThreads = async () => {
+    if (showThreads) {
+      setShowThreads(false);
+      return;
+    }
+    setShowThreads(true);
+    setThreadsLoading(true);
+    try {
+      const result = await chatFetch('/threads');
+      setThreads(result.data);
+    } catch (err) {
+      console.error('Error loading conversations:', err);
+    } finally {
+      setThreadsLoading(false);
+    }
+  };
+
+  const handleOpenThread = (id) => {
+    setShowThreads(false);
+    if (id === threadId) return;
+    setMessages([]);
+    selectThread(id);
+  };
+
+  const handleRenameThread = async (e) => {
+    e.preventDefault();
+    const title = renaming.title.trim();
+    if (!title) return;
+    try {
+      const result = await chatFetch(`/threads/${renaming.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ title })
+      });
+      setThreads(prev => prev.map(t => (t.id === renaming.id ? { ...t, title: result.data.title } : t)));
+      setRenaming(null);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDeleteThread = async (id) => {
+    if (!window.confirm('Delete this conversation? This cannot be undone.')) return;
+    try {
+      await chatFetch(`/threads/${id}`, { method: 'DELETE' });
+      setThreads(prev => prev.filter(t => t.id !== id));
+      if (id === threadId) {
+        loadedThreadRef.current = null;
+        selectThread(null);
+        setMessages([]);
+      }
+    } catch (err) {
+      alert(err.message);
+    }
   };
 
   return (
@@ -127,15 +347,26 @@ const ChatBot = () => {
               </div>
             </div>
             <div className="chatbot-header-actions">
-              {messages.length > 0 && (
+              <button
+                className={`chatbot-action-icon${showThreads ? ' active' : ''}`}
+                onClick={handleShowThreads}
+                title="Past Chats"
+                aria-label="Past Chats"
+              >
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                  <circle cx="12" cy="12" r="10" />
+                  <path d="M12 6v6l4 2" />
+                </svg>
+              </button>
+              {(messages.length > 0 || showThreads) && (
                 <button 
-                  className="chatbot-action-icon clear-btn" 
-                  onClick={handleClearChat}
-                  title="Clear Chat"
-                  aria-label="Clear Chat"
+                  className="chatbot-action-icon" 
+                  onClick={handleNewChat}
+                  title="New Chat"
+                  aria-label="New Chat"
                 >
                   <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                    <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2M10 11v6M14 11v6" />
+                    <path d="M12 5v14M5 12h14" />
                   </svg>
                 </button>
               )}
@@ -148,6 +379,52 @@ const ChatBot = () => {
             </div>
           </header>
 
+          {showThreads ? (
+          <div className="chatbot-messages chat-threads">
+            {threadsLoading && <div className="chat-threads-empty">Loading conversations...</div>}
+            {!threadsLoading && threads.length === 0 && (
+              <div className="chat-threads-empty">No past conversations yet.</div>
+            )}
+            {!threadsLoading && threads.map(t => (
+              <div key={t.id} className={`chat-thread${t.id === threadId ? ' current' : ''}`}>
+                {renaming?.id === t.id ? (
+                  <form className="chat-thread-rename" onSubmit={handleRenameThread}>
+                    <input
+                      type="text"
+                      value={renaming.title}
+                      maxLength={100}
+                      onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                      autoFocus
+                    />
+                    <button type="submit" disabled={!renaming.title.trim()}>Save</button>
+                    <button type="button" onClick={() => setRenaming(null)}>Cancel</button>
+                  </form>
+                ) : (
+                  <>
+                    <button className="chat-thread-open" onClick={() => handleOpenThread(t.id)}>
+                      <span className="chat-thread-title">{t.title}</span>
+                      <span className="chat-thread-meta">
+                        {new Date(t.updated_at).toLocaleDateString()} · {t.message_count} messages
+                      </span>
+                    </button>
+                    <div className="chat-thread-actions">
+                      <button onClick={() => setRenaming({ id: t.id, title: t.title })} title="Rename" aria-label="Rename">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                          <path d="M12 20h9M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z" />
+                        </svg>
+                      </button>
+                      <button onClick={() => handleDeleteThread(t.id)} title="Delete" aria-label="Delete">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                          <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                        </svg>
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+          ) : (
           <div className="chatbot-messages">
             {activeResource && messages.length === 0 && (
               <div className="context-chip">
@@ -187,11 +464,30 @@ const ChatBot = () => {
 
             {messages.map((msg, index) => {
               const navMatch = msg.message.match(/\[NAVIGATE:(.*?)\|(.*?)\]/);
-              const cleanMessage = msg.message.replace(/\[NAVIGATE:.*?\]/g, '').trim();
+              let cleanMessage = msg.message.replace(/\[NAVIGATE:.*?\]/g, '').trim();
+              // Hide a tag or citation marker that is still arriving
+              if (msg.streaming) cleanMessage = cleanMessage.replace(/\[[^\]]*$/, '');
 
               return (
-                <div key={msg.id || index} className={`message ${msg.role === 'user' ? 'user' : 'ai'}`}>
-                  <div className="message-text">{cleanMessage}</div>
+                <div key={msg.id || index} className={`message ${msg.role === 'user' ? 'user' : 'ai'}${msg.streaming ? ' streaming' : ''}`}>
+                  <div className="message-text">{renderWithCitations(cleanMessage, msg.citations)}</div>
+
+                  {msg.citations?.length > 0 && (
+                    <div className="chat-citations">
+                      <span className="chat-citations-label">Sources</span>
+                      {msg.citations.map(c => (
+                        <button key={c.number} className="chat-citation" onClick={() => openCitation(c)}>
+                          <span className="chat-citation-num">{c.number}</span>
+                          <span className="chat-citation-title">
+                            {c.title}
+                            <span className="chat-citation-meta">
+                              {' · '}{c.subject_code}{c.unit_number ? ` · Unit ${c.unit_number}` : ''}
+                            </span>
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
                   
                   {navMatch && (
                     <button 
@@ -207,12 +503,13 @@ const ChatBot = () => {
                   
                   <div className="message-meta">
                     {new Date(msg.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {msg.stopped && ' · Stopped'}
                   </div>
                 </div>
               );
             })}
 
-            {isTyping && (
+            {isTyping && !messages[messages.length - 1]?.streaming && (
               <div className="message ai">
                 <div className="typing-indicator">
                   <span></span>
@@ -223,6 +520,7 @@ const ChatBot = () => {
             )}
             <div ref={messagesEndRef} />
           </div>
+          )}
 
           <form className="chatbot-input-area" onSubmit={handleSend}>
             <div className="chatbot-input-wrapper">
@@ -231,18 +529,32 @@ const ChatBot = () => {
                 placeholder="Message your assistant..."
                 value={input}
                 onChange={(e) => setInput(e.target.value)}
-                disabled={isTyping}
+                disabled={isTyping || showThreads}
               />
-              <button 
-                type="submit" 
-                className="chatbot-send" 
-                disabled={!input.trim() || isTyping}
-                aria-label="Send Message"
-              >
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
-                  <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"></path>
-                </svg>
-              </button>
+              {isTyping ? (
+                <button
+                  type="button"
+                  className="chatbot-send chatbot-stop"
+                  onClick={handleStop}
+                  aria-label="Stop Response"
+                  title="Stop"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                    <rect x="5" y="5" width="14" height="14" rx="2" />
+                  </svg>
+                </button>
+              ) : (
+                <button 
+                  type="submit" 
+                  className="chatbot-send" 
+                  disabled={!input.trim()}
+                  aria-label="Send Message"
+                >
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"></path>
+                  </svg>
+                </button>
+              )}
             </div>
           </form>
         </div>
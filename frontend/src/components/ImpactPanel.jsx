@@ -0,0 +1,160 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "../utils/api";
+import "./ImpactPanel.css";
+
+const WINDOWS = [
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: 90, label: "90 days" },
+  { days: 365, label: "1 year" },
+];
+
+// Longer windows are drawn one bar per week so the chart stays readable
+function toBuckets(timeline, days) {
+  const size = days > 90 ? 7 : 1;
+  const buckets = [];
+  for (let i = 0; i < timeline.length; i += size) {
+    const slice = timeline.slice(i, i + size);
+    buckets.push({
+      date: slice[0].date,
+      views: slice.reduce((sum, d) => sum + d.views, 0),
+      downloads: slice.reduce((sum, d) => sum + d.downloads, 0),
+    });
+  }
+  return buckets;
+}
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short" });
+
+// "My impact": how often the user's uploads are opened, for the My Resources page
+function ImpactPanel() {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadStats() {
+      try {
+        const { data } = await supabase.auth.getSession();
+        const token = data?.session?.access_token;
+        const res = await fetch(`${API_BASE_URL}/resources/analytics/me?days=${days}`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+        if (!cancelled) {
+          setStats(json.data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadStats();
+    return () => {
+      cancelled = true;
+    };
+  }, [days]);
+
+  const changeWindow = (next) => {
+    if (next === days) return;
+    setLoading(true);
+    setDays(next);
+  };
+
+  const buckets = stats ? toBuckets(stats.timeline, stats.days) : [];
+  const maxBucket = Math.max(...buckets.map((b) => b.views + b.downloads), 1);
+
+  return (
+    <section className="card impact-panel">
+      <header className="impact-header">
+        <div>
+          <h2>My impact</h2>
+          <p>How often classmates open your uploads. Each person counts once per day.</p>
+        </div>
+        <div className="impact-windows" role="group" aria-label="Time range">
+          {WINDOWS.map((w) => (
+            <button
+              key={w.days}
+              className={`impact-window ${days === w.days ? "impact-window--active" : ""}`}
+              onClick={() => changeWindow(w.days)}
+            >
+              {w.label}
+            </button>
+          ))}
+        </div>
+      </header>
+
+      {loading && <p className="impact-empty">Loading your stats…</p>}
+      {!loading && error && <p className="impact-empty impact-empty--error">{error}</p>}
+
+      {!loading && !error && stats && (
+        <>
+          <div className="impact-stats">
+            <div className="impact-stat">
+              <span className="impact-stat-value">{stats.totals.downloads}</span>
+              <span className="impact-stat-label">Downloads</span>
+            </div>
+            <div className="impact-stat">
+              <span className="impact-stat-value">{stats.totals.views}</span>
+              <span className="impact-stat-label">Link views</span>
+            </div>
+            <div className="impact-stat">
+              <span className="impact-stat-value">{stats.totals.unique_users}</span>
+              <span className="impact-stat-label">Different readers</span>
+            </div>
+            <div className="impact-stat impact-stat--muted">
+              <span className="impact-stat-value">{stats.all_time.downloads + stats.all_time.views}</span>
+              <span className="impact-stat-label">All time, {stats.all_time.resources} uploads</span>
+            </div>
+          </div>
+
+          <div className="impact-chart" aria-label="Downloads and views over time">
+            {buckets.map((b) => (
+              <div
+                key={b.date}
+                className="impact-bar"
+                title={`${formatDay(b.date)}: ${b.downloads} downloads, ${b.views} views`}
+              >
+                <div className="impact-bar-views" style={{ height: `${(b.views / maxBucket) * 100}%` }} />
+                <div className="impact-bar-downloads" style={{ height: `${(b.downloads / maxBucket) * 100}%` }} />
+              </div>
+            ))}
+          </div>
+          <div className="impact-chart-axis">
+            <span>{buckets.length > 0 && formatDay(buckets[0].date)}</span>
+            <span className="impact-legend">
+              <i className="impact-legend-downloads" /> Downloads <i className="impact-legend-views" /> Views
+            </span>
+            <span>Today</span>
+          </div>
+
+          {stats.top_resources.length > 0 ? (
+            <ol className="impact-top">
+              {stats.top_resources.map((r) => (
+                <li key={r.id}>
+                  <span className="impact-top-title">{r.title}</span>
+                  <span className="impact-top-meta">
+                    ⬇ {r.downloads} · 👁 {r.views} · {r.unique_users} reader{r.unique_users === 1 ? "" : "s"}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p className="impact-empty">Nobody has opened your uploads in this period yet.</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default ImpactPanel;
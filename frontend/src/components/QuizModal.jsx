@@ -0,0 +1,278 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "../utils/api";
+import { useToast } from "../context/ToastContext";
+import "./QuizModal.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+function QuizModal({ resource, onClose }) {
+  const { showToast } = useToast();
+  const [studySet, setStudySet] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [tab, setTab] = useState("quiz");
+
+  const [choices, setChoices] = useState([]); // option index per multiple-choice question
+  const [revealed, setRevealed] = useState([]); // short answers whose model answer is shown
+  const [marks, setMarks] = useState([]); // self-marking per short answer: true, false or null
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [cardIndex, setCardIndex] = useState(0);
+  const [flipped, setFlipped] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadStudySet() {
+      try {
+        // Generated on first request, which can take a few seconds
+        const res = await authFetch(`/resources/${resource.id}/study-set`, { method: "POST" });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+
+        const attemptsRes = await authFetch(`/resources/${resource.id}/quiz-attempts`);
+        const attemptsJson = await attemptsRes.json();
+        if (!cancelled) {
+          setStudySet(json.data);
+          setChoices(json.data.multiple_choice.map(() => null));
+          setRevealed(json.data.short_answer.map(() => false));
+          setMarks(json.data.short_answer.map(() => null));
+          setAttempts(attemptsRes.ok ? attemptsJson.data : []);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadStudySet();
+    return () => {
+      cancelled = true;
+    };
+  }, [resource.id]);
+
+  const setAt = (setter, index, value) =>
+    setter((prev) => prev.map((v, i) => (i === index ? value : v)));
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const res = await authFetch(`/resources/${resource.id}/quiz-attempts`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          generated_at: studySet.generated_at,
+          multiple_choice: choices,
+          short_answer: marks.map(Boolean),
+        }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not save your result");
+      setResult(json.data);
+      setAttempts((prev) => [json.data, ...prev]);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRetry = () => {
+    setResult(null);
+    setChoices(studySet.multiple_choice.map(() => null));
+    setRevealed(studySet.short_answer.map(() => false));
+    setMarks(studySet.short_answer.map(() => null));
+  };
+
+  const showCard = (index) => {
+    setCardIndex(index);
+    setFlipped(false);
+  };
+
+  const answeredCount = choices.filter((c) => c !== null).length;
+  const card = studySet?.flashcards[cardIndex];
+
+  return (
+    <div className="quiz-modal-overlay" onClick={onClose}>
+      <div className="quiz-modal-container" onClick={(e) => e.stopPropagation()}>
+        <header className="quiz-modal-header">
+          <div>
+            <h2>Practice</h2>
+            <p className="quiz-modal-subtitle">{resource.title}</p>
+          </div>
+          <button className="quiz-modal-close" onClick={onClose} aria-label="Close modal">
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </header>
+
+        {studySet && (
+          <nav className="quiz-tabs">
+            <button className={`quiz-tab ${tab === "quiz" ? "quiz-tab--active" : ""}`} onClick={() => setTab("quiz")}>
+              Quiz
+            </button>
+            <button className={`quiz-tab ${tab === "flashcards" ? "quiz-tab--active" : ""}`} onClick={() => setTab("flashcards")}>
+              Flashcards ({studySet.flashcards.length})
+            </button>
+          </nav>
+        )}
+
+        <div className="quiz-modal-content">
+          {loading && <p className="quiz-empty">Preparing your practice set…</p>}
+          {!loading && error && <p className="quiz-empty quiz-empty--error">{error}</p>}
+
+          {!loading && !error && tab === "quiz" && (
+            <>
+              {result && (
+                <div className="quiz-result">
+                  <span className="quiz-result-score">{result.score} / {result.total}</span>
+                  <span>Your result has been saved.</span>
+                  <button className="quiz-btn" onClick={handleRetry}>Try again</button>
+                </div>
+              )}
+
+              <ol className="quiz-questions">
+                {studySet.multiple_choice.map((q, qi) => (
+                  <li key={`mc-${qi}`} className="quiz-question">
+                    <p className="quiz-question-text">{q.question}</p>
+                    <div className="quiz-options">
+                      {q.options.map((option, oi) => {
+                        const state = !result
+                          ? choices[qi] === oi ? "selected" : ""
+                          : oi === q.answer_index ? "correct" : choices[qi] === oi ? "wrong" : "";
+                        return (
+                          <button
+                            key={oi}
+                            className={`quiz-option ${state ? `quiz-option--${state}` : ""}`}
+                            onClick={() => setAt(setChoices, qi, oi)}
+                            disabled={!!result}
+                          >
+                            <span className="quiz-option-letter">{String.fromCharCode(65 + oi)}</span>
+                            {option}
+                          </button>
+                        );
+                      })}
+                    </div>
+                    {result && q.explanation && <p className="quiz-explanation">{q.explanation}</p>}
+                  </li>
+                ))}
+
+                {studySet.short_answer.map((q, qi) => (
+                  <li key={`sa-${qi}`} className="quiz-question">
+                    <p className="quiz-question-text">{q.question}</p>
+                    <textarea
+                      className="quiz-textarea"
+                      rows={2}
+                      placeholder="Write your answer, then compare it with the model answer"
+                      disabled={!!result}
+                    />
+                    {revealed[qi] ? (
+                      <div className="quiz-model-answer">
+                        <strong>Model answer:</strong> {q.answer}
+                        {!result && (
+                          <div className="quiz-self-mark">
+                            <button
+                              className={`quiz-btn ${marks[qi] === true ? "quiz-btn--primary" : ""}`}
+                              onClick={() => setAt(setMarks, qi, true)}
+                            >
+                              I got it
+                            </button>
+                            <button
+                              className={`quiz-btn ${marks[qi] === false ? "quiz-btn--danger" : ""}`}
+                              onClick={() => setAt(setMarks, qi, false)}
+                            >
+                              Not quite
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ) : (
+                      <button className="quiz-btn" onClick={() => setAt(setRevealed, qi, true)} disabled={!!result}>
+                        Show model answer
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ol>
+
+              {!result && (
+                <div className="quiz-submit">
+                  <span className="quiz-progress">
+                    {answeredCount} of {studySet.multiple_choice.length} multiple-choice answered
+                  </span>
+                  <button className="quiz-btn quiz-btn--primary" onClick={handleSubmit} disabled={submitting || answeredCount === 0}>
+                    {submitting ? "Saving…" : "Submit Quiz"}
+                  </button>
+                </div>
+              )}
+
+              {attempts.length > 0 && (
+                <div className="quiz-history">
+                  <h3>Your scores</h3>
+                  <ul>
+                    {attempts.slice(0, 5).map((a) => (
+                      <li key={a.id}>
+                        <span>{a.score} / {a.total}</span>
+                        <span className="quiz-history-date">{formatDate(a.created_at)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+
+          {!loading && !error && tab === "flashcards" && (
+            card ? (
+              <div className="flashcards">
+                <button
+                  className={`flashcard ${flipped ? "flashcard--flipped" : ""}`}
+                  onClick={() => setFlipped((f) => !f)}
+                  aria-label={flipped ? "Show front" : "Show back"}
+                >
+                  <span className="flashcard-side">{flipped ? "Answer" : "Prompt"}</span>
+                  <span className="flashcard-text">{flipped ? card.back : card.front}</span>
+                  <span className="flashcard-hint">Click to flip</span>
+                </button>
+                <div className="flashcards-nav">
+                  <button className="quiz-btn" onClick={() => showCard(cardIndex - 1)} disabled={cardIndex === 0}>
+                    ← Previous
+                  </button>
+                  <span className="quiz-progress">{cardIndex + 1} / {studySet.flashcards.length}</span>
+                  <button
+                    className="quiz-btn"
+                    onClick={() => showCard(cardIndex + 1)}
+                    disabled={cardIndex === studySet.flashcards.length - 1}
+                  >
+                    Next →
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="quiz-empty">No flashcards for this resource.</p>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default QuizModal;
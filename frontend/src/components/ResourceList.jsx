@@ -139,8 +139,7 @@ function ResourceList({ resources, onEdit, onDelete }) {
 function ResourceCard({ resource, isActive, onView, onEdit, onDelete, user }) {
   const resourceType = getResourceTypeDisplay(resource.resource_type);
   const isOwner = user?.id === resource.contributor_id;
-  const isAdmin = user?.role === 'admin';
-  const canModify = isOwner || isAdmin;
+  const canModify = isOwner || !!user?.permissions?.includes('resource.manage');
   const isUnverified = resource.is_verified === false;
 
   return (
@@ -0,0 +1,319 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "../utils/api";
+import { useToast } from "../context/ToastContext";
+import StarRating from "./StarRating";
+import "./ReviewsModal.css";
+
+const SORT_OPTIONS = [
+  { value: "helpful", label: "Most helpful" },
+  { value: "newest", label: "Newest" },
+  { value: "highest", label: "Highest rated" },
+  { value: "lowest", label: "Lowest rated" },
+];
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { day: "numeric", month: "short", year: "numeric" });
+
+function ReviewsModal({ resource, onClose, onChanged }) {
+  const { showToast } = useToast();
+  const [sort, setSort] = useState("helpful");
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [mine, setMine] = useState(null);
+  const [canReview, setCanReview] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+
+  const [rating, setRating] = useState(0);
+  const [body, setBody] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [reportingId, setReportingId] = useState(null);
+  const [reportReason, setReportReason] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadReviews() {
+      try {
+        const res = await authFetch(`/resources/${resource.id}/reviews?sort=${sort}`);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+        if (!cancelled) {
+          setReviews(json.data || []);
+          setSummary(json.summary);
+          setPagination(json.pagination);
+          setMine(json.mine);
+          setCanReview(json.can_review);
+          setRating(json.mine?.rating || 0);
+          setBody(json.mine?.body || "");
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadReviews();
+    return () => {
+      cancelled = true;
+    };
+  }, [resource.id, sort, reloadKey]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const res = await authFetch(`/resources/${resource.id}/reviews?sort=${sort}&page=${pagination.page + 1}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Failed to load reviews");
+      setReviews((prev) => [...prev, ...json.data]);
+      setPagination(json.pagination);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      showToast("Pick a star rating first.", "error");
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await authFetch(`/resources/${resource.id}/reviews`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rating, body }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not save your review");
+
+      showToast(mine ? "Review updated." : "Thanks for your review!", "success");
+      setReloadKey((k) => k + 1);
+      onChanged?.(json.summary);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaving(true);
+    try {
+      const res = await authFetch(`/resources/${resource.id}/reviews`, { method: "DELETE" });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not delete your review");
+
+      showToast("Review deleted.", "success");
+      setReloadKey((k) => k + 1);
+      onChanged?.();
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleHelpful = async (review) => {
+    try {
+      const res = await authFetch(`/resources/${resource.id}/reviews/${review.id}/helpful`, {
+        method: review.voted_helpful ? "DELETE" : "POST",
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Vote failed");
+      setReviews((prev) => prev.map((r) => (r.id === review.id ? { ...r, ...json.data } : r)));
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const handleReport = async (review) => {
+    try {
+      const res = await authFetch(`/resources/${resource.id}/reviews/${review.id}/report`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: reportReason }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Report failed");
+      showToast("Thanks. An admin will take a look.", "success");
+      setReportingId(null);
+      setReportReason("");
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const maxBar = summary ? Math.max(...Object.values(summary.distribution), 1) : 1;
+  const hasMore = pagination && pagination.page < pagination.total_pages;
+
+  return (
+    <div className="reviews-modal-overlay" onClick={onClose}>
+      <div className="reviews-modal-container" onClick={(e) => e.stopPropagation()}>
+        <header className="reviews-modal-header">
+          <div>
+            <h2>Reviews</h2>
+            <p className="reviews-modal-subtitle">{resource.title}</p>
+          </div>
+          <button className="reviews-modal-close" onClick={onClose} aria-label="Close modal">
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </header>
+
+        <div className="reviews-modal-content">
+          {loading && <p className="reviews-empty">Loading reviews…</p>}
+          {!loading && error && <p className="reviews-empty reviews-empty--error">{error}</p>}
+
+          {!loading && !error && (
+            <>
+              {/* Aggregate score and star distribution */}
+              <section className="reviews-summary">
+                <div className="reviews-score">
+                  <span className="reviews-score-value">{summary.rating_count ? summary.rating_avg.toFixed(1) : "–"}</span>
+                  <StarRating value={summary.rating_avg} size={18} />
+                  <span className="reviews-score-count">
+                    {summary.rating_count} rating{summary.rating_count === 1 ? "" : "s"}
+                  </span>
+                </div>
+                <ul className="reviews-bars">
+                  {[5, 4, 3, 2, 1].map((n) => (
+                    <li key={n}>
+                      <span>{n}★</span>
+                      <div className="reviews-bar-track">
+                        <div className="reviews-bar-fill" style={{ width: `${(summary.distribution[n] / maxBar) * 100}%` }} />
+                      </div>
+                      <span>{summary.distribution[n]}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+
+              {/* The signed-in user's own review */}
+              {canReview && (
+                <form className="reviews-form" onSubmit={handleSave}>
+                  <div className="reviews-form-head">
+                    <strong>{mine ? "Your review" : "Rate this resource"}</strong>
+                    <StarRating value={rating} onChange={setRating} size={22} label="Your rating" />
+                  </div>
+                  {mine?.is_hidden && (
+                    <p className="reviews-hidden-note">
+                      An admin hid this review{mine.hidden_reason ? `: “${mine.hidden_reason}”` : "."} Only you can see it.
+                    </p>
+                  )}
+                  <textarea
+                    className="reviews-textarea"
+                    rows={3}
+                    maxLength={1000}
+                    placeholder="What was useful or missing? (optional)"
+                    value={body}
+                    onChange={(e) => setBody(e.target.value)}
+                  />
+                  <div className="reviews-form-actions">
+                    <button type="submit" className="reviews-btn reviews-btn--primary" disabled={saving}>
+                      {saving ? "Saving…" : mine ? "Update Review" : "Post Review"}
+                    </button>
+                    {mine && (
+                      <button type="button" className="reviews-btn" onClick={handleDelete} disabled={saving}>
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </form>
+              )}
+
+              <div className="reviews-list-head">
+                <h3>{pagination.total} review{pagination.total === 1 ? "" : "s"}</h3>
+                <select className="reviews-sort" value={sort} onChange={(e) => setSort(e.target.value)}>
+                  {SORT_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {reviews.length === 0 ? (
+                <p className="reviews-empty">No reviews yet. Be the first to share what you thought.</p>
+              ) : (
+                <ol className="reviews-list">
+                  {reviews.map((review) => {
+                    const isOwn = review.id === mine?.id;
+                    return (
+                      <li key={review.id} className={`review-item ${isOwn ? "review-item--own" : ""}`}>
+                        <div className="review-item-head">
+                          <StarRating value={review.rating} size={14} />
+                          <span className="review-author">{isOwn ? "You" : review.author_name || "Anonymous"}</span>
+                          <span className="review-meta">
+                            {review.author_role} · {formatDate(review.created_at)}
+                            {review.updated_at !== review.created_at && " · edited"}
+                          </span>
+                        </div>
+                        {review.body && <p className="review-body">{review.body}</p>}
+
+                        {reportingId === review.id ? (
+                          <div className="review-report">
+                            <input
+                              className="review-report-input"
+                              placeholder="Why is this review inappropriate? (optional)"
+                              maxLength={500}
+                              value={reportReason}
+                              onChange={(e) => setReportReason(e.target.value)}
+                            />
+                            <button className="reviews-btn reviews-btn--danger" onClick={() => handleReport(review)}>Report</button>
+                            <button className="reviews-btn" onClick={() => setReportingId(null)}>Cancel</button>
+                          </div>
+                        ) : (
+                          <div className="review-actions">
+                            <button
+                              className={`review-action ${review.voted_helpful ? "review-action--active" : ""}`}
+                              onClick={() => handleHelpful(review)}
+                              disabled={isOwn}
+                            >
+                              👍 Helpful{review.helpful_count > 0 && ` (${review.helpful_count})`}
+                            </button>
+                            {!isOwn && (
+                              <button className="review-action" onClick={() => { setReportingId(review.id); setReportReason(""); }}>
+                                Report
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+              )}
+
+              {hasMore && (
+                <button className="reviews-btn reviews-load-more" onClick={handleLoadMore} disabled={loadingMore}>
+                  {loadingMore ? "Loading…" : "Show more reviews"}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReviewsModal;
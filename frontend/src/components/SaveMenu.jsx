@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef } from "react";
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "../utils/api";
+import { useToast } from "../context/ToastContext";
+import "./SaveMenu.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+// Bookmark toggle plus a popover for adding the resource to collections
+function SaveMenu({ resourceId, isBookmarked, onBookmarkChange }) {
+  const { showToast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [collections, setCollections] = useState(null);
+  const [newName, setNewName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const loadCollections = async () => {
+    try {
+      const res = await authFetch(`/collections?resource_id=${resourceId}`);
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Failed to load collections");
+      setCollections(json.data);
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open) loadCollections();
+    setOpen((prev) => !prev);
+  };
+
+  const toggleBookmark = async () => {
+    setBusy(true);
+    try {
+      const res = await authFetch(`/bookmarks/${resourceId}`, { method: isBookmarked ? "DELETE" : "PUT" });
+      if (!res.ok) throw new Error((await res.json()).error || "Could not update bookmark");
+      onBookmarkChange?.(resourceId, !isBookmarked);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleCollection = async (collection) => {
+    setBusy(true);
+    try {
+      const res = collection.has_resource
+        ? await authFetch(`/collections/${collection.id}/items/${resourceId}`, { method: "DELETE" })
+        : await authFetch(`/collections/${collection.id}/items`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ resource_id: resourceId }),
+          });
+      if (!res.ok) throw new Error((await res.json()).error || "Could not update collection");
+
+      setCollections((prev) =>
+        prev.map((c) => (c.id === collection.id ? { ...c, has_resource: !c.has_resource } : c))
+      );
+      // Adding to a collection bookmarks the resource as well
+      if (!collection.has_resource && !isBookmarked) onBookmarkChange?.(resourceId, true);
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createCollection = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setBusy(true);
+    try {
+      const res = await authFetch("/collections", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: newName.trim() }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not create collection");
+
+      setNewName("");
+      await toggleCollection({ ...json.data, has_resource: false });
+      await loadCollections();
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="save-menu" ref={menuRef}>
+      <button
+        className={`owner-action save-menu-bookmark ${isBookmarked ? "save-menu-bookmark--active" : ""}`}
+        onClick={toggleBookmark}
+        disabled={busy}
+        title={isBookmarked ? "Remove from saved" : "Save for later"}
+        aria-pressed={isBookmarked}
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill={isBookmarked ? "currentColor" : "none"} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z" />
+        </svg>
+      </button>
+      <button
+        className="owner-action"
+        onClick={toggleOpen}
+        title="Add to collection"
+        aria-expanded={open}
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+          <line x1="12" y1="11" x2="12" y2="17" />
+          <line x1="9" y1="14" x2="15" y2="14" />
+        </svg>
+      </button>
+
+      {open && (
+        <div className="save-menu-popover" role="menu">
+          <p className="save-menu-title">Save to collection</p>
+          {collections === null ? (
+            <p className="save-menu-empty">Loading…</p>
+          ) : collections.length === 0 ? (
+            <p className="save-menu-empty">No collections yet.</p>
+          ) : (
+            <ul className="save-menu-list">
+              {collections.map((c) => (
+                <li key={c.id}>
+                  <label className="save-menu-option">
+                    <input
+                      type="checkbox"
+                      checked={!!c.has_resource}
+                      onChange={() => toggleCollection(c)}
+                      disabled={busy}
+                    />
+                    <span>{c.name}</span>
+                    {c.is_shared && <span className="save-menu-shared" title="Shared by link">🔗</span>}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <form className="save-menu-new" onSubmit={createCollection}>
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New collection…"
+              maxLength={80}
+            />
+            <button type="submit" disabled={busy || !newName.trim()}>Add</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SaveMenu;
@@ -3,7 +3,7 @@ import { NavLink, useLocation } from "react-router-dom";
 import { useAuth } from "../auth/AuthContext";
 import "../styles/sidebar.css";
 
-const RESOURCES_PATHS = ["/browse", "/my-resources", "/upload"];
+const RESOURCES_PATHS = ["/browse", "/my-resources", "/saved", "/upload", "/upload/bulk"];
 
 function Sidebar({ isOpen, toggleSidebar }) {
   const location = useLocation();
@@ -39,6 +39,17 @@ function Sidebar({ isOpen, toggleSidebar }) {
             Home
           </NavLink>
 
+          {/* Enrolled courses & followed subjects */}
+          <NavLink
+            to="/my-courses"
+            className={({ isActive }) =>
+              `sidebar-link ${isActive ? "sidebar-link--active" : ""}`
+            }
+            onClick={toggleSidebar}
+          >
+            My Courses
+          </NavLink>
+
           {/* Resources dropdown group */}
           <div className="sidebar-group">
             <button
@@ -73,8 +84,19 @@ function Sidebar({ isOpen, toggleSidebar }) {
                 My Resources
               </NavLink>
 
+              <NavLink
+                to="/saved"
+                className={({ isActive }) =>
+                  `sidebar-link sidebar-sublink ${isActive ? "sidebar-link--active" : ""}`
+                }
+                onClick={handleSubLinkClick}
+              >
+                Saved
+              </NavLink>
+
               <NavLink
                 to="/upload"
+                end
                 className={({ isActive }) =>
                   `sidebar-link sidebar-sublink ${isActive ? "sidebar-link--active" : ""}`
                 }
@@ -82,6 +104,18 @@ function Sidebar({ isOpen, toggleSidebar }) {
               >
                 Upload Resource
               </NavLink>
+
+              {user?.permissions?.includes("resource.bulk_upload") && (
+                <NavLink
+                  to="/upload/bulk"
+                  className={({ isActive }) =>
+                    `sidebar-link sidebar-sublink ${isActive ? "sidebar-link--active" : ""}`
+                  }
+                  onClick={handleSubLinkClick}
+                >
+                  Bulk Upload
+                </NavLink>
+              )}
             </div>
           </div>
 
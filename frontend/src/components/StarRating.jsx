@@ -0,0 +1,57 @@
+import { useState } from "react";
+import "./StarRating.css";
+
+// Read-only when `onChange` is omitted; otherwise each star is a button.
+function StarRating({ value = 0, onChange, size = 16, label }) {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  return (
+    <span
+      className={`star-rating ${onChange ? "star-rating--input" : ""}`}
+      aria-label={label || `${Number(value).toFixed(1)} out of 5 stars`}
+      role={onChange ? "radiogroup" : "img"}
+    >
+      {[1, 2, 3, 4, 5].map((n) => {
+        // Half stars only appear on read-only averages
+        const fill = shown >= n ? 1 : !onChange && shown > n - 1 ? shown - (n - 1) : 0;
+        const star = (
+          <svg width={size} height={size} viewBox="0 0 24 24" aria-hidden="true">
+            <defs>
+              <linearGradient id={`star-fill-${n}-${Math.round(fill * 100)}`}>
+                <stop offset={`${fill * 100}%`} stopColor="currentColor" />
+                <stop offset={`${fill * 100}%`} stopColor="transparent" />
+              </linearGradient>
+            </defs>
+            <path
+              d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"
+              fill={`url(#star-fill-${n}-${Math.round(fill * 100)})`}
+              stroke="currentColor"
+              strokeWidth="1.5"
+              strokeLinejoin="round"
+            />
+          </svg>
+        );
+
+        if (!onChange) return <span key={n} className="star-rating-star">{star}</span>;
+        return (
+          <button
+            key={n}
+            type="button"
+            className="star-rating-star"
+            role="radio"
+            aria-checked={value === n}
+            aria-label={`${n} star${n > 1 ? "s" : ""}`}
+            onClick={() => onChange(n)}
+            onMouseEnter={() => setHovered(n)}
+            onMouseLeave={() => setHovered(0)}
+          >
+            {star}
+          </button>
+        );
+      })}
+    </span>
+  );
+}
+
+export default StarRating;
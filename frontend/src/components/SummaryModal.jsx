@@ -1,7 +1,7 @@
 import React from 'react';
 import './SummaryModal.css';
 
-const SummaryModal = ({ isOpen, onClose, summary, title }) => {
+const SummaryModal = ({ isOpen, onClose, summary, title, heading = 'AI Quick Snapshot' }) => {
   if (!isOpen) return null;
 
   const renderSummary = (text) => {
@@ -60,7 +60,7 @@ const SummaryModal = ({ isOpen, onClose, summary, title }) => {
             <svg className="ai-sparkle pulse" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
               <path d="M12 3l1.912 5.813a2 2 0 001.9 1.38H21l-4.75 3.447a2 2 0 00-.727 2.233L17.435 21 12 17.056 6.565 21l1.912-5.127a2 2 0 00-.727-2.233L3 10.193h5.188a2 2 0 001.9-1.38L12 3z" />
             </svg>
-            <h2>AI Quick Snapshot</h2>
+            <h2>{heading}</h2>
           </div>
           <button className="summary-modal-close" onClick={onClose} aria-label="Close modal">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -0,0 +1,241 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "../utils/api";
+import { useToast } from "../context/ToastContext";
+import "./VersionHistoryModal.css";
+
+const REVIEW_STATUS_LABELS = {
+  pending: "Pending review",
+  approved: "Approved",
+  changes_requested: "Changes requested",
+  rejected: "Rejected",
+};
+
+const CHANGE_LABELS = {
+  created: "Uploaded",
+  file_replaced: "File replaced",
+  metadata_updated: "Details edited",
+  restored: "Restored",
+};
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+const formatDate = (value) =>
+  new Date(value).toLocaleString(undefined, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+function VersionHistoryModal({ resource, onClose, onRestored, initialTab = "versions" }) {
+  const { showToast } = useToast();
+  const [tab, setTab] = useState(initialTab);
+  const [versions, setVersions] = useState([]);
+  const [statusHistory, setStatusHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadVersions() {
+      try {
+        const [versionRes, statusRes] = await Promise.all([
+          authFetch(`/resources/${resource.id}/versions`),
+          authFetch(`/resources/${resource.id}/status-history`),
+        ]);
+        const [versionJson, statusJson] = await Promise.all([versionRes.json(), statusRes.json()]);
+        if (!versionRes.ok) throw new Error(versionJson.error || `HTTP ${versionRes.status}`);
+        if (!statusRes.ok) throw new Error(statusJson.error || `HTTP ${statusRes.status}`);
+        if (!cancelled) {
+          setVersions(versionJson.data || []);
+          setStatusHistory(statusJson.data || []);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadVersions();
+    return () => {
+      cancelled = true;
+    };
+  }, [resource.id, reloadKey]);
+
+  const handleOpen = async (version) => {
+    try {
+      if (!version.has_file) {
+        const url = version.external_url?.startsWith("http")
+          ? version.external_url
+          : `https://${version.external_url}`;
+        window.open(url, "_blank", "noopener,noreferrer");
+        return;
+      }
+      const res = await authFetch(`/resources/${resource.id}/versions/${version.id}/signed-url`);
+      if (!res.ok) throw new Error("Failed to fetch signed URL");
+      const data = await res.json();
+      window.open(data.signedUrl, "_blank", "noopener,noreferrer");
+    } catch (err) {
+      console.error("Error opening version:", err);
+      showToast("Unable to open this version. Please try again.", "error");
+    }
+  };
+
+  const handleRestore = async (version) => {
+    setConfirmingId(null);
+    setRestoringId(version.id);
+    try {
+      const res = await authFetch(`/resources/${resource.id}/versions/${version.id}/restore`, {
+        method: "POST",
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Restore failed");
+
+      showToast(`Version ${version.version_number} restored.`, "success");
+      setReloadKey((k) => k + 1);
+      onRestored?.(json.data);
+    } catch (err) {
+      console.error("Restore failed:", err);
+      showToast(err.message, "error");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="version-modal-overlay" onClick={onClose}>
+      <div className="version-modal-container" onClick={(e) => e.stopPropagation()}>
+        <header className="version-modal-header">
+          <div>
+            <h2>History</h2>
+            <p className="version-modal-subtitle">{resource.title}</p>
+          </div>
+          <button className="version-modal-close" onClick={onClose} aria-label="Close modal">
+            <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </header>
+
+        <div className="version-modal-tabs">
+          <button className={`version-tab ${tab === "versions" ? "version-tab--active" : ""}`} onClick={() => setTab("versions")}>
+            Versions
+          </button>
+          <button className={`version-tab ${tab === "review" ? "version-tab--active" : ""}`} onClick={() => setTab("review")}>
+            Review
+          </button>
+        </div>
+
+        <div className="version-modal-content">
+          {loading && <p className="version-empty">Loading history…</p>}
+          {!loading && error && <p className="version-empty version-empty--error">{error}</p>}
+
+          {!loading && !error && tab === "review" && (
+            statusHistory.length === 0 ? (
+              <p className="version-empty">No review decisions yet.</p>
+            ) : (
+              <ol className="version-list">
+                {statusHistory.map((entry) => (
+                  <li key={entry.id} className={`version-item version-item--${entry.to_status}`}>
+                    <div className="version-item-head">
+                      <span className="version-change">
+                        {entry.from_status
+                          ? `${REVIEW_STATUS_LABELS[entry.from_status] || entry.from_status} → ${REVIEW_STATUS_LABELS[entry.to_status] || entry.to_status}`
+                          : `Submitted · ${REVIEW_STATUS_LABELS[entry.to_status] || entry.to_status}`}
+                      </span>
+                    </div>
+                    <p className="version-meta">
+                      {entry.changed_by_name || "Unknown user"} · {formatDate(entry.created_at)}
+                    </p>
+                    {entry.reason && <p className="version-details">“{entry.reason}”</p>}
+                  </li>
+                ))}
+              </ol>
+            )
+          )}
+
+          {!loading && !error && tab === "versions" && versions.length === 0 && (
+            <p className="version-empty">No history recorded for this resource yet.</p>
+          )}
+
+          {!loading && !error && tab === "versions" && versions.length > 0 && (
+            <ol className="version-list">
+              {versions.map((version) => (
+                <li key={version.id} className={`version-item ${version.is_current ? "version-item--current" : ""}`}>
+                  <div className="version-item-head">
+                    <span className="version-number">v{version.version_number}</span>
+                    <span className="version-change">{CHANGE_LABELS[version.change_type] || version.change_type}</span>
+                    {version.is_current && <span className="version-current-tag">Current</span>}
+                  </div>
+
+                  <p className="version-meta">
+                    {version.changed_by_name || "Unknown user"} · {formatDate(version.created_at)}
+                    {version.change_note && <> · {version.change_note}</>}
+                  </p>
+
+                  <p className="version-details">
+                    <strong>{version.title}</strong>
+                    {version.has_file && version.original_filename && <> — {version.original_filename}</>}
+                    {!version.has_file && version.external_url && <> — {version.external_url}</>}
+                  </p>
+                  <p className="version-meta">
+                    {[
+                      version.subject_name,
+                      version.start_year && `AY ${version.start_year}-${version.end_year}`,
+                      version.unit_number && `Unit ${version.unit_number}`,
+                    ].filter(Boolean).join(" · ")}
+                  </p>
+
+                  {confirmingId === version.id ? (
+                    <div className="version-confirm">
+                      <span>Restore version {version.version_number}? The current state stays in the history.</span>
+                      <div className="version-actions">
+                        <button className="version-btn version-btn--primary" onClick={() => handleRestore(version)}>Yes, Restore</button>
+                        <button className="version-btn" onClick={() => setConfirmingId(null)}>Cancel</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="version-actions">
+                      {(version.has_file || version.external_url) && (
+                        <button className="version-btn" onClick={() => handleOpen(version)}>
+                          {version.has_file ? "Download" : "Open Link"}
+                        </button>
+                      )}
+                      {!version.is_current && (
+                        <button
+                          className="version-btn version-btn--primary"
+                          onClick={() => setConfirmingId(version.id)}
+                          disabled={restoringId !== null}
+                        >
+                          {restoringId === version.id ? "Restoring…" : "Restore"}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VersionHistoryModal;
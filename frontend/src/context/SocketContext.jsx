@@ -80,11 +80,13 @@ export function SocketProvider({ children }) {
 
     fetchNotifications();
 
+    // The server derives the user and their rooms from the token; fetched on
+    // every (re)connect so a refreshed session is picked up
     const socket = io(SOCKET_URL, {
       transports: ['websocket'],
-      auth: {
-        userId: user.id,
-        courseId: user.course_id
+      auth: async (cb) => {
+        const { data: { session } } = await supabase.auth.getSession();
+        cb({ token: session?.access_token });
       }
     });
 
@@ -105,8 +107,14 @@ export function SocketProvider({ children }) {
       showToast(data.message, 'info', 5000);
     });
 
-    socket.on('disconnect', () => {
+    socket.on('connect_error', (err) => {
+      console.error('[Socket.IO] Connection refused:', err.message);
+    });
+
+    socket.on('disconnect', (reason) => {
       console.log('[Socket.IO] Disconnected');
+      // The server only closes a socket itself when the account was suspended
+      if (reason === 'io server disconnect') supabase.auth.signOut();
     });
 
     return () => {
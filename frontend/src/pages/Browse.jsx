@@ -1,9 +1,14 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../supabaseClient";
 import { useAuth } from "../auth/AuthContext";
 import { API_BASE_URL } from "../utils/api";
+import { canSummarize, formatLabel } from "../utils/fileFormats";
 import SummaryModal from "../components/SummaryModal";
+import ReviewsModal from "../components/ReviewsModal";
+import QuizModal from "../components/QuizModal";
+import StarRating from "../components/StarRating";
+import SaveMenu from "../components/SaveMenu";
 import { useResourceContext } from "../context/ResourceContext";
 import { useToast } from "../context/ToastContext";
 import CustomSelect from "../components/CustomSelect";
@@ -32,6 +37,19 @@ const RESOURCE_TYPE_CONFIG = {
   },
 };
 
+const PAGE_SIZE = 24;
+
+// Course filter value for "everything I'm enrolled in or follow"
+const ENROLLED = "enrolled";
+
+const RESOURCE_TYPE_OPTIONS = [
+  { value: "lecture_notes", label: "Lecture Notes" },
+  { value: "question_paper", label: "Question Paper" },
+  { value: "research_paper", label: "Research Paper" },
+  { value: "project_material", label: "Project Material" },
+  { value: "other", label: "Other" },
+];
+
 const typeClassMap = {
   lecture_notes: "resource-badge--fgreen",
   question_paper: "resource-badge--purple",
@@ -62,21 +80,42 @@ const formatContributorType = (type) => {
   );
 };
 
+// Splits a server-highlighted snippet ("...<mark>term</mark>...") into text
+// parts so matches can be rendered without injecting HTML.
+const splitHighlights = (snippet) =>
+  snippet
+    .split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith("<mark>")
+        ? { text: part.slice(6, -7), highlighted: true }
+        : { text: part, highlighted: false }
+    );
+
 // ===============================
-// Custom Hook
+// Custom Hooks
 // ===============================
-function useResources(user) {
+function useDebouncedValue(value, delay = 350) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+function useResources(user, queryString = "") {
   const [resources, setResources] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [facets, setFacets] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const latestRequest = useRef(0);
 
-  useEffect(() => {
-    if (user) {
-      fetchResources();
-    }
-  }, [user]);
-
-  const fetchResources = async () => {
+  const fetchResources = useCallback(async () => {
+    const requestId = ++latestRequest.current;
     const { data: sessionData } = await supabase.auth.getSession();
     const token = sessionData?.session?.access_token;
 
@@ -87,7 +126,7 @@ function useResources(user) {
     }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/resources`, {
+      const response = await fetch(`${API_BASE_URL}/resources${queryString ? `?${queryString}` : ""}`, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -99,16 +138,28 @@ function useResources(user) {
 
       const result = await response.json();
 
+      // Ignore responses for queries the user has already moved past
+      if (requestId !== latestRequest.current) return;
+      setError("");
       setResources(result.data || []);
+      setPagination(result.pagination || null);
+      setFacets(result.facets || {});
     } catch (err) {
+      if (requestId !== latestRequest.current) return;
       console.error("Error fetching resources:", err);
       setError(err.message);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) setLoading(false);
     }
-  };
+  }, [queryString]);
+
+  useEffect(() => {
+    if (user) {
+      fetchResources();
+    }
+  }, [user, fetchResources]);
 
-  return { resources, loading, error, refetch: fetchResources };
+  return { resources, pagination, facets, loading, error, refetch: fetchResources };
 }
 
 // ===============================
@@ -118,14 +169,45 @@ function Browse() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { showToast } = useToast();
-  const { resources, loading, error, refetch } = useResources(user);
+  const [searchQuery, setSearchQuery] = useState("");
+  const debouncedSearch = useDebouncedValue(searchQuery);
+  const isSearching = debouncedSearch.trim() !== "";
+
+  // Filters hold ids; the server does the filtering and returns facet counts
+  const [selectedCourse, setSelectedCourse] = useState("");
+  const [selectedUnit, setSelectedUnit] = useState("");
+  const [selectedSubject, setSelectedSubject] = useState("");
+  const [selectedFaculty, setSelectedFaculty] = useState("");
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [yearFilter, setYearFilter] = useState("all");
+  const [sortBy, setSortBy] = useState("");
+  const [page, setPage] = useState(1);
+
+  const listQuery = new URLSearchParams(
+    Object.entries({
+      search: debouncedSearch.trim(),
+      course_id: selectedCourse === ENROLLED ? "" : selectedCourse,
+      enrolled: selectedCourse === ENROLLED ? "true" : "",
+      subject_id: selectedSubject,
+      unit_number: selectedUnit,
+      faculty_id: selectedFaculty,
+      resource_type: typeFilter === "all" ? "" : typeFilter,
+      start_year: yearFilter === "all" ? "" : yearFilter,
+      sort: sortBy,
+      page: String(page),
+      limit: String(PAGE_SIZE),
+    }).filter(([, value]) => value)
+  ).toString();
+
+  const { resources, pagination, facets, loading, error, refetch } = useResources(user, listQuery);
   const { setContextResource, clearContextResource } = useResourceContext();
 
   const [dbRole, setDbRole] = useState(null);
-  const [allFaculties, setAllFaculties] = useState([]);
   const [allCourses, setAllCourses] = useState([]);
   const [allSubjects, setAllSubjects] = useState([]);
   const [allUnits, setAllUnits] = useState([]);
+  const [enrollments, setEnrollments] = useState(null);
+  const courseTouched = useRef(false);
 
   useEffect(() => {
     async function fetchMe() {
@@ -149,21 +231,44 @@ function Browse() {
 
   const isAdmin = dbRole === "admin";
 
+  // Ids of the user's bookmarks, so each card can show its saved state
+  const [bookmarkedIds, setBookmarkedIds] = useState(() => new Set());
+
   useEffect(() => {
-    async function fetchData() {
+    async function fetchBookmarks() {
       try {
         const { data: sessionData } = await supabase.auth.getSession();
         const token = sessionData?.session?.access_token;
         if (!token) return;
-
-        // Fetch Faculties
-        const facRes = await fetch(`${API_BASE_URL}/faculty`, {
+        const res = await fetch(`${API_BASE_URL}/bookmarks/ids`, {
           headers: { Authorization: `Bearer ${token}` },
         });
-        if (facRes.ok) {
-          const result = await facRes.json();
-          setAllFaculties(result.data || []);
+        if (res.ok) {
+          const result = await res.json();
+          setBookmarkedIds(new Set(result.data || []));
         }
+      } catch (err) {
+        console.error("Failed to fetch bookmarks:", err);
+      }
+    }
+    if (user) fetchBookmarks();
+  }, [user]);
+
+  const handleBookmarkChange = (resourceId, saved) => {
+    setBookmarkedIds((prev) => {
+      const next = new Set(prev);
+      if (saved) next.add(resourceId);
+      else next.delete(resourceId);
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        const { data: sessionData } = await supabase.auth.getSession();
+        const token = sessionData?.session?.access_token;
+        if (!token) return;
 
         // Fetch Courses
         const courseRes = await fetch(`${API_BASE_URL}/courses`, {
@@ -191,6 +296,19 @@ function Browse() {
           const result = await unitRes.json();
           setAllUnits(result.data || []);
         }
+
+        // Enrolled courses and followed subjects; they are the default filter
+        const enrollRes = await fetch(`${API_BASE_URL}/enrollments`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        if (enrollRes.ok) {
+          const result = await enrollRes.json();
+          setEnrollments(result.data);
+          const { courses, subjects } = result.data;
+          if (!courseTouched.current && (courses.length > 0 || subjects.length > 0)) {
+            setSelectedCourse(ENROLLED);
+          }
+        }
       } catch (err) {
         console.error("Failed to fetch filters data:", err);
       }
@@ -271,111 +389,109 @@ function Browse() {
     }
   };
 
-  const [selectedCourse, setSelectedCourse] = useState("");
-  const [selectedUnit, setSelectedUnit] = useState("");
-  const [selectedSubject, setSelectedSubject] = useState("");
-  const [selectedFaculty, setSelectedFaculty] = useState("");
-  const [typeFilter, setTypeFilter] = useState("all");
-  const [yearFilter, setYearFilter] = useState("all");
-  const [searchQuery, setSearchQuery] = useState("");
+  const handleUnitDigest = async () => {
+    const unit = selectedUnitRow;
+    const title = `${unit.subject_name} · Unit ${unit.unit_number} (AY ${unit.start_year}-${unit.end_year})`;
+    setActiveSummary({ title, summary: null, heading: "AI Unit Digest" });
+    try {
+      const { data: sessionData } = await supabase.auth.getSession();
+      const token = sessionData?.session?.access_token;
+      // Built from the unit's resource summaries the first time, so it can take a while
+      const response = await fetch(`${API_BASE_URL}/units/${unit.id}/digest`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || "Failed to build the unit digest");
+      setActiveSummary({ title, summary: result.data.digest, heading: "AI Unit Digest" });
+    } catch (err) {
+      console.error("Unit digest failed:", err);
+      setActiveSummary(null);
+      showToast(err.message, "error");
+    }
+  };
 
   const [selectedResourceId, setSelectedResourceId] = useState(null);
   const [activeSummary, setActiveSummary] = useState(null); // { title: string, summary: string }
+  const [reviewsResource, setReviewsResource] = useState(null);
+  const [quizResource, setQuizResource] = useState(null);
 
-  // Combine all available courses with any mentioned in resources
-  const courses = Array.from(
-    new Set([
-      ...allCourses.map(c => c.name),
-      ...resources.map((r) => r.course_name)
-    ].filter(Boolean))
-  ).sort();
+  // Facet counts come from the server and ignore the facet's own selection,
+  // so every option shows how many results picking it would give
+  const facetCount = (facet, value) =>
+    facets[facet]?.find((f) => String(f.value) === String(value))?.count ?? 0;
 
-  // Derive unique subjects from taxonomy and resources
-  const subjects = Array.from(
-    new Set([
-      ...allSubjects
-        .filter(s => !selectedCourse || s.course_name === selectedCourse)
-        .map(s => s.name),
-      ...resources
-        .filter(r => !selectedCourse || r.course_name === selectedCourse)
-        .map(r => r.subject_name)
-    ].filter(Boolean))
-  ).sort();
-
-  // Derive units for selected subject from taxonomy and resources
-  const unitsForCourse = !selectedSubject ? [] : Array.from(
-    new Map(
-      [
-        ...allUnits
-          .filter(u => u.subject_name === selectedSubject)
-          .map(u => [u.unit_number, { unit_number: u.unit_number, unit_title: "" }]),
-        ...resources
-          .filter(r => r.unit_number && r.subject_name === selectedSubject)
-          .map(r => [r.unit_number, { unit_number: r.unit_number, unit_title: r.unit_title }])
-      ]
-    ).values()
-  ).sort((a, b) => a.unit_number - b.unit_number);
-
-  // Derive unique academic years
-  const academicYears = Array.from(
-    new Set(resources.map((r) => r.start_year).filter(Boolean))
-  ).sort((a, b) => b - a);
-
-  // Derive unique resource types
-  const resourceTypes = Array.from(
-    new Set(resources.map((r) => r.resource_type).filter(Boolean))
-  );
+  const withCount = (label, facet, value) =>
+    pagination ? `${label} (${facetCount(facet, value)})` : label;
 
-  // Derive unique faculty from resources (as fallback/active list)
-  const activeFacultiesFromResources = Array.from(
-    new Set(resources.map((r) => r.faculty_name).filter(Boolean))
-  ).sort();
+  const hasEnrollments = enrollments && (enrollments.courses.length > 0 || enrollments.subjects.length > 0);
+  const enrolledCourseIds = new Set(enrollments?.courses.map((c) => String(c.course_id)));
+  const followedSubjectIds = new Set(enrollments?.subjects.map((f) => String(f.subject_id)));
 
-  // Combine with full list from DB to ensure everyone shows up
-  const faculties = Array.from(
+  const inCourseFilter = (s) => {
+    if (!selectedCourse) return true;
+    if (selectedCourse === ENROLLED) {
+      return enrolledCourseIds.has(String(s.course_id)) || followedSubjectIds.has(String(s.id));
+    }
+    return String(s.course_id) === String(selectedCourse);
+  };
+
+  const courseOptions = [
+    { value: "", label: "All Courses" },
+    ...(hasEnrollments ? [{ value: ENROLLED, label: "My Courses & Subjects" }] : []),
+    ...[...allCourses]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((c) => ({ value: c.id, label: withCount(c.name, "course", c.id) })),
+  ];
+
+  const subjectOptions = [
+    { value: "", label: "All Subjects" },
+    ...allSubjects
+      .filter(inCourseFilter)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map((s) => ({ value: s.id, label: withCount(s.name, "subject", s.id) })),
+  ];
+
+  // Units of the selected subject from the taxonomy, plus any that only
+  // appear on resources
+  const selectedSubjectCode = allSubjects.find(
+    (s) => String(s.id) === String(selectedSubject)
+  )?.code;
+  const unitNumbers = !selectedSubject ? [] : Array.from(
     new Set([
-      ...allFaculties.map(f => f.full_name),
-      ...activeFacultiesFromResources
+      ...allUnits
+        .filter((u) => u.subject_code === selectedSubjectCode)
+        .map((u) => u.unit_number),
+      ...(facets.unit || []).map((u) => u.value),
     ])
-  ).sort();
+  ).sort((a, b) => a - b);
+
+  // The units row behind the selected unit: the chosen academic year's, else the latest
+  const selectedUnitRows = !selectedUnit ? [] : allUnits
+    .filter((u) => u.subject_code === selectedSubjectCode && String(u.unit_number) === String(selectedUnit))
+    .sort((a, b) => b.start_year - a.start_year);
+  const selectedUnitRow =
+    selectedUnitRows.find((u) => String(u.start_year) === String(yearFilter)) || selectedUnitRows[0];
+
+  const facultyOptions = [
+    { value: "", label: "All Faculty" },
+    ...(facets.faculty || []).map((f) => ({
+      value: f.value,
+      label: `${f.label} (${f.count})`,
+    })),
+  ];
 
-  // Helper to format options for CustomSelect
-  const formatOptions = (list, allLabel) => [
-    { value: "", label: allLabel },
-    ...list.map(item => ({ value: item, label: item }))
+  const sortOptions = [
+    { value: "", label: isSearching ? "Best Match" : "Newest First" },
+    ...(isSearching ? [{ value: "newest", label: "Newest First" }] : []),
+    { value: "downloads", label: "Most Downloaded" },
+    { value: "rating", label: "Top Rated" },
+    { value: "title", label: "Title (A-Z)" },
+    { value: "year", label: "Academic Year" },
   ];
 
-  // Filter resources
-  const filteredResources = resources
-    .filter((r) => {
-      if (!searchQuery.trim()) return true;
-      const q = searchQuery.toLowerCase().trim();
-      return (
-        (r.title && r.title.toLowerCase().includes(q)) ||
-        (r.description && r.description.toLowerCase().includes(q)) ||
-        (r.course_name && r.course_name.toLowerCase().includes(q)) ||
-        (r.subject_name && r.subject_name.toLowerCase().includes(q)) ||
-        (r.faculty_name && r.faculty_name.toLowerCase().includes(q)) ||
-        (r.resource_type && r.resource_type.toLowerCase().replace(/_/g, ' ').includes(q))
-      );
-    })
-    .filter(
-      (r) =>
-        selectedCourse === "" ||
-        r.course_name?.toLowerCase().trim() ===
-        selectedCourse.toLowerCase().trim()
-    )
-    .filter(
-      (r) =>
-        selectedUnit === "" || String(r.unit_number) === String(selectedUnit)
-    )
-    .filter((r) => !selectedSubject || r.subject_name === selectedSubject)
-    .filter((r) => !selectedFaculty || r.faculty_name === selectedFaculty)
-    .filter((r) => typeFilter === "all" || r.resource_type === typeFilter)
-    .filter(
-      (r) =>
-        yearFilter === "all" || String(r.start_year) === String(yearFilter)
-    );
+  const totalResults = pagination?.total ?? resources.length;
+  const totalPages = pagination?.total_pages ?? 1;
 
   const handleViewResource = async (resource) => {
     setSelectedResourceId(resource.id);
@@ -385,6 +501,13 @@ function Browse() {
       if (resource.content_type === "external_link") {
         const url = formatUrl(resource.external_url);
         window.open(url, "_blank", "noopener,noreferrer");
+
+        // Files are counted when their signed URL is issued; links are counted here
+        const { data: sessionData } = await supabase.auth.getSession();
+        fetch(`${API_BASE_URL}/resources/${resource.id}/view`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${sessionData?.session?.access_token}` },
+        }).catch((err) => console.error("Failed to record view:", err));
       } else {
         const { data: sessionData } = await supabase.auth.getSession();
         const token = sessionData?.session?.access_token;
@@ -419,7 +542,14 @@ function Browse() {
     return `https://${url}`;
   };
 
+  const handleSearchChange = (value) => {
+    setSearchQuery(value);
+    setPage(1);
+  };
+
   const handleCourseChange = (course) => {
+    courseTouched.current = true;
+    setPage(1);
     setSelectedCourse(course);
     setSelectedSubject("");
     setSelectedUnit("");
@@ -429,6 +559,7 @@ function Browse() {
   };
 
   const handleSubjectChange = (subject) => {
+    setPage(1);
     setSelectedSubject(subject);
     setSelectedUnit("");
     setSelectedFaculty("");
@@ -437,12 +568,24 @@ function Browse() {
   };
 
   const handleUnitChange = (unit) => {
+    setPage(1);
     setSelectedUnit(unit);
     setSelectedFaculty("");
     setTypeFilter("all");
     setYearFilter("all");
   };
 
+  // Other filters and the sort order just restart from the first page
+  const resetPageAnd = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handlePageChange = (nextPage) => {
+    setPage(nextPage);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
   return (
     <main className="browse-page">
       <div className="container">
@@ -467,9 +610,9 @@ function Browse() {
                 <input
                   type="text"
                   className="search-input"
-                  placeholder="Search by title, subject, or faculty..."
+                  placeholder="Search titles, subjects, or text inside documents..."
                   value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
+                  onChange={(e) => handleSearchChange(e.target.value)}
                 />
               </div>
             </div>
@@ -478,7 +621,7 @@ function Browse() {
               {/* Course Filter */}
               <FilterGroup label="Course">
                 <CustomSelect
-                  options={formatOptions(courses, "All Courses")}
+                  options={courseOptions}
                   value={selectedCourse}
                   onChange={handleCourseChange}
                   placeholder="All Courses"
@@ -488,7 +631,7 @@ function Browse() {
               {/* Subject Filter */}
               <FilterGroup label="Subject">
                 <CustomSelect
-                  options={formatOptions(subjects, "All Subjects")}
+                  options={subjectOptions}
                   value={selectedSubject}
                   onChange={handleSubjectChange}
                   placeholder="All Subjects"
@@ -500,9 +643,9 @@ function Browse() {
                 <CustomSelect
                   options={[
                     { value: "", label: selectedSubject ? "All Units" : "Select a subject first" },
-                    ...unitsForCourse.map((u) => ({
-                      value: u.unit_number,
-                      label: `Unit ${u.unit_number}${u.unit_title ? ': ' + u.unit_title : ''}`,
+                    ...unitNumbers.map((n) => ({
+                      value: n,
+                      label: withCount(`Unit ${n}`, "unit", n),
                     })),
                   ]}
                   value={selectedUnit}
@@ -515,9 +658,9 @@ function Browse() {
               {/* Faculty Filter */}
               <FilterGroup label="Faculty">
                 <CustomSelect
-                  options={formatOptions(faculties, "All Faculty")}
+                  options={facultyOptions}
                   value={selectedFaculty}
-                  onChange={setSelectedFaculty}
+                  onChange={resetPageAnd(setSelectedFaculty)}
                   placeholder="All Faculty"
                 />
               </FilterGroup>
@@ -527,14 +670,13 @@ function Browse() {
                 <CustomSelect
                   options={[
                     { value: "all", label: "All Types" },
-                    { value: "lecture_notes", label: "Lecture Notes" },
-                    { value: "question_paper", label: "Question Paper" },
-                    { value: "research_paper", label: "Research Paper" },
-                    { value: "project_material", label: "Project Material" },
-                    { value: "other", label: "Other" },
+                    ...RESOURCE_TYPE_OPTIONS.map((t) => ({
+                      value: t.value,
+                      label: withCount(t.label, "resource_type", t.value),
+                    })),
                   ]}
                   value={typeFilter}
-                  onChange={setTypeFilter}
+                  onChange={resetPageAnd(setTypeFilter)}
                   placeholder="All Types"
                 />
               </FilterGroup>
@@ -544,16 +686,26 @@ function Browse() {
                 <CustomSelect
                   options={[
                     { value: "all", label: "All Years" },
-                    ...academicYears.map((year) => ({
-                      value: String(year),
-                      label: `AY ${year}`,
+                    ...(facets.year || []).map((year) => ({
+                      value: String(year.value),
+                      label: `AY ${year.label} (${year.count})`,
                     })),
                   ]}
                   value={String(yearFilter)}
-                  onChange={setYearFilter}
+                  onChange={resetPageAnd(setYearFilter)}
                   placeholder="All Years"
                 />
               </FilterGroup>
+
+              {/* Sort Order */}
+              <FilterGroup label="Sort By">
+                <CustomSelect
+                  options={sortOptions}
+                  value={sortBy}
+                  onChange={resetPageAnd(setSortBy)}
+                  placeholder={sortOptions[0].label}
+                />
+              </FilterGroup>
             </div>
           </div>
         </section>
@@ -562,40 +714,49 @@ function Browse() {
         <section className="results-section">
           <div className="results-header">
             <h2>
-              {filteredResources.length}{" "}
-              {filteredResources.length === 1 ? "Resource" : "Resources"} Found
+              {totalResults}{" "}
+              {totalResults === 1 ? "Resource" : "Resources"} Found
             </h2>
-            {(selectedCourse ||
-              selectedSubject ||
-              selectedFaculty ||
-              typeFilter !== "all" ||
-              yearFilter !== "all") && (
-                <button
-                  className="clear-filters-button"
-                  onClick={() => {
-                    setSelectedCourse("");
-                    setSelectedUnit("");
-                    setSelectedSubject("");
-                    setSelectedFaculty("");
-                    setTypeFilter("all");
-                    setYearFilter("all");
-                  }}
-                >
-                  Clear Filters
+            <div className="results-actions">
+              {selectedUnitRow && (
+                <button className="clear-filters-button unit-digest-button" onClick={handleUnitDigest}>
+                  ✨ Unit Digest
                 </button>
               )}
+              {(selectedCourse ||
+                selectedSubject ||
+                selectedFaculty ||
+                typeFilter !== "all" ||
+                yearFilter !== "all") && (
+                  <button
+                    className="clear-filters-button"
+                    onClick={() => {
+                      courseTouched.current = true;
+                      setSelectedCourse("");
+                      setSelectedUnit("");
+                      setSelectedSubject("");
+                      setSelectedFaculty("");
+                      setTypeFilter("all");
+                      setYearFilter("all");
+                      setPage(1);
+                    }}
+                  >
+                    Clear Filters
+                  </button>
+                )}
+            </div>
           </div>
 
           {loading && <LoadingState />}
           {error && <ErrorState message={error} />}
 
-          {!loading && !error && filteredResources.length === 0 && (
-            <EmptyState hasFilters={selectedCourse || typeFilter !== "all"} />
+          {!loading && !error && resources.length === 0 && (
+            <EmptyState hasFilters={selectedCourse || typeFilter !== "all" || searchQuery.trim()} />
           )}
 
-          {!loading && !error && filteredResources.length > 0 && (
+          {!loading && !error && resources.length > 0 && (
             <div className="resource-grid">
-              {filteredResources.map((resource) => {
+              {resources.map((resource) => {
                 return (
                   <ResourceCard
                     key={resource.id}
@@ -606,6 +767,10 @@ function Browse() {
                     onEdit={() => navigate(`/edit-resource/${resource.id}`)}
                     onDelete={() => handleDelete(resource.id)}
                     onSummarize={() => handleSummarize(resource.id)}
+                    onReviews={() => setReviewsResource(resource)}
+                    onQuiz={() => setQuizResource(resource)}
+                    isBookmarked={bookmarkedIds.has(resource.id)}
+                    onBookmarkChange={handleBookmarkChange}
                     onViewSummary={(summary) => setActiveSummary({
                       title: resource.title,
                       summary: summary
@@ -615,6 +780,15 @@ function Browse() {
               })}
             </div>
           )}
+
+          {!error && totalPages > 1 && (
+            <Pagination
+              page={page}
+              totalPages={totalPages}
+              disabled={loading}
+              onChange={handlePageChange}
+            />
+          )}
         </section>
 
         {/* Global Floating Summary Board */}
@@ -626,7 +800,20 @@ function Browse() {
           }}
           title={activeSummary?.title}
           summary={activeSummary?.summary}
+          heading={activeSummary?.heading}
         />
+
+        {reviewsResource && (
+          <ReviewsModal
+            resource={reviewsResource}
+            onClose={() => setReviewsResource(null)}
+            onChanged={refetch}
+          />
+        )}
+
+        {quizResource && (
+          <QuizModal resource={quizResource} onClose={() => setQuizResource(null)} />
+        )}
       </div>
     </main>
   );
@@ -644,6 +831,30 @@ function FilterGroup({ label, children }) {
   );
 }
 
+function Pagination({ page, totalPages, disabled, onChange }) {
+  return (
+    <nav className="pagination" aria-label="Results pages">
+      <button
+        className="pagination-button"
+        disabled={disabled || page <= 1}
+        onClick={() => onChange(page - 1)}
+      >
+        ← Previous
+      </button>
+      <span className="pagination-status">
+        Page {page} of {totalPages}
+      </span>
+      <button
+        className="pagination-button"
+        disabled={disabled || page >= totalPages}
+        onClick={() => onChange(page + 1)}
+      >
+        Next →
+      </button>
+    </nav>
+  );
+}
+
 // ===============================
 // Resource Card
 // ===============================
@@ -656,9 +867,16 @@ function ResourceCard({
   onDelete,
   onSummarize,
   onViewSummary,
+  onReviews,
+  onQuiz,
+  isBookmarked,
+  onBookmarkChange,
+  onRemove,
+  removeLabel = "Remove",
 }) {
   const [isSummarizing, setIsSummarizing] = useState(false);
   const aiSummary = resource.ai_summary;
+  const ratingAvg = Number(resource.rating_avg) || 0;
 
   const handleSummarizeClick = async (e) => {
     e.stopPropagation();
@@ -676,7 +894,7 @@ function ResourceCard({
       ? "resource-badge--link"
       : "resource-badge--file";
   const contentTypeLabel =
-    resource.content_type === "external_link" ? "External Link" : "File";
+    resource.content_type === "external_link" ? "External Link" : formatLabel(resource);
 
   return (
     <article className={`card resource-card ${isSelected ? "selected" : ""} ${badgeClass ? `stripe-${resource.resource_type}` : ''}`}>
@@ -725,8 +943,20 @@ function ResourceCard({
         {resource.description || "No description provided."}
       </p>
 
+      {resource.thumbnail_url && (
+        <img className="resource-thumbnail" src={resource.thumbnail_url} alt="" loading="lazy" />
+      )}
+
+      {resource.search_snippet?.includes("<mark>") && (
+        <p className="resource-snippet">
+          {splitHighlights(resource.search_snippet).map((part, i) =>
+            part.highlighted ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>
+          )}
+        </p>
+      )}
+
       {/* AI Summary Section */}
-      {resource.content_type === "file" && resource.storage_path?.toLowerCase().endsWith(".pdf") && (
+      {canSummarize(resource) && (
         <div className="ai-summary-section">
           <div className="ai-summary-header">
             <h4 className="ai-summary-title">
@@ -737,7 +967,7 @@ function ResourceCard({
             </h4>
             
             <div className="ai-summary-actions">
-              {!aiSummary && (
+              {!aiSummary && onSummarize && (
                 <button 
                   className="summarize-button" 
                   onClick={handleSummarizeClick}
@@ -762,6 +992,16 @@ function ResourceCard({
                   View Snapshot
                 </button>
               )}
+
+              {onQuiz && (
+                <button 
+                  className="summarize-button" 
+                  onClick={(e) => { e.stopPropagation(); onQuiz(); }}
+                  title="Practice questions and flashcards from this resource"
+                >
+                  Practice Quiz
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -806,6 +1046,23 @@ function ResourceCard({
       </div>
 
       <footer className="resource-footer">
+        <button className="resource-rating" onClick={onReviews} title="See and write reviews">
+          <StarRating value={ratingAvg} size={14} />
+          {resource.rating_count > 0 ? (
+            <>
+              <span className="resource-rating-value">{ratingAvg.toFixed(1)}</span>
+              <span>({resource.rating_count} review{resource.rating_count === 1 ? "" : "s"})</span>
+            </>
+          ) : (
+            <span>No reviews yet · Rate it</span>
+          )}
+        </button>
+
+        <div className="resource-usage" title="Views and downloads (once per person per day)">
+          <span>👁 {resource.view_count ?? 0} views</span>
+          <span>⬇ {resource.download_count ?? 0} downloads</span>
+        </div>
+
         <div className="contributor-info">
           <span className="contributor-label">{contributorTypeFormatted}</span>
           {resource.contributor_is_verified ? (
@@ -832,6 +1089,23 @@ function ResourceCard({
             </svg>
           </button>
 
+          {onBookmarkChange && (
+            <SaveMenu
+              resourceId={resource.id}
+              isBookmarked={isBookmarked}
+              onBookmarkChange={onBookmarkChange}
+            />
+          )}
+
+          {onRemove && (
+            <button className="owner-action delete" onClick={onRemove} title={removeLabel}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="18" y1="6" x2="6" y2="18" />
+                <line x1="6" y1="6" x2="18" y2="18" />
+              </svg>
+            </button>
+          )}
+
           {canModify && (
             <div className="owner-menu">
               <button
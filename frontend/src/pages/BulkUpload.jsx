@@ -0,0 +1,512 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { supabase } from "../supabaseClient";
+import { useAuth } from "../auth/AuthContext";
+import { API_BASE_URL } from "../utils/api";
+import { ACCEPTED_FILE_EXTENSIONS } from "../utils/fileFormats";
+import { parseManifest, normalizeAcademicYear } from "../utils/manifest";
+import { uploadFileResumable, forgetUpload } from "../utils/resumableUpload";
+import "../styles/upload.css";
+import "../styles/bulk-upload.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+  });
+}
+
+async function openResource(id) {
+  const res = await authFetch(`/resources/signed-url/${id}`);
+  const json = await res.json().catch(() => ({}));
+  if (res.ok) window.open(json.signedUrl, "_blank", "noopener,noreferrer");
+}
+
+const RESOURCE_TYPES = [
+  { value: "lecture_notes", label: "Lecture Notes" },
+  { value: "question_paper", label: "Question Paper" },
+  { value: "research_paper", label: "Research Paper" },
+  { value: "project_material", label: "Project Material" },
+  { value: "other", label: "Other" },
+];
+
+const VISIBILITIES = [
+  { value: "public", label: "Public" },
+  { value: "private", label: "Verified users" },
+  { value: "faculty", label: "Faculty only" },
+];
+
+const MANIFEST_TEMPLATE =
+  "file,title,description,subject_code,academic_year,unit_number,resource_type,visibility\n" +
+  "unit1.pdf,Unit 1 Notes,Introduction and classical ciphers,CS501,2024-2025,1,lecture_notes,public\n";
+
+const EMPTY_DEFAULTS = { subject_code: "", academic_year: "", resource_type: "lecture_notes", visibility: "public" };
+
+let nextRowKey = 1;
+
+// "unit_1-notes.pdf" → "unit 1 notes"
+const titleFromFilename = (name) => name.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ").trim();
+
+function newRow(fields) {
+  return {
+    key: nextRowKey++,
+    file: null,
+    filename: "",
+    title: "",
+    description: "",
+    unit_number: "",
+    ...EMPTY_DEFAULTS,
+    status: "idle", // idle | invalid | uploading | uploaded | done | failed
+    error: "",
+    progress: 0,
+    uploadId: null,
+    resourceId: null,
+    duplicates: null, // resources that already have this exact file
+    allowDuplicate: false,
+    ...fields,
+  };
+}
+
+// The row as the bulk API expects it
+function toPayload(row) {
+  const [start_year, end_year] = row.academic_year.split("-").map((y) => parseInt(y, 10));
+  return {
+    title: row.title,
+    description: row.description,
+    subject_code: row.subject_code,
+    start_year,
+    end_year,
+    unit_number: row.unit_number ? parseInt(row.unit_number, 10) : null,
+    resource_type: row.resource_type,
+    visibility: row.visibility,
+    upload_id: row.uploadId,
+    allow_duplicate: row.allowDuplicate,
+  };
+}
+
+// Publish many files at once from a grid, optionally filled from a CSV/JSON manifest
+function BulkUpload() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [rows, setRows] = useState([]);
+  const [defaults, setDefaults] = useState(EMPTY_DEFAULTS);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState("");
+  const [summary, setSummary] = useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadYears() {
+      try {
+        const res = await authFetch("/academic-years");
+        const json = await res.json();
+        if (!cancelled) setAcademicYears(json.data ?? json);
+      } catch (err) {
+        console.error("Failed to load academic years:", err);
+      }
+    }
+
+    loadYears();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Stop uploading when leaving the page; unfinished files resume next time
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateRow = (key, changes) => {
+    setRows((prev) => prev.map((r) => (r.key === key ? { ...r, ...changes } : r)));
+  };
+
+  const editRow = (key, field, value) => {
+    updateRow(key, { [field]: value, status: "idle", error: "", duplicates: null });
+  };
+
+  const removeRow = (key) => setRows((prev) => prev.filter((r) => r.key !== key));
+
+  // Files fill manifest rows waiting for them by name; the rest get new rows
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList);
+    setRows((prev) => {
+      const next = [...prev];
+      for (const file of files) {
+        const waiting = next.findIndex((r) => !r.file && r.filename === file.name);
+        if (waiting !== -1) {
+          next[waiting] = { ...next[waiting], file, status: "idle", error: "" };
+        } else if (!next.some((r) => r.file?.name === file.name && r.file?.size === file.size)) {
+          next.push(newRow({ ...defaults, file, filename: file.name, title: titleFromFilename(file.name) }));
+        }
+      }
+      return next;
+    });
+  };
+
+  const handleManifest = async (file) => {
+    if (!file) return;
+    setError("");
+    try {
+      const manifestRows = parseManifest(await file.text(), file.name);
+      setRows((prev) => {
+        const next = [...prev];
+        for (const m of manifestRows) {
+          const fields = Object.fromEntries(Object.entries(m).filter(([k, v]) => v !== "" && k !== "file"));
+          const existing = next.findIndex((r) => r.filename === m.file);
+          if (existing !== -1) {
+            next[existing] = { ...next[existing], ...fields, status: "idle", error: "" };
+          } else {
+            next.push(newRow({ ...defaults, title: titleFromFilename(m.file || ""), ...fields, filename: m.file || "" }));
+          }
+        }
+        return next;
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applyDefaultsToAll = () => {
+    const filled = Object.fromEntries(Object.entries(defaults).filter(([, v]) => v));
+    setRows((prev) => prev.map((r) => (r.status === "done" ? r : { ...r, ...filled, status: "idle", error: "" })));
+  };
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([MANIFEST_TEMPLATE], { type: "text/csv" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "bulk-upload-manifest.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Validate → upload each valid file → create the resources; rows succeed or fail on their own
+  const handleSubmit = async () => {
+    const pending = rows.filter((r) => r.status !== "done");
+    if (pending.length === 0) return;
+
+    setRunning(true);
+    setError("");
+    setSummary(null);
+    abortRef.current = new AbortController();
+
+    try {
+      const missing = pending.filter((r) => !r.file && !r.uploadId);
+      missing.forEach((r) => updateRow(r.key, { status: "invalid", error: "Add the file named in the manifest" }));
+
+      const withFiles = pending.filter((r) => r.file || r.uploadId);
+      if (withFiles.length === 0) return;
+
+      const checkRes = await authFetch("/resources/bulk/validate", {
+        method: "POST",
+        body: JSON.stringify({ items: withFiles.map(toPayload) }),
+      });
+      const checkJson = await checkRes.json();
+      if (!checkRes.ok) throw new Error(checkJson.error || "Could not check the rows");
+
+      const valid = [];
+      checkJson.data.results.forEach((result, i) => {
+        const row = withFiles[i];
+        if (result.valid) valid.push(row);
+        else updateRow(row.key, { status: "invalid", error: result.error });
+      });
+
+      const uploaded = [];
+      for (const row of valid) {
+        if (row.uploadId) {
+          uploaded.push(row);
+          continue;
+        }
+        updateRow(row.key, { status: "uploading", error: "", progress: 0 });
+        try {
+          const uploadId = await uploadFileResumable(row.file, {
+            signal: abortRef.current.signal,
+            onProgress: (sent, total) => updateRow(row.key, { progress: Math.floor((sent / total) * 100) }),
+          });
+          updateRow(row.key, { status: "uploaded", uploadId });
+          uploaded.push({ ...row, uploadId });
+        } catch (err) {
+          if (err.name === "AbortError") throw err;
+          updateRow(row.key, { status: "failed", error: err.message });
+        }
+      }
+      if (uploaded.length === 0) return;
+
+      const res = await authFetch("/resources/bulk", {
+        method: "POST",
+        body: JSON.stringify({ items: uploaded.map(toPayload) }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Bulk upload failed");
+
+      json.data.results.forEach((result, i) => {
+        const row = uploaded[i];
+        if (result.success) {
+          if (row.file) forgetUpload(row.file);
+          updateRow(row.key, { status: "done", error: "", resourceId: result.resource.id });
+        } else {
+          updateRow(row.key, { status: "failed", error: result.error, duplicates: result.duplicates || null });
+        }
+      });
+      setSummary({ created: json.data.created, failed: pending.length - json.data.created });
+    } catch (err) {
+      if (err.name !== "AbortError") setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (user && !user.permissions?.includes("resource.bulk_upload")) {
+    return (
+      <div className="upload-page">
+        <div className="upload-card">
+          <header className="page-header-upload">
+            <h1 className="page-title">Bulk Upload</h1>
+            <p className="page-subtitle">
+              Bulk upload isn't available to your role. <Link to="/upload">Upload a single resource</Link> instead.
+            </p>
+          </header>
+        </div>
+      </div>
+    );
+  }
+
+  const remaining = rows.filter((r) => r.status !== "done").length;
+
+  return (
+    <div className="upload-page">
+      <div className="upload-card bulk-card">
+        <div style={{ padding: "0 0 1rem 0" }}>
+          <button className="back-button" onClick={() => navigate(-1)}>
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="19" y1="12" x2="5" y2="12"></line>
+              <polyline points="12 19 5 12 12 5"></polyline>
+            </svg>
+            Back
+          </button>
+        </div>
+        <header className="page-header-upload">
+          <h1 className="page-title">Bulk Upload</h1>
+          <p className="page-subtitle">
+            Publish a semester's notes and papers at once. Add the files, then fill in the grid or import a manifest.
+          </p>
+        </header>
+
+        <section className="form-section bulk-section">
+          <div className="bulk-sources">
+            <label className="bulk-drop">
+              <input
+                type="file"
+                multiple
+                accept={ACCEPTED_FILE_EXTENSIONS.join(",")}
+                onChange={(e) => {
+                  handleFiles(e.target.files);
+                  e.target.value = "";
+                }}
+                disabled={running}
+              />
+              <span className="bulk-drop-title">Add files</span>
+              <span className="bulk-drop-hint">Choose or drop several files at once</span>
+            </label>
+            <label className="bulk-drop">
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={(e) => {
+                  handleManifest(e.target.files[0]);
+                  e.target.value = "";
+                }}
+                disabled={running}
+              />
+              <span className="bulk-drop-title">Import manifest</span>
+              <span className="bulk-drop-hint">
+                CSV or JSON, one row per file.{" "}
+                <button type="button" className="bulk-link" onClick={(e) => { e.preventDefault(); downloadTemplate(); }}>
+                  Download a template
+                </button>
+              </span>
+            </label>
+          </div>
+
+          <div className="bulk-defaults">
+            <span className="bulk-defaults-label">Defaults for new rows</span>
+            <input
+              className="form-input"
+              placeholder="Subject code"
+              value={defaults.subject_code}
+              onChange={(e) => setDefaults({ ...defaults, subject_code: e.target.value.toUpperCase() })}
+            />
+            <select
+              className="form-select"
+              value={defaults.academic_year}
+              onChange={(e) => setDefaults({ ...defaults, academic_year: e.target.value })}
+            >
+              <option value="">Academic year</option>
+              {academicYears.map((y) => (
+                <option key={y.id} value={`${y.start_year}-${y.end_year}`}>{y.start_year} – {y.end_year}</option>
+              ))}
+            </select>
+            <select
+              className="form-select"
+              value={defaults.resource_type}
+              onChange={(e) => setDefaults({ ...defaults, resource_type: e.target.value })}
+            >
+              {RESOURCE_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+            <select
+              className="form-select"
+              value={defaults.visibility}
+              onChange={(e) => setDefaults({ ...defaults, visibility: e.target.value })}
+            >
+              {VISIBILITIES.map((v) => <option key={v.value} value={v.value}>{v.label}</option>)}
+            </select>
+            <button type="button" className="button-secondary bulk-apply" onClick={applyDefaultsToAll} disabled={running || rows.length === 0}>
+              Apply to all rows
+            </button>
+          </div>
+        </section>
+
+        {rows.length === 0 ? (
+          <p className="bulk-empty">No files yet. Add files or import a manifest to get started.</p>
+        ) : (
+          <div className="bulk-table-wrap">
+            <table className="bulk-table">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Title</th>
+                  <th>Description</th>
+                  <th>Subject</th>
+                  <th>Year</th>
+                  <th>Unit</th>
+                  <th>Type</th>
+                  <th>Visibility</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const locked = running || row.status === "done" || row.status === "uploaded";
+                  return (
+                    <tr key={row.key} className={`bulk-row bulk-row--${row.status}`}>
+                      <td className="bulk-file" title={row.filename}>
+                        {row.filename || "—"}
+                        {!row.file && !row.uploadId && <span className="bulk-missing">file not added</span>}
+                      </td>
+                      <td><input value={row.title} onChange={(e) => editRow(row.key, "title", e.target.value)} disabled={locked} /></td>
+                      <td><input value={row.description} onChange={(e) => editRow(row.key, "description", e.target.value)} disabled={locked} /></td>
+                      <td>
+                        <input
+                          className="bulk-narrow"
+                          value={row.subject_code}
+                          onChange={(e) => editRow(row.key, "subject_code", e.target.value.toUpperCase())}
+                          disabled={locked}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          className="bulk-narrow"
+                          value={row.academic_year}
+                          placeholder="2024-2025"
+                          onChange={(e) => editRow(row.key, "academic_year", e.target.value)}
+                          onBlur={(e) => editRow(row.key, "academic_year", normalizeAcademicYear(e.target.value))}
+                          disabled={locked}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          className="bulk-tiny"
+                          type="number"
+                          min="1"
+                          value={row.unit_number}
+                          onChange={(e) => editRow(row.key, "unit_number", e.target.value)}
+                          disabled={locked}
+                        />
+                      </td>
+                      <td>
+                        <select value={row.resource_type} onChange={(e) => editRow(row.key, "resource_type", e.target.value)} disabled={locked}>
+                          {RESOURCE_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+                        </select>
+                      </td>
+                      <td>
+                        <select value={row.visibility} onChange={(e) => editRow(row.key, "visibility", e.target.value)} disabled={locked}>
+                          {VISIBILITIES.map((v) => <option key={v.value} value={v.value}>{v.label}</option>)}
+                        </select>
+                      </td>
+                      <td className="bulk-status">
+                        {row.status === "idle" && "Ready"}
+                        {row.status === "uploading" && `Uploading ${row.progress}%`}
+                        {row.status === "uploaded" && "Uploaded"}
+                        {row.status === "done" && "✓ Published"}
+                        {(row.status === "invalid" || row.status === "failed") && (
+                          <span className="bulk-error">{row.error}</span>
+                        )}
+                        {row.status === "failed" && row.duplicates && (
+                          <div className="bulk-duplicates">
+                            {row.duplicates.map((d) => (
+                              <button type="button" key={d.id} className="bulk-duplicates-link" onClick={() => openResource(d.id)}>
+                                {d.title} ({d.subject_code})
+                              </button>
+                            ))}
+                            {!running && (
+                              <button
+                                type="button"
+                                className="bulk-duplicates-allow"
+                                onClick={() => updateRow(row.key, { status: "idle", error: "", duplicates: null, allowDuplicate: true })}
+                              >
+                                Upload anyway
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                      <td>
+                        {row.status !== "done" && !running && (
+                          <button type="button" className="bulk-remove" onClick={() => removeRow(row.key)} aria-label="Remove row">✕</button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {summary && (
+          <p className="bulk-summary">
+            {summary.created} resource{summary.created === 1 ? "" : "s"} published
+            {summary.failed > 0 && `, ${summary.failed} need${summary.failed === 1 ? "s" : ""} attention — fix the rows marked in red and upload again`}.
+            {" "}<Link to="/my-resources">View My Resources</Link>
+          </p>
+        )}
+
+        {error && (
+          <div className="error-banner">
+            <span>⚠️ {error}</span>
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button className="button-secondary" type="button" onClick={() => navigate("/my-resources")} disabled={running}>
+            {remaining === 0 && rows.length > 0 ? "Done" : "Cancel"}
+          </button>
+          <button className="button-primary" type="button" onClick={handleSubmit} disabled={running || remaining === 0}>
+            {running ? (
+              <><span className="spinner" /><span>Uploading…</span></>
+            ) : (
+              `Upload ${remaining} file${remaining === 1 ? "" : "s"}`
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BulkUpload;
@@ -136,7 +136,7 @@ function FacultyProfile() {
     );
   }
 
-  const isOwner = user?.id === faculty.id || user?.role === "admin";
+  const isOwner = user?.id === faculty.id || !!user?.permissions?.includes("faculty.manage");
   const isInitialized = (faculty.education && faculty.education.trim() !== '') || 
                         (faculty.research_interests && faculty.research_interests.trim() !== '');
 
@@ -31,6 +31,7 @@ function useLatestResources(user) {
   const [resources, setResources] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [fromEnrollments, setFromEnrollments] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -48,8 +49,8 @@ function useLatestResources(user) {
       return;
     }
 
-    try {
-      const response = await fetch(`${API_BASE_URL}/resources`, {
+    const fetchLatest = async (query) => {
+      const response = await fetch(`${API_BASE_URL}/resources?sort=newest&limit=3${query}`, {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -60,13 +61,15 @@ function useLatestResources(user) {
       }
 
       const result = await response.json();
+      return result.data || [];
+    };
 
-      // Get latest 3 resources sorted by created_at DESC
-      const latest = result.data
-        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-        .slice(0, 3);
-
-      setResources(latest);
+    try {
+      // The latest 3 resources, newest first, from the user's enrolled courses
+      // and followed subjects; everything when those have nothing yet
+      const enrolled = await fetchLatest("&enrolled=true");
+      setFromEnrollments(enrolled.length > 0);
+      setResources(enrolled.length > 0 ? enrolled : await fetchLatest(""));
     } catch (err) {
       console.error("Error fetching resources:", err);
       setError(err.message);
@@ -75,7 +78,7 @@ function useLatestResources(user) {
     }
   };
 
-  return { resources, loading, error };
+  return { resources, loading, error, fromEnrollments };
 }
 
 function useLatestFaculty(user) {
@@ -129,7 +132,7 @@ function useLatestFaculty(user) {
 function Home() {
   const { user } = useAuth();
   const { showToast } = useToast();
-  const { resources, loading, error } = useLatestResources(user);
+  const { resources, loading, error, fromEnrollments } = useLatestResources(user);
   const { faculty, loading: facultyLoading, error: facultyError } = useLatestFaculty(user);
   const [selectedResourceId, setSelectedResourceId] = useState(null);
   const [hasProfile, setHasProfile] = useState(true);
@@ -211,9 +214,11 @@ function Home() {
 
         {/* Latest Resources Section */}
         <section className="resources-section">
-          <h2>Latest Resources</h2>
+          <h2>{fromEnrollments ? "Latest in Your Courses" : "Latest Resources"}</h2>
           <p className="text-muted">
-            Recently added academic materials from our community
+            {fromEnrollments
+              ? "Recently added materials in the courses and subjects you follow"
+              : "Recently added academic materials from our community"}
           </p>
 
           {loading && <LoadingState />}
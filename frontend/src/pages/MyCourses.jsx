@@ -0,0 +1,256 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { useAuth } from "../auth/AuthContext";
+import { useToast } from "../context/ToastContext";
+import CustomSelect from "../components/CustomSelect";
+import { API_BASE_URL } from "../utils/api";
+import "../styles/browse.css";
+import "../styles/my-courses.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+// Every change returns the user's updated { courses, subjects }
+async function changeEnrollments(path, method, body) {
+  const res = await authFetch(`/enrollments${path}`, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.error || "Could not update your enrollments");
+  return json.data;
+}
+
+function MyCourses() {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const [enrollments, setEnrollments] = useState(null);
+  const [allCourses, setAllCourses] = useState([]);
+  const [allSubjects, setAllSubjects] = useState([]);
+  const [offerings, setOfferings] = useState([]);
+  const [courseToAdd, setCourseToAdd] = useState("");
+  const [subjectToFollow, setSubjectToFollow] = useState("");
+  const [offeringToFollow, setOfferingToFollow] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    async function load() {
+      try {
+        const [enrollRes, courseRes, subjectRes] = await Promise.all([
+          authFetch("/enrollments"),
+          authFetch("/courses"),
+          authFetch("/subjects"),
+        ]);
+        if (cancelled) return;
+        if (enrollRes.ok) setEnrollments((await enrollRes.json()).data);
+        if (courseRes.ok) setAllCourses((await courseRes.json()).data || []);
+        if (subjectRes.ok) setAllSubjects((await subjectRes.json()).data || []);
+      } catch (err) {
+        console.error("Failed to load enrollments:", err);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  // The academic years the picked subject runs in, to follow just one
+  useEffect(() => {
+    if (!subjectToFollow) return;
+    let cancelled = false;
+
+    async function loadOfferings() {
+      try {
+        const res = await authFetch(`/enrollments/offerings?subject_id=${subjectToFollow}`);
+        if (res.ok && !cancelled) setOfferings((await res.json()).data || []);
+      } catch (err) {
+        console.error("Failed to load offerings:", err);
+      }
+    }
+
+    loadOfferings();
+    return () => {
+      cancelled = true;
+    };
+  }, [subjectToFollow]);
+
+  const run = async (path, method, body, successMessage) => {
+    setSaving(true);
+    try {
+      setEnrollments(await changeEnrollments(path, method, body));
+      if (successMessage) showToast(successMessage, "success");
+      return true;
+    } catch (err) {
+      showToast(err.message, "error");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnroll = async () => {
+    const course = allCourses.find((c) => c.id === courseToAdd);
+    if (await run(`/courses/${courseToAdd}`, "PUT", {}, `Enrolled in ${course?.name}.`)) setCourseToAdd("");
+  };
+
+  const handleFollow = async () => {
+    const subject = allSubjects.find((s) => s.id === subjectToFollow);
+    const body = { subject_id: subjectToFollow, subject_offering_id: offeringToFollow || null };
+    if (await run("/subjects", "POST", body, `Following ${subject?.name}.`)) {
+      setSubjectToFollow("");
+      setOfferingToFollow("");
+      setOfferings([]);
+    }
+  };
+
+  const handleSubjectPick = (id) => {
+    setSubjectToFollow(id);
+    setOfferingToFollow("");
+    setOfferings([]);
+  };
+
+  const courses = enrollments?.courses || [];
+  const follows = enrollments?.subjects || [];
+  const enrolledIds = new Set(courses.map((c) => c.course_id));
+
+  const courseOptions = allCourses
+    .filter((c) => !enrolledIds.has(c.id))
+    .map((c) => ({ value: c.id, label: `${c.name} (${c.code})` }));
+
+  const subjectOptions = allSubjects.map((s) => ({ value: s.id, label: `${s.name} (${s.code}) · ${s.course_name}` }));
+
+  const offeringOptions = [
+    { value: "", label: "Every academic year" },
+    ...offerings.map((o) => ({
+      value: o.id,
+      label: `AY ${o.start_year}-${o.end_year}${o.faculty_name ? ` · ${o.faculty_name}` : ""}`,
+    })),
+  ];
+
+  return (
+    <main className="browse-page">
+      <div className="container">
+        <header className="page-header">
+          <h1>My Courses</h1>
+          <p className="page-subtitle">
+            Courses you take and subjects you follow. New uploads to them are notified to you and shown first in Browse and on Home.
+          </p>
+        </header>
+
+        {!enrollments ? (
+          <div className="mc-loading">Loading your courses…</div>
+        ) : (
+          <div className="mc-layout">
+            <section className="card mc-panel">
+              <h2>Courses</h2>
+              {courses.length === 0 && <p className="mc-empty">You aren't enrolled in any course yet.</p>}
+              <ul className="mc-list">
+                {courses.map((c) => (
+                  <li key={c.course_id} className="mc-item">
+                    <div className="mc-item-info">
+                      <strong>{c.name}</strong>
+                      <span className="mc-item-meta">
+                        {c.code}
+                        {c.degree_type ? ` · ${c.degree_type}` : ""}
+                      </span>
+                    </div>
+                    {c.is_primary ? (
+                      <span className="mc-badge">Main course</span>
+                    ) : (
+                      <button
+                        className="mc-btn"
+                        disabled={saving}
+                        onClick={() => run(`/courses/${c.course_id}`, "PUT", { primary: true }, `${c.name} is now your main course.`)}
+                      >
+                        Make main
+                      </button>
+                    )}
+                    <button
+                      className="mc-btn mc-btn--danger"
+                      disabled={saving}
+                      onClick={() => run(`/courses/${c.course_id}`, "DELETE", null, `Left ${c.name}.`)}
+                    >
+                      Leave
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="mc-add">
+                <CustomSelect
+                  options={courseOptions}
+                  value={courseToAdd}
+                  onChange={setCourseToAdd}
+                  placeholder="Add a minor or elective course…"
+                  disabled={courseOptions.length === 0}
+                />
+                <button className="mc-btn mc-btn--primary" disabled={saving || !courseToAdd} onClick={handleEnroll}>
+                  Enroll
+                </button>
+              </div>
+            </section>
+
+            <section className="card mc-panel">
+              <h2>Followed subjects</h2>
+              {follows.length === 0 && (
+                <p className="mc-empty">Follow single subjects from other courses, e.g. electives you take.</p>
+              )}
+              <ul className="mc-list">
+                {follows.map((f) => (
+                  <li key={f.id} className="mc-item">
+                    <div className="mc-item-info">
+                      <strong>{f.subject_name}</strong>
+                      <span className="mc-item-meta">
+                        {f.subject_code}
+                        {f.course_name ? ` · ${f.course_name}` : ""}
+                        {f.subject_offering_id
+                          ? ` · AY ${f.start_year}-${f.end_year}${f.faculty_name ? ` (${f.faculty_name})` : ""}`
+                          : " · every academic year"}
+                      </span>
+                    </div>
+                    <button
+                      className="mc-btn mc-btn--danger"
+                      disabled={saving}
+                      onClick={() => run(`/subjects/${f.id}`, "DELETE", null, `Stopped following ${f.subject_name}.`)}
+                    >
+                      Unfollow
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="mc-add">
+                <CustomSelect
+                  options={subjectOptions}
+                  value={subjectToFollow}
+                  onChange={handleSubjectPick}
+                  placeholder="Pick a subject…"
+                />
+                {subjectToFollow && (
+                  <CustomSelect options={offeringOptions} value={offeringToFollow} onChange={setOfferingToFollow} />
+                )}
+                <button className="mc-btn mc-btn--primary" disabled={saving || !subjectToFollow} onClick={handleFollow}>
+                  Follow
+                </button>
+              </div>
+            </section>
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default MyCourses;
@@ -5,7 +5,10 @@ import { useAuth } from "../auth/AuthContext";
 import { useToast } from "../context/ToastContext";
 import { LoadingState, ErrorState, EmptyState } from "./Browse";
 import SummaryModal from "../components/SummaryModal";
+import VersionHistoryModal from "../components/VersionHistoryModal";
+import ImpactPanel from "../components/ImpactPanel";
 import { API_BASE_URL } from "../utils/api";
+import { canSummarize, formatLabel } from "../utils/fileFormats";
 import "../styles/browse.css";
 import "../styles/my-resources.css";
 import "../styles/my-resources-admin.css";
@@ -41,6 +44,13 @@ const typeClassMap = {
   other: "resource-badge--grey",
 };
 
+// Badge shown for anything not yet approved
+const REVIEW_BADGES = {
+  pending: { className: "resource-badge--unverified", label: "Pending Review", title: "Pending admin verification" },
+  changes_requested: { className: "resource-badge--changes", label: "Changes Requested", title: "An admin asked for changes" },
+  rejected: { className: "resource-badge--rejected", label: "Rejected", title: "Rejected by an admin" },
+};
+
 const getResourceTypeDisplay = (type) => {
   const config = RESOURCE_TYPE_CONFIG[type];
   if (config) return config;
@@ -111,6 +121,8 @@ function MyResources() {
   const [deletingId, setDeletingId] = useState(null);
   const [deleteError, setDeleteError] = useState("");
   const [activeSummary, setActiveSummary] = useState(null); // { title: string, summary: string }
+  const [historyResource, setHistoryResource] = useState(null);
+  const [resubmittingId, setResubmittingId] = useState(null);
 
   const handleView = async (resource) => {
     try {
@@ -167,6 +179,33 @@ function MyResources() {
     }
   };
 
+  const handleResubmit = async (id, note) => {
+    setResubmittingId(id);
+    try {
+      const token = await getToken();
+      const res = await fetch(`${API_BASE_URL}/resources/${id}/resubmit`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ note }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `Resubmit failed (${res.status})`);
+
+      showToast("Resubmitted for review.", "success");
+      await refetch();
+      return true;
+    } catch (err) {
+      console.error("Resubmit error:", err);
+      showToast(err.message, "error");
+      return false;
+    } finally {
+      setResubmittingId(null);
+    }
+  };
+
   const handleSummarize = async (resourceId) => {
     try {
       const { data: sessionData } = await supabase.auth.getSession();
@@ -231,6 +270,8 @@ function MyResources() {
           <p className="page-subtitle">Manage the resources you have contributed</p>
         </header>
 
+        {resources.length > 0 && <ImpactPanel />}
+
         {deleteError && (
           <div className="delete-error-banner">
             ⚠️ {deleteError}
@@ -262,7 +303,11 @@ function MyResources() {
                   isDeleting={deletingId === resource.id}
                   isConfirming={confirmingId === resource.id}
                   onView={() => handleView(resource)}
+                  onViewDuplicate={(other) => handleView({ id: other.id, content_type: "file" })}
                   onEdit={() => navigate(`/edit-resource/${resource.id}`)}
+                  onHistory={() => setHistoryResource(resource)}
+                  isResubmitting={resubmittingId === resource.id}
+                  onResubmit={(note) => handleResubmit(resource.id, note)}
                   onDeleteClick={() => handleDeleteClick(resource.id)}
                   onDeleteConfirm={() => handleDeleteConfirm(resource.id)}
                   onDeleteCancel={() => setConfirmingId(null)}
@@ -284,6 +329,14 @@ function MyResources() {
           title={activeSummary?.title}
           summary={activeSummary?.summary}
         />
+
+        {historyResource && (
+          <VersionHistoryModal
+            resource={historyResource}
+            onClose={() => setHistoryResource(null)}
+            onRestored={() => refetch()}
+          />
+        )}
       </div>
     </main>
   );
@@ -294,7 +347,11 @@ function MyResourceCard({
   isDeleting,
   isConfirming,
   onView,
+  onViewDuplicate,
   onEdit,
+  onHistory,
+  isResubmitting,
+  onResubmit,
   onDeleteClick,
   onDeleteConfirm,
   onDeleteCancel,
@@ -302,7 +359,11 @@ function MyResourceCard({
   onViewSummary,
 }) {
   const [isSummarizing, setIsSummarizing] = useState(false);
+  const [showResubmit, setShowResubmit] = useState(false);
+  const [resubmitNote, setResubmitNote] = useState("");
   const aiSummary = resource.ai_summary;
+  const reviewBadge = !resource.is_verified && (REVIEW_BADGES[resource.review_status] || REVIEW_BADGES.pending);
+  const needsChanges = resource.review_status === "changes_requested";
 
   const handleSummarizeClick = async (e) => {
     e.stopPropagation();
@@ -311,6 +372,14 @@ function MyResourceCard({
     setIsSummarizing(false);
   };
 
+  const handleResubmitClick = async () => {
+    const ok = await onResubmit(resubmitNote.trim());
+    if (ok) {
+      setShowResubmit(false);
+      setResubmitNote("");
+    }
+  };
+
   const resourceType = getResourceTypeDisplay(resource.resource_type);
   const badgeClass = typeClassMap[resource.resource_type] || "";
   const contentTypeClass =
@@ -318,7 +387,7 @@ function MyResourceCard({
       ? "resource-badge--link"
       : "resource-badge--file";
   const contentTypeLabel =
-    resource.content_type === "external_link" ? "External Link" : "File";
+    resource.content_type === "external_link" ? "External Link" : formatLabel(resource);
 
   return (
     <article className={`card resource-card ${isDeleting ? "card--deleting" : ""} ${badgeClass ? `stripe-${resource.resource_type}` : ''}`}>
@@ -350,23 +419,86 @@ function MyResourceCard({
           </div>
         </div>
 
-        {!resource.is_verified && (
+        {reviewBadge && (
           <span
-            className="resource-badge resource-badge--unverified"
-            title="Pending admin verification"
+            className={`resource-badge ${reviewBadge.className}`}
+            title={reviewBadge.title}
           >
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" style={{ marginRight: '4px' }}>
               <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0zM12 9v4M12 17h.01" />
             </svg>
-            Unverified
+            {reviewBadge.label}
           </span>
         )}
       </header>
 
       <p className="resource-description">{resource.description || "No description provided."}</p>
 
+      {resource.thumbnail_url && (
+        <img className="resource-thumbnail" src={resource.thumbnail_url} alt="" loading="lazy" />
+      )}
+
+      {resource.preview_status === "pending" && (
+        <p className="resource-preview-note">Preparing a preview of this file…</p>
+      )}
+      {resource.preview_status === "failed" && (
+        <p className="resource-preview-note resource-preview-note--failed">
+          We couldn't prepare a preview of this file, so AI summaries aren't available for it.
+        </p>
+      )}
+
+      {resource.possible_duplicates?.length > 0 && (
+        <div className="resource-duplicate-note">
+          <strong>{resource.possible_duplicates.some((d) => d.match_type === "exact") ? "Same file as:" : "Very similar to:"}</strong>{" "}
+          {resource.possible_duplicates.map((other, i) => (
+            <span key={other.id}>
+              {i > 0 && ", "}
+              <button type="button" className="resource-duplicate-link" onClick={() => onViewDuplicate(other)}>
+                {other.title}
+              </button>
+            </span>
+          ))}
+          . An admin may merge these or keep both.
+        </div>
+      )}
+
+      <div className="resource-usage" title="Views and downloads by others (once per person per day)">
+        <span>👁 {resource.view_count ?? 0} views</span>
+        <span>⬇ {resource.download_count ?? 0} downloads</span>
+      </div>
+
+      {/* Admin feedback for rejected / sent-back uploads */}
+      {(needsChanges || resource.review_status === "rejected") && resource.review_reason && (
+        <div className={`review-feedback review-feedback--${resource.review_status}`}>
+          <strong>{needsChanges ? "Changes requested:" : "Rejection reason:"}</strong> {resource.review_reason}
+          {needsChanges && !showResubmit && (
+            <button className="review-feedback-action" onClick={() => setShowResubmit(true)}>
+              Edit the resource, then resubmit it for review →
+            </button>
+          )}
+        </div>
+      )}
+
+      {needsChanges && showResubmit && (
+        <div className="review-resubmit">
+          <textarea
+            className="review-resubmit-note"
+            rows={2}
+            placeholder="What did you change? (optional)"
+            value={resubmitNote}
+            onChange={(e) => setResubmitNote(e.target.value)}
+          />
+          <div className="delete-confirm-actions">
+            <button className="btn-confirm-resubmit" onClick={handleResubmitClick} disabled={isResubmitting}>
+              {isResubmitting ? "Resubmitting…" : "Resubmit for Review"}
+            </button>
+            <button className="btn-cancel-delete" onClick={() => setShowResubmit(false)} disabled={isResubmitting}>Cancel</button>
+          </div>
+        </div>
+      )}
+
       {/* AI Summary Section */}
-      {resource.content_type === "file" && resource.storage_path?.toLowerCase().endsWith(".pdf") && (
+      {canSummarize(resource) && (
         <div className="ai-summary-section">
           <div className="ai-summary-header">
             <h4 className="ai-summary-title">
@@ -476,6 +608,14 @@ function MyResourceCard({
               </svg>
               Edit
             </button>
+            <button className="mr-btn mr-btn--history" onClick={onHistory} disabled={isDeleting}>
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M3 12a9 9 0 1 0 3-6.7L3 8" />
+                <polyline points="3 3 3 8 8 8" />
+                <polyline points="12 7 12 12 15 15" />
+              </svg>
+              History
+            </button>
             <button className="mr-btn mr-btn--delete" onClick={onDeleteClick} disabled={isDeleting}>
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
                 <polyline points="3 6 5 6 21 6" />
@@ -0,0 +1,390 @@
+import { useState, useEffect } from "react";
+import { supabase } from "../supabaseClient";
+import { useAuth } from "../auth/AuthContext";
+import { useToast } from "../context/ToastContext";
+import { ResourceCard, LoadingState, ErrorState } from "./Browse";
+import SummaryModal from "../components/SummaryModal";
+import ReviewsModal from "../components/ReviewsModal";
+import QuizModal from "../components/QuizModal";
+import { API_BASE_URL } from "../utils/api";
+import "../styles/browse.css";
+import "../styles/saved.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+}
+
+const shareLink = (token) => `${window.location.origin}/collections/shared/${token}`;
+
+const formatUrl = (url) => {
+  if (!url) return "#";
+  if (url.startsWith("http://") || url.startsWith("https://")) return url;
+  return `https://${url}`;
+};
+
+// Opens a resource the same way the Browse page does
+async function openResource(resource) {
+  if (resource.content_type === "external_link") {
+    window.open(formatUrl(resource.external_url), "_blank", "noopener,noreferrer");
+    authFetch(`/resources/${resource.id}/view`, { method: "POST" }).catch((err) => console.error("Failed to record view:", err));
+    return;
+  }
+  const res = await authFetch(`/resources/signed-url/${resource.id}`);
+  if (!res.ok) throw new Error("Failed to fetch signed URL");
+  const data = await res.json();
+  window.open(data.signedUrl, "_blank", "noopener,noreferrer");
+}
+
+function Saved() {
+  const { user } = useAuth();
+  const { showToast } = useToast();
+  const [collections, setCollections] = useState([]);
+  const [activeId, setActiveId] = useState("all");
+  const [detail, setDetail] = useState(null);
+  const [bookmarkedIds, setBookmarkedIds] = useState(() => new Set());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [reloadKey, setReloadKey] = useState(0);
+  const [activeSummary, setActiveSummary] = useState(null);
+  const [reviewsResource, setReviewsResource] = useState(null);
+  const [quizResource, setQuizResource] = useState(null);
+
+  const [newName, setNewName] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [editName, setEditName] = useState("");
+  const [editDescription, setEditDescription] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const reload = () => setReloadKey((k) => k + 1);
+
+  // Sidebar list of collections and the bookmark ids for the save buttons
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    async function loadCollections() {
+      try {
+        const [colRes, idsRes] = await Promise.all([authFetch("/collections"), authFetch("/bookmarks/ids")]);
+        const colJson = await colRes.json();
+        const idsJson = await idsRes.json();
+        if (!cancelled && colRes.ok) setCollections(colJson.data || []);
+        if (!cancelled && idsRes.ok) setBookmarkedIds(new Set(idsJson.data || []));
+      } catch (err) {
+        console.error("Failed to load collections:", err);
+      }
+    }
+
+    loadCollections();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, reloadKey]);
+
+  // Items of "All saved" or of the selected collection
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    async function loadItems() {
+      try {
+        const res = await authFetch(activeId === "all" ? "/bookmarks" : `/collections/${activeId}`);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+        if (!cancelled) {
+          setDetail(activeId === "all" ? { items: json.data, hidden_count: json.hidden_count } : json.data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadItems();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, activeId, reloadKey]);
+
+  const selectCollection = (id) => {
+    if (id === activeId) return;
+    setLoading(true);
+    setEditing(false);
+    setActiveId(id);
+  };
+
+  const handleView = async (resource) => {
+    try {
+      await openResource(resource);
+    } catch (err) {
+      console.error("View failed", err);
+      showToast("Unable to open resource. Please try again.", "error");
+    }
+  };
+
+  const handleBookmarkChange = (resourceId, saved) => {
+    setBookmarkedIds((prev) => {
+      const next = new Set(prev);
+      if (saved) next.add(resourceId);
+      else next.delete(resourceId);
+      return next;
+    });
+    reload();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      const res = await authFetch("/collections", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: newName.trim() }),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not create collection");
+      setNewName("");
+      reload();
+      selectCollection(json.data.id);
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const updateCollection = async (changes, successMessage) => {
+    setSaving(true);
+    try {
+      const res = await authFetch(`/collections/${activeId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      const json = await res.json();
+      if (!res.ok) throw new Error(json.error || "Could not update collection");
+      if (successMessage) showToast(successMessage, "success");
+      setEditing(false);
+      reload();
+    } catch (err) {
+      showToast(err.message, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteCollection = async () => {
+    if (!window.confirm(`Delete the collection "${detail.name}"? The resources stay in your saved list.`)) return;
+    try {
+      const res = await authFetch(`/collections/${activeId}`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || "Could not delete collection");
+      showToast("Collection deleted.", "success");
+      setLoading(true);
+      setActiveId("all");
+      reload();
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const handleRemoveItem = async (resource) => {
+    try {
+      const res = await authFetch(`/collections/${activeId}/items/${resource.id}`, { method: "DELETE" });
+      if (!res.ok) throw new Error((await res.json()).error || "Could not remove resource");
+      reload();
+    } catch (err) {
+      showToast(err.message, "error");
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink(detail.share_token));
+      showToast("Link copied to clipboard.", "success");
+    } catch {
+      showToast("Could not copy the link.", "error");
+    }
+  };
+
+  const startEditing = () => {
+    setEditName(detail.name);
+    setEditDescription(detail.description || "");
+    setEditing(true);
+  };
+
+  const isCollection = activeId !== "all";
+  const items = detail?.items || [];
+
+  return (
+    <main className="browse-page">
+      <div className="container">
+        <header className="page-header">
+          <h1>Saved</h1>
+          <p className="page-subtitle">Resources you bookmarked, grouped into your own collections</p>
+        </header>
+
+        <div className="saved-layout">
+          {/* Collections list */}
+          <aside className="card saved-sidebar">
+            <button
+              className={`saved-nav-item ${activeId === "all" ? "saved-nav-item--active" : ""}`}
+              onClick={() => selectCollection("all")}
+            >
+              <span>🔖 All saved</span>
+              <span className="saved-nav-count">{bookmarkedIds.size}</span>
+            </button>
+
+            <p className="saved-sidebar-title">Collections</p>
+            {collections.length === 0 && <p className="saved-sidebar-empty">No collections yet.</p>}
+            {collections.map((c) => (
+              <button
+                key={c.id}
+                className={`saved-nav-item ${activeId === c.id ? "saved-nav-item--active" : ""}`}
+                onClick={() => selectCollection(c.id)}
+              >
+                <span>
+                  {c.name}
+                  {c.is_shared && <span title="Shared by link"> 🔗</span>}
+                </span>
+                <span className="saved-nav-count">{c.item_count}</span>
+              </button>
+            ))}
+
+            <form className="saved-new" onSubmit={handleCreate}>
+              <input
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="New collection name"
+                maxLength={80}
+              />
+              <button type="submit" disabled={!newName.trim()}>Create</button>
+            </form>
+          </aside>
+
+          <section className="saved-main">
+            {/* Collection header: rename, share, delete */}
+            {isCollection && detail && !loading && !error && (
+              <div className="card saved-collection-head">
+                {editing ? (
+                  <form
+                    className="saved-edit"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      updateCollection({ name: editName.trim(), description: editDescription.trim() || null });
+                    }}
+                  >
+                    <input value={editName} onChange={(e) => setEditName(e.target.value)} maxLength={80} required />
+                    <textarea
+                      rows={2}
+                      value={editDescription}
+                      onChange={(e) => setEditDescription(e.target.value)}
+                      placeholder="Description (optional)"
+                      maxLength={500}
+                    />
+                    <div className="saved-edit-actions">
+                      <button type="submit" className="saved-btn saved-btn--primary" disabled={saving || !editName.trim()}>
+                        {saving ? "Saving…" : "Save"}
+                      </button>
+                      <button type="button" className="saved-btn" onClick={() => setEditing(false)}>Cancel</button>
+                    </div>
+                  </form>
+                ) : (
+                  <>
+                    <div className="saved-collection-info">
+                      <h2>{detail.name}</h2>
+                      {detail.description && <p>{detail.description}</p>}
+                    </div>
+                    <div className="saved-collection-actions">
+                      <button className="saved-btn" onClick={startEditing}>Rename</button>
+                      <button
+                        className="saved-btn"
+                        disabled={saving}
+                        onClick={() =>
+                          updateCollection(
+                            { is_shared: !detail.is_shared },
+                            detail.is_shared ? "Sharing turned off. The old link no longer works." : "Anyone with the link can now view this collection."
+                          )
+                        }
+                      >
+                        {detail.is_shared ? "Stop sharing" : "Share by link"}
+                      </button>
+                      <button className="saved-btn saved-btn--danger" onClick={handleDeleteCollection}>Delete</button>
+                    </div>
+                  </>
+                )}
+
+                {detail.is_shared && detail.share_token && !editing && (
+                  <div className="saved-share">
+                    <input readOnly value={shareLink(detail.share_token)} onFocus={(e) => e.target.select()} />
+                    <button className="saved-btn saved-btn--primary" onClick={handleCopyLink}>Copy link</button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {loading && <LoadingState />}
+            {!loading && error && <ErrorState message={error} />}
+
+            {!loading && !error && detail?.hidden_count > 0 && (
+              <p className="saved-hidden-note">
+                {detail.hidden_count} saved resource{detail.hidden_count === 1 ? " is" : "s are"} no longer available to you and {detail.hidden_count === 1 ? "is" : "are"} not shown.
+              </p>
+            )}
+
+            {!loading && !error && items.length === 0 && (
+              <div className="state-message empty-state">
+                <div className="empty-icon">🔖</div>
+                <h3>{isCollection ? "This collection is empty" : "Nothing saved yet"}</h3>
+                <p>Use the bookmark and folder buttons on any resource in Browse to save it here.</p>
+              </div>
+            )}
+
+            {!loading && !error && items.length > 0 && (
+              <div className="resource-grid">
+                {items.map((resource) => (
+                  <ResourceCard
+                    key={resource.id}
+                    resource={resource}
+                    onView={handleView}
+                    onReviews={() => setReviewsResource(resource)}
+                    onQuiz={() => setQuizResource(resource)}
+                    onViewSummary={(summary) => setActiveSummary({ title: resource.title, summary })}
+                    isBookmarked={bookmarkedIds.has(resource.id)}
+                    onBookmarkChange={handleBookmarkChange}
+                    onRemove={isCollection ? () => handleRemoveItem(resource) : undefined}
+                    removeLabel="Remove from collection"
+                  />
+                ))}
+              </div>
+            )}
+          </section>
+        </div>
+
+        <SummaryModal
+          isOpen={!!activeSummary}
+          onClose={() => setActiveSummary(null)}
+          title={activeSummary?.title}
+          summary={activeSummary?.summary}
+        />
+
+        {reviewsResource && (
+          <ReviewsModal
+            resource={reviewsResource}
+            onClose={() => setReviewsResource(null)}
+            onChanged={reload}
+          />
+        )}
+
+        {quizResource && (
+          <QuizModal resource={quizResource} onClose={() => setQuizResource(null)} />
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default Saved;
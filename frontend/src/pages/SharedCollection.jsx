@@ -0,0 +1,132 @@
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { supabase } from "../supabaseClient";
+import { useToast } from "../context/ToastContext";
+import { ResourceCard, LoadingState, ErrorState } from "./Browse";
+import SummaryModal from "../components/SummaryModal";
+import { API_BASE_URL } from "../utils/api";
+import "../styles/browse.css";
+import "../styles/saved.css";
+
+async function authFetch(path, options = {}) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  return fetch(`${API_BASE_URL}${path}`, { ...options, headers: { Authorization: `Bearer ${token}` } });
+}
+
+const formatUrl = (url) => {
+  if (!url) return "#";
+  if (url.startsWith("http://") || url.startsWith("https://")) return url;
+  return `https://${url}`;
+};
+
+// Read-only view of a collection someone shared by link
+function SharedCollection() {
+  const { token } = useParams();
+  const { showToast } = useToast();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [activeSummary, setActiveSummary] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadCollection() {
+      try {
+        const res = await authFetch(`/collections/shared/${token}`);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `HTTP ${res.status}`);
+        if (!cancelled) setCollection(json.data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    loadCollection();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleView = async (resource) => {
+    try {
+      if (resource.content_type === "external_link") {
+        window.open(formatUrl(resource.external_url), "_blank", "noopener,noreferrer");
+        authFetch(`/resources/${resource.id}/view`, { method: "POST" }).catch((err) => console.error("Failed to record view:", err));
+        return;
+      }
+      const res = await authFetch(`/resources/signed-url/${resource.id}`);
+      if (!res.ok) throw new Error("Failed to fetch signed URL");
+      const data = await res.json();
+      window.open(data.signedUrl, "_blank", "noopener,noreferrer");
+    } catch (err) {
+      console.error("View failed", err);
+      showToast("Unable to open resource. Please try again.", "error");
+    }
+  };
+
+  return (
+    <main className="browse-page">
+      <div className="container">
+        {loading && <LoadingState />}
+        {!loading && error && <ErrorState message={error} />}
+
+        {!loading && !error && collection && (
+          <>
+            <header className="page-header">
+              <h1>{collection.name}</h1>
+              <p className="page-subtitle">
+                {collection.is_owner ? "Your shared collection" : `Shared by ${collection.owner_name || "a classmate"}`}
+                {" · "}
+                {collection.items.length} resource{collection.items.length === 1 ? "" : "s"}
+              </p>
+              {collection.description && <p className="saved-shared-description">{collection.description}</p>}
+              {collection.is_owner && (
+                <p className="saved-shared-description">
+                  <Link to="/saved">Manage it on your Saved page</Link>
+                </p>
+              )}
+            </header>
+
+            {collection.hidden_count > 0 && (
+              <p className="saved-hidden-note">
+                {collection.hidden_count} resource{collection.hidden_count === 1 ? " in this collection is" : "s in this collection are"} not available to you.
+              </p>
+            )}
+
+            {collection.items.length === 0 ? (
+              <div className="state-message empty-state">
+                <div className="empty-icon">📂</div>
+                <h3>Nothing to show</h3>
+                <p>This collection has no resources you can open.</p>
+              </div>
+            ) : (
+              <div className="resource-grid">
+                {collection.items.map((resource) => (
+                  <ResourceCard
+                    key={resource.id}
+                    resource={resource}
+                    onView={handleView}
+                    onViewSummary={(summary) => setActiveSummary({ title: resource.title, summary })}
+                  />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <SummaryModal
+          isOpen={!!activeSummary}
+          onClose={() => setActiveSummary(null)}
+          title={activeSummary?.title}
+          summary={activeSummary?.summary}
+        />
+      </div>
+    </main>
+  );
+}
+
+export default SharedCollection;
@@ -1,7 +1,9 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import { supabase } from "../supabaseClient";
 import { API_BASE_URL } from "../utils/api";
+import { ACCEPTED_FILE_EXTENSIONS } from "../utils/fileFormats";
+import { uploadFileResumable, forgetUpload } from "../utils/resumableUpload";
 import "../styles/upload.css";
 
 // ─── API Layer ────────────────────────────────────────────────────────────────
@@ -79,10 +81,7 @@ async function submitFileResource(formData, token) {
     headers: { Authorization: `Bearer ${token}` },
     body: formData,
   });
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || "Upload failed");
-  }
+  if (!response.ok) throw await fileResourceError(response, "Upload failed");
 }
 
 async function updateFileResource(id, formData, token) {
@@ -91,9 +90,25 @@ async function updateFileResource(id, formData, token) {
     headers: { Authorization: `Bearer ${token}` },
     body: formData,
   });
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(errorData.error || "Update failed");
+  if (!response.ok) throw await fileResourceError(response, "Update failed");
+}
+
+// A 409 means the same file is already on the site; the matches ride along
+// on the error so the form can link to them.
+async function fileResourceError(response, fallback) {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.error || fallback);
+  if (response.status === 409) error.duplicates = errorData.duplicates || [];
+  return error;
+}
+
+async function openResource(id) {
+  try {
+    const token = await getAuthToken();
+    const { signedUrl } = await apiFetch(`/resources/signed-url/${id}`, token);
+    window.open(signedUrl, "_blank", "noopener,noreferrer");
+  } catch (err) {
+    console.error("Error opening resource:", err);
   }
 }
 
@@ -125,13 +140,17 @@ function validateForm({
   
   if (contentType === "file" && !file) {
     if (!isEditMode || switchingToFile) {
-      return "Please select a PDF file";
+      return "Please select a file to upload";
     }
   }
 
   return null;
 }
 
+const formatMB = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+const progressPercent = ({ sent, total }) => Math.floor((sent / total) * 100);
+
 // ─── Component ────────────────────────────────────────────────────────────────
 
 function UploadResource() {
@@ -144,6 +163,9 @@ function UploadResource() {
   const [error, setError]           = useState("");
   const [loadingResource, setLoadingResource] = useState(isEditMode);
   const [originalContentType, setOriginalContentType] = useState("");
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } while a file is being sent
+  const [duplicates, setDuplicates] = useState(null); // existing copies of the chosen file
+  const uploadAbortRef = useRef(null);
 
   // Resource info
   const [title, setTitle]               = useState("");
@@ -179,6 +201,9 @@ function UploadResource() {
 
   // ─── Effects ───────────────────────────────────────────────────────────────
 
+  // Stop sending chunks when leaving the page; the upload can be resumed later
+  useEffect(() => () => uploadAbortRef.current?.abort(), []);
+
   // Initial load: courses + academic years
   useEffect(() => {
     async function loadInitial() {
@@ -334,12 +359,16 @@ function UploadResource() {
   function handleContentTypeChange(value) {
     setContentType(value);
     setFile(null);
+    setDuplicates(null);
+    setUploadProgress(null);
     setExternalLink("");
   }
 
-  async function handleSubmit(e) {
+  // allowDuplicate: the uploader saw the duplicate warning and wants to go ahead
+  async function handleSubmit(e, allowDuplicate = false) {
     e?.preventDefault();
     setError("");
+    setDuplicates(null);
 
     const validationError = validateForm({
       title, course, subject, academicYear, resourceType,
@@ -386,8 +415,18 @@ function UploadResource() {
           ? otherType.trim().toLowerCase().replace(/\s+/g, '_')
           : resourceType;
 
+        // The file goes up in resumable chunks first; the resource then refers to it by id
+        let uploadId = null;
+        if (file) {
+          uploadAbortRef.current = new AbortController();
+          uploadId = await uploadFileResumable(file, {
+            signal: uploadAbortRef.current.signal,
+            onProgress: (sent, total) => setUploadProgress({ sent, total }),
+          });
+        }
+
         const formData = new FormData();
-        if (file) formData.append("file", file);
+        if (uploadId) formData.append("upload_id", uploadId);
         formData.append("title", title.trim());
         formData.append("description", description.trim());
         formData.append("subject_code", subject_code);
@@ -396,16 +435,23 @@ function UploadResource() {
         formData.append("resource_type", finalResourceType);
         formData.append("visibility", visibility);
         if (unit_number) formData.append("unit_number", unit_number);
+        if (allowDuplicate) formData.append("allow_duplicate", "true");
 
         if (isEditMode) {
           await updateFileResource(id, formData, token);
         } else {
           await submitFileResource(formData, token);
         }
+        if (file) forgetUpload(file);
       }
 
       navigate(isEditMode ? "/my-resources" : "/browse");
     } catch (err) {
+      if (err.name === "AbortError") return;
+      if (err.duplicates) {
+        setDuplicates(err.duplicates);
+        return;
+      }
       setError(err.message || (isEditMode ? "Update failed. Please try again." : "Upload failed. Please try again."));
     } finally {
       setSubmitting(false);
@@ -622,7 +668,7 @@ function UploadResource() {
                   onChange={() => handleContentTypeChange("file")}
                   disabled={submitting}
                 />
-                <span>File Upload (PDF)</span>
+                <span>File Upload</span>
               </label>
               <label className="radio-label">
                 <input
@@ -639,15 +685,19 @@ function UploadResource() {
             {contentType === "file" && (
               <div className="form-group">
                 <label className="form-label" htmlFor="file-upload">
-                  {isEditMode ? "Replace PDF File (optional)" : "Upload PDF File *"}
+                  {isEditMode ? "Replace File (optional)" : "Upload File *"}
                 </label>
                 <div className={`form-file-container ${file ? 'file-selected' : ''}`}>
                   <input
                     id="file-upload"
                     type="file"
                     className="form-file"
-                    accept=".pdf"
-                    onChange={(e) => setFile(e.target.files[0])}
+                    accept={ACCEPTED_FILE_EXTENSIONS.join(",")}
+                    onChange={(e) => {
+                      setFile(e.target.files[0]);
+                      setUploadProgress(null);
+                      setDuplicates(null);
+                    }}
                     disabled={submitting}
                   />
                   <div className="dropzone-visual">
@@ -659,13 +709,27 @@ function UploadResource() {
                       )}
                     </div>
                     <div className="dropzone-title">
-                      {file ? file.name : "Choose a PDF file or drag it here"}
+                      {file ? file.name : "Choose a file or drag it here"}
                     </div>
                     <div className="dropzone-subtitle">
-                      {file ? `${(file.size / 1024 / 1024).toFixed(2)} MB` : "Files up to 10MB are supported"}
+                      {file ? `${(file.size / 1024 / 1024).toFixed(2)} MB` : "PDF, Office documents, images, ZIP or lecture recordings, up to 500MB"}
                     </div>
                   </div>
                 </div>
+                {uploadProgress && (
+                  <div className="upload-progress">
+                    <div className="upload-progress-track">
+                      <div
+                        className="upload-progress-fill"
+                        style={{ width: `${progressPercent(uploadProgress)}%` }}
+                      />
+                    </div>
+                    <span className="upload-progress-label">
+                      {submitting ? "Uploading" : "Paused at"} {progressPercent(uploadProgress)}%
+                      {" · "}{formatMB(uploadProgress.sent)} of {formatMB(uploadProgress.total)} MB
+                    </span>
+                  </div>
+                )}
                 {isEditMode && !file && (
                   <p className="file-hint">Note: Existing file will be kept if none selected.</p>
                 )}
@@ -719,6 +783,33 @@ function UploadResource() {
             </div>
           )}
 
+          {duplicates && (
+            <div className="duplicate-warning">
+              <p className="duplicate-warning-title">This file has already been uploaded</p>
+              <ul className="duplicate-warning-list">
+                {duplicates.map((d) => (
+                  <li key={d.id}>
+                    <button type="button" className="duplicate-warning-link" onClick={() => openResource(d.id)}>
+                      {d.title}
+                    </button>
+                    <span> · {d.subject_code} · {d.contributor_name || "Unknown"}</span>
+                  </li>
+                ))}
+              </ul>
+              <p className="duplicate-warning-hint">
+                If this copy is meant to be separate (another subject or year, say), you can still upload it.
+              </p>
+              <button
+                type="button"
+                className="button-secondary"
+                onClick={() => handleSubmit(null, true)}
+                disabled={submitting}
+              >
+                Upload anyway
+              </button>
+            </div>
+          )}
+
           <div className="form-actions">
             <button
               className="button-secondary"
@@ -736,6 +827,8 @@ function UploadResource() {
             >
               {submitting ? (
                 <><span className="spinner" /><span>{isEditMode ? "Updating…" : "Uploading…"}</span></>
+              ) : uploadProgress && uploadProgress.sent < uploadProgress.total ? (
+                "Resume Upload"
               ) : (
                 isEditMode ? "Update Resource" : "Upload Resource"
               )}
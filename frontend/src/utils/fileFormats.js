@@ -0,0 +1,27 @@
+// Upload formats accepted by the backend (see backend/utils/fileFormats.js)
+export const ACCEPTED_FILE_EXTENSIONS = [
+  ".pdf", ".docx", ".pptx", ".xlsx", ".doc", ".ppt", ".xls", ".odt", ".odp",
+  ".png", ".jpg", ".jpeg", ".webp", ".zip",
+  ".mp4", ".m4v", ".webm", ".mp3", ".m4a",
+];
+
+// Short badge labels for each file_format
+export const FILE_FORMAT_LABELS = {
+  pdf: "PDF",
+  docx: "Word", doc: "Word", odt: "Document",
+  pptx: "Slides", ppt: "Slides", odp: "Slides",
+  xlsx: "Spreadsheet", xls: "Spreadsheet",
+  png: "Image", jpeg: "Image", webp: "Image",
+  zip: "ZIP",
+  mp4: "Video", webm: "Video",
+  mp3: "Audio", m4a: "Audio",
+};
+
+// Stored as-is, with no text to summarize
+const NO_TEXT_FORMATS = ["zip", "mp4", "webm", "mp3", "m4a"];
+
+// Office files are summarized through their PDF rendition
+export const canSummarize = (resource) =>
+  resource.content_type === "file" && !!resource.storage_path && !NO_TEXT_FORMATS.includes(resource.file_format);
+
+export const formatLabel = (resource) => FILE_FORMAT_LABELS[resource.file_format] || "File";
@@ -0,0 +1,104 @@
+// Reads a bulk upload manifest (CSV or JSON) into rows keyed like the upload
+// API: file, title, description, subject_code, academic_year, unit_number,
+// resource_type, visibility. The server validates the values themselves.
+
+const COLUMN_ALIASES = {
+  filename: "file",
+  file_name: "file",
+  subject: "subject_code",
+  year: "academic_year",
+  unit: "unit_number",
+  type: "resource_type",
+};
+
+const normalizeKey = (key) => {
+  const k = String(key).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return COLUMN_ALIASES[k] || k;
+};
+
+// Minimal RFC 4180 parsing: quoted fields, doubled quotes, CRLF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * "2024-2025", "2024-25" or "2024/25" → "2024-2025". Rows may also give
+ * start_year and end_year separately.
+ */
+export function normalizeAcademicYear(value, endYear) {
+  if (endYear) return `${String(value).trim()}-${String(endYear).trim()}`;
+  const match = String(value ?? "").match(/^\s*(\d{4})\s*[-–/]\s*(\d{2}|\d{4})\s*$/);
+  if (!match) return String(value ?? "").trim();
+  const end = match[2].length === 2 ? `${match[1].slice(0, 2)}${match[2]}` : match[2];
+  return `${match[1]}-${end}`;
+}
+
+function toRow(record) {
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    row[normalizeKey(key)] = value == null ? "" : String(value).trim();
+  }
+  row.academic_year = normalizeAcademicYear(row.academic_year || row.start_year, row.academic_year ? "" : row.end_year);
+  delete row.start_year;
+  delete row.end_year;
+  return row;
+}
+
+/**
+ * Parses manifest text; JSON when the file name ends in .json, CSV otherwise.
+ * Throws with a readable message when the file can't be read as a manifest.
+ */
+export function parseManifest(text, filename) {
+  if (filename.toLowerCase().endsWith(".json")) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("The manifest is not valid JSON");
+    }
+    const records = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(records)) throw new Error("A JSON manifest must be an array of rows (or { \"items\": [...] })");
+    return records.map(toRow);
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) throw new Error("The manifest is empty");
+  const keys = header.map(normalizeKey);
+  if (!keys.includes("file")) throw new Error("The manifest needs a \"file\" column naming each uploaded file");
+  return records.map((cells) => toRow(Object.fromEntries(keys.map((k, i) => [k, cells[i] ?? ""]))));
+}
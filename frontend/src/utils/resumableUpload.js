@@ -0,0 +1,151 @@
+import { supabase } from "../supabaseClient";
+import { API_BASE_URL } from "./api";
+
+// Sends a file to /uploads in chunks and returns the upload id to attach to a
+// resource. The session id is remembered per file, so trying again after a
+// dropped connection (or a page reload) carries on where it stopped.
+
+const STORAGE_PREFIX = "resumable-upload:";
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000];
+
+const fileKey = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network trouble worth retrying, as opposed to the server rejecting the file
+class ConnectionError extends Error {}
+
+async function getToken() {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  if (!token) throw new Error("Authentication required");
+  return token;
+}
+
+async function uploadApi(path, options = {}) {
+  let res;
+  try {
+    res = await fetch(`${API_BASE_URL}/uploads${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${await getToken()}`,
+        "Content-Type": "application/json",
+      },
+    });
+  } catch {
+    throw new ConnectionError("Connection lost");
+  }
+  const json = await res.json().catch(() => ({}));
+  if (res.status >= 500) throw new ConnectionError(json.error || `HTTP ${res.status}`);
+  return { status: res.status, json };
+}
+
+// XHR rather than fetch so the progress bar can move while a chunk is in flight
+function sendChunk(uploadId, offset, blob, token, onChunkProgress, signal) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PATCH", `${API_BASE_URL}/uploads/${uploadId}`);
+    xhr.setRequestHeader("Authorization", `Bearer ${token}`);
+    xhr.setRequestHeader("Content-Type", "application/offset+octet-stream");
+    xhr.setRequestHeader("Upload-Offset", String(offset));
+    xhr.upload.onprogress = (e) => onChunkProgress(e.loaded);
+    xhr.onload = () => {
+      let json = {};
+      try {
+        json = JSON.parse(xhr.responseText);
+      } catch {
+        // Non-JSON error page from a proxy; the status is enough
+      }
+      if (xhr.status >= 500) reject(new ConnectionError(json.error || `HTTP ${xhr.status}`));
+      else resolve({ status: xhr.status, json });
+    };
+    xhr.onerror = () => reject(new ConnectionError("Connection lost"));
+    xhr.ontimeout = xhr.onerror;
+    xhr.onabort = () => reject(new DOMException("Upload cancelled", "AbortError"));
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+    xhr.send(blob);
+  });
+}
+
+function waitUntilOnline() {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise((resolve) => window.addEventListener("online", resolve, { once: true }));
+}
+
+// The remembered session for this file, if it can still be continued
+async function resumeSession(file) {
+  const id = localStorage.getItem(fileKey(file));
+  if (!id) return null;
+
+  const { status, json } = await uploadApi(`/${id}`);
+  if (status === 200 && json.data.status !== "attached") return json.data;
+  localStorage.removeItem(fileKey(file));
+  return null;
+}
+
+async function startSession(file) {
+  const { status, json } = await uploadApi("", {
+    method: "POST",
+    body: JSON.stringify({ filename: file.name, size: file.size, mime_type: file.type }),
+  });
+  if (status !== 201) throw new Error(json.error || "Could not start the upload");
+  localStorage.setItem(fileKey(file), json.data.id);
+  return json.data;
+}
+
+/**
+ * Uploads `file` and resolves with its upload id. `onProgress(sentBytes, totalBytes)`
+ * is called as bytes go out. Retries by itself through short outages; after
+ * that it rejects, and calling it again with the same file resumes.
+ */
+export async function uploadFileResumable(file, { onProgress = () => {}, signal } = {}) {
+  let session = null;
+  let failures = 0;
+
+  for (;;) {
+    if (signal?.aborted) throw new DOMException("Upload cancelled", "AbortError");
+
+    try {
+      if (!session) {
+        session = (await resumeSession(file)) || (await startSession(file));
+      }
+      onProgress(session.received_bytes, session.total_bytes);
+      if (session.status === "complete") return session.id;
+
+      const offset = session.received_bytes;
+      const blob = file.slice(offset, offset + session.chunk_size);
+      const { status, json } = await sendChunk(
+        session.id, offset, blob, await getToken(),
+        (loaded) => onProgress(offset + loaded, session.total_bytes),
+        signal
+      );
+
+      if (status === 409) {
+        // Out of step with the server (e.g. a chunk landed but its reply was lost)
+        session = null;
+        continue;
+      }
+      if (status === 404 || status === 410) {
+        localStorage.removeItem(fileKey(file));
+        throw new Error(json.error || "The upload expired. Please try again.");
+      }
+      if (status !== 200) throw new Error(json.error || "Upload failed");
+
+      session = json.data;
+      failures = 0;
+    } catch (err) {
+      if (!(err instanceof ConnectionError)) throw err;
+      if (failures >= RETRY_DELAYS.length) {
+        throw new Error("Upload paused because the connection dropped. Try again to resume where it stopped.");
+      }
+      await waitUntilOnline();
+      await sleep(RETRY_DELAYS[failures++]);
+      session = null;
+    }
+  }
+}
+
+// Called once the upload has been attached to a resource
+export function forgetUpload(file) {
+  localStorage.removeItem(fileKey(file));
+}